@@ -0,0 +1,150 @@
+/**
+ * Local stand-in for the realtime backend. Relays every JSON message a client sends
+ * to all other connected clients, so rider_location updates posted from the rider page
+ * reach open dashboards and tracking pages in other tabs or devices.
+ *
+ * Usage:
+ *   npm run ws:dev                      (listens on ws://localhost:8080/api/ws)
+ *   VITE_WS_URL=ws://localhost:8080/api/ws npm run dev
+ *
+ * Implements just enough of RFC 6455 for the app: unfragmented text frames, ping/pong and close.
+ */
+import http from 'node:http';
+import crypto from 'node:crypto';
+
+const PORT = parseInt(process.env.WS_PORT || '8080', 10);
+const PATH = process.env.WS_PATH || '/api/ws';
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const clients = new Set();
+
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Returns { frame, rest } or null when the buffer does not hold a complete frame yet
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+
+  const maskLength = masked ? 4 : 0;
+  if (buffer.length < offset + maskLength + length) return null;
+
+  const mask = masked ? buffer.subarray(offset, offset + 4) : null;
+  const payload = Buffer.from(buffer.subarray(offset + maskLength, offset + maskLength + length));
+  if (mask) {
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i % 4];
+    }
+  }
+
+  return { frame: { opcode, payload }, rest: buffer.subarray(offset + maskLength + length) };
+}
+
+function broadcast(sender, text) {
+  const frame = encodeFrame(0x1, Buffer.from(text));
+  clients.forEach(client => {
+    if (client !== sender && !client.destroyed) {
+      client.write(frame);
+    }
+  });
+}
+
+function handleMessage(socket, text) {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch {
+    return;
+  }
+
+  if (message.type === 'heartbeat') {
+    socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify({ type: 'heartbeat', timestamp: new Date().toISOString() }))));
+    return;
+  }
+
+  broadcast(socket, JSON.stringify({ id: `msg_${Date.now()}`, timestamp: new Date().toISOString(), ...message }));
+}
+
+const server = http.createServer((req, res) => {
+  res.writeHead(426, { 'Content-Type': 'text/plain' });
+  res.end('WebSocket endpoint: ' + PATH);
+});
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  if (new URL(req.url, 'http://localhost').pathname !== PATH || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+
+  const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    ''
+  ].join('\r\n'));
+
+  clients.add(socket);
+  console.log(`client connected (${clients.size} total)`);
+
+  let buffered = Buffer.alloc(0);
+  socket.on('data', chunk => {
+    buffered = Buffer.concat([buffered, chunk]);
+    let decoded;
+    while ((decoded = decodeFrame(buffered))) {
+      buffered = decoded.rest;
+      const { opcode, payload } = decoded.frame;
+      if (opcode === 0x1) {
+        handleMessage(socket, payload.toString('utf8'));
+      } else if (opcode === 0x8) {
+        socket.end(encodeFrame(0x8, payload.subarray(0, 2)));
+      } else if (opcode === 0x9) {
+        socket.write(encodeFrame(0xa, payload));
+      }
+    }
+  });
+
+  const drop = () => {
+    if (clients.delete(socket)) {
+      console.log(`client disconnected (${clients.size} total)`);
+    }
+  };
+  socket.on('close', drop);
+  socket.on('error', drop);
+});
+
+server.listen(PORT, () => {
+  console.log(`WebSocket relay listening on ws://localhost:${PORT}${PATH}`);
+});
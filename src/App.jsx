@@ -16,6 +16,8 @@ import Home from "@/components/pages/Home";
 import ProductDetail from "@/components/pages/ProductDetail";
 import Checkout from "@/components/pages/Checkout";
 import Layout from "@/components/organisms/Layout";
+import PermissionGuard from "@/components/organisms/PermissionGuard";
+import RiderSignIn from "@/components/organisms/RiderSignIn";
 import Error from "@/components/ui/Error";
 import Loading from "@/components/ui/Loading";
 // Core components that need to be loaded immediately (not lazy)
@@ -267,15 +269,24 @@ const FinancialDashboard = createLazyComponent(() => import('@/components/pages/
 const POS = createLazyComponent(() => import('@/components/pages/POS'), 'POS');
 const PaymentManagement = createLazyComponent(() => import('@/components/pages/PaymentManagement'), 'Payment Management');
 const PayrollManagement = createLazyComponent(() => import('@/components/pages/PayrollManagement'), 'Payroll Management');
+const CouponManagement = createLazyComponent(() => import('@/components/pages/CouponManagement'), 'Coupon Management');
 const DeliveryTracking = createLazyComponent(() => import('@/components/pages/DeliveryTracking'), 'Delivery Tracking');
+const DeliveryDashboard = createLazyComponent(() => import('@/components/pages/DeliveryDashboard'), 'Delivery Dashboard');
+const RiderApp = createLazyComponent(() => import('@/components/pages/RiderApp'), 'Rider App');
+const RiderLocation = createLazyComponent(() => import('@/components/pages/RiderLocation'), 'Rider Location');
 const AIGenerate = createLazyComponent(() => import('@/components/pages/AIGenerate'), 'AI Generate');
 const Category = createLazyComponent(() => import('@/components/pages/Category'), 'Category');
 const Orders = createLazyComponent(() => import('@/components/pages/Orders'), 'Orders');
 const OrderSummary = createLazyComponent(() => import('@/components/pages/OrderSummary'), 'Order Summary');
 const OrderTracking = createLazyComponent(() => import('@/components/pages/OrderTracking'), 'Order Tracking');
 const Account = createLazyComponent(() => import('@/components/pages/Account'), 'Account');
+const Mailbox = createLazyComponent(() => import('@/components/pages/Mailbox'), 'Mailbox');
+const Wishlist = createLazyComponent(() => import('@/components/pages/Wishlist'), 'Wishlist');
+const Subscriptions = createLazyComponent(() => import('@/components/pages/Subscriptions'), 'Subscriptions');
 const VendorPortal = createLazyComponent(() => import('@/components/pages/VendorPortal'), 'Vendor Portal');
 const RoleAssignment = createLazyComponent(() => import('@/components/pages/RoleAssignment'), 'Role Assignment');
+const AuditLog = createLazyComponent(() => import('@/components/pages/AuditLog'), 'Audit Log');
+const ReviewModeration = createLazyComponent(() => import('@/components/pages/ReviewModeration'), 'Review Moderation');
 
 // WebSocket Integration Component
 const WebSocketProvider = ({ children }) => {
@@ -689,88 +700,194 @@ useEffect(() => {
                       </Suspense>
                     </LazyErrorBoundary>
                   } />
-                  
-                  {/* Heavy admin routes - lazy loaded with error boundaries */}
-                  <Route path="admin" element={
+                  {/* The mailbox shows every outgoing email, reset links included, so it only exists in dev builds */}
+                  {import.meta.env.DEV && (
+                    <Route path="mailbox" element={
+                      <LazyErrorBoundary>
+                        <Suspense fallback={<Loading type="page" />}>
+                          <Mailbox />
+                        </Suspense>
+                      </LazyErrorBoundary>
+                    } />
+                  )}
+                  <Route path="wishlist" element={
                     <LazyErrorBoundary>
                       <Suspense fallback={<Loading type="page" />}>
-                        <AdminDashboard />
+                        <Wishlist />
                       </Suspense>
                     </LazyErrorBoundary>
                   } />
-                  <Route path="admin/products" element={
+                  <Route path="subscriptions" element={
                     <LazyErrorBoundary>
                       <Suspense fallback={<Loading type="page" />}>
-                        <ProductManagement />
+                        <Subscriptions />
                       </Suspense>
+                    </LazyErrorBoundary>
+                  } />
+                  
+                  {/* Heavy admin routes - lazy loaded with error boundaries */}
+                  <Route path="admin" element={
+                    <LazyErrorBoundary>
+                      <PermissionGuard permission="access_admin">
+                        <Suspense fallback={<Loading type="page" />}>
+                          <AdminDashboard />
+                        </Suspense>
+                      </PermissionGuard>
+                    </LazyErrorBoundary>
+                  } />
+                  <Route path="admin/products" element={
+                    <LazyErrorBoundary>
+                      <PermissionGuard permission="manage_products">
+                        <Suspense fallback={<Loading type="page" />}>
+                          <ProductManagement />
+                        </Suspense>
+                      </PermissionGuard>
 </LazyErrorBoundary>
                   } />
                   <Route path="admin/vendors" element={
                     <LazyErrorBoundary>
-                      <Suspense fallback={<Loading type="page" />}>
-                        <VendorManagement />
-                      </Suspense>
+                      <PermissionGuard permission="manage_vendors">
+                        <Suspense fallback={<Loading type="page" />}>
+                          <VendorManagement />
+                        </Suspense>
+                      </PermissionGuard>
                     </LazyErrorBoundary>
                   } />
                   <Route path="admin/pos" element={
                     <LazyErrorBoundary>
-                      <Suspense fallback={<Loading type="page" />}>
-                        <POS />
-                      </Suspense>
+                      <PermissionGuard permission="use_pos">
+                        <Suspense fallback={<Loading type="page" />}>
+                          <POS />
+                        </Suspense>
+                      </PermissionGuard>
                     </LazyErrorBoundary>
                   } />
                   <Route path="admin/delivery-dashboard" element={
                     <LazyErrorBoundary>
-                      <Suspense fallback={<Loading type="page" />}>
-                        <DeliveryTracking />
-                      </Suspense>
+                      <PermissionGuard permission="manage_deliveries">
+                        <Suspense fallback={<Loading type="page" />}>
+                          <DeliveryTracking />
+                        </Suspense>
+                      </PermissionGuard>
                     </LazyErrorBoundary>
                   } />
                   <Route path="admin/analytics" element={
                     <LazyErrorBoundary>
-                      <Suspense fallback={<Loading type="page" />}>
-                        <Analytics />
-                      </Suspense>
+                      <PermissionGuard permission="view_reports">
+                        <Suspense fallback={<Loading type="page" />}>
+                          <Analytics />
+                        </Suspense>
+                      </PermissionGuard>
                     </LazyErrorBoundary>
                   } />
                   <Route path="admin/financial-dashboard" element={
                     <LazyErrorBoundary>
-                      <Suspense fallback={<Loading type="page" />}>
-                        <FinancialDashboard />
-                      </Suspense>
+                      <PermissionGuard permission="view_finance">
+                        <Suspense fallback={<Loading type="page" />}>
+                          <FinancialDashboard />
+                        </Suspense>
+                      </PermissionGuard>
                     </LazyErrorBoundary>
                   } />
                   <Route path="admin/payments" element={
                     <LazyErrorBoundary>
-                      <Suspense fallback={<Loading type="page" />}>
-                        <PaymentManagement />
-                      </Suspense>
+                      <PermissionGuard permission="manage_payments">
+                        <Suspense fallback={<Loading type="page" />}>
+                          <PaymentManagement />
+                        </Suspense>
+                      </PermissionGuard>
                     </LazyErrorBoundary>
                   } />
                   <Route path="admin/ai-generate" element={
                     <LazyErrorBoundary>
-                      <Suspense fallback={<Loading type="page" />}>
-                        <AIGenerate />
-                      </Suspense>
+                      <PermissionGuard permission="use_ai_tools">
+                        <Suspense fallback={<Loading type="page" />}>
+                          <AIGenerate />
+                        </Suspense>
+                      </PermissionGuard>
                     </LazyErrorBoundary>
                   } />
                   <Route path="admin/payroll" element={
                     <LazyErrorBoundary>
-                      <Suspense fallback={<Loading type="page" />}>
-                        <PayrollManagement />
-                      </Suspense>
+                      <PermissionGuard permission="view_payroll">
+                        <Suspense fallback={<Loading type="page" />}>
+                          <PayrollManagement />
+                        </Suspense>
+                      </PermissionGuard>
+                    </LazyErrorBoundary>
+                  } />
+                  <Route path="admin/coupons" element={
+                    <LazyErrorBoundary>
+                      <PermissionGuard permission="manage_coupons">
+                        <Suspense fallback={<Loading type="page" />}>
+                          <CouponManagement />
+                        </Suspense>
+                      </PermissionGuard>
+                    </LazyErrorBoundary>
+                  } />
+                  <Route path="admin/dispatch" element={
+                    <LazyErrorBoundary>
+                      <PermissionGuard permission="manage_deliveries">
+                        <Suspense fallback={<Loading type="page" />}>
+                          <DeliveryDashboard />
+                        </Suspense>
+                      </PermissionGuard>
                     </LazyErrorBoundary>
                   } />
                   
-                  {/* Role Assignment Route - Admin Only */}
+                  {/* Role Assignment Route - staff roles and permission matrices */}
                   <Route path="role-management" element={
                     <LazyErrorBoundary>
-                      <Suspense fallback={<Loading type="page" />}>
-                        <RoleAssignment />
-                      </Suspense>
+                      <PermissionGuard permission="manage_roles">
+                        <Suspense fallback={<Loading type="page" />}>
+                          <RoleAssignment />
+                        </Suspense>
+                      </PermissionGuard>
+                    </LazyErrorBoundary>
+                  } />
+                  
+                  {/* Audit Log Route - hash-chained trail of admin and financial actions */}
+                  <Route path="admin/audit-log" element={
+                    <LazyErrorBoundary>
+                      <PermissionGuard permission="view_audit_log">
+                        <Suspense fallback={<Loading type="page" />}>
+                          <AuditLog />
+                        </Suspense>
+                      </PermissionGuard>
                     </LazyErrorBoundary>
                   } />
                   
+                  {/* Review Moderation Route - publish or reject customer reviews */}
+                  <Route path="admin/reviews" element={
+                    <LazyErrorBoundary>
+                      <PermissionGuard permission="moderate_reviews">
+                        <Suspense fallback={<Loading type="page" />}>
+                          <ReviewModeration />
+                        </Suspense>
+                      </PermissionGuard>
+                    </LazyErrorBoundary>
+                  } />
+                  
+                  {/* Rider app: assigned stops, proof of delivery and location sharing */}
+                  <Route path="rider" element={
+                    <LazyErrorBoundary>
+                      <PermissionGuard permission="view_assigned_deliveries" signIn={<RiderSignIn />}>
+                        <Suspense fallback={<Loading type="page" />}>
+                          <RiderApp />
+                        </Suspense>
+                      </PermissionGuard>
+                    </LazyErrorBoundary>
+                  } />
+                  <Route path="rider/location" element={
+                    <LazyErrorBoundary>
+                      <PermissionGuard permission="share_location" signIn={<RiderSignIn />}>
+                        <Suspense fallback={<Loading type="page" />}>
+                          <RiderLocation />
+                        </Suspense>
+                      </PermissionGuard>
+                    </LazyErrorBoundary>
+                  } />
+
                   {/* Vendor Portal Route */}
                   <Route path="vendor-portal" element={
                     <LazyErrorBoundary>
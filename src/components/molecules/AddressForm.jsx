@@ -0,0 +1,181 @@
+import React, { useState } from "react";
+import { toast } from "react-toastify";
+import Button from "@/components/atoms/Button";
+import Input from "@/components/atoms/Input";
+import LocationPicker from "@/components/molecules/LocationPicker";
+import { geocodingService } from "@/services/api/geocodingService";
+
+const LABEL_PRESETS = ['Home', 'Office'];
+
+export const EMPTY_ADDRESS = {
+  id: null,
+  label: 'Home',
+  address: '',
+  city: '',
+  postalCode: '',
+  coordinates: null,
+  locationSource: null,
+  isDefault: false
+};
+
+/**
+ * Add/edit form for an address book entry with a pin-drop location. The pin can be
+ * placed by hand or found from the typed address; saving without a pin lets the
+ * service geocode the address instead.
+ */
+const AddressForm = ({ initialValue = EMPTY_ADDRESS, onSubmit, onCancel, saving = false }) => {
+  const [address, setAddress] = useState({ ...EMPTY_ADDRESS, ...initialValue });
+  const [locating, setLocating] = useState(false);
+
+  const update = (changes) => setAddress(prev => ({ ...prev, ...changes }));
+
+  // A location found from the old text no longer applies once the text changes; a hand-placed pin stays
+  const updateText = (changes) => setAddress(prev => ({
+    ...prev,
+    ...changes,
+    ...(prev.locationSource === 'geocoded' ? { coordinates: null, locationSource: null } : {})
+  }));
+
+  const handleLocate = async () => {
+    setLocating(true);
+    try {
+      const result = await geocodingService.geocode(address);
+      update({
+        coordinates: result.coordinates,
+        locationSource: 'geocoded',
+        city: address.city || result.city,
+        postalCode: address.postalCode || result.postalCode || ''
+      });
+      if (result.precision === 'city') {
+        toast.info('Found the city only. Move the pin to your door for accurate delivery');
+      }
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setLocating(false);
+    }
+  };
+
+  // A dropped pin fills in city and postal code when they have not been typed yet
+  const handlePinDrop = async (coordinates) => {
+    update({ coordinates, locationSource: 'pin' });
+    if (address.city && address.postalCode) return;
+    const nearest = await geocodingService.reverseGeocode(coordinates);
+    if (nearest) {
+      setAddress(prev => ({
+        ...prev,
+        city: prev.city || nearest.city,
+        postalCode: prev.postalCode || nearest.postalCode
+      }));
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit(address);
+  };
+
+  const isPreset = LABEL_PRESETS.includes(address.label);
+
+  return (
+    <form onSubmit={handleSubmit} className="border border-primary/30 bg-primary/5 rounded-lg p-4 space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Label</label>
+        <div className="flex flex-wrap gap-2">
+          {LABEL_PRESETS.map(preset => (
+            <button
+              key={preset}
+              type="button"
+              onClick={() => update({ label: preset })}
+              className={`px-3 py-1.5 rounded-full text-sm border ${address.label === preset ? 'bg-primary text-white border-primary' : 'bg-white text-gray-700 border-gray-300'}`}
+            >
+              {preset}
+            </button>
+          ))}
+          <button
+            type="button"
+            onClick={() => update({ label: isPreset ? '' : address.label })}
+            className={`px-3 py-1.5 rounded-full text-sm border ${!isPreset ? 'bg-primary text-white border-primary' : 'bg-white text-gray-700 border-gray-300'}`}
+          >
+            Other
+          </button>
+        </div>
+        {!isPreset && (
+          <div className="mt-2">
+            <Input
+              value={address.label}
+              onChange={(e) => update({ label: e.target.value })}
+              placeholder="e.g. Parents' house"
+            />
+          </div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="md:col-span-2">
+          <Input
+            label="Address"
+            value={address.address}
+            onChange={(e) => updateText({ address: e.target.value })}
+            placeholder="House, street and area"
+            required
+          />
+        </div>
+        <Input
+          label="City"
+          value={address.city}
+          onChange={(e) => updateText({ city: e.target.value })}
+          required
+        />
+        <Input
+          label="Postal Code"
+          value={address.postalCode}
+          onChange={(e) => updateText({ postalCode: e.target.value })}
+        />
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <label className="block text-sm font-medium text-gray-700">Delivery Location</label>
+          <Button
+            type="button"
+            variant="ghost"
+            size="small"
+            icon="Search"
+            onClick={handleLocate}
+            loading={locating}
+            disabled={locating || !address.city.trim()}
+          >
+            Find from address
+          </Button>
+        </div>
+        <LocationPicker
+          value={address.coordinates}
+          center={geocodingService.getDefaultCenter(address.city)}
+          onChange={handlePinDrop}
+        />
+      </div>
+
+      <label className="flex items-center space-x-2 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={Boolean(address.isDefault)}
+          onChange={(e) => update({ isDefault: e.target.checked })}
+          className="rounded border-gray-300 text-primary focus:ring-primary"
+        />
+        <span>Use as my default delivery address</span>
+      </label>
+
+      <div className="flex justify-end space-x-3">
+        <Button type="button" variant="outline" size="small" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button type="submit" variant="primary" size="small" loading={saving} disabled={saving}>
+          Save Address
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default AddressForm;
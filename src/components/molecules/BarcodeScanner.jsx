@@ -3,8 +3,13 @@ import { toast } from 'react-toastify';
 import ApperIcon from '@/components/ApperIcon';
 import Button from '@/components/atoms/Button';
 import Input from '@/components/atoms/Input';
+import { useKeyboardWedge } from '@/hooks/useKeyboardWedge';
+import { decodeBarcode, hasValidCheckDigit } from '@/utils/barcode';
 import jsQR from 'jsqr';
 
+// EAN-8, UPC-A and EAN-13 lengths; typed codes of these lengths must carry a valid check digit
+const GTIN_PATTERN = /^\d{8}$|^\d{12,13}$/;
+
 const BarcodeScanner = ({ onScan, isActive, onClose }) => {
   const [isScanning, setIsScanning] = useState(false);
   const [manualMode, setManualMode] = useState(false);
@@ -14,6 +19,7 @@ const BarcodeScanner = ({ onScan, isActive, onClose }) => {
   const canvasRef = useRef(null);
   const streamRef = useRef(null);
   const animationRef = useRef(null);
+  const lastCandidateRef = useRef(null);
 
   useEffect(() => {
     if (isActive && !manualMode) {
@@ -88,25 +94,44 @@ const BarcodeScanner = ({ onScan, isActive, onClose }) => {
         handleScanResult(code.data);
         return;
       }
+
+      // 1D labels: accept a reading once two scan lines agree, in this frame or across two frames
+      const result = decodeBarcode(imageData);
+      if (result) {
+        const key = `${result.format}:${result.text}`;
+        if (result.votes >= 2 || lastCandidateRef.current === key) {
+          lastCandidateRef.current = null;
+          handleScanResult(result.text, result.format);
+          return;
+        }
+        lastCandidateRef.current = key;
+      }
     }
 
     animationRef.current = requestAnimationFrame(scanBarcode);
   };
 
-  const handleScanResult = (barcode) => {
+  const handleScanResult = (barcode, format = null) => {
     if (barcode && barcode.trim()) {
-      toast.success(`Barcode scanned: ${barcode}`);
+      toast.success(`${format ? `${format} ` : 'Barcode '}scanned: ${barcode}`);
       onScan(barcode.trim());
       stopCamera();
     }
   };
 
+  // A USB scanner works while the camera view is open; in manual mode it simply types into the field
+  useKeyboardWedge(code => handleScanResult(code), { enabled: isActive && !manualMode });
+
   const handleManualSubmit = (e) => {
     e.preventDefault();
-    if (manualBarcode.trim()) {
-      handleScanResult(manualBarcode.trim());
-      setManualBarcode('');
+    const barcode = manualBarcode.trim();
+    if (!barcode) return;
+    if (GTIN_PATTERN.test(barcode) && !hasValidCheckDigit(barcode)) {
+      toast.error('Check digit does not match, please re-check the number');
+      return;
     }
+    handleScanResult(barcode);
+    setManualBarcode('');
   };
 
   const toggleMode = () => {
@@ -218,7 +243,9 @@ const BarcodeScanner = ({ onScan, isActive, onClose }) => {
 
         <div className="text-center">
           <p className="text-xs text-gray-500">
-            {manualMode ? 'Enter barcode manually' : 'Point camera at barcode to scan'}
+            {manualMode
+              ? 'Enter barcode manually'
+              : 'Point camera at a QR, EAN, UPC or Code 128 label, or use a USB scanner'}
           </p>
         </div>
       </div>
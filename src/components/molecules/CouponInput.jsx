@@ -0,0 +1,83 @@
+import React, { useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import { applyCouponCode, removeCoupon, selectAppliedCoupon, selectCouponLoading } from "@/store/cartSlice";
+
+const CouponInput = ({ couponResult, customerId = null, className = '' }) => {
+  const dispatch = useDispatch();
+  const appliedCoupon = useSelector(selectAppliedCoupon);
+  const couponLoading = useSelector(selectCouponLoading);
+  const [code, setCode] = useState('');
+
+  const handleApply = async (e) => {
+    e.preventDefault();
+    if (!code.trim()) return;
+
+    const result = await dispatch(applyCouponCode({ code, customerId }));
+    if (applyCouponCode.fulfilled.match(result)) {
+      setCode('');
+    }
+  };
+
+  if (appliedCoupon) {
+    const isValid = couponResult?.valid !== false;
+
+    return (
+      <div className={`rounded-lg border p-3 ${isValid ? 'border-green-200 bg-green-50' : 'border-yellow-200 bg-yellow-50'} ${className}`}>
+        <div className="flex items-center justify-between">
+          <div className="flex items-center space-x-2">
+            <ApperIcon name="Ticket" size={16} className={isValid ? 'text-green-600' : 'text-yellow-600'} />
+            <span className="font-mono font-semibold text-sm">{appliedCoupon.code}</span>
+            {isValid && couponResult?.totalDiscount > 0 && (
+              <span className="text-xs text-green-700">
+                -Rs. {couponResult.totalDiscount.toLocaleString()}
+              </span>
+            )}
+          </div>
+          <button
+            type="button"
+            onClick={() => dispatch(removeCoupon())}
+            className="text-gray-500 hover:text-red-600 transition-colors"
+            title="Remove coupon"
+          >
+            <ApperIcon name="X" size={16} />
+          </button>
+        </div>
+        {appliedCoupon.description && (
+          <p className="text-xs text-gray-600 mt-1">{appliedCoupon.description}</p>
+        )}
+        {!isValid && couponResult?.reason && (
+          <p className="text-xs text-yellow-700 mt-1 flex items-center">
+            <ApperIcon name="AlertCircle" size={12} className="mr-1" />
+            {couponResult.reason}
+          </p>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleApply} className={`flex space-x-2 ${className}`}>
+      <input
+        type="text"
+        value={code}
+        onChange={(e) => setCode(e.target.value.toUpperCase())}
+        placeholder="Promo code"
+        className="input-field flex-1 text-sm uppercase"
+        disabled={couponLoading}
+      />
+      <Button
+        type="submit"
+        variant="outline"
+        size="small"
+        loading={couponLoading}
+        disabled={!code.trim() || couponLoading}
+      >
+        Apply
+      </Button>
+    </form>
+  );
+};
+
+export default CouponInput;
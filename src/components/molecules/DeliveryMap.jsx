@@ -0,0 +1,270 @@
+import React, { useMemo, useRef, useState } from "react";
+import ApperIcon from "@/components/ApperIcon";
+import { hasCoordinates, project, unproject } from "@/utils/geo";
+
+const VIEW_WIDTH = 800;
+const VIEW_HEIGHT = 500;
+const PADDING = 40;
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 256;
+const GRID_STEPS = [0.005, 0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10];
+const ROUTE_COLORS = ['#2563eb', '#db2777', '#059669', '#d97706', '#7c3aed', '#0891b2'];
+
+const ORDER_COLORS = {
+  pending_assignment: '#eab308',
+  assigned: '#3b82f6',
+  picked_up: '#a855f7',
+  out_for_delivery: '#f97316',
+  arrived: '#14b8a6',
+  delivered: '#22c55e'
+};
+
+const RIDER_COLORS = {
+  available: '#16a34a',
+  on_delivery: '#2563eb',
+  off_duty: '#9ca3af'
+};
+
+/**
+ * Offline SVG map of delivery orders, riders and their routes.
+ * Routes are [{ riderId, start, stops: [{ orderId, coordinates }] }], either planned or in progress.
+ */
+const DeliveryMap = ({
+  orders = [],
+  riders = [],
+  routes = [],
+  selectedOrderId = null,
+  selectedRiderId = null,
+  onOrderClick,
+  onRiderClick,
+  className = "h-64 sm:h-96"
+}) => {
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+  const [zoom, setZoom] = useState(1);
+  const [offset, setOffset] = useState({ x: 0, y: 0 });
+
+  const mappedOrders = orders.filter(order => hasCoordinates(order.deliveryAddress?.coordinates));
+  const mappedRiders = riders.filter(rider => hasCoordinates(rider.currentLocation));
+
+  // Fit every plotted point into the view; zoom and pan are applied on top of this
+  const fit = useMemo(() => {
+    const points = [
+      ...mappedOrders.map(order => order.deliveryAddress.coordinates),
+      ...mappedRiders.map(rider => rider.currentLocation)
+    ].map(project);
+
+    if (points.length === 0) {
+      return { center: project({ lat: 30.3753, lng: 69.3451 }), scale: VIEW_WIDTH / 0.05 };
+    }
+
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    const spanX = Math.max(Math.max(...xs) - Math.min(...xs), 0.0002);
+    const spanY = Math.max(Math.max(...ys) - Math.min(...ys), 0.0002);
+    return {
+      center: { x: (Math.max(...xs) + Math.min(...xs)) / 2, y: (Math.max(...ys) + Math.min(...ys)) / 2 },
+      scale: Math.min((VIEW_WIDTH - PADDING * 2) / spanX, (VIEW_HEIGHT - PADDING * 2) / spanY)
+    };
+  }, [orders, riders]);
+
+  const scale = fit.scale * zoom;
+  const center = { x: fit.center.x + offset.x, y: fit.center.y + offset.y };
+
+  const toScreen = (coordinates) => {
+    const p = project(coordinates);
+    return {
+      x: VIEW_WIDTH / 2 + (p.x - center.x) * scale,
+      y: VIEW_HEIGHT / 2 + (p.y - center.y) * scale
+    };
+  };
+
+  const graticule = useMemo(() => {
+    const topLeft = unproject({ x: center.x - VIEW_WIDTH / 2 / scale, y: center.y - VIEW_HEIGHT / 2 / scale });
+    const bottomRight = unproject({ x: center.x + VIEW_WIDTH / 2 / scale, y: center.y + VIEW_HEIGHT / 2 / scale });
+    const lngSpan = bottomRight.lng - topLeft.lng;
+    const step = GRID_STEPS.find(s => lngSpan / s <= 8) || GRID_STEPS[GRID_STEPS.length - 1];
+    const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+
+    const lines = [];
+    for (let lng = Math.ceil(topLeft.lng / step) * step; lng <= bottomRight.lng; lng += step) {
+      const { x } = toScreen({ lat: topLeft.lat, lng });
+      lines.push({ key: `lng-${lng}`, x1: x, y1: 0, x2: x, y2: VIEW_HEIGHT, label: `${lng.toFixed(decimals)}°E`, lx: x + 3, ly: VIEW_HEIGHT - 4 });
+    }
+    for (let lat = Math.ceil(bottomRight.lat / step) * step; lat <= topLeft.lat; lat += step) {
+      const { y } = toScreen({ lat, lng: topLeft.lng });
+      lines.push({ key: `lat-${lat}`, x1: 0, y1: y, x2: VIEW_WIDTH, y2: y, label: `${lat.toFixed(decimals)}°N`, lx: 4, ly: y - 3 });
+    }
+    return lines;
+  }, [center.x, center.y, scale]);
+
+  const zoomBy = (factor) => {
+    setZoom(prev => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, prev * factor)));
+  };
+
+  const resetView = () => {
+    setZoom(1);
+    setOffset({ x: 0, y: 0 });
+  };
+
+  const focusOn = (coordinates) => {
+    const p = project(coordinates);
+    setOffset({ x: p.x - fit.center.x, y: p.y - fit.center.y });
+    setZoom(prev => Math.max(prev, 32));
+  };
+
+  const handlePointerDown = (e) => {
+    if (e.target.closest('[data-marker]')) return;
+    dragRef.current = { x: e.clientX, y: e.clientY, offset };
+    svgRef.current?.setPointerCapture?.(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!dragRef.current || !svgRef.current) return;
+    // Convert client pixels to viewBox units before converting to map units
+    const ratio = VIEW_WIDTH / svgRef.current.getBoundingClientRect().width;
+    setOffset({
+      x: dragRef.current.offset.x - ((e.clientX - dragRef.current.x) * ratio) / scale,
+      y: dragRef.current.offset.y - ((e.clientY - dragRef.current.y) * ratio) / scale
+    });
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const riderById = (riderId) => mappedRiders.find(rider => rider.Id === riderId);
+
+  return (
+    <div className={`relative bg-slate-50 rounded-lg overflow-hidden border border-gray-200 ${className}`}>
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${VIEW_WIDTH} ${VIEW_HEIGHT}`}
+        preserveAspectRatio="xMidYMid meet"
+        className="w-full h-full cursor-grab active:cursor-grabbing touch-none select-none"
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerLeave={handlePointerUp}
+      >
+        {graticule.map(line => (
+          <g key={line.key}>
+            <line x1={line.x1} y1={line.y1} x2={line.x2} y2={line.y2} stroke="#e2e8f0" strokeWidth="1" />
+            <text x={line.lx} y={line.ly} fontSize="10" fill="#94a3b8">{line.label}</text>
+          </g>
+        ))}
+
+        {routes.map((route, index) => {
+          const start = route.start || riderById(route.riderId)?.currentLocation;
+          const path = [start, ...route.stops.map(stop => stop.coordinates)].filter(hasCoordinates).map(toScreen);
+          if (path.length < 2) return null;
+          const color = ROUTE_COLORS[index % ROUTE_COLORS.length];
+          return (
+            <g key={`route-${route.riderId}-${index}`}>
+              <polyline
+                points={path.map(p => `${p.x},${p.y}`).join(' ')}
+                fill="none"
+                stroke={color}
+                strokeWidth={selectedRiderId === route.riderId ? 4 : 2.5}
+                strokeDasharray={route.planned ? '6 4' : undefined}
+                strokeLinejoin="round"
+                opacity="0.8"
+              />
+              {path.slice(1).map((p, stopIndex) => (
+                <text key={stopIndex} x={p.x + 9} y={p.y - 9} fontSize="11" fontWeight="600" fill={color}>
+                  {stopIndex + 1}
+                </text>
+              ))}
+            </g>
+          );
+        })}
+
+        {mappedOrders.map(order => {
+          const p = toScreen(order.deliveryAddress.coordinates);
+          const isSelected = order.id === selectedOrderId;
+          return (
+            <g
+              key={`order-${order.id}`}
+              data-marker="order"
+              transform={`translate(${p.x}, ${p.y})`}
+              className={onOrderClick ? 'cursor-pointer' : ''}
+              onClick={() => onOrderClick?.(order)}
+            >
+              <title>{`Order #${order.id} - ${order.deliveryAddress.name || ''} (${(order.deliveryStatus || 'pending').replace(/_/g, ' ')})`}</title>
+              <rect
+                x={isSelected ? -9 : -7}
+                y={isSelected ? -9 : -7}
+                width={isSelected ? 18 : 14}
+                height={isSelected ? 18 : 14}
+                rx="3"
+                fill={ORDER_COLORS[order.deliveryStatus] || '#6b7280'}
+                stroke={isSelected ? '#111827' : '#ffffff'}
+                strokeWidth="2"
+              />
+            </g>
+          );
+        })}
+
+        {mappedRiders.map(rider => {
+          const p = toScreen(rider.currentLocation);
+          const isSelected = rider.Id === selectedRiderId;
+          return (
+            <g
+              key={`rider-${rider.Id}`}
+              data-marker="rider"
+              transform={`translate(${p.x}, ${p.y})`}
+              className={onRiderClick ? 'cursor-pointer' : ''}
+              onClick={() => onRiderClick?.(rider)}
+            >
+              <title>{`${rider.name} - ${(rider.status || '').replace(/_/g, ' ')}`}</title>
+              <circle
+                r={isSelected ? 13 : 11}
+                fill={RIDER_COLORS[rider.status] || '#6b7280'}
+                stroke={isSelected ? '#111827' : '#ffffff'}
+                strokeWidth="2"
+              />
+              <text textAnchor="middle" dy="4" fontSize="10" fontWeight="700" fill="#ffffff">
+                {rider.name?.split(' ').map(part => part[0]).join('').slice(0, 2)}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+
+      {mappedOrders.length === 0 && mappedRiders.length === 0 && (
+        <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
+          <p className="text-sm text-gray-500">No locations to show</p>
+        </div>
+      )}
+
+      <div className="absolute top-2 right-2 flex flex-col bg-white rounded-lg shadow border border-gray-200">
+        <button type="button" onClick={() => zoomBy(2)} className="p-2 hover:bg-gray-50" title="Zoom in">
+          <ApperIcon name="Plus" size={16} />
+        </button>
+        <button type="button" onClick={() => zoomBy(0.5)} className="p-2 hover:bg-gray-50 border-t" title="Zoom out">
+          <ApperIcon name="Minus" size={16} />
+        </button>
+        <button type="button" onClick={resetView} className="p-2 hover:bg-gray-50 border-t" title="Fit all">
+          <ApperIcon name="Maximize2" size={16} />
+        </button>
+      </div>
+
+      {mappedRiders.length > 0 && (
+        <div className="absolute bottom-2 left-2 flex flex-wrap gap-1 max-w-[70%]">
+          {mappedRiders.map(rider => (
+            <button
+              key={rider.Id}
+              type="button"
+              onClick={() => focusOn(rider.currentLocation)}
+              className="text-xs bg-white/90 border border-gray-200 rounded px-2 py-0.5 hover:bg-white"
+            >
+              {rider.name}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DeliveryMap;
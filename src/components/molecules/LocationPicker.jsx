@@ -0,0 +1,166 @@
+import React, { useEffect, useRef, useState } from "react";
+import ApperIcon from "@/components/ApperIcon";
+import { hasCoordinates, project, roundCoordinates, unproject } from "@/utils/geo";
+
+const VIEW_WIDTH = 600;
+const VIEW_HEIGHT = 360;
+// Pixels per unit of projected space; 2^17 is street level, roughly 300 m across the view
+const DEFAULT_SCALE = 2 ** 17;
+const MIN_SCALE = 2 ** 12;
+const MAX_SCALE = 2 ** 21;
+const GRID_STEPS = [0.001, 0.002, 0.005, 0.01, 0.02, 0.05, 0.1, 0.2, 0.5];
+// Pointer movement below this many pixels counts as a tap that drops the pin
+const TAP_TOLERANCE = 5;
+
+/**
+ * Offline pin-drop map. Drag to pan, tap to place the pin. `value` is the pinned
+ * { lat, lng } or null, and `center` is where to open when nothing is pinned yet.
+ */
+const LocationPicker = ({ value = null, center, onChange, className = "h-56 sm:h-72" }) => {
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+  const [scale, setScale] = useState(DEFAULT_SCALE);
+  const [viewCenter, setViewCenter] = useState(() => project(hasCoordinates(value) ? value : center));
+  const [locating, setLocating] = useState(false);
+
+  // Follow the pin or fallback centre when they are changed from outside, e.g. after geocoding
+  const focusKey = hasCoordinates(value) ? `${value.lat},${value.lng}` : `${center?.lat},${center?.lng}`;
+  useEffect(() => {
+    const target = hasCoordinates(value) ? value : center;
+    if (hasCoordinates(target) && !dragRef.current) {
+      setViewCenter(project(target));
+    }
+  }, [focusKey]);
+
+  const toScreen = (coordinates) => {
+    const p = project(coordinates);
+    return {
+      x: VIEW_WIDTH / 2 + (p.x - viewCenter.x) * scale,
+      y: VIEW_HEIGHT / 2 + (p.y - viewCenter.y) * scale
+    };
+  };
+
+  const clientToViewBox = (e) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    // preserveAspectRatio="xMidYMid meet" fits the whole view box and centres it in the spare space
+    const ratio = Math.max(VIEW_WIDTH / rect.width, VIEW_HEIGHT / rect.height);
+    const offsetX = (rect.width * ratio - VIEW_WIDTH) / 2;
+    const offsetY = (rect.height * ratio - VIEW_HEIGHT) / 2;
+    return { x: (e.clientX - rect.left) * ratio - offsetX, y: (e.clientY - rect.top) * ratio - offsetY, ratio };
+  };
+
+  const handlePointerDown = (e) => {
+    dragRef.current = { x: e.clientX, y: e.clientY, center: viewCenter, moved: false };
+    svgRef.current?.setPointerCapture?.(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!dragRef.current || !svgRef.current) return;
+    const dx = e.clientX - dragRef.current.x;
+    const dy = e.clientY - dragRef.current.y;
+    if (!dragRef.current.moved && Math.hypot(dx, dy) < TAP_TOLERANCE) return;
+    dragRef.current.moved = true;
+    const { ratio } = clientToViewBox(e);
+    setViewCenter({
+      x: dragRef.current.center.x - (dx * ratio) / scale,
+      y: dragRef.current.center.y - (dy * ratio) / scale
+    });
+  };
+
+  const handlePointerUp = (e) => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag || drag.moved || !svgRef.current) return;
+    const point = clientToViewBox(e);
+    onChange(roundCoordinates(unproject({
+      x: viewCenter.x + (point.x - VIEW_WIDTH / 2) / scale,
+      y: viewCenter.y + (point.y - VIEW_HEIGHT / 2) / scale
+    })));
+  };
+
+  const zoomBy = (factor) => {
+    setScale(prev => Math.min(MAX_SCALE, Math.max(MIN_SCALE, prev * factor)));
+  };
+
+  const useCurrentLocation = () => {
+    if (!navigator.geolocation) return;
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setLocating(false);
+        onChange(roundCoordinates({ lat: position.coords.latitude, lng: position.coords.longitude }));
+      },
+      () => setLocating(false),
+      { enableHighAccuracy: true, timeout: 10000 }
+    );
+  };
+
+  const topLeft = unproject({ x: viewCenter.x - VIEW_WIDTH / 2 / scale, y: viewCenter.y - VIEW_HEIGHT / 2 / scale });
+  const bottomRight = unproject({ x: viewCenter.x + VIEW_WIDTH / 2 / scale, y: viewCenter.y + VIEW_HEIGHT / 2 / scale });
+  const step = GRID_STEPS.find(s => (bottomRight.lng - topLeft.lng) / s <= 6) || GRID_STEPS[GRID_STEPS.length - 1];
+  const gridLines = [];
+  for (let lng = Math.ceil(topLeft.lng / step) * step; lng <= bottomRight.lng; lng += step) {
+    const { x } = toScreen({ lat: topLeft.lat, lng });
+    gridLines.push({ key: `lng-${lng}`, x1: x, y1: 0, x2: x, y2: VIEW_HEIGHT });
+  }
+  for (let lat = Math.ceil(bottomRight.lat / step) * step; lat <= topLeft.lat; lat += step) {
+    const { y } = toScreen({ lat, lng: topLeft.lng });
+    gridLines.push({ key: `lat-${lat}`, x1: 0, y1: y, x2: VIEW_WIDTH, y2: y });
+  }
+
+  const pin = hasCoordinates(value) ? toScreen(value) : null;
+
+  return (
+    <div className="space-y-2">
+      <div className={`relative bg-slate-50 rounded-lg overflow-hidden border border-gray-200 ${className}`}>
+        <svg
+          ref={svgRef}
+          viewBox={`0 0 ${VIEW_WIDTH} ${VIEW_HEIGHT}`}
+          preserveAspectRatio="xMidYMid meet"
+          className="w-full h-full cursor-crosshair touch-none select-none"
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerLeave={() => { dragRef.current = null; }}
+        >
+          {gridLines.map(line => (
+            <line key={line.key} x1={line.x1} y1={line.y1} x2={line.x2} y2={line.y2} stroke="#e2e8f0" strokeWidth="1" />
+          ))}
+          {pin && (
+            <g transform={`translate(${pin.x}, ${pin.y})`} pointerEvents="none">
+              <path d="M0 0 C -4 -10 -12 -14 -12 -22 A 12 12 0 1 1 12 -22 C 12 -14 4 -10 0 0 Z" fill="#dc2626" stroke="#ffffff" strokeWidth="2" />
+              <circle cy="-22" r="4" fill="#ffffff" />
+            </g>
+          )}
+        </svg>
+
+        {!pin && (
+          <div className="absolute inset-x-0 top-2 flex justify-center pointer-events-none">
+            <span className="text-xs bg-white/90 border border-gray-200 rounded px-2 py-1 text-gray-600">
+              Tap the map to drop a pin on your door
+            </span>
+          </div>
+        )}
+
+        <div className="absolute top-2 right-2 flex flex-col bg-white rounded-lg shadow border border-gray-200">
+          <button type="button" onClick={() => zoomBy(2)} className="p-2 hover:bg-gray-50" title="Zoom in">
+            <ApperIcon name="Plus" size={16} />
+          </button>
+          <button type="button" onClick={() => zoomBy(0.5)} className="p-2 hover:bg-gray-50 border-t" title="Zoom out">
+            <ApperIcon name="Minus" size={16} />
+          </button>
+          {navigator.geolocation && (
+            <button type="button" onClick={useCurrentLocation} className="p-2 hover:bg-gray-50 border-t" title="Use my location" disabled={locating}>
+              <ApperIcon name={locating ? 'Loader2' : 'LocateFixed'} size={16} className={locating ? 'animate-spin' : ''} />
+            </button>
+          )}
+        </div>
+      </div>
+      <p className="text-xs text-gray-500">
+        {pin ? `Pinned at ${value.lat.toFixed(5)}, ${value.lng.toFixed(5)}` : 'No pin yet'}
+      </p>
+    </div>
+  );
+};
+
+export default LocationPicker;
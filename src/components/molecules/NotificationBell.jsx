@@ -0,0 +1,115 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { Link } from "react-router-dom";
+import { formatDistanceToNow } from "date-fns";
+import ApperIcon from "@/components/ApperIcon";
+import { notificationService } from "@/services/api/notificationService";
+import sessionService from "@/services/SessionService";
+
+// Header bell listing the current user's in-app notifications
+const NotificationBell = () => {
+  const [recipientId, setRecipientId] = useState(() => sessionService.getCurrentUser()?.id || null);
+  const [notifications, setNotifications] = useState([]);
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  const loadInbox = useCallback(async () => {
+    setNotifications(recipientId ? await notificationService.getInbox(recipientId) : []);
+  }, [recipientId]);
+
+  useEffect(() => {
+    loadInbox();
+    return notificationService.onInboxChange(changedId => {
+      if (changedId === recipientId) loadInbox();
+    });
+  }, [loadInbox, recipientId]);
+
+  useEffect(() => {
+    return sessionService.onSessionChange(() => setRecipientId(sessionService.getCurrentUser()?.id || null));
+  }, []);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [open]);
+
+  const unread = notifications.filter(n => !n.read).length;
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="relative p-2 text-gray-700 hover:text-primary transition-colors"
+        aria-label="Notifications"
+      >
+        <ApperIcon name="Bell" size={24} />
+        {unread > 0 && (
+          <span className="absolute -top-1 -right-1 bg-red-500 text-white text-xs rounded-full h-5 w-5 flex items-center justify-center">
+            {unread > 9 ? '9+' : unread}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-xl shadow-lg border border-gray-200 z-50">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100">
+            <span className="font-semibold text-gray-900">Notifications</span>
+            {unread > 0 && (
+              <button
+                type="button"
+                onClick={() => notificationService.markInboxRead(recipientId)}
+                className="text-xs text-primary hover:underline"
+              >
+                Mark all read
+              </button>
+            )}
+          </div>
+          {notifications.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-gray-500 text-center">You're all caught up.</p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+              {notifications.map(notification => {
+                const content = (
+                  <>
+                    <p className={`text-sm ${notification.read ? 'text-gray-700' : 'font-semibold text-gray-900'}`}>
+                      {notification.title}
+                    </p>
+                    {notification.message && <p className="text-xs text-gray-600 mt-0.5">{notification.message}</p>}
+                    <p className="text-xs text-gray-400 mt-1">
+                      {formatDistanceToNow(new Date(notification.createdAt), { addSuffix: true })}
+                    </p>
+                  </>
+                );
+                const handleOpen = () => {
+                  notificationService.markNotificationRead(notification.id);
+                  setOpen(false);
+                };
+                return (
+                  <li key={notification.id} className={notification.read ? '' : 'bg-primary/5'}>
+                    {notification.link ? (
+                      <Link to={notification.link} onClick={handleOpen} className="block px-4 py-3 hover:bg-gray-50">
+                        {content}
+                      </Link>
+                    ) : (
+                      <button type="button" onClick={handleOpen} className="block w-full text-left px-4 py-3 hover:bg-gray-50">
+                        {content}
+                      </button>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
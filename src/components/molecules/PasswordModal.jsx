@@ -0,0 +1,98 @@
+import React, { useState } from "react";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import Input from "@/components/atoms/Input";
+import { getPasswordProblems } from "@/utils/password";
+
+/**
+ * Masked password entry. With `isNew` the password must meet the password rules and be typed
+ * twice; otherwise it is a single re-entry, e.g. to confirm a sensitive action.
+ * onSubmit receives the password and may throw to keep the modal open.
+ */
+const PasswordModal = ({
+  title,
+  description = '',
+  submitLabel = 'Confirm',
+  submitVariant = 'primary',
+  isNew = false,
+  onSubmit,
+  onClose
+}) => {
+  const [password, setPassword] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [errors, setErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const nextErrors = {};
+    if (!password) {
+      nextErrors.password = 'Password is required';
+    } else if (isNew) {
+      const problems = getPasswordProblems(password);
+      if (problems.length > 0) {
+        nextErrors.password = `Password needs ${problems.join(', ')}`;
+      } else if (password !== confirmation) {
+        nextErrors.confirmation = 'Passwords do not match';
+      }
+    }
+    setErrors(nextErrors);
+    if (Object.keys(nextErrors).length > 0) return;
+
+    setSubmitting(true);
+    try {
+      await onSubmit(password);
+    } catch (err) {
+      // The caller reports the failure; keep the modal open so the password can be corrected
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg max-w-md w-full p-6 space-y-4">
+        <div className="flex justify-between items-center">
+          <h3 className="text-lg font-semibold text-gray-900">{title}</h3>
+          <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <ApperIcon name="X" size={20} />
+          </button>
+        </div>
+        {description && <p className="text-sm text-gray-600">{description}</p>}
+
+        <Input
+          label={isNew ? 'New Password' : 'Password'}
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          error={errors.password}
+          icon="Lock"
+          autoComplete={isNew ? 'new-password' : 'current-password'}
+          autoFocus
+        />
+        {isNew && (
+          <Input
+            label="Confirm Password"
+            type="password"
+            value={confirmation}
+            onChange={(e) => setConfirmation(e.target.value)}
+            error={errors.confirmation}
+            icon="Lock"
+            autoComplete="new-password"
+          />
+        )}
+
+        <div className="flex justify-end space-x-3">
+          <Button type="button" variant="outline" onClick={onClose} disabled={submitting}>
+            Cancel
+          </Button>
+          <Button type="submit" variant={submitVariant} loading={submitting} disabled={submitting}>
+            {submitLabel}
+          </Button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default PasswordModal;
@@ -1,27 +1,36 @@
-import React, { useCallback, memo, useMemo } from "react";
-import { useDispatch, useSelector } from "react-redux";
+import React, { useCallback, memo, useMemo, useState } from "react";
+import { useDispatch } from "react-redux";
 import { useNavigate } from "react-router-dom";
 import { Heart, ShoppingCart, Star } from "lucide-react";
-import { toast } from "react-toastify";
 import formatCurrency from "@/utils/currency";
-import { addToCart, selectCartLoading, setLoading } from "@/store/cartSlice";
+import { OUT_OF_STOCK_MESSAGE, addToCartWithValidation } from "@/store/cartSlice";
 import ApperIcon from "@/components/ApperIcon";
 import Badge from "@/components/atoms/Badge";
 import Button from "@/components/atoms/Button";
+import StockAlertButton from "@/components/molecules/StockAlertButton";
+import WishlistButton from "@/components/molecules/WishlistButton";
 
 const ProductCard = memo(({ product }) => {
   const navigate = useNavigate();
   const dispatch = useDispatch();
-  const isLoading = useSelector(selectCartLoading);
-const handleAddToCart = useCallback((e) => {
+  const [isLoading, setIsLoading] = useState(false);
+  // Listed stock can be stale; the live check may find the product has sold out since
+  const [soldOut, setSoldOut] = useState(false);
+  const outOfStock = product.stock === 0 || soldOut;
+
+const handleAddToCart = useCallback(async (e) => {
     e.stopPropagation();
-    dispatch(setLoading(true));
-    setTimeout(() => {
-      dispatch(addToCart(product));
-      dispatch(setLoading(false));
-      toast.success(`${product.name} added to cart!`, { autoClose: 2000 });
-    }, 200);
-  }, [dispatch, product]);
+    setIsLoading(true);
+    try {
+      await dispatch(addToCartWithValidation(product.id)).unwrap();
+    } catch (message) {
+      if (message === OUT_OF_STOCK_MESSAGE) {
+        setSoldOut(true);
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  }, [dispatch, product.id]);
 
   const handleCardClick = useCallback(() => {
     navigate(`/product/${product.id}`);
@@ -64,7 +73,7 @@ return (
           </Badge>
         )}
         
-        {product.stock === 0 && (
+        {outOfStock && (
           <Badge 
             variant="danger" 
             size="small"
@@ -83,12 +92,22 @@ return (
             {priceChange > 0 ? '+' : ''}{priceChange.toFixed(1)}%
           </Badge>
         )}
+
+        <WishlistButton product={product} className="absolute bottom-2 right-2" />
       </div>
 
 <div className="space-y-3">
         <h3 className="font-semibold text-lg text-gray-900 line-clamp-2">
           {product.name}
         </h3>
+
+        {product.reviewCount > 0 && (
+          <div className="flex items-center space-x-1 text-sm -mt-2">
+            <Star size={14} className="text-yellow-400 fill-yellow-400" />
+            <span className="font-medium text-gray-900">{product.rating.toFixed(1)}</span>
+            <span className="text-gray-500">({product.reviewCount})</span>
+          </div>
+        )}
         
         <div className="flex items-center justify-between">
           <div className="flex items-center space-x-2">
@@ -110,19 +129,23 @@ return (
         <div className="flex items-center justify-between pt-1">
           <div className="flex items-center space-x-1 text-sm text-gray-600">
             <ApperIcon name="Package" size={16} />
-            <span>{product.stock} in stock</span>
+            <span>{outOfStock ? 'Sold out' : `${product.stock} in stock`}</span>
           </div>
           
-          <Button
-            variant="primary"
-            size="small"
-            icon="Plus"
-            onClick={handleAddToCart}
-            disabled={product.stock === 0 || isLoading}
-            loading={isLoading}
-          >
-            Add
-          </Button>
+          {outOfStock ? (
+            <StockAlertButton product={product} />
+          ) : (
+            <Button
+              variant="primary"
+              size="small"
+              icon="Plus"
+              onClick={handleAddToCart}
+              disabled={isLoading}
+              loading={isLoading}
+            >
+              Add
+            </Button>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,83 @@
+import React, { forwardRef, useEffect, useImperativeHandle, useRef } from "react";
+
+/**
+ * Canvas signature capture. Works with mouse, pen and touch via pointer events.
+ * Calls onChange with a PNG data URL after each stroke, or null once cleared.
+ */
+const SignaturePad = forwardRef(({ width = 350, height = 150, onChange, className = "" }, ref) => {
+  const canvasRef = useRef(null);
+  const drawingRef = useRef(false);
+  const hasInkRef = useRef(false);
+
+  useEffect(() => {
+    const ctx = canvasRef.current?.getContext('2d');
+    if (ctx) {
+      ctx.strokeStyle = '#000';
+      ctx.lineWidth = 2;
+      ctx.lineCap = 'round';
+    }
+  }, []);
+
+  const clear = () => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    hasInkRef.current = false;
+    onChange?.(null);
+  };
+
+  useImperativeHandle(ref, () => ({ clear }));
+
+  // The canvas is scaled by CSS, so map client coordinates back to canvas pixels
+  const getPoint = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) * canvas.width) / rect.width,
+      y: ((e.clientY - rect.top) * canvas.height) / rect.height
+    };
+  };
+
+  const startDrawing = (e) => {
+    drawingRef.current = true;
+    canvasRef.current.setPointerCapture?.(e.pointerId);
+    const { x, y } = getPoint(e);
+    const ctx = canvasRef.current.getContext('2d');
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+  };
+
+  const draw = (e) => {
+    if (!drawingRef.current) return;
+    const { x, y } = getPoint(e);
+    const ctx = canvasRef.current.getContext('2d');
+    ctx.lineTo(x, y);
+    ctx.stroke();
+    hasInkRef.current = true;
+  };
+
+  const stopDrawing = () => {
+    if (!drawingRef.current) return;
+    drawingRef.current = false;
+    if (hasInkRef.current) {
+      onChange?.(canvasRef.current.toDataURL());
+    }
+  };
+
+  return (
+    <canvas
+      ref={canvasRef}
+      width={width}
+      height={height}
+      className={`w-full cursor-crosshair touch-none ${className}`}
+      onPointerDown={startDrawing}
+      onPointerMove={draw}
+      onPointerUp={stopDrawing}
+      onPointerLeave={stopDrawing}
+    />
+  );
+});
+
+SignaturePad.displayName = 'SignaturePad';
+
+export default SignaturePad;
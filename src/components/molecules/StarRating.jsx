@@ -0,0 +1,41 @@
+import React, { useState } from "react";
+import ApperIcon from "@/components/ApperIcon";
+
+/**
+ * Five-star rating. Read-only by default (half stars are rounded to the nearest
+ * whole star); pass onChange to let the user pick a rating.
+ */
+const StarRating = ({ value = 0, onChange, size = 16, className = '' }) => {
+  const [hovered, setHovered] = useState(0);
+  const shown = hovered || Math.round(value);
+
+  return (
+    <div className={`flex items-center space-x-0.5 ${className}`} onMouseLeave={() => setHovered(0)}>
+      {[1, 2, 3, 4, 5].map(star => {
+        const icon = (
+          <ApperIcon
+            name="Star"
+            size={size}
+            className={star <= shown ? 'text-yellow-400 fill-yellow-400' : 'text-gray-300'}
+          />
+        );
+        return onChange ? (
+          <button
+            key={star}
+            type="button"
+            onClick={() => onChange(star)}
+            onMouseEnter={() => setHovered(star)}
+            className="p-0.5"
+            aria-label={`${star} star${star > 1 ? 's' : ''}`}
+          >
+            {icon}
+          </button>
+        ) : (
+          <span key={star}>{icon}</span>
+        );
+      })}
+    </div>
+  );
+};
+
+export default StarRating;
@@ -0,0 +1,66 @@
+import React, { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import Button from "@/components/atoms/Button";
+import { stockAlertService } from "@/services/api/stockAlertService";
+import sessionService from "@/services/SessionService";
+
+// "Notify me" toggle for an out-of-stock product, tied to the current session user
+const StockAlertButton = ({ product, size = 'small', className = '' }) => {
+  const [subscribed, setSubscribed] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const subscriberId = sessionService.getCurrentUser()?.id;
+
+  useEffect(() => {
+    let active = true;
+    if (subscriberId) {
+      stockAlertService.isSubscribed(product.id, subscriberId).then(result => {
+        if (active) setSubscribed(result);
+      });
+    }
+    return () => {
+      active = false;
+    };
+  }, [product.id, subscriberId]);
+
+  const handleClick = async (e) => {
+    e.stopPropagation();
+    const user = sessionService.getCurrentUser();
+    if (!user) {
+      toast.error('Your session has expired. Reload the page and try again.');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      if (subscribed) {
+        await stockAlertService.unsubscribe(product.id, user.id);
+        setSubscribed(false);
+        toast.info(`You will no longer be notified about ${product.name}`);
+      } else {
+        await stockAlertService.subscribe(product, { id: user.id, name: user.name, email: user.email });
+        setSubscribed(true);
+        toast.success(`We'll let you know when ${product.name} is back`);
+      }
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Button
+      variant={subscribed ? 'secondary' : 'outline'}
+      size={size}
+      icon={subscribed ? 'BellRing' : 'Bell'}
+      onClick={handleClick}
+      loading={saving}
+      disabled={saving}
+      className={className}
+    >
+      {subscribed ? 'Alert On' : 'Notify Me'}
+    </Button>
+  );
+};
+
+export default StockAlertButton;
@@ -0,0 +1,31 @@
+import React from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { toast } from "react-toastify";
+import ApperIcon from "@/components/ApperIcon";
+import { selectIsInWishlist, toggleWishlist } from "@/store/wishlistSlice";
+
+// Heart toggle that adds or removes a product from the wishlist
+const WishlistButton = ({ product, size = 18, className = '' }) => {
+  const dispatch = useDispatch();
+  const saved = useSelector(selectIsInWishlist(product.id));
+
+  const handleClick = (e) => {
+    e.stopPropagation();
+    dispatch(toggleWishlist(product));
+    toast.success(saved ? `Removed ${product.name} from your wishlist` : `Saved ${product.name} to your wishlist`, { autoClose: 2000 });
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      className={`bg-white/90 rounded-full p-2 shadow hover:scale-110 transition-transform ${className}`}
+      aria-label={saved ? 'Remove from wishlist' : 'Save to wishlist'}
+      aria-pressed={saved}
+    >
+      <ApperIcon name="Heart" size={size} className={saved ? 'text-red-500 fill-red-500' : 'text-gray-600'} />
+    </button>
+  );
+};
+
+export default WishlistButton;
@@ -0,0 +1,115 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { useDispatch } from "react-redux";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import { addToCartWithValidation } from "@/store/cartSlice";
+import { orderService } from "@/services/api/orderService";
+import { productService } from "@/services/api/productService";
+import sessionService from "@/services/SessionService";
+
+const MAX_ITEMS = 6;
+
+/**
+ * "Buy again" strip on Home, built from the current customer's order history.
+ * Renders nothing until the customer has ordered something.
+ */
+const FrequentlyBought = () => {
+  const dispatch = useDispatch();
+  const [customerId, setCustomerId] = useState(() => sessionService.getCurrentUser()?.id || null);
+  const [items, setItems] = useState([]);
+  const [addingId, setAddingId] = useState(null);
+
+  useEffect(() => {
+    return sessionService.onSessionChange(() => setCustomerId(sessionService.getCurrentUser()?.id || null));
+  }, []);
+
+  useEffect(() => {
+    let active = true;
+    if (!customerId) {
+      setItems([]);
+      return undefined;
+    }
+    Promise.all([orderService.getFrequentlyBought(customerId, MAX_ITEMS), productService.getAll()])
+      .then(([history, products]) => {
+        if (!active) return;
+        const byId = new Map(products.map(product => [product.id, product]));
+        setItems(history
+          .map(entry => ({ ...entry, product: byId.get(entry.productId) }))
+          .filter(entry => entry.product && entry.product.isActive !== false));
+      })
+      .catch(error => console.error('Failed to load frequently bought products:', error));
+    return () => {
+      active = false;
+    };
+  }, [customerId]);
+
+  const handleAdd = async (productId) => {
+    setAddingId(productId);
+    try {
+      await dispatch(addToCartWithValidation(productId)).unwrap();
+    } catch {
+      // The cart slice already shows why it could not be added
+    } finally {
+      setAddingId(null);
+    }
+  };
+
+  if (items.length === 0) {
+    return null;
+  }
+
+  return (
+    <section className="mb-12">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900 mb-1">Buy Again</h2>
+          <p className="text-gray-600">Your most frequently ordered items</p>
+        </div>
+        <Link to="/orders" className="text-sm text-primary font-medium hover:underline">
+          Order history
+        </Link>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+        {items.map(({ product, timesOrdered }) => {
+          const outOfStock = product.stock <= 0;
+          return (
+            <div key={product.id} className="card p-3 flex flex-col">
+              <Link to={`/product/${product.id}`} className="block mb-2">
+                {product.imageUrl ? (
+                  <img src={product.imageUrl} alt={product.name} className="w-full h-24 object-cover rounded-lg" />
+                ) : (
+                  <div className="w-full h-24 bg-gray-100 rounded-lg flex items-center justify-center">
+                    <ApperIcon name="Package" size={24} className="text-gray-400" />
+                  </div>
+                )}
+              </Link>
+              <Link to={`/product/${product.id}`} className="text-sm font-medium text-gray-900 hover:text-primary line-clamp-1">
+                {product.name}
+              </Link>
+              <p className="text-xs text-gray-500 mb-2">
+                Ordered {timesOrdered} time{timesOrdered === 1 ? '' : 's'}
+              </p>
+              <div className="mt-auto flex items-center justify-between gap-2">
+                <span className="text-sm font-bold text-gray-900">Rs. {product.price.toLocaleString()}</span>
+                <Button
+                  size="small"
+                  variant={outOfStock ? 'ghost' : 'primary'}
+                  icon={outOfStock ? undefined : 'Plus'}
+                  onClick={() => handleAdd(product.id)}
+                  loading={addingId === product.id}
+                  disabled={outOfStock || addingId === product.id}
+                >
+                  {outOfStock ? 'Sold out' : 'Add'}
+                </Button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </section>
+  );
+};
+
+export default FrequentlyBought;
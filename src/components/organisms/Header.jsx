@@ -2,12 +2,15 @@ import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useSelector } from 'react-redux';
 import ApperIcon from '@/components/ApperIcon';
+import NotificationBell from '@/components/molecules/NotificationBell';
 import SearchBar from '@/components/molecules/SearchBar';
 import { selectCartItemCount } from '@/store/cartSlice';
+import { selectWishlistCount } from '@/store/wishlistSlice';
 
 const Header = ({ isMobileMenuOpen, setIsMobileMenuOpen }) => {
   const navigate = useNavigate();
   const cartCount = useSelector(selectCartItemCount);
+  const wishlistCount = useSelector(selectWishlistCount);
   const [searchResults, setSearchResults] = useState([]);
 
   const handleSearch = (searchTerm) => {
@@ -50,7 +53,23 @@ const Header = ({ isMobileMenuOpen, setIsMobileMenuOpen }) => {
           </div>
 
           {/* Right Side Actions */}
-          <div className="flex items-center space-x-4">
+          <div className="flex items-center space-x-2 sm:space-x-4">
+            <NotificationBell />
+
+            {/* Wishlist */}
+            <Link 
+              to="/wishlist" 
+              className="relative p-2 text-gray-700 hover:text-primary transition-colors"
+              aria-label="Wishlist"
+            >
+              <ApperIcon name="Heart" size={24} />
+              {wishlistCount > 0 && (
+                <span className="absolute -top-1 -right-1 bg-red-500 text-white text-xs rounded-full h-5 w-5 flex items-center justify-center">
+                  {wishlistCount}
+                </span>
+              )}
+            </Link>
+
             {/* Cart */}
             <Link 
               to="/cart" 
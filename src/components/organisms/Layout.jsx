@@ -1,12 +1,39 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { Outlet } from 'react-router-dom';
 import Header from '@/components/organisms/Header';
 import Footer from '@/components/organisms/Footer';
 import ChatWidget from '@/components/molecules/ChatWidget';
+import { subscriptionService } from '@/services/api/subscriptionService';
+import sessionService from '@/services/SessionService';
+
+// How often open tabs check for subscription baskets that are due to be ordered
+const SUBSCRIPTION_CHECK_INTERVAL = 15 * 60 * 1000;
 
 const Layout = () => {
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
 
+  // Only the signed-in customer's own baskets are checked, and only while they are signed in
+  useEffect(() => {
+    let interval = null;
+    const start = () => {
+      clearInterval(interval);
+      const user = sessionService.getCurrentUser();
+      const customerId = sessionService.isAuthenticated() && user?.role === 'customer' ? user.id : null;
+      if (!customerId) return;
+      const runDue = () => subscriptionService.processDue(customerId).catch(error => {
+        console.error('Failed to process subscription orders:', error);
+      });
+      runDue();
+      interval = setInterval(runDue, SUBSCRIPTION_CHECK_INTERVAL);
+    };
+    start();
+    const unsubscribe = sessionService.onSessionChange(start);
+    return () => {
+      clearInterval(interval);
+      unsubscribe?.();
+    };
+  }, []);
+
   return (
     <div className="min-h-screen bg-background">
       <Header 
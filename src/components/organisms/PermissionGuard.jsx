@@ -0,0 +1,100 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { toast } from "react-toastify";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import Input from "@/components/atoms/Input";
+import { roleService } from "@/services/api/roleService";
+import sessionService from "@/services/SessionService";
+
+const StaffSignIn = () => {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    const result = await sessionService.login({ role: 'staff', email, password });
+    setSubmitting(false);
+    if (!result.success) {
+      toast.error(result.error);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4 text-left">
+      <Input label="Work Email" type="email" value={email} onChange={(e) => setEmail(e.target.value)} icon="Mail" autoComplete="username" required />
+      <Input label="Password" type="password" value={password} onChange={(e) => setPassword(e.target.value)} icon="Lock" autoComplete="current-password" required />
+      <Button type="submit" variant="primary" className="w-full" loading={submitting} disabled={submitting}>
+        Sign In
+      </Button>
+      {import.meta.env.DEV && (
+        <p className="text-xs text-gray-500 text-center">
+          Demo Credentials: john.smith@company.com / admin1234
+        </p>
+      )}
+    </form>
+  );
+};
+
+/**
+ * Renders children only when the signed-in user's role grants `permission`
+ * (or any of them, when given an array). Everyone else gets the staff sign-in,
+ * or an access-denied notice when they are already signed in as staff.
+ * Areas with their own sign-in (the rider app) pass it as `signIn` to replace the staff form.
+ */
+const PermissionGuard = ({ permission, signIn = null, children }) => {
+  const [, setSessionVersion] = useState(0);
+
+  useEffect(() => {
+    return sessionService.onSessionChange(() => setSessionVersion(version => version + 1));
+  }, []);
+
+  const required = Array.isArray(permission) ? permission : [permission];
+  if (required.some(p => sessionService.hasPermission(p))) {
+    return children;
+  }
+
+  const user = sessionService.getCurrentUser();
+  const isStaff = sessionService.isAuthenticated() && roleService.isStaffRole(user?.role);
+  if (signIn && !isStaff) {
+    return signIn;
+  }
+
+  return (
+    <div className="max-w-md mx-auto px-4 sm:px-6 lg:px-8 py-12">
+      <div className="card p-6 sm:p-8 text-center">
+        <div className="w-14 h-14 bg-gray-100 rounded-full flex items-center justify-center mx-auto mb-4">
+          <ApperIcon name={isStaff ? 'ShieldAlert' : 'ShieldCheck'} size={28} className={isStaff ? 'text-red-500' : 'text-primary'} />
+        </div>
+
+        {isStaff ? (
+          <>
+            <h1 className="text-xl font-bold text-gray-900 mb-2">Access denied</h1>
+            <p className="text-gray-600 mb-1">
+              Your role does not allow you to {roleService.getPermissionLabel(required[0]).toLowerCase()}.
+            </p>
+            <p className="text-sm text-gray-500 mb-6">Ask an administrator to update your role if you need this page.</p>
+            <div className="flex justify-center space-x-3">
+              <Link to="/admin">
+                <Button variant="outline" size="small">Back to Dashboard</Button>
+              </Link>
+              <Button variant="ghost" size="small" icon="LogOut" onClick={() => sessionService.logout()}>
+                Sign Out
+              </Button>
+            </div>
+          </>
+        ) : (
+          <>
+            <h1 className="text-xl font-bold text-gray-900 mb-2">Staff sign in</h1>
+            <p className="text-gray-600 mb-6">This area is for store staff only.</p>
+            <StaffSignIn />
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PermissionGuard;
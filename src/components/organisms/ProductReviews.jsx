@@ -0,0 +1,312 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { toast } from "react-toastify";
+import { formatDistanceToNow } from "date-fns";
+import ApperIcon from "@/components/ApperIcon";
+import Badge from "@/components/atoms/Badge";
+import Button from "@/components/atoms/Button";
+import Input from "@/components/atoms/Input";
+import StarRating from "@/components/molecules/StarRating";
+import { reviewService } from "@/services/api/reviewService";
+import sessionService from "@/services/SessionService";
+import { resizePhoto } from "@/utils/image";
+
+const MAX_PHOTOS = 3;
+const EMPTY_FORM = { rating: 0, title: '', comment: '', photos: [] };
+
+const SORT_OPTIONS = [
+  { value: 'recent', label: 'Most recent' },
+  { value: 'helpful', label: 'Most helpful' },
+  { value: 'rating_high', label: 'Highest rating' },
+  { value: 'rating_low', label: 'Lowest rating' }
+];
+
+const getCustomer = () => {
+  const user = sessionService.getCurrentUser();
+  return user?.role === 'customer' ? user : null;
+};
+
+const ReviewForm = ({ productId, customer, onSubmitted }) => {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handlePhotos = async (e) => {
+    const files = Array.from(e.target.files || []).slice(0, MAX_PHOTOS - form.photos.length);
+    e.target.value = '';
+    try {
+      const photos = await Promise.all(files.map(file => resizePhoto(file, 1024)));
+      setForm(prev => ({ ...prev, photos: [...prev.photos, ...photos] }));
+    } catch (err) {
+      toast.error('Could not read that photo');
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.rating) {
+      toast.error('Choose a star rating');
+      return;
+    }
+    setSubmitting(true);
+    try {
+      await reviewService.create({
+        productId,
+        customerId: customer.id,
+        customerName: customer.name,
+        ...form
+      });
+      toast.success('Thanks! Your review will appear once it has been checked.');
+      setForm(EMPTY_FORM);
+      onSubmitted();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="card p-6 space-y-4">
+      <h3 className="font-semibold text-gray-900">Write a review</h3>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Your rating</label>
+        <StarRating value={form.rating} onChange={(rating) => setForm(prev => ({ ...prev, rating }))} size={28} />
+      </div>
+      <Input
+        label="Title"
+        value={form.title}
+        onChange={(e) => setForm(prev => ({ ...prev, title: e.target.value }))}
+        placeholder="Sum it up in a few words"
+        maxLength={100}
+      />
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Review</label>
+        <textarea
+          className="input-field"
+          rows={4}
+          maxLength={2000}
+          value={form.comment}
+          onChange={(e) => setForm(prev => ({ ...prev, comment: e.target.value }))}
+          placeholder="How was the freshness, taste and quality?"
+        />
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Photos ({form.photos.length}/{MAX_PHOTOS})</label>
+        <div className="flex flex-wrap gap-2">
+          {form.photos.map((photo, index) => (
+            <div key={index} className="relative w-20 h-20">
+              <img src={photo} alt={`Review photo ${index + 1}`} className="w-20 h-20 object-cover rounded-lg" />
+              <button
+                type="button"
+                onClick={() => setForm(prev => ({ ...prev, photos: prev.photos.filter((_, i) => i !== index) }))}
+                className="absolute -top-2 -right-2 bg-white rounded-full shadow p-0.5"
+                aria-label="Remove photo"
+              >
+                <ApperIcon name="X" size={14} className="text-gray-600" />
+              </button>
+            </div>
+          ))}
+          {form.photos.length < MAX_PHOTOS && (
+            <label className="w-20 h-20 border-2 border-dashed border-gray-300 rounded-lg flex items-center justify-center cursor-pointer hover:border-primary">
+              <ApperIcon name="Camera" size={20} className="text-gray-400" />
+              <input type="file" accept="image/*" multiple className="hidden" onChange={handlePhotos} />
+            </label>
+          )}
+        </div>
+      </div>
+      <Button type="submit" variant="primary" loading={submitting} disabled={submitting}>
+        Submit Review
+      </Button>
+    </form>
+  );
+};
+
+/**
+ * Rating summary, sortable review list with helpful votes, and the review form for
+ * customers who have received the product
+ */
+const ProductReviews = ({ productId }) => {
+  const [customer, setCustomer] = useState(getCustomer);
+  const [data, setData] = useState({ reviews: [], summary: null, ownReview: null });
+  const [eligibility, setEligibility] = useState(null);
+  const [sort, setSort] = useState('recent');
+  const [loading, setLoading] = useState(true);
+  const [enlargedPhoto, setEnlargedPhoto] = useState(null);
+
+  useEffect(() => {
+    return sessionService.onSessionChange(() => setCustomer(getCustomer()));
+  }, []);
+
+  const loadReviews = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [result, canReview] = await Promise.all([
+        reviewService.getByProduct(productId, { sort, viewerId: customer?.id }),
+        reviewService.checkEligibility(productId, customer?.id)
+      ]);
+      setData(result);
+      setEligibility(canReview);
+    } catch (err) {
+      toast.error('Failed to load reviews');
+    } finally {
+      setLoading(false);
+    }
+  }, [productId, sort, customer?.id]);
+
+  useEffect(() => {
+    loadReviews();
+  }, [loadReviews]);
+
+  const handleHelpful = async (review) => {
+    try {
+      const updated = await reviewService.toggleHelpful(review.Id, customer?.id);
+      setData(prev => ({ ...prev, reviews: prev.reviews.map(r => r.Id === updated.Id ? updated : r) }));
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const { summary, reviews, ownReview } = data;
+
+  return (
+    <section className="mt-12 pt-8 border-t border-gray-200">
+      <h2 className="text-2xl font-bold text-gray-900 mb-6">Customer Reviews</h2>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        <div className="space-y-6">
+          {summary && (
+            <div className="card p-6">
+              <div className="flex items-center space-x-3 mb-4">
+                <span className="text-4xl font-bold text-gray-900">{summary.count > 0 ? summary.average.toFixed(1) : '—'}</span>
+                <div>
+                  <StarRating value={summary.average} size={18} />
+                  <p className="text-sm text-gray-600 mt-1">{summary.count} review{summary.count === 1 ? '' : 's'}</p>
+                </div>
+              </div>
+              <div className="space-y-1.5">
+                {[5, 4, 3, 2, 1].map(star => {
+                  const count = summary.distribution[star];
+                  return (
+                    <div key={star} className="flex items-center space-x-2 text-sm">
+                      <span className="w-3 text-gray-600">{star}</span>
+                      <ApperIcon name="Star" size={12} className="text-yellow-400 fill-yellow-400" />
+                      <div className="flex-1 h-2 bg-gray-100 rounded-full overflow-hidden">
+                        <div
+                          className="h-full bg-yellow-400"
+                          style={{ width: summary.count > 0 ? `${(count / summary.count) * 100}%` : '0%' }}
+                        />
+                      </div>
+                      <span className="w-6 text-right text-gray-500">{count}</span>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
+          {ownReview ? (
+            <div className="card p-4 text-sm">
+              <p className="font-medium text-gray-900 mb-1">Your review</p>
+              <StarRating value={ownReview.rating} size={14} />
+              {ownReview.status === 'pending' && <p className="text-gray-600 mt-2">Waiting for moderation.</p>}
+              {ownReview.status === 'rejected' && (
+                <p className="text-red-600 mt-2">Not published{ownReview.moderation?.note ? `: ${ownReview.moderation.note}` : ''}.</p>
+              )}
+            </div>
+          ) : eligibility?.eligible ? (
+            <ReviewForm productId={productId} customer={customer} onSubmitted={loadReviews} />
+          ) : eligibility && (
+            <div className="card p-4 text-sm text-gray-600 flex items-start space-x-2">
+              <ApperIcon name="Info" size={16} className="mt-0.5 flex-shrink-0" />
+              <p>
+                {eligibility.reason}
+                {!customer && <> — <Link to="/account" className="text-primary font-medium">sign in</Link></>}
+              </p>
+            </div>
+          )}
+        </div>
+
+        <div className="lg:col-span-2">
+          <div className="flex items-center justify-end mb-4">
+            <label className="text-sm text-gray-600 mr-2">Sort by</label>
+            <select className="input-field max-w-[12rem]" value={sort} onChange={(e) => setSort(e.target.value)}>
+              {SORT_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+            </select>
+          </div>
+
+          {loading ? (
+            <div className="flex justify-center py-12">
+              <ApperIcon name="Loader2" size={24} className="text-gray-400 animate-spin" />
+            </div>
+          ) : reviews.length === 0 ? (
+            <div className="card p-8 text-center text-gray-600">
+              <ApperIcon name="MessageSquare" size={32} className="mx-auto mb-3 text-gray-300" />
+              No reviews yet.
+            </div>
+          ) : (
+            <div className="space-y-4">
+              {reviews.map(review => (
+                <div key={review.Id} className="card p-5">
+                  <div className="flex items-start justify-between mb-2">
+                    <div>
+                      <StarRating value={review.rating} size={16} />
+                      {review.title && <p className="font-semibold text-gray-900 mt-1">{review.title}</p>}
+                    </div>
+                    <span className="text-xs text-gray-500">
+                      {formatDistanceToNow(new Date(review.createdAt), { addSuffix: true })}
+                    </span>
+                  </div>
+                  <div className="flex items-center space-x-2 text-sm text-gray-600 mb-2">
+                    <span>{review.customerName}</span>
+                    {review.orderId && (
+                      <Badge variant="success" size="small">
+                        <ApperIcon name="BadgeCheck" size={12} className="mr-1" />
+                        Verified purchase
+                      </Badge>
+                    )}
+                  </div>
+                  {review.comment && <p className="text-gray-700 whitespace-pre-line">{review.comment}</p>}
+                  {review.photos.length > 0 && (
+                    <div className="flex flex-wrap gap-2 mt-3">
+                      {review.photos.map((photo, index) => (
+                        <button key={index} type="button" onClick={() => setEnlargedPhoto(photo)}>
+                          <img src={photo} alt={`Photo ${index + 1} from ${review.customerName}`} className="w-20 h-20 object-cover rounded-lg" />
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                  <div className="flex items-center space-x-3 mt-4 text-sm">
+                    <button
+                      type="button"
+                      onClick={() => handleHelpful(review)}
+                      disabled={!customer || review.customerId === customer.id}
+                      className={`flex items-center space-x-1 px-3 py-1 rounded-full border transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+                        review.votedHelpful ? 'border-primary text-primary bg-primary/5' : 'border-gray-200 text-gray-600 hover:border-gray-300'
+                      }`}
+                    >
+                      <ApperIcon name="ThumbsUp" size={14} />
+                      <span>Helpful</span>
+                    </button>
+                    {review.helpfulCount > 0 && (
+                      <span className="text-gray-500">
+                        {review.helpfulCount} {review.helpfulCount === 1 ? 'person' : 'people'} found this helpful
+                      </span>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {enlargedPhoto && (
+        <div className="fixed inset-0 bg-black/70 z-50 flex items-center justify-center p-4" onClick={() => setEnlargedPhoto(null)}>
+          <img src={enlargedPhoto} alt="Review photo" className="max-w-full max-h-full rounded-lg" />
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default ProductReviews;
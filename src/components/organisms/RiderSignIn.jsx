@@ -0,0 +1,79 @@
+import React, { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import Input from "@/components/atoms/Input";
+import { deliveryPersonnelService } from "@/services/api/deliveryPersonnelService";
+import sessionService from "@/services/SessionService";
+
+/**
+ * Sign-in for riders: pick your name and confirm with the last digits of your phone.
+ * Used by the rider routes in place of the staff sign-in.
+ */
+const RiderSignIn = ({ onSignedIn }) => {
+  const [personnel, setPersonnel] = useState([]);
+  const [selectedId, setSelectedId] = useState('');
+  const [phoneDigits, setPhoneDigits] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    deliveryPersonnelService.getAll()
+      .then(data => setPersonnel(data.filter(p => p.isActive)))
+      .catch(() => toast.error('Failed to load riders'));
+  }, []);
+
+  const handleSignIn = async (e) => {
+    e.preventDefault();
+    const person = personnel.find(p => p.Id === parseInt(selectedId));
+    if (!person) {
+      toast.error('Select your name');
+      return;
+    }
+
+    // The phone digits are checked by the session service against the rider's record
+    setSubmitting(true);
+    const result = await sessionService.login({
+      role: 'rider',
+      riderId: person.Id,
+      phoneDigits
+    });
+    setSubmitting(false);
+    if (result.success) {
+      onSignedIn?.(person.Id);
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  return (
+    <div className="max-w-md mx-auto px-4 py-12">
+      <form onSubmit={handleSignIn} className="card p-6 space-y-4">
+        <div className="text-center">
+          <ApperIcon name="Bike" size={40} className="text-primary mx-auto mb-2" />
+          <h1 className="text-xl font-bold text-gray-900">Rider Sign In</h1>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Rider</label>
+          <select value={selectedId} onChange={(e) => setSelectedId(e.target.value)} className="input-field">
+            <option value="">Select your name...</option>
+            {personnel.map(person => (
+              <option key={person.Id} value={person.Id}>{person.name}</option>
+            ))}
+          </select>
+        </div>
+        <Input
+          label="Last 4 digits of your phone"
+          value={phoneDigits}
+          onChange={(e) => setPhoneDigits(e.target.value)}
+          inputMode="numeric"
+          maxLength={4}
+        />
+        <Button type="submit" variant="primary" className="w-full" disabled={submitting}>
+          {submitting ? 'Signing in...' : 'Sign In'}
+        </Button>
+      </form>
+    </div>
+  );
+};
+
+export default RiderSignIn;
@@ -0,0 +1,346 @@
+import React, { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import { format } from "date-fns";
+import ApperIcon from "@/components/ApperIcon";
+import Badge from "@/components/atoms/Badge";
+import Button from "@/components/atoms/Button";
+import Input from "@/components/atoms/Input";
+import { CASH_DENOMINATIONS, posService } from "@/services/api/posService";
+
+const VARIANCE_BADGES = {
+  balanced: 'success',
+  over: 'warning',
+  short: 'danger'
+};
+
+const formatRs = (amount) => `Rs. ${Number(amount || 0).toLocaleString()}`;
+
+const Modal = ({ title, onClose, children }) => (
+  <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+    <div className="bg-white rounded-lg p-6 max-w-lg w-full mx-4 max-h-[85vh] overflow-y-auto">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold">{title}</h3>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+          <ApperIcon name="X" size={24} />
+        </button>
+      </div>
+      {children}
+    </div>
+  </div>
+);
+
+const ShiftReport = ({ report }) => (
+  <div className="space-y-4 text-sm">
+    <div className="text-gray-600">
+      <p>Shift #{report.shiftId} - {report.cashierName}</p>
+      <p>
+        {format(new Date(report.openedAt), 'dd MMM yyyy, HH:mm')} to {format(new Date(report.generatedAt), 'dd MMM yyyy, HH:mm')}
+      </p>
+    </div>
+
+    <div>
+      <h4 className="font-semibold text-gray-900 mb-2">Sales by payment method</h4>
+      {Object.keys(report.payments).length === 0 ? (
+        <p className="text-gray-500 italic">No sales in this shift yet</p>
+      ) : (
+        Object.entries(report.payments).map(([method, { count, total }]) => (
+          <div key={method} className="flex justify-between py-1 border-b border-gray-100">
+            <span className="capitalize">{method} ({count})</span>
+            <span className="font-medium">{formatRs(total)}</span>
+          </div>
+        ))
+      )}
+      <div className="flex justify-between py-1 font-semibold">
+        <span>Total ({report.transactionCount} sales)</span>
+        <span>{formatRs(report.totalSales)}</span>
+      </div>
+    </div>
+
+    <div>
+      <h4 className="font-semibold text-gray-900 mb-2">Cash drawer</h4>
+      <div className="flex justify-between py-1"><span>Opening float</span><span>{formatRs(report.openingFloat)}</span></div>
+      <div className="flex justify-between py-1"><span>Cash sales</span><span>+ {formatRs(report.cashSales)}</span></div>
+      <div className="flex justify-between py-1"><span>Cash in</span><span>+ {formatRs(report.cashIn)}</span></div>
+      <div className="flex justify-between py-1"><span>Cash out</span><span>- {formatRs(report.cashOut)}</span></div>
+      <div className="flex justify-between py-1 font-semibold border-t border-gray-200">
+        <span>Expected in drawer</span><span>{formatRs(report.expectedCash)}</span>
+      </div>
+      {report.type === 'Z' && (
+        <>
+          <div className="flex justify-between py-1 font-semibold">
+            <span>Counted</span><span>{formatRs(report.countedCash)}</span>
+          </div>
+          <div className="flex justify-between items-center py-1">
+            <span>Variance</span>
+            <span className="flex items-center space-x-2">
+              <Badge variant={VARIANCE_BADGES[report.varianceStatus]} size="small">{report.varianceStatus}</Badge>
+              <span className="font-semibold">{report.variance > 0 ? '+' : ''}{formatRs(report.variance)}</span>
+            </span>
+          </div>
+          {report.flagged && (
+            <p className="text-error text-xs mt-1">Variance is outside tolerance and has been flagged for review.</p>
+          )}
+        </>
+      )}
+    </div>
+
+    {report.cashMovements.length > 0 && (
+      <div>
+        <h4 className="font-semibold text-gray-900 mb-2">Petty cash</h4>
+        {report.cashMovements.map(movement => (
+          <div key={movement.id} className="flex justify-between py-1 border-b border-gray-100">
+            <span>{format(new Date(movement.createdAt), 'HH:mm')} - {movement.reason}</span>
+            <span className={movement.type === 'in' ? 'text-green-600' : 'text-error'}>
+              {movement.type === 'in' ? '+' : '-'} {formatRs(movement.amount)}
+            </span>
+          </div>
+        ))}
+      </div>
+    )}
+  </div>
+);
+
+/**
+ * Shift bar for the POS tab: open a shift with a float, record petty cash, check an X-report
+ * and close with a counted drawer (Z-report). Sales should only be rung up while a shift is open.
+ */
+const ShiftPanel = ({ cashierId, cashierName, pendingSales = 0, onShiftChange }) => {
+  const [shift, setShift] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [openingFloat, setOpeningFloat] = useState('');
+  const [modal, setModal] = useState(null);
+  const [movement, setMovement] = useState({ type: 'out', amount: '', reason: '' });
+  const [counts, setCounts] = useState({});
+  const [closingNotes, setClosingNotes] = useState('');
+  const [report, setReport] = useState(null);
+
+  const updateShift = (next) => {
+    setShift(next);
+    onShiftChange?.(next);
+  };
+
+  useEffect(() => {
+    let active = true;
+    setLoading(true);
+    posService.getCurrentShift(cashierId)
+      .then(current => {
+        if (active) updateShift(current);
+      })
+      .catch(error => console.error('Failed to load current shift:', error))
+      .finally(() => {
+        if (active) setLoading(false);
+      });
+    return () => {
+      active = false;
+    };
+  }, [cashierId]);
+
+  const run = async (action, successMessage) => {
+    setBusy(true);
+    try {
+      const result = await action();
+      if (successMessage) toast.success(successMessage);
+      return result;
+    } catch (error) {
+      toast.error(error.message);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleOpen = async () => {
+    const opened = await run(
+      () => posService.openShift({ cashierId, cashierName, openingFloat: openingFloat || 0 }),
+      'Shift opened'
+    );
+    if (opened) {
+      updateShift(opened);
+      setOpeningFloat('');
+    }
+  };
+
+  const handleMovement = async () => {
+    const updated = await run(
+      () => posService.addCashMovement(shift.id, { ...movement, actor: cashierId }),
+      movement.type === 'in' ? 'Cash in recorded' : 'Cash out recorded'
+    );
+    if (updated) {
+      updateShift(updated);
+      setMovement({ type: 'out', amount: '', reason: '' });
+      setModal(null);
+    }
+  };
+
+  const handleXReport = async () => {
+    const xReport = await run(() => posService.getXReport(shift.id));
+    if (xReport) {
+      setReport(xReport);
+      setModal('report');
+    }
+  };
+
+  const handleClose = async () => {
+    const closed = await run(
+      () => posService.closeShift(shift.id, { denominations: counts, notes: closingNotes, actor: cashierId }),
+      'Shift closed'
+    );
+    if (closed) {
+      setReport(closed.zReport);
+      setCounts({});
+      setClosingNotes('');
+      updateShift(null);
+      setModal('report');
+    }
+  };
+
+  const countedTotal = CASH_DENOMINATIONS.reduce((sum, note) => sum + note * (Number(counts[note]) || 0), 0);
+
+  if (loading) {
+    return null;
+  }
+
+  return (
+    <>
+      {shift ? (
+        <div className="card p-4 mb-6 flex flex-wrap items-center justify-between gap-3">
+          <div className="flex items-center space-x-3">
+            <ApperIcon name="Clock" size={20} className="text-primary" />
+            <div>
+              <p className="font-semibold text-gray-900">Shift #{shift.id} - {shift.cashierName}</p>
+              <p className="text-sm text-gray-600">
+                Opened {format(new Date(shift.openedAt), 'HH:mm')} with a {formatRs(shift.openingFloat)} float
+              </p>
+            </div>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <Button variant="outline" size="small" icon="ArrowLeftRight" onClick={() => setModal('movement')}>
+              Cash In/Out
+            </Button>
+            <Button variant="outline" size="small" icon="FileText" onClick={handleXReport} loading={busy && modal === null}>
+              X-Report
+            </Button>
+            <Button variant="danger" size="small" icon="Lock" onClick={() => setModal('close')}>
+              Close Shift
+            </Button>
+          </div>
+        </div>
+      ) : (
+        <div className="card p-4 mb-6 flex flex-wrap items-end justify-between gap-3">
+          <div>
+            <p className="font-semibold text-gray-900">No shift open</p>
+            <p className="text-sm text-gray-600">Count the opening float into the drawer and open a shift to start selling.</p>
+          </div>
+          <div className="flex items-end gap-2">
+            <Input
+              label="Opening float"
+              type="number"
+              min="0"
+              value={openingFloat}
+              onChange={(e) => setOpeningFloat(e.target.value)}
+              icon="Banknote"
+            />
+            <Button icon="Unlock" onClick={handleOpen} loading={busy} disabled={busy}>
+              Open Shift
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {modal === 'movement' && shift && (
+        <Modal title="Petty Cash" onClose={() => setModal(null)}>
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 gap-2">
+              <Button
+                variant={movement.type === 'in' ? 'primary' : 'outline'}
+                icon="ArrowDownToLine"
+                onClick={() => setMovement({ ...movement, type: 'in' })}
+              >
+                Cash In
+              </Button>
+              <Button
+                variant={movement.type === 'out' ? 'primary' : 'outline'}
+                icon="ArrowUpFromLine"
+                onClick={() => setMovement({ ...movement, type: 'out' })}
+              >
+                Cash Out
+              </Button>
+            </div>
+            <Input
+              label="Amount"
+              type="number"
+              min="0"
+              value={movement.amount}
+              onChange={(e) => setMovement({ ...movement, amount: e.target.value })}
+            />
+            <Input
+              label="Reason"
+              value={movement.reason}
+              onChange={(e) => setMovement({ ...movement, reason: e.target.value })}
+              placeholder={movement.type === 'in' ? 'e.g. Change top-up from safe' : 'e.g. Cleaning supplies'}
+            />
+            <Button className="w-full" onClick={handleMovement} loading={busy} disabled={busy}>
+              Record
+            </Button>
+          </div>
+        </Modal>
+      )}
+
+      {modal === 'close' && shift && (
+        <Modal title={`Close Shift #${shift.id}`} onClose={() => setModal(null)}>
+          <div className="space-y-4">
+            {pendingSales > 0 && (
+              <div className="bg-warning bg-opacity-10 border border-warning rounded-lg p-3 text-sm">
+                {pendingSales} offline sale{pendingSales === 1 ? ' is' : 's are'} still waiting to sync. Sync them before
+                closing so the expected cash is complete.
+              </div>
+            )}
+            <p className="text-sm text-gray-600">Count the drawer and enter how many of each note and coin you have.</p>
+            <div className="grid grid-cols-2 gap-3">
+              {CASH_DENOMINATIONS.map(note => (
+                <Input
+                  key={note}
+                  label={`Rs. ${note.toLocaleString()}`}
+                  type="number"
+                  min="0"
+                  step="1"
+                  value={counts[note] ?? ''}
+                  onChange={(e) => setCounts({ ...counts, [note]: e.target.value })}
+                />
+              ))}
+            </div>
+            <div className="flex justify-between font-semibold">
+              <span>Counted cash</span>
+              <span>{formatRs(countedTotal)}</span>
+            </div>
+            <Input
+              label="Notes"
+              value={closingNotes}
+              onChange={(e) => setClosingNotes(e.target.value)}
+              placeholder="Anything the manager should know"
+            />
+            <Button
+              variant="danger"
+              className="w-full"
+              icon="Lock"
+              onClick={handleClose}
+              loading={busy}
+              disabled={busy || pendingSales > 0}
+            >
+              Close Shift
+            </Button>
+          </div>
+        </Modal>
+      )}
+
+      {modal === 'report' && report && (
+        <Modal title={report.type === 'Z' ? 'Z-Report' : 'X-Report'} onClose={() => setModal(null)}>
+          <ShiftReport report={report} />
+        </Modal>
+      )}
+    </>
+  );
+};
+
+export default ShiftPanel;
@@ -1,18 +1,279 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { toast } from 'react-toastify';
 import ApperIcon from '@/components/ApperIcon';
 import Button from '@/components/atoms/Button';
+import Badge from '@/components/atoms/Badge';
 import Input from '@/components/atoms/Input';
+import AddressForm, { EMPTY_ADDRESS } from '@/components/molecules/AddressForm';
+import PasswordModal from '@/components/molecules/PasswordModal';
+import Error from '@/components/ui/Error';
+import Loading from '@/components/ui/Loading';
+import { customerService } from '@/services/api/customerService';
+import { LOYALTY_RULES, loyaltyService } from '@/services/api/loyaltyService';
+import { orderService } from '@/services/api/orderService';
+import sessionService from '@/services/SessionService';
+
+const getSignedInCustomer = () => {
+  const user = sessionService.getCurrentUser();
+  return sessionService.isAuthenticated() && user?.role === 'customer' ? user : null;
+};
+
+// Sign in, registration and forgotten password for signed-out visitors
+const CustomerAuth = ({ onSignedIn }) => {
+  const [mode, setMode] = useState('signin');
+  const [formData, setFormData] = useState({ name: '', email: '', phone: '', identifier: '', password: '' });
+  const [submitting, setSubmitting] = useState(false);
+  const [resetSent, setResetSent] = useState(false);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
+    setResetSent(false);
+    setFormData(prev => ({ ...prev, password: '' }));
+  };
+
+  const signIn = async (identifier, password) => {
+    const result = await sessionService.login({ identifier, password });
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+    toast.success(`Welcome, ${result.user.name}!`);
+    onSignedIn(result.user);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      if (mode === 'register') {
+        await customerService.register(formData);
+        await signIn(formData.email, formData.password);
+      } else if (mode === 'forgot') {
+        await customerService.requestPasswordReset(formData.identifier);
+        setResetSent(true);
+      } else {
+        await signIn(formData.identifier, formData.password);
+      }
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const titles = {
+    signin: 'Sign in to your account',
+    register: 'Create an account',
+    forgot: 'Reset your password'
+  };
+
+  return (
+    <div className="max-w-md mx-auto px-4 sm:px-6 lg:px-8 py-12">
+      <div className="card p-6 sm:p-8">
+        <div className="text-center mb-6">
+          <div className="w-14 h-14 bg-gradient-to-r from-primary to-accent rounded-full flex items-center justify-center mx-auto mb-4">
+            <ApperIcon name="User" size={28} className="text-white" />
+          </div>
+          <h1 className="text-2xl font-bold text-gray-900">{titles[mode]}</h1>
+        </div>
+
+        {mode === 'forgot' && resetSent ? (
+          <div className="text-center space-y-4">
+            <p className="text-gray-600">
+              If an account matches, a reset link has been sent to its email address.
+            </p>
+            {import.meta.env.DEV && (
+              <Link to="/mailbox" className="inline-flex items-center space-x-2 text-primary hover:text-primary-dark">
+                <ApperIcon name="Inbox" size={16} />
+                <span>Open mailbox</span>
+              </Link>
+            )}
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            {mode === 'register' ? (
+              <>
+                <Input label="Full Name" name="name" value={formData.name} onChange={handleInputChange} icon="User" required />
+                <Input label="Email Address" name="email" type="email" value={formData.email} onChange={handleInputChange} icon="Mail" required />
+                <Input label="Mobile Number" name="phone" type="tel" placeholder="0300 1234567" value={formData.phone} onChange={handleInputChange} icon="Phone" required />
+              </>
+            ) : (
+              <Input
+                label="Email or Mobile Number"
+                name="identifier"
+                value={formData.identifier}
+                onChange={handleInputChange}
+                icon="AtSign"
+                autoComplete="username"
+                required
+              />
+            )}
+
+            {mode !== 'forgot' && (
+              <Input
+                label="Password"
+                name="password"
+                type="password"
+                value={formData.password}
+                onChange={handleInputChange}
+                icon="Lock"
+                autoComplete={mode === 'register' ? 'new-password' : 'current-password'}
+                required
+              />
+            )}
+            {mode === 'register' && (
+              <p className="text-xs text-gray-500">At least 8 characters with a letter and a number</p>
+            )}
+
+            <Button type="submit" variant="primary" className="w-full" loading={submitting} disabled={submitting}>
+              {mode === 'register' ? 'Create Account' : mode === 'forgot' ? 'Send Reset Link' : 'Sign In'}
+            </Button>
+          </form>
+        )}
+
+        <div className="mt-6 text-sm text-center space-y-2">
+          {mode === 'signin' && (
+            <>
+              <button type="button" onClick={() => switchMode('forgot')} className="text-primary hover:text-primary-dark">
+                Forgot password?
+              </button>
+              <p className="text-gray-600">
+                New to FreshMart?{' '}
+                <button type="button" onClick={() => switchMode('register')} className="text-primary hover:text-primary-dark font-medium">
+                  Create an account
+                </button>
+              </p>
+            </>
+          )}
+          {mode !== 'signin' && (
+            <button type="button" onClick={() => switchMode('signin')} className="text-primary hover:text-primary-dark">
+              Back to sign in
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Landing point for the emailed reset link (/account?reset=<token>)
+const ResetPasswordForm = ({ token, onDone }) => {
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (password !== confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+    setSubmitting(true);
+    try {
+      await customerService.resetPassword(token, password);
+      toast.success('Password updated. Sign in with your new password');
+      onDone();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="max-w-md mx-auto px-4 sm:px-6 lg:px-8 py-12">
+      <div className="card p-6 sm:p-8">
+        <h1 className="text-2xl font-bold text-gray-900 mb-6 text-center">Choose a new password</h1>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <Input label="New Password" type="password" value={password} onChange={(e) => setPassword(e.target.value)} icon="Lock" autoComplete="new-password" required />
+          <Input label="Confirm Password" type="password" value={confirmPassword} onChange={(e) => setConfirmPassword(e.target.value)} icon="Lock" autoComplete="new-password" required />
+          <Button type="submit" variant="primary" className="w-full" loading={submitting} disabled={submitting}>
+            Update Password
+          </Button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+const Toggle = ({ checked, onChange }) => (
+  <button
+    type="button"
+    role="switch"
+    aria-checked={checked}
+    onClick={() => onChange(!checked)}
+    className={`relative w-11 h-6 rounded-full transition-colors ${checked ? 'bg-primary' : 'bg-gray-200'}`}
+  >
+    <span className={`absolute top-1 left-1 w-4 h-4 bg-white rounded-full shadow transition-transform ${checked ? 'translate-x-5' : ''}`}></span>
+  </button>
+);
 
 const Account = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const resetToken = searchParams.get('reset');
+  const [user, setUser] = useState(getSignedInCustomer);
+  const [profile, setProfile] = useState(null);
   const [activeTab, setActiveTab] = useState('profile');
-  const [formData, setFormData] = useState({
-    name: 'John Doe',
-    email: 'john@example.com',
-    phone: '+92 300 1234567',
-    address: '123 Main Street, Lahore',
-    city: 'Lahore',
-    postalCode: '54000'
-  });
+  const [formData, setFormData] = useState({ name: '', email: '', phone: '' });
+  const [addressForm, setAddressForm] = useState(null);
+  const [passwordForm, setPasswordForm] = useState(null);
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [rewards, setRewards] = useState(null);
+
+  useEffect(() => {
+    return sessionService.onSessionChange(() => setUser(getSignedInCustomer()));
+  }, []);
+
+  useEffect(() => {
+    if (user) {
+      loadProfile();
+    } else {
+      setProfile(null);
+    }
+  }, [user?.id]);
+
+  useEffect(() => {
+    if (activeTab === 'rewards' && user) {
+      loadRewards();
+    }
+  }, [activeTab, user?.id]);
+
+  // Points and purchases from the website and the store till
+  const loadRewards = async () => {
+    try {
+      const [balance, ledger, history] = await Promise.all([
+        loyaltyService.getBalance(user.id),
+        loyaltyService.getLedger(user.id, 20),
+        orderService.getPurchaseHistory(user.id)
+      ]);
+      setRewards({ balance, ledger, ...history });
+    } catch (err) {
+      toast.error('Failed to load rewards: ' + err.message);
+    }
+  };
+
+  const loadProfile = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await customerService.getProfile(user.id);
+      setProfile(data);
+      setFormData({ name: data.name, email: data.email, phone: data.phone });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -22,20 +283,151 @@ const Account = () => {
     }));
   };
 
-  const handleSave = () => {
-    // Handle save logic here
-    console.log('Saving profile:', formData);
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const updated = await customerService.updateProfile(user.id, formData);
+      setProfile(updated);
+      sessionService.updateUser(sessionService.buildCustomerUser(updated));
+      toast.success('Profile saved');
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveAddress = async (address) => {
+    setSaving(true);
+    try {
+      const addresses = await customerService.saveAddress(user.id, address);
+      setProfile(prev => ({ ...prev, addresses }));
+      setAddressForm(null);
+      toast.success('Address saved');
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSetDefaultAddress = async (address) => {
+    try {
+      const addresses = await customerService.setDefaultAddress(user.id, address.id);
+      setProfile(prev => ({ ...prev, addresses }));
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleDeleteAddress = async (address) => {
+    if (!window.confirm(`Delete the ${address.label} address?`)) return;
+    try {
+      const addresses = await customerService.deleteAddress(user.id, address.id);
+      setProfile(prev => ({ ...prev, addresses }));
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleSettingChange = async (key, value) => {
+    setProfile(prev => ({ ...prev, settings: { ...prev.settings, [key]: value } }));
+    try {
+      const settings = await customerService.updateSettings(user.id, { [key]: value });
+      setProfile(prev => ({ ...prev, settings }));
+    } catch (err) {
+      toast.error(err.message);
+      loadProfile();
+    }
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    if (passwordForm.next !== passwordForm.confirm) {
+      toast.error('New passwords do not match');
+      return;
+    }
+    setSaving(true);
+    try {
+      await customerService.changePassword(user.id, passwordForm.current, passwordForm.next);
+      setPasswordForm(null);
+      toast.success('Password changed');
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      const data = await customerService.exportData(user.id);
+      const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `freshmart-account-${user.id}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleDeleteAccount = async (password) => {
+    try {
+      await customerService.deleteAccount(user.id, password);
+      setConfirmingDelete(false);
+      toast.success('Your account has been deleted');
+      sessionService.logout(false);
+    } catch (err) {
+      toast.error(err.message);
+      throw err;
+    }
   };
 
   const tabs = [
     { id: 'profile', label: 'Profile', icon: 'User' },
     { id: 'addresses', label: 'Addresses', icon: 'MapPin' },
+    { id: 'rewards', label: 'Rewards', icon: 'Gift' },
     { id: 'settings', label: 'Settings', icon: 'Settings' }
   ];
 
+  if (resetToken) {
+    return <ResetPasswordForm token={resetToken} onDone={() => setSearchParams({})} />;
+  }
+
+  if (!user) {
+    return <CustomerAuth onSignedIn={() => setUser(getSignedInCustomer())} />;
+  }
+
+  if (loading || !profile) {
+    return (
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {error ? <Error message={error} onRetry={loadProfile} /> : <Loading type="page" />}
+      </div>
+    );
+  }
+
+  const settingRows = [
+    { key: 'emailNotifications', title: 'Email Notifications', description: 'Receive order updates via email' },
+    { key: 'smsNotifications', title: 'SMS Notifications', description: 'Receive order updates via SMS' },
+    { key: 'marketingEmails', title: 'Marketing Emails', description: 'Receive promotional offers and updates' }
+  ];
+
   return (
     <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-      <h1 className="text-3xl font-bold text-gray-900 mb-8">My Account</h1>
+      <div className="flex items-center justify-between mb-8">
+        <h1 className="text-3xl font-bold text-gray-900">My Account</h1>
+        <div className="flex items-center space-x-2">
+          <Link to="/subscriptions" className="flex items-center space-x-1 text-sm font-medium text-primary hover:underline">
+            <ApperIcon name="Repeat" size={16} />
+            <span>Subscriptions</span>
+          </Link>
+          <Button variant="ghost" size="small" icon="LogOut" onClick={() => sessionService.logout()}>
+            Sign Out
+          </Button>
+        </div>
+      </div>
 
       {/* Tabs */}
       <div className="border-b border-gray-200 mb-8">
@@ -63,7 +455,7 @@ const Account = () => {
       {activeTab === 'profile' && (
         <div className="card p-6">
           <h2 className="text-xl font-semibold text-gray-900 mb-6">Profile Information</h2>
-          
+
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
             <Input
               label="Full Name"
@@ -72,7 +464,7 @@ const Account = () => {
               onChange={handleInputChange}
               icon="User"
             />
-            
+
             <Input
               label="Email Address"
               name="email"
@@ -81,7 +473,7 @@ const Account = () => {
               onChange={handleInputChange}
               icon="Mail"
             />
-            
+
             <Input
               label="Phone Number"
               name="phone"
@@ -90,35 +482,10 @@ const Account = () => {
               onChange={handleInputChange}
               icon="Phone"
             />
-            
-            <Input
-              label="City"
-              name="city"
-              value={formData.city}
-              onChange={handleInputChange}
-              icon="MapPin"
-            />
-            
-            <Input
-              label="Address"
-              name="address"
-              value={formData.address}
-              onChange={handleInputChange}
-              icon="Home"
-              className="md:col-span-2"
-            />
-            
-            <Input
-              label="Postal Code"
-              name="postalCode"
-              value={formData.postalCode}
-              onChange={handleInputChange}
-              icon="Hash"
-            />
           </div>
-          
+
           <div className="mt-6 flex justify-end">
-            <Button variant="primary" onClick={handleSave}>
+            <Button variant="primary" onClick={handleSave} loading={saving} disabled={saving}>
               Save Changes
             </Button>
           </div>
@@ -130,122 +497,231 @@ const Account = () => {
           <div className="card p-6">
             <div className="flex items-center justify-between mb-4">
               <h2 className="text-xl font-semibold text-gray-900">Saved Addresses</h2>
-              <Button variant="primary" size="small" icon="Plus">
-                Add Address
-              </Button>
+              {!addressForm && (
+                <Button variant="primary" size="small" icon="Plus" onClick={() => setAddressForm({ ...EMPTY_ADDRESS })}>
+                  Add Address
+                </Button>
+              )}
             </div>
-            
+
+            {addressForm && (
+              <div className="mb-4">
+                <AddressForm
+                  initialValue={addressForm}
+                  onSubmit={handleSaveAddress}
+                  onCancel={() => setAddressForm(null)}
+                  saving={saving}
+                />
+              </div>
+            )}
+
             <div className="space-y-4">
-              <div className="border border-gray-200 rounded-lg p-4">
-                <div className="flex items-center justify-between mb-2">
-                  <span className="font-medium text-gray-900">Home</span>
-                  <div className="flex space-x-2">
-                    <button className="text-primary hover:text-primary-dark">
-                      <ApperIcon name="Edit" size={16} />
-                    </button>
-                    <button className="text-red-600 hover:text-red-700">
-                      <ApperIcon name="Trash2" size={16} />
-                    </button>
+              {profile.addresses.length === 0 && !addressForm && (
+                <p className="text-gray-500 text-sm">No saved addresses yet</p>
+              )}
+              {profile.addresses.map(address => (
+                <div key={address.id} className={`border rounded-lg p-4 ${address.isDefault ? 'border-primary' : 'border-gray-200'}`}>
+                  <div className="flex items-center justify-between mb-2">
+                    <div className="flex items-center space-x-2">
+                      <span className="font-medium text-gray-900">{address.label}</span>
+                      {address.isDefault && <Badge variant="success">Default</Badge>}
+                    </div>
+                    <div className="flex space-x-2">
+                      {!address.isDefault && (
+                        <button onClick={() => handleSetDefaultAddress(address)} className="text-gray-500 hover:text-primary" title="Make default">
+                          <ApperIcon name="Star" size={16} />
+                        </button>
+                      )}
+                      <button onClick={() => setAddressForm({ ...address })} className="text-primary hover:text-primary-dark">
+                        <ApperIcon name="Edit" size={16} />
+                      </button>
+                      <button onClick={() => handleDeleteAddress(address)} className="text-red-600 hover:text-red-700">
+                        <ApperIcon name="Trash2" size={16} />
+                      </button>
+                    </div>
                   </div>
+                  <p className="text-gray-600">
+                    {address.address}, {address.city}{address.postalCode ? ` ${address.postalCode}` : ''}
+                  </p>
+                  <p className="text-xs text-gray-500 mt-1 flex items-center space-x-1">
+                    <ApperIcon name={address.locationSource === 'pin' ? 'MapPin' : 'Crosshair'} size={12} />
+                    <span>
+                      {address.coordinates
+                        ? `${address.locationSource === 'pin' ? 'Pinned' : 'Located from address'} (${address.coordinates.lat.toFixed(4)}, ${address.coordinates.lng.toFixed(4)})`
+                        : 'No map location'}
+                    </span>
+                  </p>
                 </div>
-                <p className="text-gray-600">123 Main Street, Lahore, Punjab 54000</p>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {activeTab === 'rewards' && (
+        !rewards ? (
+          <Loading type="default" />
+        ) : (
+          <div className="space-y-6">
+            <div className="card p-6 flex items-center justify-between">
+              <div>
+                <h2 className="text-xl font-semibold text-gray-900">{rewards.balance.toLocaleString()} points</h2>
+                <p className="text-sm text-gray-600">
+                  Earn 1 point for every Rs. {LOYALTY_RULES.spendPerPoint} online or in store. Redeem from {LOYALTY_RULES.minRedeemPoints} points
+                  at checkout or the till, Rs. {LOYALTY_RULES.pointValue} per point.
+                </p>
               </div>
-              
-              <div className="border border-gray-200 rounded-lg p-4">
-                <div className="flex items-center justify-between mb-2">
-                  <span className="font-medium text-gray-900">Office</span>
-                  <div className="flex space-x-2">
-                    <button className="text-primary hover:text-primary-dark">
-                      <ApperIcon name="Edit" size={16} />
-                    </button>
-                    <button className="text-red-600 hover:text-red-700">
-                      <ApperIcon name="Trash2" size={16} />
-                    </button>
-                  </div>
+              <ApperIcon name="Gift" size={40} className="text-primary" />
+            </div>
+
+            <div className="card p-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">Points activity</h3>
+              {rewards.ledger.length === 0 ? (
+                <p className="text-sm text-gray-500">No points yet. Your next purchase will start earning.</p>
+              ) : (
+                <div className="divide-y divide-gray-100">
+                  {rewards.ledger.map(entry => (
+                    <div key={entry.id} className="flex items-center justify-between py-2 text-sm">
+                      <div>
+                        <p className="text-gray-900">{entry.note}</p>
+                        <p className="text-xs text-gray-500">{new Date(entry.createdAt).toLocaleString()}</p>
+                      </div>
+                      <span className={`font-semibold ${entry.points >= 0 ? 'text-green-600' : 'text-error'}`}>
+                        {entry.points >= 0 ? '+' : ''}{entry.points}
+                      </span>
+                    </div>
+                  ))}
                 </div>
-                <p className="text-gray-600">456 Business Center, Karachi, Sindh 75000</p>
+              )}
+            </div>
+
+            <div className="card p-6">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-semibold text-gray-900">Purchase history</h3>
+                <span className="text-sm text-gray-600">Rs. {rewards.totalSpent.toLocaleString()} in total</span>
               </div>
+              {rewards.purchases.length === 0 ? (
+                <p className="text-sm text-gray-500">No purchases yet.</p>
+              ) : (
+                <div className="divide-y divide-gray-100">
+                  {rewards.purchases.map(purchase => (
+                    <div key={`${purchase.channel}-${purchase.id}`} className="flex items-center justify-between py-2 text-sm">
+                      <div className="flex items-center space-x-2">
+                        <Badge variant={purchase.channel === 'store' ? 'info' : 'primary'} size="small">
+                          {purchase.channel === 'store' ? 'In store' : 'Online'}
+                        </Badge>
+                        <span className="text-gray-900">
+                          {purchase.channel === 'store' ? `Receipt #${purchase.id}` : `Order #${purchase.id}`}
+                        </span>
+                        <span className="text-xs text-gray-500">{new Date(purchase.date).toLocaleDateString()}</span>
+                      </div>
+                      <span className={purchase.status === 'cancelled' ? 'line-through text-gray-400' : 'font-medium'}>
+                        Rs. {purchase.total.toLocaleString()}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
             </div>
           </div>
-        </div>
+        )
       )}
 
       {activeTab === 'settings' && (
         <div className="space-y-6">
           <div className="card p-6">
             <h2 className="text-xl font-semibold text-gray-900 mb-6">Preferences</h2>
-            
+
             <div className="space-y-6">
-              <div className="flex items-center justify-between">
-                <div>
-                  <h3 className="font-medium text-gray-900">Email Notifications</h3>
-                  <p className="text-sm text-gray-600">Receive order updates via email</p>
-                </div>
-                <div className="relative">
-                  <input
-                    type="checkbox"
-                    className="sr-only"
-                    defaultChecked
-                  />
-                  <div className="w-11 h-6 bg-gray-200 rounded-full shadow-inner"></div>
-                  <div className="absolute w-4 h-4 bg-white rounded-full shadow -left-px -top-px transition-transform"></div>
-                </div>
-              </div>
-              
-              <div className="flex items-center justify-between">
-                <div>
-                  <h3 className="font-medium text-gray-900">SMS Notifications</h3>
-                  <p className="text-sm text-gray-600">Receive order updates via SMS</p>
-                </div>
-                <div className="relative">
-                  <input
-                    type="checkbox"
-                    className="sr-only"
-                    defaultChecked
-                  />
-                  <div className="w-11 h-6 bg-gray-200 rounded-full shadow-inner"></div>
-                  <div className="absolute w-4 h-4 bg-white rounded-full shadow -left-px -top-px transition-transform"></div>
-                </div>
-              </div>
-              
-              <div className="flex items-center justify-between">
-                <div>
-                  <h3 className="font-medium text-gray-900">Marketing Emails</h3>
-                  <p className="text-sm text-gray-600">Receive promotional offers and updates</p>
-                </div>
-                <div className="relative">
-                  <input
-                    type="checkbox"
-                    className="sr-only"
+              {settingRows.map(row => (
+                <div key={row.key} className="flex items-center justify-between">
+                  <div>
+                    <h3 className="font-medium text-gray-900">{row.title}</h3>
+                    <p className="text-sm text-gray-600">{row.description}</p>
+                  </div>
+                  <Toggle
+                    checked={Boolean(profile.settings[row.key])}
+                    onChange={(value) => handleSettingChange(row.key, value)}
                   />
-                  <div className="w-11 h-6 bg-gray-200 rounded-full shadow-inner"></div>
-                  <div className="absolute w-4 h-4 bg-white rounded-full shadow -left-px -top-px transition-transform"></div>
                 </div>
-              </div>
+              ))}
             </div>
           </div>
-          
+
           <div className="card p-6">
             <h2 className="text-xl font-semibold text-gray-900 mb-6">Account Actions</h2>
-            
+
             <div className="space-y-4">
-              <Button variant="outline" className="w-full justify-start" icon="Key">
-                Change Password
-              </Button>
-              
-              <Button variant="outline" className="w-full justify-start" icon="Download">
+              {passwordForm ? (
+                <form onSubmit={handleChangePassword} className="border border-gray-200 rounded-lg p-4 space-y-4">
+                  <Input
+                    label="Current Password"
+                    type="password"
+                    value={passwordForm.current}
+                    onChange={(e) => setPasswordForm(prev => ({ ...prev, current: e.target.value }))}
+                    autoComplete="current-password"
+                    required
+                  />
+                  <Input
+                    label="New Password"
+                    type="password"
+                    value={passwordForm.next}
+                    onChange={(e) => setPasswordForm(prev => ({ ...prev, next: e.target.value }))}
+                    autoComplete="new-password"
+                    required
+                  />
+                  <Input
+                    label="Confirm New Password"
+                    type="password"
+                    value={passwordForm.confirm}
+                    onChange={(e) => setPasswordForm(prev => ({ ...prev, confirm: e.target.value }))}
+                    autoComplete="new-password"
+                    required
+                  />
+                  <div className="flex justify-end space-x-3">
+                    <Button type="button" variant="outline" size="small" onClick={() => setPasswordForm(null)}>
+                      Cancel
+                    </Button>
+                    <Button type="submit" variant="primary" size="small" loading={saving} disabled={saving}>
+                      Update Password
+                    </Button>
+                  </div>
+                </form>
+              ) : (
+                <Button
+                  variant="outline"
+                  className="w-full justify-start"
+                  icon="Key"
+                  onClick={() => setPasswordForm({ current: '', next: '', confirm: '' })}
+                >
+                  Change Password
+                </Button>
+              )}
+
+              <Button variant="outline" className="w-full justify-start" icon="Download" onClick={handleExport}>
                 Export Data
               </Button>
-              
-              <Button variant="danger" className="w-full justify-start" icon="Trash2">
+
+              <Button variant="danger" className="w-full justify-start" icon="Trash2" onClick={() => setConfirmingDelete(true)}>
                 Delete Account
               </Button>
             </div>
           </div>
         </div>
       )}
+
+      {confirmingDelete && (
+        <PasswordModal
+          title="Delete Account"
+          description="This permanently deletes your account, addresses and saved details. Enter your password to confirm."
+          submitLabel="Delete Account"
+          submitVariant="danger"
+          onSubmit={handleDeleteAccount}
+          onClose={() => setConfirmingDelete(false)}
+        />
+      )}
     </div>
   );
 };
 
-export default Account;
\ No newline at end of file
+export default Account;
@@ -646,7 +646,6 @@ const loadVendorData = async () => {
 const toggleVendorStatus = async (vendorId, status) => {
   try {
     await vendorService.toggleVendorStatus(vendorId, status);
-    await vendorService.logAdminAction(`Vendor ${vendorId} ${status}`);
     toast.success(`Vendor ${status} successfully`);
     loadVendorData(); // Refresh vendor list
   } catch (error) {
@@ -899,14 +898,18 @@ const quickActions = [
     { label: 'Financial Dashboard', path: '/admin/financial-dashboard', icon: 'DollarSign', color: 'from-emerald-500 to-teal-500', notificationKey: 'financial', priority: 'high' },
     { label: 'Payment Management', path: '/admin/payments', icon: 'CreditCard', color: 'from-teal-500 to-cyan-500', notificationKey: 'payments', priority: 'high' },
     { label: 'Delivery Tracking', path: '/admin/delivery-dashboard', icon: 'MapPin', color: 'from-indigo-500 to-purple-500', notificationKey: 'delivery', priority: 'high' },
+    { label: 'Dispatch & Slots', path: '/admin/dispatch', icon: 'CalendarClock', color: 'from-sky-500 to-indigo-500', notificationKey: 'dispatch', priority: 'high' },
     { label: 'Manage Products', path: '/admin/products', icon: 'Package', color: 'from-blue-500 to-cyan-500', notificationKey: 'products', priority: 'high' },
+    { label: 'Coupons', path: '/admin/coupons', icon: 'Ticket', color: 'from-pink-500 to-rose-500', notificationKey: 'coupons', priority: 'high' },
+    { label: 'Reviews', path: '/admin/reviews', icon: 'MessageSquareWarning', color: 'from-yellow-500 to-amber-500', notificationKey: 'reviews', priority: 'high' },
     
 // Medium Priority
 { label: 'Analytics', path: '/admin/analytics', icon: 'TrendingUp', color: 'from-amber-500 to-orange-500', notificationKey: 'analytics', priority: 'medium' },
     { label: 'Vendor Management', path: '/admin/vendors', icon: 'Users', color: 'from-red-500 to-pink-500', notificationKey: 'vendorControl', priority: 'high' },
     { label: 'Vendor Portal', path: '/vendor-portal', icon: 'Store', color: 'from-purple-500 to-violet-500', notificationKey: 'vendor', role: ['admin', 'moderator'], priority: 'medium' },
     { label: 'AI Generate', path: '/admin/ai-generate', icon: 'Brain', color: 'from-purple-500 to-indigo-500', notificationKey: 'ai', priority: 'medium' },
-    { label: 'Role Assignment', path: '/role-management', icon: 'Settings', color: 'from-amber-500 to-yellow-500', notificationKey: 'roles', role: ['admin'], priority: 'medium' }
+    { label: 'Role Assignment', path: '/role-management', icon: 'Settings', color: 'from-amber-500 to-yellow-500', notificationKey: 'roles', role: ['admin'], priority: 'medium' },
+    { label: 'Audit Log', path: '/admin/audit-log', icon: 'FileSearch', color: 'from-slate-500 to-gray-600', notificationKey: 'audit', priority: 'medium' }
 ];
 
 // Priority indicator configuration
@@ -0,0 +1,285 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import { format } from "date-fns";
+import ApperIcon from "@/components/ApperIcon";
+import Badge from "@/components/atoms/Badge";
+import Button from "@/components/atoms/Button";
+import Input from "@/components/atoms/Input";
+import Empty from "@/components/ui/Empty";
+import Error from "@/components/ui/Error";
+import Loading from "@/components/ui/Loading";
+import { auditService } from "@/services/api/auditService";
+
+const EMPTY_FILTERS = { actor: '', entityType: '', action: '', from: '', to: '', search: '' };
+
+const ACTION_VARIANTS = {
+  price: 'warning',
+  wallet: 'info',
+  payment: 'success',
+  payment_proof: 'success',
+  payroll: 'info',
+  refund: 'danger',
+  role: 'warning',
+  staff: 'warning'
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// Date inputs give whole days, so "to" covers the full day
+const toRangeFilters = (filters) => ({
+  ...filters,
+  from: filters.from ? new Date(`${filters.from}T00:00:00`).toISOString() : '',
+  to: filters.to ? new Date(`${filters.to}T23:59:59.999`).toISOString() : ''
+});
+
+const AuditLog = () => {
+  const [entries, setEntries] = useState([]);
+  const [options, setOptions] = useState({ actors: [], entityTypes: [], actions: [] });
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [chain, setChain] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [verifying, setVerifying] = useState(false);
+
+  const loadEntries = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const [results, filterOptions] = await Promise.all([
+        auditService.getAll(toRangeFilters(filters)),
+        auditService.getFilterOptions()
+      ]);
+      setEntries(results);
+      setOptions(filterOptions);
+    } catch (err) {
+      setError(err.message || 'Failed to load the audit log');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const verifyChain = useCallback(async () => {
+    setVerifying(true);
+    try {
+      setChain(await auditService.verifyChain());
+    } catch (err) {
+      toast.error('Could not verify the audit chain');
+    } finally {
+      setVerifying(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    verifyChain();
+  }, [verifyChain]);
+
+  const updateFilter = (field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleExport = async (exportFormat) => {
+    try {
+      const file = await auditService.export(exportFormat, toRangeFilters(filters));
+      const url = URL.createObjectURL(new Blob([file.content], { type: file.mimeType }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = file.filename;
+      link.click();
+      URL.revokeObjectURL(url);
+      toast.success(`Exported ${entries.length} entries`);
+    } catch (err) {
+      toast.error('Export failed');
+    }
+  };
+
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  return (
+    <div className="min-h-screen bg-background p-6">
+      <div className="max-w-6xl mx-auto">
+        {/* Header */}
+        <div className="flex flex-col md:flex-row md:items-end md:justify-between gap-4 mb-6">
+          <div>
+            <div className="flex items-center space-x-2 mb-2">
+              <ApperIcon name="FileSearch" className="w-8 h-8 text-primary" />
+              <h1 className="text-3xl font-bold text-gray-900">Audit Log</h1>
+            </div>
+            <p className="text-gray-600">
+              Every price change, wallet movement, payment verification, payroll and access change
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            <Button variant="outline" size="small" icon="Download" onClick={() => handleExport('csv')} disabled={entries.length === 0}>
+              CSV
+            </Button>
+            <Button variant="outline" size="small" icon="FileJson" onClick={() => handleExport('json')} disabled={entries.length === 0}>
+              JSON
+            </Button>
+          </div>
+        </div>
+
+        {/* Chain integrity */}
+        <div className={`card p-4 mb-6 flex items-center justify-between ${chain && !chain.valid ? 'border border-red-200 bg-red-50' : ''}`}>
+          <div className="flex items-center space-x-3">
+            <ApperIcon
+              name={!chain ? 'Loader2' : chain.valid ? 'ShieldCheck' : 'ShieldAlert'}
+              size={24}
+              className={!chain ? 'text-gray-400 animate-spin' : chain.valid ? 'text-green-600' : 'text-red-600'}
+            />
+            <div>
+              {!chain ? (
+                <p className="font-medium text-gray-900">Checking the hash chain...</p>
+              ) : chain.valid ? (
+                <>
+                  <p className="font-medium text-gray-900">Hash chain intact</p>
+                  <p className="text-sm text-gray-600">All {chain.checked} entries match their hashes</p>
+                </>
+              ) : (
+                <>
+                  <p className="font-medium text-red-700">Tampering detected at entry #{chain.brokenAt}</p>
+                  <p className="text-sm text-red-600">{chain.reason}. Entries from this point on cannot be trusted.</p>
+                </>
+              )}
+            </div>
+          </div>
+          <Button variant="ghost" size="small" icon="RefreshCw" onClick={verifyChain} loading={verifying} disabled={verifying}>
+            Re-verify
+          </Button>
+        </div>
+
+        {/* Filters */}
+        <div className="card p-4 mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-3 items-end">
+            <div className="lg:col-span-2">
+              <Input
+                label="Search"
+                icon="Search"
+                value={filters.search}
+                onChange={(e) => updateFilter('search', e.target.value)}
+                placeholder="Summary, action or entity ID"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Actor</label>
+              <select className="input-field" value={filters.actor} onChange={(e) => updateFilter('actor', e.target.value)}>
+                <option value="">All actors</option>
+                {options.actors.map(actor => <option key={actor} value={actor}>{actor}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Entity</label>
+              <select className="input-field" value={filters.entityType} onChange={(e) => updateFilter('entityType', e.target.value)}>
+                <option value="">All entities</option>
+                {options.entityTypes.map(type => <option key={type} value={type}>{type.replace(/_/g, ' ')}</option>)}
+              </select>
+            </div>
+            <Input label="From" type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} />
+            <Input label="To" type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} />
+          </div>
+          <div className="flex items-center justify-between mt-3">
+            <select className="input-field max-w-xs" value={filters.action} onChange={(e) => updateFilter('action', e.target.value)}>
+              <option value="">All actions</option>
+              {options.actions.map(action => <option key={action} value={action}>{action}</option>)}
+            </select>
+            {hasFilters && (
+              <Button variant="ghost" size="small" icon="X" onClick={() => setFilters(EMPTY_FILTERS)}>
+                Clear filters
+              </Button>
+            )}
+          </div>
+        </div>
+
+        {/* Entries */}
+        {loading ? (
+          <Loading type="page" />
+        ) : error ? (
+          <Error message={error} onRetry={loadEntries} />
+        ) : entries.length === 0 ? (
+          <Empty
+            title="No audit entries"
+            description={hasFilters ? 'Nothing matches these filters.' : 'Admin and financial actions will appear here as they happen.'}
+            icon="FileSearch"
+          />
+        ) : (
+          <div className="card divide-y divide-gray-100">
+            {entries.map(entry => {
+              const changes = Object.entries(entry.changes || {});
+              const expanded = expandedId === entry.id;
+              return (
+                <div key={entry.id} className="p-4">
+                  <button
+                    type="button"
+                    className="w-full text-left flex items-start justify-between gap-4"
+                    onClick={() => setExpandedId(expanded ? null : entry.id)}
+                  >
+                    <div className="min-w-0">
+                      <div className="flex flex-wrap items-center gap-2 mb-1">
+                        <Badge variant={ACTION_VARIANTS[entry.action.split('.')[0]] || 'default'} size="small">
+                          {entry.action}
+                        </Badge>
+                        <span className="text-xs text-gray-500">
+                          {entry.entityType.replace(/_/g, ' ')}{entry.entityId ? ` #${entry.entityId}` : ''}
+                        </span>
+                      </div>
+                      <p className="text-gray-900 truncate">{entry.summary || entry.action}</p>
+                      <p className="text-xs text-gray-500 mt-1">
+                        #{entry.sequence} · {format(new Date(entry.timestamp), 'MMM d, yyyy HH:mm:ss')} · by {entry.actor}
+                      </p>
+                    </div>
+                    <ApperIcon name={expanded ? 'ChevronUp' : 'ChevronDown'} size={18} className="text-gray-400 flex-shrink-0 mt-1" />
+                  </button>
+
+                  {expanded && (
+                    <div className="mt-4 space-y-3">
+                      {changes.length > 0 ? (
+                        <div className="overflow-x-auto">
+                          <table className="min-w-full text-sm">
+                            <thead>
+                              <tr className="text-left text-gray-500">
+                                <th className="py-1 pr-4 font-medium">Field</th>
+                                <th className="py-1 pr-4 font-medium">Before</th>
+                                <th className="py-1 font-medium">After</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {changes.map(([field, change]) => (
+                                <tr key={field} className="border-t border-gray-100 align-top">
+                                  <td className="py-1 pr-4 font-medium text-gray-700">{field}</td>
+                                  <td className="py-1 pr-4 text-red-700 break-all">{formatValue(change.from)}</td>
+                                  <td className="py-1 text-green-700 break-all">{formatValue(change.to)}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                      ) : (
+                        <p className="text-sm text-gray-500">No field changes recorded.</p>
+                      )}
+                      {Object.keys(entry.metadata || {}).length > 0 && (
+                        <pre className="text-xs bg-gray-50 rounded-lg p-3 overflow-x-auto">{JSON.stringify(entry.metadata, null, 2)}</pre>
+                      )}
+                      <div className="text-xs text-gray-400 font-mono break-all">
+                        <p>hash: {entry.hash}</p>
+                        <p>prev: {entry.previousHash}</p>
+                      </div>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AuditLog;
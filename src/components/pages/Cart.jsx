@@ -4,12 +4,16 @@ import { Link, useNavigate } from "react-router-dom";
 import { ArrowRight, ShoppingBag } from "lucide-react";
 import { useCart } from "@/hooks/useCart";
 import { formatCurrency } from "@/utils/currency";
-import { selectCartItemCount, selectCartItems, selectCartTotal, validateCartPrices, clearCart } from "@/store/cartSlice";
+import { selectCartItemCount, selectCartItems, selectCartTotal, selectAppliedCoupon, validateCartPrices, clearCart } from "@/store/cartSlice";
+import { couponService } from "@/services/api/couponService";
+import { deliveryPricingService } from "@/services/api/deliveryPricingService";
+import sessionService from "@/services/SessionService";
 import ApperIcon from "@/components/ApperIcon";
 import Button from "@/components/atoms/Button";
 import Empty from "@/components/ui/Empty";
 import Checkout from "@/components/pages/Checkout";
 import CartItem from "@/components/molecules/CartItem";
+import CouponInput from "@/components/molecules/CouponInput";
 
 const Cart = () => {
   const navigate = useNavigate();
@@ -17,6 +21,8 @@ const Cart = () => {
   const cart = useSelector(selectCartItems);
   const cartTotal = useSelector(selectCartTotal);
   const cartCount = useSelector(selectCartItemCount);
+  const appliedCoupon = useSelector(selectAppliedCoupon);
+  const customerId = sessionService.getCurrentUser()?.id || null;
 
   // Validate cart prices on component mount
 useEffect(() => {
@@ -49,8 +55,14 @@ if (cart.length === 0) {
 
 // Use validated cart total for accurate calculations
   const subtotal = cartTotal;
-  const deliveryCharge = subtotal >= 2000 ? 0 : 150; // Free delivery over Rs. 2000
-  const total = subtotal + deliveryCharge;
+  // Address is not known yet, so this is an estimate for the default zone; Checkout re-prices it
+  const deliveryQuote = deliveryPricingService.calculateDeliveryFee({ items: cart, subtotal });
+  const deliveryCharge = deliveryQuote.fee;
+  const couponResult = appliedCoupon
+    ? couponService.evaluateCoupon(appliedCoupon, { items: cart, subtotal, deliveryCharge })
+    : null;
+  const couponDiscount = couponResult?.valid ? couponResult.totalDiscount : 0;
+  const total = Math.max(0, subtotal + deliveryCharge - couponDiscount);
 return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 pb-24 lg:pb-8">
       {/* Mobile Header */}
@@ -105,26 +117,40 @@ return (
               </div>
               
               <div className="flex justify-between items-center">
-                <span className="text-sm sm:text-base text-gray-600">Delivery Charge</span>
+                <span className="text-sm sm:text-base text-gray-600">Delivery Charge (est.)</span>
                 <span className="font-medium text-sm sm:text-base">
                   {deliveryCharge > 0 ? `Rs. ${deliveryCharge.toLocaleString()}` : 'Free'}
                 </span>
               </div>
               
-              {subtotal >= 2000 && deliveryCharge === 150 && (
-                <div className="flex justify-between items-center text-green-600">
-                  <span className="text-xs sm:text-sm">Free delivery bonus!</span>
-                  <span className="text-xs sm:text-sm font-medium">-Rs. 150</span>
+              {deliveryQuote.breakdown.weightSurcharge > 0 && (
+                <p className="text-xs text-gray-500">
+                  Includes Rs. {deliveryQuote.breakdown.weightSurcharge.toLocaleString()} for {deliveryQuote.weightKg} kg basket weight
+                </p>
+              )}
+              
+              {deliveryQuote.amountToFreeDelivery > 0 && (
+                <div className="text-xs sm:text-sm text-blue-600">
+                  Add Rs. {deliveryQuote.amountToFreeDelivery.toLocaleString()} more for free delivery
                 </div>
               )}
               
-              {subtotal >= 2000 && deliveryCharge === 0 && (
+              {deliveryQuote.breakdown.freeDeliveryApplied && (
                 <div className="flex justify-between items-center text-green-600">
                   <span className="text-xs sm:text-sm">🎉 Free delivery applied!</span>
                   <span className="text-xs sm:text-sm font-medium">Rs. 0</span>
                 </div>
               )}
               
+              {couponDiscount > 0 && (
+                <div className="flex justify-between items-center text-green-600">
+                  <span className="text-sm sm:text-base">Coupon ({appliedCoupon.code})</span>
+                  <span className="font-medium text-sm sm:text-base">-Rs. {couponDiscount.toLocaleString()}</span>
+                </div>
+              )}
+              
+              <CouponInput couponResult={couponResult} customerId={customerId} />
+              
               <div className="border-t border-gray-200 pt-3 sm:pt-4">
                 <div className="flex justify-between items-center">
                   <span className="text-base sm:text-lg font-semibold text-gray-900">Total</span>
@@ -145,6 +171,18 @@ return (
               Proceed to Checkout
             </Button>
 
+            <Button
+              variant="outline"
+              size="medium"
+              icon="Repeat"
+              onClick={() => navigate('/subscriptions', {
+                state: { items: cart.map(item => ({ productId: item.id, quantity: item.quantity })) }
+              })}
+              className="w-full mb-4 text-sm"
+            >
+              Repeat this basket on a schedule
+            </Button>
+
             {/* Trust Badges - Responsive */}
             <div className="space-y-2 sm:space-y-3 pt-3 sm:pt-4 border-t border-gray-200">
               <div className="flex items-center space-x-2 text-xs sm:text-sm text-gray-600">
@@ -22,6 +22,7 @@ const Category = () => {
     { value: 'name', label: 'Name' },
     { value: 'price-low', label: 'Price: Low to High' },
     { value: 'price-high', label: 'Price: High to Low' },
+    { value: 'rating', label: 'Customer Rating' },
     { value: 'stock', label: 'Stock' }
   ];
 
@@ -82,6 +83,8 @@ const Category = () => {
           return a.price - b.price;
         case 'price-high':
           return b.price - a.price;
+        case 'rating':
+          return (b.rating || 0) - (a.rating || 0) || (b.reviewCount || 0) - (a.reviewCount || 0);
         case 'stock':
           return b.stock - a.stock;
         case 'name':
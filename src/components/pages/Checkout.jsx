@@ -5,7 +5,7 @@ import { CreditCard, Mail, MapPin, Phone, User } from 'lucide-react'
   import { useCart } from '@/hooks/useCart'
   import { toast } from 'react-toastify'
   import { formatCurrency } from '@/utils/currency'
-  import { clearCart } from '@/store/cartSlice'
+  import { clearCart, selectAppliedCoupon } from '@/store/cartSlice'
 import ApperIcon from "@/components/ApperIcon";
 import { Button } from "@/components/atoms/Button";
 import { Input } from "@/components/atoms/Input";
@@ -13,13 +13,22 @@ import Error from "@/components/ui/Error";
 import Loading from "@/components/ui/Loading";
 import Account from "@/components/pages/Account";
 import PaymentMethod from "@/components/molecules/PaymentMethod";
+import CouponInput from "@/components/molecules/CouponInput";
 import { orderService } from "@/services/api/orderService";
 import { productService } from "@/services/api/productService";
 import { paymentService } from "@/services/api/paymentService";
+import { couponService } from "@/services/api/couponService";
+import { deliveryPricingService, DELIVERY_SLOT_TYPES } from "@/services/api/deliveryPricingService";
+import { deliverySlotService } from "@/services/api/deliverySlotService";
+import { customerService } from "@/services/api/customerService";
+import { LOYALTY_RULES, loyaltyService } from "@/services/api/loyaltyService";
+import { geocodingService } from "@/services/api/geocodingService";
+import sessionService from "@/services/SessionService";
 
 function Checkout() {
   const navigate = useNavigate();
   const { cart, clearCart: clearCartHook } = useCart();
+  const appliedCoupon = useSelector(selectAppliedCoupon);
   const [loading, setLoading] = useState(false);
   const [paymentMethod, setPaymentMethod] = useState('cash');
   const [availablePaymentMethods, setAvailablePaymentMethods] = useState([]);
@@ -36,6 +45,16 @@ function Checkout() {
   const [paymentProof, setPaymentProof] = useState(null);
   const [transactionId, setTransactionId] = useState('');
 const [errors, setErrors] = useState({});
+  const [deliverySlotType, setDeliverySlotType] = useState(DELIVERY_SLOT_TYPES.STANDARD);
+  const [slotCalendar, setSlotCalendar] = useState([]);
+  const [slotsLoading, setSlotsLoading] = useState(false);
+  const [selectedSlotDate, setSelectedSlotDate] = useState(null);
+  const [selectedSlot, setSelectedSlot] = useState(null);
+  const [savedAddresses, setSavedAddresses] = useState([]);
+  const [selectedAddressId, setSelectedAddressId] = useState(null);
+  const [deliveryCoordinates, setDeliveryCoordinates] = useState(null);
+  const [loyaltyBalance, setLoyaltyBalance] = useState(0);
+  const [useLoyaltyPoints, setUseLoyaltyPoints] = useState(false);
 
 // Calculate totals with validated pricing and deals
   const calculateCartTotals = () => {
@@ -46,6 +65,11 @@ const [errors, setErrors] = useState({});
         dealSavings: 0,
         subtotal: 0,
         deliveryCharge: 0,
+        deliveryQuote: null,
+        couponResult: null,
+        couponDiscount: 0,
+        loyaltyPoints: 0,
+        loyaltyDiscount: 0,
         total: 0
       };
     }
@@ -83,24 +107,131 @@ const [errors, setErrors] = useState({});
     });
     
     const discountedSubtotal = subtotal - totalSavings;
-    const deliveryCharge = discountedSubtotal >= 2000 ? 0 : 150;
+    const deliveryQuote = deliveryPricingService.calculateDeliveryFee({
+      items: cart,
+      subtotal: discountedSubtotal,
+      city: formData.city,
+      postalCode: formData.postalCode,
+      coordinates: deliveryCoordinates,
+      slotType: deliverySlotType
+    });
+    const deliveryCharge = deliveryQuote.fee;
+    const couponResult = appliedCoupon
+      ? couponService.evaluateCoupon(appliedCoupon, { items: cart, subtotal: discountedSubtotal, deliveryCharge })
+      : null;
+    const couponDiscount = couponResult?.valid ? couponResult.totalDiscount : 0;
+    const amountDue = Math.max(0, discountedSubtotal + deliveryCharge - couponDiscount) + calculateGatewayFee(discountedSubtotal);
+    const loyaltyQuote = useLoyaltyPoints
+      ? loyaltyService.quoteRedemption(loyaltyBalance, amountDue)
+      : { points: 0, value: 0 };
     
     return {
       originalSubtotal: subtotal,
       dealSavings: totalSavings,
       subtotal: discountedSubtotal,
       deliveryCharge,
-      total: discountedSubtotal + deliveryCharge + calculateGatewayFee(discountedSubtotal)
+      deliveryQuote,
+      couponResult,
+      couponDiscount,
+      loyaltyPoints: loyaltyQuote.points,
+      loyaltyDiscount: loyaltyQuote.value,
+      total: amountDue - loyaltyQuote.value
     };
   };
 // Calculate totals after cart is available
   const totals = calculateCartTotals();
-  const { originalSubtotal, dealSavings, subtotal, deliveryCharge, total } = totals;
+  const { originalSubtotal, dealSavings, subtotal, deliveryCharge, deliveryQuote, couponResult, couponDiscount, loyaltyPoints, loyaltyDiscount, total } = totals;
   const gatewayFee = calculateGatewayFee(subtotal);
 
+  // Guest session ids change on every visit, so guests are tracked by phone for coupon limits
+  function getCustomerKey() {
+    const user = sessionService.getCurrentUser();
+    if (user && user.role !== 'guest') {
+      return user.id;
+    }
+    return formData.phone || user?.id || null;
+  }
+
   useEffect(() => {
     loadPaymentMethods();
+    loadSavedAddresses();
   }, []);
+
+  // Signed-in customers start from their profile and default address
+  async function loadSavedAddresses() {
+    const user = sessionService.getCurrentUser();
+    if (!sessionService.isAuthenticated() || user?.role !== 'customer') return;
+    try {
+      const profile = await customerService.getProfile(user.id);
+      setSavedAddresses(profile.addresses);
+      setLoyaltyBalance(await loyaltyService.getBalance(user.id));
+      setFormData(prev => ({
+        ...prev,
+        name: prev.name || profile.name,
+        phone: prev.phone || profile.phone,
+        email: prev.email || profile.email
+      }));
+      const defaultAddress = profile.addresses.find(a => a.isDefault) || profile.addresses[0];
+      if (defaultAddress) {
+        selectSavedAddress(defaultAddress);
+      }
+    } catch (error) {
+      console.error('Failed to load saved addresses:', error);
+    }
+  }
+
+  function selectSavedAddress(address) {
+    setSelectedAddressId(address?.id || null);
+    setDeliveryCoordinates(address?.coordinates || null);
+    setFormData(prev => ({
+      ...prev,
+      address: address?.address || '',
+      city: address?.city || '',
+      postalCode: address?.postalCode || ''
+    }));
+    setErrors(prev => ({ ...prev, address: '', city: '', postalCode: '' }));
+  }
+
+  // Slot capacity is per zone, so reload the calendar whenever the address moves zones
+  const deliveryZone = deliveryQuote?.zone;
+  const needsDeliverySlot = deliveryQuote?.slotType !== DELIVERY_SLOT_TYPES.EXPRESS;
+  useEffect(() => {
+    if (deliveryZone && needsDeliverySlot) {
+      loadDeliverySlots(deliveryZone);
+    }
+  }, [deliveryZone, needsDeliverySlot]);
+
+  async function loadDeliverySlots(zone) {
+    try {
+      setSlotsLoading(true);
+      const calendar = await deliverySlotService.getAvailability(zone);
+      setSlotCalendar(calendar);
+      setSelectedSlot(prev => {
+        if (!prev) return null;
+        const day = calendar.find(d => d.date === prev.date);
+        const slot = day?.slots.find(s => s.id === prev.slotId);
+        return slot?.isAvailable ? prev : null;
+      });
+      setSelectedSlotDate(prev => {
+        if (prev && calendar.some(d => d.date === prev)) return prev;
+        const firstOpenDay = calendar.find(d => d.slots.some(s => s.isAvailable));
+        return firstOpenDay?.date || calendar[0]?.date || null;
+      });
+    } catch (error) {
+      console.error('Failed to load delivery slots:', error);
+      toast.error('Failed to load delivery slots');
+    } finally {
+      setSlotsLoading(false);
+    }
+  }
+
+  function handleSlotSelect(date, slot) {
+    if (!slot.isAvailable) return;
+    setSelectedSlot({ date, slotId: slot.id, label: slot.label });
+    if (errors.deliverySlot) {
+      setErrors(prev => ({ ...prev, deliverySlot: '' }));
+    }
+  }
   async function loadPaymentMethods() {
     try {
       const methods = await paymentService.getAvailablePaymentMethods();
@@ -135,6 +266,11 @@ function calculateGatewayFee(currentSubtotal = 0) {
 
   function handleInputChange(e) {
     const { name, value } = e.target;
+    // Editing a saved address turns it into a one-off address without the saved pin
+    if (selectedAddressId && ['address', 'city', 'postalCode'].includes(name)) {
+      setSelectedAddressId(null);
+      setDeliveryCoordinates(null);
+    }
     setFormData(prev => ({
       ...prev,
       [name]: value
@@ -201,6 +337,10 @@ toast.info('Payment proof removed');
       newErrors.email = 'Please enter a valid email address';
     }
 
+    if (needsDeliverySlot && !selectedSlot) {
+      newErrors.deliverySlot = 'Please choose a delivery slot';
+    }
+
     // Validate payment proof and transaction ID for non-cash payments
     if (paymentMethod !== 'cash') {
       if (!transactionId.trim()) {
@@ -294,6 +434,8 @@ return Object.keys(newErrors).length === 0;
             name: item.name,
             price: currentProduct.price, // Use validated current price
             quantity: item.quantity,
+            category: currentProduct.category,
+            unit: currentProduct.unit,
             image: item.image,
             validatedAt: new Date().toISOString()
           });
@@ -333,8 +475,41 @@ return Object.keys(newErrors).length === 0;
       });
       
       const finalSubtotal = validatedSubtotal - validatedDealSavings;
-      const validatedDeliveryCharge = finalSubtotal >= 2000 ? 0 : 150;
-      const validatedTotal = finalSubtotal + validatedDeliveryCharge + gatewayFee;
+      // Saved addresses carry their pin; a typed address is geocoded so the order can still be routed
+      const coordinates = deliveryCoordinates || await geocodingService.geocode(formData)
+        .then(result => result.coordinates)
+        .catch(() => null);
+      const validatedDeliveryQuote = deliveryPricingService.calculateDeliveryFee({
+        items: validatedItems,
+        subtotal: finalSubtotal,
+        city: formData.city,
+        postalCode: formData.postalCode,
+        coordinates,
+        slotType: deliverySlotType
+      });
+      const validatedDeliveryCharge = validatedDeliveryQuote.fee;
+      const customerId = getCustomerKey();
+      
+      // Coupon is re-checked against validated prices; orderService enforces limits on create
+      let validatedCouponDiscount = 0;
+      if (appliedCoupon) {
+        const couponCheck = couponService.evaluateCoupon(appliedCoupon, {
+          items: validatedItems,
+          subtotal: finalSubtotal,
+          deliveryCharge: validatedDeliveryCharge
+        });
+        if (!couponCheck.valid) {
+          throw new Error(`Coupon ${appliedCoupon.code} cannot be applied: ${couponCheck.reason}`);
+        }
+        validatedCouponDiscount = couponCheck.totalDiscount;
+      }
+      
+      const validatedAmountDue = Math.max(0, finalSubtotal + validatedDeliveryCharge - validatedCouponDiscount) + gatewayFee;
+      // Points are tender against the amount due; orderService checks them against the ledger again
+      const validatedLoyalty = useLoyaltyPoints
+        ? loyaltyService.quoteRedemption(loyaltyBalance, validatedAmountDue)
+        : { points: 0, value: 0 };
+      const validatedTotal = validatedAmountDue - validatedLoyalty.value;
 
       const orderData = {
         items: validatedItems,
@@ -342,6 +517,16 @@ return Object.keys(newErrors).length === 0;
         dealSavings: validatedDealSavings,
         subtotal: finalSubtotal,
         deliveryCharge: validatedDeliveryCharge,
+        deliveryZone: validatedDeliveryQuote.zone,
+        deliverySlotType: validatedDeliveryQuote.slotType,
+        deliverySlot: validatedDeliveryQuote.slotType === DELIVERY_SLOT_TYPES.STANDARD && selectedSlot
+          ? { date: selectedSlot.date, slotId: selectedSlot.slotId }
+          : null,
+        couponCode: appliedCoupon?.code || null,
+        couponDiscount: validatedCouponDiscount,
+        loyaltyPointsRedeemed: validatedLoyalty.points,
+        loyaltyDiscount: validatedLoyalty.value,
+        customerId,
         gatewayFee,
         total: validatedTotal,
         paymentMethod,
@@ -361,7 +546,10 @@ return Object.keys(newErrors).length === 0;
           address: formData.address,
           city: formData.city,
           postalCode: formData.postalCode,
-          instructions: formData.instructions
+          instructions: formData.instructions,
+          coordinates,
+          addressId: selectedAddressId,
+          label: savedAddresses.find(a => a.id === selectedAddressId)?.label || null
         },
         status: paymentMethod === 'cash' ? 'confirmed' : 'payment_pending',
         verificationStatus: paymentMethod === 'cash' ? null : 'pending',
@@ -380,6 +568,10 @@ const order = await orderService.create(orderData);
       navigate('/orders');
       return order;
     } catch (error) {
+      if (['SLOT_FULL', 'SLOT_CLOSED'].includes(error.code)) {
+        setSelectedSlot(null);
+        loadDeliverySlots(deliveryZone);
+      }
       toast.error('Failed to create order: ' + error.message);
       throw error;
 }
@@ -438,6 +630,7 @@ const order = await orderService.create(orderData);
               itemCount: cart?.length || 0,
               originalAmount: originalSubtotal,
               dealSavings: dealSavings,
+              couponDiscount: couponDiscount,
               deliveryCharge: deliveryCharge
             }
           });
@@ -621,9 +814,56 @@ const order = await orderService.create(orderData);
                     <span>Rs. {subtotal.toLocaleString()}</span>
                   </div>
                   <div className="flex justify-between">
-                    <span>Delivery Charge:</span>
-                    <span>Rs. {deliveryCharge.toLocaleString()}</span>
+                    <span>Delivery Charge{deliveryQuote ? ` (${deliveryQuote.zone})` : ''}:</span>
+                    <span>{deliveryCharge > 0 ? `Rs. ${deliveryCharge.toLocaleString()}` : 'Free'}</span>
                   </div>
+                  {deliveryQuote && (deliveryQuote.breakdown.weightSurcharge > 0 || deliveryQuote.breakdown.expressSurcharge > 0) && (
+                    <div className="text-xs text-gray-500 space-y-1">
+                      {deliveryQuote.breakdown.weightSurcharge > 0 && (
+                        <div className="flex justify-between">
+                          <span>Weight surcharge ({deliveryQuote.weightKg} kg)</span>
+                          <span>Rs. {deliveryQuote.breakdown.weightSurcharge.toLocaleString()}</span>
+                        </div>
+                      )}
+                      {deliveryQuote.breakdown.expressSurcharge > 0 && (
+                        <div className="flex justify-between">
+                          <span>Express delivery</span>
+                          <span>Rs. {deliveryQuote.breakdown.expressSurcharge.toLocaleString()}</span>
+                        </div>
+                      )}
+                    </div>
+                  )}
+                  {deliveryQuote?.amountToFreeDelivery > 0 && (
+                    <p className="text-xs text-blue-600">
+                      Add Rs. {deliveryQuote.amountToFreeDelivery.toLocaleString()} more for free delivery in {deliveryQuote.zone}
+                    </p>
+                  )}
+                  {couponDiscount > 0 && (
+                    <div className="flex justify-between text-green-600">
+                      <span className="flex items-center">
+                        <ApperIcon name="Ticket" size={16} className="mr-1" />
+                        Coupon ({appliedCoupon.code}):
+                      </span>
+                      <span>-Rs. {couponDiscount.toLocaleString()}</span>
+                    </div>
+                  )}
+                  <CouponInput couponResult={couponResult} customerId={getCustomerKey()} />
+                  {loyaltyBalance >= LOYALTY_RULES.minRedeemPoints && (
+                    <label className="flex items-center justify-between text-sm cursor-pointer">
+                      <span className="flex items-center">
+                        <input
+                          type="checkbox"
+                          className="mr-2"
+                          checked={useLoyaltyPoints}
+                          onChange={(e) => setUseLoyaltyPoints(e.target.checked)}
+                        />
+                        Use loyalty points ({loyaltyBalance.toLocaleString()} available)
+                      </span>
+                      {loyaltyDiscount > 0 && (
+                        <span className="text-green-600">-Rs. {loyaltyDiscount.toLocaleString()} ({loyaltyPoints} pts)</span>
+                      )}
+                    </label>
+                  )}
                   {gatewayFee > 0 && (
                     <div className="flex justify-between">
                       <span>Gateway Fee:</span>
@@ -684,6 +924,48 @@ const order = await orderService.create(orderData);
                       error={errors.email}
                     />
                   </div>
+                  {savedAddresses.length > 0 && (
+                    <div>
+                      <div className="flex items-center justify-between mb-2">
+                        <label className="block text-sm font-medium text-gray-700">Saved Addresses</label>
+                        <button type="button" onClick={() => navigate('/account')} className="text-sm text-primary hover:text-primary-dark">
+                          Manage
+                        </button>
+                      </div>
+                      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                        {savedAddresses.map(address => (
+                          <button
+                            key={address.id}
+                            type="button"
+                            onClick={() => selectSavedAddress(address)}
+                            className={`text-left border rounded-lg p-3 transition-colors ${
+                              selectedAddressId === address.id ? 'border-primary bg-primary/5' : 'border-gray-200 hover:border-gray-300'
+                            }`}
+                          >
+                            <div className="flex items-center space-x-2 mb-1">
+                              <ApperIcon name={address.label === 'Office' ? 'Building2' : 'Home'} size={16} className="text-gray-600" />
+                              <span className="font-medium text-gray-900">{address.label}</span>
+                              {address.isDefault && <span className="text-xs text-primary">Default</span>}
+                            </div>
+                            <p className="text-sm text-gray-600 line-clamp-2">{address.address}, {address.city}</p>
+                          </button>
+                        ))}
+                        <button
+                          type="button"
+                          onClick={() => selectSavedAddress(null)}
+                          className={`text-left border rounded-lg p-3 transition-colors ${
+                            selectedAddressId === null ? 'border-primary bg-primary/5' : 'border-gray-200 hover:border-gray-300'
+                          }`}
+                        >
+                          <div className="flex items-center space-x-2 mb-1">
+                            <ApperIcon name="Plus" size={16} className="text-gray-600" />
+                            <span className="font-medium text-gray-900">Another address</span>
+                          </div>
+                          <p className="text-sm text-gray-600">Enter it below for this order</p>
+                        </button>
+                      </div>
+                    </div>
+                  )}
                   <div>
                     <Input
                       label="Address"
@@ -712,6 +994,101 @@ const order = await orderService.create(orderData);
                       required
                     />
                   </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Delivery Speed</label>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                      {deliveryPricingService.getSlots().map(slot => {
+                        const isExpress = slot.id === DELIVERY_SLOT_TYPES.EXPRESS;
+                        const unavailable = isExpress && deliveryQuote && !deliveryQuote.expressAvailable;
+                        return (
+                          <button
+                            key={slot.id}
+                            type="button"
+                            disabled={unavailable}
+                            onClick={() => setDeliverySlotType(slot.id)}
+                            className={`text-left p-3 rounded-lg border-2 transition-colors ${
+                              deliverySlotType === slot.id && !unavailable
+                                ? 'border-primary bg-primary/5'
+                                : 'border-gray-200 hover:border-gray-300'
+                            } ${unavailable ? 'opacity-50 cursor-not-allowed' : ''}`}
+                          >
+                            <div className="font-medium text-sm">{slot.label}</div>
+                            <div className="text-xs text-gray-500">
+                              {unavailable ? `Not available in ${deliveryQuote.zone}` : slot.description}
+                            </div>
+                          </button>
+                        );
+                      })}
+                    </div>
+                  </div>
+                  {needsDeliverySlot && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Delivery Slot <span className="text-red-500">*</span>
+                      </label>
+                      {slotsLoading && slotCalendar.length === 0 ? (
+                        <p className="text-sm text-gray-500">Loading available slots...</p>
+                      ) : (
+                        <>
+                          <div className="flex space-x-2 overflow-x-auto pb-2 mb-3">
+                            {slotCalendar.map(day => {
+                              const dayDate = new Date(`${day.date}T00:00:00`);
+                              const openSlots = day.slots.filter(s => s.isAvailable).length;
+                              return (
+                                <button
+                                  key={day.date}
+                                  type="button"
+                                  onClick={() => setSelectedSlotDate(day.date)}
+                                  className={`flex-shrink-0 w-16 py-2 rounded-lg border-2 text-center transition-colors ${
+                                    selectedSlotDate === day.date
+                                      ? 'border-primary bg-primary/5'
+                                      : 'border-gray-200 hover:border-gray-300'
+                                  } ${openSlots === 0 ? 'opacity-50' : ''}`}
+                                >
+                                  <div className="text-xs text-gray-500">
+                                    {dayDate.toLocaleDateString('en-US', { weekday: 'short' })}
+                                  </div>
+                                  <div className="text-lg font-semibold">{dayDate.getDate()}</div>
+                                  <div className="text-xs text-gray-500">
+                                    {dayDate.toLocaleDateString('en-US', { month: 'short' })}
+                                  </div>
+                                </button>
+                              );
+                            })}
+                          </div>
+                          <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+                            {(slotCalendar.find(d => d.date === selectedSlotDate)?.slots || []).map(slot => {
+                              const isSelected = selectedSlot?.date === selectedSlotDate && selectedSlot?.slotId === slot.id;
+                              return (
+                                <button
+                                  key={slot.id}
+                                  type="button"
+                                  disabled={!slot.isAvailable}
+                                  onClick={() => handleSlotSelect(selectedSlotDate, slot)}
+                                  className={`p-2 rounded-lg border-2 text-sm transition-colors ${
+                                    isSelected
+                                      ? 'border-primary bg-primary/5 text-primary'
+                                      : 'border-gray-200 hover:border-gray-300'
+                                  } ${!slot.isAvailable ? 'bg-gray-50 text-gray-400 cursor-not-allowed' : ''}`}
+                                >
+                                  <div className="font-medium">{slot.label}</div>
+                                  <div className="text-xs">
+                                    {slot.isClosed ? 'Closed' : slot.isFull ? 'Full' : `${slot.remaining} left`}
+                                  </div>
+                                </button>
+                              );
+                            })}
+                          </div>
+                        </>
+                      )}
+                      {errors.deliverySlot && (
+                        <p className="text-sm text-red-600 flex items-center mt-2">
+                          <ApperIcon name="AlertCircle" size={16} className="mr-1" />
+                          {errors.deliverySlot}
+                        </p>
+                      )}
+                    </div>
+                  )}
                   <div>
                     <Input
                       label="Delivery Instructions"
@@ -0,0 +1,516 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import ApperIcon from '@/components/ApperIcon';
+import Button from '@/components/atoms/Button';
+import Input from '@/components/atoms/Input';
+import Loading from '@/components/ui/Loading';
+import { couponService, COUPON_TYPES } from '@/services/api/couponService';
+import { productService } from '@/services/api/productService';
+
+const TYPE_LABELS = {
+  [COUPON_TYPES.PERCENTAGE]: 'Percentage',
+  [COUPON_TYPES.FIXED]: 'Fixed Amount',
+  [COUPON_TYPES.FREE_DELIVERY]: 'Free Delivery'
+};
+
+const emptyForm = {
+  code: '',
+  description: '',
+  type: COUPON_TYPES.PERCENTAGE,
+  value: '',
+  maxDiscount: '',
+  minOrderAmount: '',
+  categories: [],
+  usageLimit: '',
+  perCustomerLimit: '1',
+  startsAt: '',
+  expiresAt: '',
+  isActive: true
+};
+
+const toDateInput = (value) => (value ? value.slice(0, 10) : '');
+
+const CouponManagement = () => {
+  const [coupons, setCoupons] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [showModal, setShowModal] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [editingCoupon, setEditingCoupon] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+
+  useEffect(() => {
+    loadCoupons();
+    loadCategories();
+  }, []);
+
+  const loadCoupons = async () => {
+    try {
+      setLoading(true);
+      const [data, couponStats] = await Promise.all([
+        couponService.getAll(),
+        couponService.getCouponStats()
+      ]);
+      setCoupons(data);
+      setStats(couponStats);
+      setError(null);
+    } catch (err) {
+      setError('Failed to load coupons');
+      toast.error('Failed to load coupons');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadCategories = async () => {
+    try {
+      const products = await productService.getAll('admin');
+      setCategories([...new Set(products.map(p => p.category).filter(Boolean))]);
+    } catch (err) {
+      console.error('Failed to load product categories:', err);
+    }
+  };
+
+  const getCouponStatus = (coupon) => {
+    const now = new Date();
+    if (coupon.expiresAt && new Date(coupon.expiresAt) < now) return 'expired';
+    if (!coupon.isActive) return 'inactive';
+    if (coupon.startsAt && new Date(coupon.startsAt) > now) return 'scheduled';
+    if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) return 'exhausted';
+    return 'active';
+  };
+
+  const statusStyles = {
+    active: 'bg-green-100 text-green-800',
+    scheduled: 'bg-blue-100 text-blue-800',
+    inactive: 'bg-gray-100 text-gray-800',
+    exhausted: 'bg-yellow-100 text-yellow-800',
+    expired: 'bg-red-100 text-red-800'
+  };
+
+  const formatDiscount = (coupon) => {
+    if (coupon.type === COUPON_TYPES.PERCENTAGE) {
+      return `${coupon.value}%${coupon.maxDiscount ? ` (max Rs. ${coupon.maxDiscount.toLocaleString()})` : ''}`;
+    }
+    if (coupon.type === COUPON_TYPES.FIXED) {
+      return `Rs. ${coupon.value.toLocaleString()}`;
+    }
+    return 'Free delivery';
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const payload = {
+        ...formData,
+        startsAt: formData.startsAt ? new Date(formData.startsAt).toISOString() : null,
+        expiresAt: formData.expiresAt ? new Date(`${formData.expiresAt}T23:59:59`).toISOString() : null
+      };
+
+      if (editingCoupon) {
+        await couponService.update(editingCoupon.id, payload);
+        toast.success('Coupon updated successfully');
+      } else {
+        await couponService.create(payload);
+        toast.success('Coupon created successfully');
+      }
+      loadCoupons();
+      handleCloseModal();
+    } catch (err) {
+      toast.error(err.message || 'Failed to save coupon');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (coupon) => {
+    if (window.confirm(`Delete coupon ${coupon.code}? This cannot be undone.`)) {
+      try {
+        await couponService.delete(coupon.id);
+        toast.success('Coupon deleted successfully');
+        loadCoupons();
+      } catch (err) {
+        toast.error('Failed to delete coupon');
+      }
+    }
+  };
+
+  const handleToggle = async (coupon) => {
+    try {
+      const updated = await couponService.toggleStatus(coupon.id);
+      toast.success(`Coupon ${updated.code} ${updated.isActive ? 'activated' : 'deactivated'}`);
+      loadCoupons();
+    } catch (err) {
+      toast.error('Failed to update coupon status');
+    }
+  };
+
+  const handleEdit = (coupon) => {
+    setEditingCoupon(coupon);
+    setFormData({
+      code: coupon.code,
+      description: coupon.description || '',
+      type: coupon.type,
+      value: coupon.value?.toString() || '',
+      maxDiscount: coupon.maxDiscount?.toString() || '',
+      minOrderAmount: coupon.minOrderAmount?.toString() || '',
+      categories: coupon.categories || [],
+      usageLimit: coupon.usageLimit?.toString() || '',
+      perCustomerLimit: coupon.perCustomerLimit?.toString() || '',
+      startsAt: toDateInput(coupon.startsAt),
+      expiresAt: toDateInput(coupon.expiresAt),
+      isActive: coupon.isActive
+    });
+    setShowModal(true);
+  };
+
+  const handleAdd = () => {
+    setEditingCoupon(null);
+    setFormData(emptyForm);
+    setShowModal(true);
+  };
+
+  const handleCloseModal = () => {
+    setShowModal(false);
+    setEditingCoupon(null);
+    setFormData(emptyForm);
+  };
+
+  const toggleCategory = (category) => {
+    setFormData(prev => ({
+      ...prev,
+      categories: prev.categories.includes(category)
+        ? prev.categories.filter(c => c !== category)
+        : [...prev.categories, category]
+    }));
+  };
+
+  const filteredCoupons = coupons.filter(coupon => {
+    const term = searchTerm.toLowerCase();
+    const matchesSearch = coupon.code.toLowerCase().includes(term) ||
+                         (coupon.description || '').toLowerCase().includes(term);
+    const matchesStatus = statusFilter === 'all' || getCouponStatus(coupon) === statusFilter;
+    return matchesSearch && matchesStatus;
+  });
+
+  if (loading) return <Loading type="page" />;
+  if (error) return <div className="text-center py-8 text-red-600">{error}</div>;
+
+  return (
+    <div className="p-6">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-4 mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Coupon Management</h2>
+          <p className="text-gray-600">Create and manage promo codes for Cart and Checkout</p>
+        </div>
+        <Button onClick={handleAdd} className="flex items-center gap-2">
+          <ApperIcon name="Plus" size={20} />
+          Add Coupon
+        </Button>
+      </div>
+
+      {/* Stats */}
+      {stats && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+          <div className="card p-4">
+            <p className="text-sm text-gray-600">Total Coupons</p>
+            <p className="text-2xl font-bold text-gray-900">{stats.total}</p>
+          </div>
+          <div className="card p-4">
+            <p className="text-sm text-gray-600">Active</p>
+            <p className="text-2xl font-bold text-green-600">{stats.active}</p>
+          </div>
+          <div className="card p-4">
+            <p className="text-sm text-gray-600">Redemptions</p>
+            <p className="text-2xl font-bold text-blue-600">{stats.totalRedemptions}</p>
+          </div>
+          <div className="card p-4">
+            <p className="text-sm text-gray-600">Discount Given</p>
+            <p className="text-2xl font-bold text-primary">Rs. {stats.totalDiscountGiven.toLocaleString()}</p>
+          </div>
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+        <Input
+          placeholder="Search coupons..."
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          className="w-full"
+        />
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          className="input-field"
+        >
+          <option value="all">All Statuses</option>
+          <option value="active">Active</option>
+          <option value="scheduled">Scheduled</option>
+          <option value="inactive">Inactive</option>
+          <option value="exhausted">Usage Limit Reached</option>
+          <option value="expired">Expired</option>
+        </select>
+        <div className="flex items-center gap-2 text-sm text-gray-600">
+          <ApperIcon name="Ticket" size={16} />
+          <span>{filteredCoupons.length} coupons</span>
+        </div>
+      </div>
+
+      {/* Coupon List */}
+      <div className="overflow-x-auto">
+        <table className="w-full border-collapse bg-white rounded-lg shadow-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Code
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Discount
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Conditions
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Usage
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Status
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Actions
+              </th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {filteredCoupons.map((coupon) => {
+              const status = getCouponStatus(coupon);
+              return (
+                <tr key={coupon.id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="text-sm font-mono font-semibold text-gray-900">{coupon.code}</div>
+                    <div className="text-sm text-gray-500">{coupon.description}</div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    <div>{formatDiscount(coupon)}</div>
+                    <div className="text-xs text-gray-500">{TYPE_LABELS[coupon.type]}</div>
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-900">
+                    <div>Min order: Rs. {(coupon.minOrderAmount || 0).toLocaleString()}</div>
+                    {coupon.categories?.length > 0 && (
+                      <div className="text-xs text-gray-500">Only: {coupon.categories.join(', ')}</div>
+                    )}
+                    {coupon.expiresAt && (
+                      <div className="text-xs text-gray-500">Expires {new Date(coupon.expiresAt).toLocaleDateString()}</div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    <div>{coupon.usedCount || 0}{coupon.usageLimit ? ` / ${coupon.usageLimit}` : ''}</div>
+                    <div className="text-xs text-gray-500">
+                      {coupon.perCustomerLimit ? `${coupon.perCustomerLimit} per customer` : 'No per-customer limit'}
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${statusStyles[status]}`}>
+                      {status}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                    <div className="flex items-center gap-2">
+                      <button
+                        onClick={() => handleToggle(coupon)}
+                        className="text-gray-600 hover:text-gray-800"
+                        title={coupon.isActive ? 'Deactivate' : 'Activate'}
+                      >
+                        <ApperIcon name={coupon.isActive ? 'ToggleRight' : 'ToggleLeft'} size={16} />
+                      </button>
+                      <button
+                        onClick={() => handleEdit(coupon)}
+                        className="text-primary hover:text-primary/80"
+                      >
+                        <ApperIcon name="Edit" size={16} />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(coupon)}
+                        className="text-red-600 hover:text-red-800"
+                      >
+                        <ApperIcon name="Trash2" size={16} />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {filteredCoupons.length === 0 && (
+          <div className="text-center py-8 text-gray-500">No coupons match your filters</div>
+        )}
+      </div>
+
+      {/* Modal */}
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+            <div className="p-6">
+              <div className="flex justify-between items-center mb-4">
+                <h3 className="text-lg font-semibold">
+                  {editingCoupon ? 'Edit Coupon' : 'Add Coupon'}
+                </h3>
+                <button
+                  onClick={handleCloseModal}
+                  className="text-gray-400 hover:text-gray-600"
+                >
+                  <ApperIcon name="X" size={24} />
+                </button>
+              </div>
+
+              <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <Input
+                    label="Code"
+                    value={formData.code}
+                    onChange={(e) => setFormData({...formData, code: e.target.value.toUpperCase()})}
+                    placeholder="e.g. SAVE10"
+                    required
+                  />
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Type
+                    </label>
+                    <select
+                      value={formData.type}
+                      onChange={(e) => setFormData({...formData, type: e.target.value})}
+                      className="input-field"
+                    >
+                      {Object.entries(TYPE_LABELS).map(([type, label]) => (
+                        <option key={type} value={type}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="md:col-span-2">
+                    <Input
+                      label="Description"
+                      value={formData.description}
+                      onChange={(e) => setFormData({...formData, description: e.target.value})}
+                    />
+                  </div>
+                  {formData.type !== COUPON_TYPES.FREE_DELIVERY && (
+                    <Input
+                      label={formData.type === COUPON_TYPES.PERCENTAGE ? 'Discount (%)' : 'Discount (Rs.)'}
+                      type="number"
+                      min="0"
+                      value={formData.value}
+                      onChange={(e) => setFormData({...formData, value: e.target.value})}
+                      required
+                    />
+                  )}
+                  {formData.type === COUPON_TYPES.PERCENTAGE && (
+                    <Input
+                      label="Max Discount (Rs.)"
+                      type="number"
+                      min="0"
+                      value={formData.maxDiscount}
+                      onChange={(e) => setFormData({...formData, maxDiscount: e.target.value})}
+                      placeholder="No cap"
+                    />
+                  )}
+                  <Input
+                    label="Minimum Order (Rs.)"
+                    type="number"
+                    min="0"
+                    value={formData.minOrderAmount}
+                    onChange={(e) => setFormData({...formData, minOrderAmount: e.target.value})}
+                  />
+                  <Input
+                    label="Total Usage Limit"
+                    type="number"
+                    min="0"
+                    value={formData.usageLimit}
+                    onChange={(e) => setFormData({...formData, usageLimit: e.target.value})}
+                    placeholder="Unlimited"
+                  />
+                  <Input
+                    label="Uses Per Customer"
+                    type="number"
+                    min="0"
+                    value={formData.perCustomerLimit}
+                    onChange={(e) => setFormData({...formData, perCustomerLimit: e.target.value})}
+                    placeholder="Unlimited"
+                  />
+                  <Input
+                    label="Starts"
+                    type="date"
+                    value={formData.startsAt}
+                    onChange={(e) => setFormData({...formData, startsAt: e.target.value})}
+                  />
+                  <Input
+                    label="Expires"
+                    type="date"
+                    value={formData.expiresAt}
+                    onChange={(e) => setFormData({...formData, expiresAt: e.target.value})}
+                  />
+                  <div className="flex items-center gap-2 pt-6">
+                    <input
+                      id="coupon-active"
+                      type="checkbox"
+                      checked={formData.isActive}
+                      onChange={(e) => setFormData({...formData, isActive: e.target.checked})}
+                      className="rounded border-gray-300 text-primary focus:ring-primary"
+                    />
+                    <label htmlFor="coupon-active" className="text-sm text-gray-700">Active</label>
+                  </div>
+                </div>
+
+                {categories.length > 0 && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Limit to categories <span className="text-gray-400 font-normal">(leave empty for whole cart)</span>
+                    </label>
+                    <div className="flex flex-wrap gap-2">
+                      {categories.map(category => (
+                        <button
+                          key={category}
+                          type="button"
+                          onClick={() => toggleCategory(category)}
+                          className={`px-3 py-1 rounded-full text-sm border transition-colors ${
+                            formData.categories.includes(category)
+                              ? 'bg-primary text-white border-primary'
+                              : 'bg-white text-gray-700 border-gray-300 hover:border-primary'
+                          }`}
+                        >
+                          {category}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                <div className="flex justify-end gap-3 pt-4">
+                  <Button
+                    type="button"
+                    variant="outline"
+                    onClick={handleCloseModal}
+                  >
+                    Cancel
+                  </Button>
+                  <Button type="submit" loading={saving}>
+                    {editingCoupon ? 'Update' : 'Create'} Coupon
+                  </Button>
+                </div>
+              </form>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CouponManagement;
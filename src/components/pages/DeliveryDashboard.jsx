@@ -2,10 +2,14 @@ import React, { useEffect, useState } from "react";
 import { toast } from "react-toastify";
 import clipboardService from "@/services/ClipboardService";
 import { deliveryPersonnelService } from "@/services/api/deliveryPersonnelService";
+import { deliverySlotService } from "@/services/api/deliverySlotService";
 import { orderService } from "@/services/api/orderService";
+import { routePlanningService } from "@/services/api/routePlanningService";
+import webSocketService from "@/services/api/websocketService";
 import ApperIcon from "@/components/ApperIcon";
 import Orders from "@/components/pages/Orders";
 import Button from "@/components/atoms/Button";
+import DeliveryMap from "@/components/molecules/DeliveryMap";
 import Error from "@/components/ui/Error";
 import Loading from "@/components/ui/Loading";
 
@@ -16,12 +20,25 @@ function DeliveryDashboard() {
   const [error, setError] = useState(null);
   const [selectedOrder, setSelectedOrder] = useState(null);
   const [assignModalOpen, setAssignModalOpen] = useState(false);
-  const [mapCenter, setMapCenter] = useState({ lat: 31.5204, lng: 74.3587 });
+  const [mapExpanded, setMapExpanded] = useState(false);
+  const [routePlan, setRoutePlan] = useState(null);
+  const [planning, setPlanning] = useState(false);
+  const [dispatchingRiderId, setDispatchingRiderId] = useState(null);
 
   useEffect(() => {
     loadData();
   }, []);
 
+  // Move rider markers as location updates stream in
+  useEffect(() => {
+    const unsubscribe = webSocketService.subscribeToRiderLocations((data) => {
+      setPersonnel(prev => prev.map(person => person.Id === data.riderId
+        ? { ...person, currentLocation: { lat: data.lat, lng: data.lng }, lastLocationAt: data.timestamp }
+        : person));
+    });
+    return unsubscribe;
+  }, []);
+
   const loadData = async () => {
     try {
       setLoading(true);
@@ -59,7 +76,13 @@ function DeliveryDashboard() {
 const handleStatusUpdate = async (orderId, status) => {
     try {
       const actualDelivery = status === 'delivered' ? new Date().toISOString() : null;
-      await orderService.updateDeliveryStatus(orderId, status, actualDelivery);
+      const details = { actor: 'dispatch' };
+      if (status === 'delivered') {
+        const otp = window.prompt('Enter the delivery code the customer received');
+        if (!otp) return;
+        details.otp = otp;
+      }
+      await orderService.updateDeliveryStatus(orderId, status, actualDelivery, details);
       
       // Update order status to align with delivery status
       let orderStatus = null;
@@ -68,6 +91,7 @@ const handleStatusUpdate = async (orderId, status) => {
           orderStatus = 'packed';
           break;
         case 'out_for_delivery':
+        case 'arrived':
           orderStatus = 'shipped';
           break;
         case 'delivered':
@@ -92,8 +116,97 @@ const handleStatusUpdate = async (orderId, status) => {
       toast.success('Delivery status updated successfully');
       loadData();
     } catch (err) {
-      toast.error('Failed to update delivery status');
+      toast.error(err.code ? err.message : 'Failed to update delivery status');
+    }
+  };
+
+  const handlePlanRoutes = async () => {
+    try {
+      setPlanning(true);
+      const plan = await routePlanningService.getRoutePlan();
+      setRoutePlan(plan);
+      if (plan.routes.length === 0) {
+        toast.info('No routes to plan - all orders are assigned or no riders are available');
+      }
+    } catch (err) {
+      toast.error('Failed to plan routes');
+    } finally {
+      setPlanning(false);
+    }
+  };
+
+  const handleDispatchRoute = async (route) => {
+    try {
+      setDispatchingRiderId(route.riderId);
+      await routePlanningService.dispatchRoute(route);
+      toast.success(`Dispatched ${route.stops.length} orders to ${route.riderName}`);
+      setRoutePlan(prev => prev && {
+        ...prev,
+        routes: prev.routes.filter(r => r.riderId !== route.riderId)
+      });
+      loadData();
+    } catch (err) {
+      toast.error('Failed to dispatch route');
+    } finally {
+      setDispatchingRiderId(null);
+    }
+  };
+
+  // Click an unassigned order, then a rider, to assign from the map
+  const handleMapOrderClick = (order) => {
+    if (order.deliveryPersonId) {
+      toast.info(`Order #${order.id} is already assigned`);
+      return;
+    }
+    setSelectedOrder(prev => (prev?.id === order.id ? null : order));
+  };
+
+  const handleMapRiderClick = (rider) => {
+    if (!selectedOrder || assignModalOpen) return;
+    if (rider.status !== 'available') {
+      toast.warning(`${rider.name} is not available`);
+      return;
     }
+    handleAssignDelivery(selectedOrder.id, rider.Id);
+  };
+
+  // Planned routes are drawn dashed; dispatched routes come from the orders' stored stop sequence
+  const getMapRoutes = () => {
+    const dispatched = {};
+    orders
+      .filter(order => order.deliveryRoute?.routeId && order.deliveryPersonId)
+      .sort((a, b) => a.deliveryRoute.sequence - b.deliveryRoute.sequence)
+      .forEach(order => {
+        const key = order.deliveryRoute.routeId;
+        if (!dispatched[key]) {
+          dispatched[key] = { riderId: order.deliveryPersonId, stops: [] };
+        }
+        dispatched[key].stops.push({ orderId: order.id, coordinates: order.deliveryAddress?.coordinates });
+      });
+
+    const planned = (routePlan?.routes || []).map(route => ({ ...route, planned: true }));
+    return [...Object.values(dispatched), ...planned];
+  };
+
+  // ETA per order from each rider's latest position through their remaining stops
+  const getLiveEtas = () => {
+    const etas = {};
+    personnel.forEach(person => {
+      const riderOrders = orders
+        .filter(order => order.deliveryPersonId === person.Id &&
+          ['assigned', 'picked_up', 'out_for_delivery', 'arrived'].includes(order.deliveryStatus))
+        .sort((a, b) => (a.deliveryRoute?.sequence ?? 99) - (b.deliveryRoute?.sequence ?? 99));
+      if (riderOrders.length === 0) return;
+
+      routePlanningService.estimateArrivals(
+        person.currentLocation,
+        riderOrders.map(order => ({ orderId: order.id, coordinates: order.deliveryAddress?.coordinates })),
+        person.vehicleType
+      ).forEach(stop => {
+        etas[stop.orderId] = stop;
+      });
+    });
+    return etas;
   };
 
   const getStatusColor = (status) => {
@@ -102,11 +215,36 @@ const handleStatusUpdate = async (orderId, status) => {
       'assigned': 'bg-blue-100 text-blue-800',
       'picked_up': 'bg-purple-100 text-purple-800',
       'out_for_delivery': 'bg-orange-100 text-orange-800',
+      'arrived': 'bg-teal-100 text-teal-800',
       'delivered': 'bg-green-100 text-green-800'
     };
     return colors[status] || 'bg-gray-100 text-gray-800';
   };
 
+  // Orders grouped by booked delivery window, earliest first; unscheduled orders go last
+  const getSlotGroups = () => {
+    const groups = {};
+    orders.forEach(order => {
+      const slot = order.deliverySlot;
+      const key = slot?.date && slot?.slotId ? `${slot.date}|${slot.slotId}` : 'unscheduled';
+      if (!groups[key]) {
+        const window = slot ? deliverySlotService.getWindow(slot.slotId) : null;
+        groups[key] = {
+          key,
+          date: slot?.date || null,
+          label: window?.label || slot?.label || 'Unscheduled',
+          sortKey: slot ? `${slot.date} ${window?.start || ''}` : '9999',
+          orders: [],
+          zones: {}
+        };
+      }
+      const zone = order.deliveryZone || 'Unzoned';
+      groups[key].orders.push(order);
+      groups[key].zones[zone] = (groups[key].zones[zone] || 0) + 1;
+    });
+    return Object.values(groups).sort((a, b) => a.sortKey.localeCompare(b.sortKey));
+  };
+
   const getPersonnelStatusColor = (status) => {
     const colors = {
       'available': 'bg-green-100 text-green-800',
@@ -202,32 +340,30 @@ return (
       {/* Mobile-responsive two-column layout */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 sm:gap-8">
         {/* Mobile-responsive delivery map */}
-        <div className="card p-4 sm:p-6">
+        <div className={`card p-4 sm:p-6 ${mapExpanded ? 'lg:col-span-2' : ''}`}>
           <h2 className="text-lg sm:text-xl font-semibold text-gray-900 mb-4">Delivery Map</h2>
-          <div className="bg-gray-100 rounded-lg h-64 sm:h-96 flex items-center justify-center mb-4">
-            <div className="text-center px-4">
-              <ApperIcon name="Map" size={40} className="text-gray-400 mx-auto mb-4 sm:w-12 sm:h-12" />
-              <p className="text-sm sm:text-base text-gray-600">Interactive map showing delivery locations</p>
-              <p className="text-xs sm:text-sm text-gray-500 mt-2">
-                Map integration would display real-time delivery tracking
-              </p>
-            </div>
-          </div>
-          <div className="flex flex-col sm:flex-row justify-between items-center gap-3 sm:gap-0">
-            <Button
-              variant="outline"
-              onClick={() => setMapCenter({ lat: 31.5204, lng: 74.3587 })}
-              className="flex items-center space-x-2 w-full sm:w-auto touch-manipulation"
-            >
-              <ApperIcon name="RotateCcw" size={16} />
-              <span>Reset View</span>
-            </Button>
+          <DeliveryMap
+            orders={orders}
+            riders={personnel}
+            routes={getMapRoutes()}
+            selectedOrderId={selectedOrder && !assignModalOpen ? selectedOrder.id : null}
+            onOrderClick={handleMapOrderClick}
+            onRiderClick={handleMapRiderClick}
+            className={`${mapExpanded ? 'h-[32rem] sm:h-[40rem]' : 'h-64 sm:h-96'} mb-4`}
+          />
+          <div className="flex flex-col sm:flex-row justify-between items-center gap-3">
+            <p className="text-xs sm:text-sm text-gray-600">
+              {selectedOrder && !assignModalOpen
+                ? `Order #${selectedOrder.id} selected - click an available rider to assign`
+                : 'Click an unassigned order, then a rider, to assign it'}
+            </p>
             <Button
               variant="outline"
+              onClick={() => setMapExpanded(prev => !prev)}
               className="flex items-center space-x-2 w-full sm:w-auto touch-manipulation"
             >
-              <ApperIcon name="Maximize" size={16} />
-              <span>Fullscreen</span>
+              <ApperIcon name={mapExpanded ? 'Minimize' : 'Maximize'} size={16} />
+              <span>{mapExpanded ? 'Collapse' : 'Expand'}</span>
             </Button>
           </div>
         </div>
@@ -277,6 +413,149 @@ return (
         </div>
       </div>
 
+      {/* Route planner */}
+      <div className="card mt-6 sm:mt-8 p-4 sm:p-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+          <div>
+            <h2 className="text-lg sm:text-xl font-semibold text-gray-900">Route Planner</h2>
+            <p className="text-sm text-gray-500">Batch unassigned orders onto available riders</p>
+          </div>
+          <Button
+            variant="primary"
+            onClick={handlePlanRoutes}
+            disabled={planning}
+            className="flex items-center space-x-2 w-full sm:w-auto touch-manipulation"
+          >
+            <ApperIcon name={planning ? 'Loader2' : 'Route'} size={16} className={planning ? 'animate-spin' : ''} />
+            <span>{planning ? 'Planning...' : routePlan ? 'Re-plan Routes' : 'Plan Routes'}</span>
+          </Button>
+        </div>
+
+        {routePlan && (
+          <div className="space-y-4">
+            {routePlan.routes.map(route => (
+              <div key={route.riderId} className="border border-gray-200 rounded-lg">
+                <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 p-3 bg-gray-50 rounded-t-lg">
+                  <div>
+                    <p className="font-medium text-gray-900">
+                      {route.riderName} <span className="text-sm text-gray-500">({route.vehicleType}, {route.zone})</span>
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {route.stops.length}/{route.capacity.maxStops} stops · {route.loadKg}/{route.capacity.maxWeightKg} kg · {route.totalKm} km · ~{route.totalMinutes} min
+                    </p>
+                  </div>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => handleDispatchRoute(route)}
+                    disabled={dispatchingRiderId !== null}
+                    className="touch-manipulation"
+                  >
+                    <ApperIcon name="Send" size={14} className="mr-1" />
+                    {dispatchingRiderId === route.riderId ? 'Dispatching...' : 'Dispatch'}
+                  </Button>
+                </div>
+                <ol className="divide-y divide-gray-100">
+                  {route.stops.map(stop => (
+                    <li key={stop.orderId} className="flex items-center justify-between px-3 py-2 text-sm">
+                      <div className="flex items-center space-x-3 min-w-0">
+                        <span className="w-6 h-6 flex-shrink-0 rounded-full bg-primary text-white text-xs flex items-center justify-center">
+                          {stop.sequence}
+                        </span>
+                        <div className="min-w-0">
+                          <p className="font-medium text-gray-900 truncate">#{stop.orderId} · {stop.customerName}</p>
+                          <p className="text-xs text-gray-500 truncate">{stop.address}, {stop.city}</p>
+                        </div>
+                      </div>
+                      <div className="text-right flex-shrink-0 ml-2">
+                        <p className="font-medium text-gray-900">
+                          {new Date(stop.eta).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}
+                        </p>
+                        <p className="text-xs text-gray-500">+{stop.legKm} km</p>
+                      </div>
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            ))}
+
+            {routePlan.unassigned.length > 0 && (
+              <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3">
+                <p className="text-sm font-medium text-yellow-800 mb-1">
+                  {routePlan.unassigned.length} {routePlan.unassigned.length === 1 ? 'order' : 'orders'} could not be batched
+                </p>
+                <ul className="text-xs text-yellow-700 space-y-0.5">
+                  {routePlan.unassigned.map(item => (
+                    <li key={item.orderId}>#{item.orderId}: {item.reason}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Orders grouped by delivery slot */}
+      <div className="card mt-6 sm:mt-8 p-4 sm:p-6">
+        <h2 className="text-lg sm:text-xl font-semibold text-gray-900 mb-4">Orders by Delivery Slot</h2>
+        {orders.length === 0 ? (
+          <p className="text-sm text-gray-500">No active orders</p>
+        ) : (
+          <div className="space-y-4">
+            {(() => {
+              const liveEtas = getLiveEtas();
+              return getSlotGroups().map(group => (
+              <div key={group.key} className="border border-gray-200 rounded-lg">
+                <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 p-3 bg-gray-50 rounded-t-lg">
+                  <div className="flex items-center space-x-2">
+                    <ApperIcon name={group.date ? 'CalendarClock' : 'CalendarX'} size={16} className="text-primary" />
+                    <span className="font-medium text-gray-900">{group.label}</span>
+                    {group.date && (
+                      <span className="text-sm text-gray-500">
+                        {new Date(`${group.date}T00:00:00`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}
+                      </span>
+                    )}
+                    <span className="text-xs bg-primary/10 text-primary px-2 py-0.5 rounded-full">
+                      {group.orders.length} {group.orders.length === 1 ? 'order' : 'orders'}
+                    </span>
+                  </div>
+                  <div className="flex flex-wrap gap-1">
+                    {Object.entries(group.zones).map(([zone, count]) => (
+                      <span key={zone} className="text-xs bg-white border border-gray-200 text-gray-600 px-2 py-0.5 rounded">
+                        {zone}: {count}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+                <div className="divide-y divide-gray-100">
+                  {group.orders.map(order => (
+                    <div key={order.id} className="flex items-center justify-between px-3 py-2 text-sm">
+                      <div className="min-w-0">
+                        <span className="font-medium text-gray-900">#{order.id}</span>
+                        <span className="text-gray-500 ml-2 truncate">
+                          {order.deliveryAddress?.name} · {order.deliveryAddress?.city}
+                        </span>
+                      </div>
+                      <div className="flex items-center space-x-2 flex-shrink-0">
+                        {liveEtas[order.id] && (
+                          <span className="text-xs text-gray-600" title={`${liveEtas[order.id].distanceKm} km away`}>
+                            ETA {new Date(liveEtas[order.id].eta).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}
+                          </span>
+                        )}
+                        <span className={`inline-flex px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(order.deliveryStatus)}`}>
+                          {(order.deliveryStatus || 'pending_assignment').replace('_', ' ')}
+                        </span>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+              ));
+            })()}
+          </div>
+        )}
+      </div>
+
       {/* Mobile-responsive orders list */}
       <div className="card mt-6 sm:mt-8">
         <div className="p-4 sm:p-6 border-b">
@@ -371,7 +650,7 @@ return (
                         Out for Delivery
                       </Button>
                     )}
-                    {order.deliveryStatus === 'out_for_delivery' && (
+                    {['out_for_delivery', 'arrived'].includes(order.deliveryStatus) && (
                       <Button
                         variant="primary"
                         size="sm"
@@ -493,7 +772,7 @@ return (
                               Out for Delivery
                             </Button>
                           )}
-                          {order.deliveryStatus === 'out_for_delivery' && (
+                          {['out_for_delivery', 'arrived'].includes(order.deliveryStatus) && (
                             <Button
                               variant="primary"
                               size="sm"
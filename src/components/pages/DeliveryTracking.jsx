@@ -69,11 +69,17 @@ const DeliveryTracking = () => {
 
   const handleUpdateStatus = async (orderId, newStatus) => {
     try {
-      await orderService.updateDeliveryStatus(orderId, newStatus);
+      const details = { actor: 'dispatch' };
+      if (newStatus === 'delivered') {
+        const otp = window.prompt('Enter the delivery code the customer received');
+        if (!otp) return;
+        details.otp = otp;
+      }
+      await orderService.updateDeliveryStatus(orderId, newStatus, null, details);
       await loadData();
       toast.success('Delivery status updated successfully');
     } catch (err) {
-      toast.error('Failed to update delivery status');
+      toast.error(err.code ? err.message : 'Failed to update delivery status');
     }
   };
 
@@ -5,6 +5,7 @@ import { formatCurrency } from "@/utils/currency";
 import { selectPendingApprovalCount, selectRealTimeUpdates } from "@/store/approvalWorkflowSlice";
 import ApperIcon from "@/components/ApperIcon";
 import ProductGrid from "@/components/organisms/ProductGrid";
+import FrequentlyBought from "@/components/organisms/FrequentlyBought";
 import Badge from "@/components/atoms/Badge";
 import Button from "@/components/atoms/Button";
 import Orders from "@/components/pages/Orders";
@@ -119,6 +120,8 @@ useEffect(() => {
         </div>
       </section>
 
+      <FrequentlyBought />
+
       {/* Payment Methods */}
       <section className="mb-12">
         <div className="card p-6 bg-gradient-to-r from-gray-50 to-gray-100">
@@ -0,0 +1,103 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { format } from 'date-fns';
+import ApperIcon from '@/components/ApperIcon';
+import Button from '@/components/atoms/Button';
+import Empty from '@/components/ui/Empty';
+import Loading from '@/components/ui/Loading';
+import { mailService } from '@/services/api/mailService';
+
+// Development inbox showing the emails mailService would have delivered
+const Mailbox = () => {
+  const [messages, setMessages] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [openId, setOpenId] = useState(null);
+
+  useEffect(() => {
+    loadMessages();
+  }, []);
+
+  const loadMessages = async () => {
+    setLoading(true);
+    try {
+      setMessages(await mailService.getMessages());
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleOpen = async (message) => {
+    setOpenId(openId === message.id ? null : message.id);
+    if (!message.read) {
+      await mailService.markRead(message.id);
+      setMessages(prev => prev.map(m => m.id === message.id ? { ...m, read: true } : m));
+    }
+  };
+
+  const handleClear = async () => {
+    if (!window.confirm('Delete all messages?')) return;
+    await mailService.clear();
+    setMessages([]);
+  };
+
+  if (loading) {
+    return <Loading type="page" />;
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Mailbox</h1>
+          <p className="text-sm text-gray-600">Emails sent by the store are delivered here</p>
+        </div>
+        {messages.length > 0 && (
+          <Button variant="ghost" size="small" icon="Trash2" onClick={handleClear}>
+            Clear
+          </Button>
+        )}
+      </div>
+
+      {messages.length === 0 ? (
+        <Empty icon="Inbox" title="No emails yet" description="Welcome emails and password reset links will appear here." />
+      ) : (
+        <div className="card divide-y divide-gray-100">
+          {messages.map(message => (
+            <div key={message.id} className="p-4">
+              <button onClick={() => handleOpen(message)} className="w-full text-left flex items-start justify-between">
+                <div className="flex items-start space-x-3">
+                  <ApperIcon
+                    name={message.read ? 'MailOpen' : 'Mail'}
+                    size={18}
+                    className={message.read ? 'text-gray-400 mt-0.5' : 'text-primary mt-0.5'}
+                  />
+                  <div>
+                    <p className={message.read ? 'text-gray-700' : 'font-semibold text-gray-900'}>{message.subject}</p>
+                    <p className="text-xs text-gray-500">To {message.to}</p>
+                  </div>
+                </div>
+                <span className="text-xs text-gray-500 whitespace-nowrap ml-4">
+                  {format(new Date(message.sentAt), 'MMM d, h:mm a')}
+                </span>
+              </button>
+
+              {openId === message.id && (
+                <div className="mt-3 ml-8 text-sm text-gray-700 space-y-3">
+                  <p className="whitespace-pre-line">{message.body}</p>
+                  {message.link && (
+                    <Link to={message.link} className="inline-flex items-center space-x-1 text-primary hover:text-primary-dark font-medium">
+                      <span>Open link</span>
+                      <ApperIcon name="ArrowRight" size={14} />
+                    </Link>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Mailbox;
@@ -196,7 +196,7 @@ const loadOrderSummary = async () => {
       if (!orderData.total || orderData.total <= 0) {
         console.warn(`Order ${numericOrderId} has invalid total, calculating from items`);
         orderData.total = orderData.items.reduce((sum, item) => 
-          sum + ((item.price || 0) * (item.quantity || 0)), 0) + (orderData.deliveryCharge || 0);
+          sum + ((item.price || 0) * (item.quantity || 0)), 0) + (orderData.deliveryCharge || 0) - (orderData.couponDiscount || 0);
       }
 
       // Set order data with validated structure
@@ -681,13 +681,19 @@ if (!order) {
                   <div className="flex justify-between">
                     <span className="text-gray-600">Subtotal:</span>
                     <span className="font-medium">
-                      {formatCurrency((order.total || 0) - (order.deliveryCharge || 0))}
+                      {formatCurrency((order.total || 0) - (order.deliveryCharge || 0) + (order.couponDiscount || 0))}
                     </span>
                   </div>
                   <div className="flex justify-between">
                     <span className="text-gray-600">Delivery Charge:</span>
                     <span className="font-medium">{formatCurrency(order.deliveryCharge || 0)}</span>
                   </div>
+                  {order.couponDiscount > 0 && (
+                    <div className="flex justify-between text-green-600">
+                      <span>Coupon ({order.couponCode}):</span>
+                      <span className="font-medium">-{formatCurrency(order.couponDiscount)}</span>
+                    </div>
+                  )}
                   <div className="border-t pt-2 flex justify-between text-lg font-semibold">
                     <span>Total:</span>
                     <span className="gradient-text">{formatCurrency(order.total || 0)}</span>
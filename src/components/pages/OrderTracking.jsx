@@ -2,11 +2,17 @@ import React, { useEffect, useState } from "react";
 import { useNavigate, useParams } from "react-router-dom";
 import { format } from "date-fns";
 import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import Input from "@/components/atoms/Input";
 import Error from "@/components/ui/Error";
 import Loading from "@/components/ui/Loading";
 import Orders from "@/components/pages/Orders";
 import OrderStatusBadge from "@/components/molecules/OrderStatusBadge";
+import DeliveryMap from "@/components/molecules/DeliveryMap";
 import { orderService } from "@/services/api/orderService";
+import { deliveryPersonnelService } from "@/services/api/deliveryPersonnelService";
+import { routePlanningService } from "@/services/api/routePlanningService";
+import webSocketService from "@/services/api/websocketService";
 
 const OrderTracking = () => {
   const { orderId } = useParams();
@@ -14,17 +20,38 @@ const OrderTracking = () => {
   const [order, setOrder] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [rider, setRider] = useState(null);
+  const [deliveryCode, setDeliveryCode] = useState(null);
+  const [guestPhone, setGuestPhone] = useState('');
+  const [guestPhoneError, setGuestPhoneError] = useState(null);
 
   useEffect(() => {
     loadOrder();
   }, [orderId]);
 
+  const riderId = rider?.Id ?? null;
+  useEffect(() => {
+    if (riderId === null) return undefined;
+    return webSocketService.subscribeToRiderLocations((data) => {
+      setRider(prev => prev && { ...prev, currentLocation: { lat: data.lat, lng: data.lng }, lastLocationAt: data.timestamp });
+    }, riderId);
+  }, [riderId]);
+
   const loadOrder = async () => {
     try {
       setLoading(true);
       setError(null);
       const data = await orderService.getById(parseInt(orderId));
       setOrder(data);
+      // Rider position is a nice-to-have; tracking still works without it
+      if (data.deliveryPersonId && !['delivered', 'cancelled'].includes(data.status)) {
+        deliveryPersonnelService.getById(data.deliveryPersonId)
+          .then(setRider)
+          .catch(() => setRider(null));
+      } else {
+        setRider(null);
+      }
+      setDeliveryCode(await orderService.getDeliveryCode(data.id));
     } catch (err) {
       setError(err.message);
     } finally {
@@ -32,6 +59,22 @@ const OrderTracking = () => {
     }
   };
 
+  // Guests have no account to match, so they confirm the phone number they checked out with
+  const showGuestCode = async (e) => {
+    e.preventDefault();
+    setGuestPhoneError(null);
+    try {
+      const code = await orderService.getDeliveryCode(order.id, { phone: guestPhone });
+      if (code) {
+        setDeliveryCode(code);
+      } else {
+        setGuestPhoneError('That phone number does not match this order');
+      }
+    } catch (err) {
+      setGuestPhoneError(err.message);
+    }
+  };
+
   const getStatusSteps = () => {
     const steps = [
       { key: 'pending', label: 'Order Placed', icon: 'ShoppingCart' },
@@ -313,12 +356,18 @@ return (
             <div className="border-t border-gray-200 pt-4 mt-4">
                 <div className="flex justify-between mb-2">
                     <span className="text-gray-600">Subtotal</span>
-                    <span className="font-medium">Rs. {((order?.total || 0) - (order?.deliveryCharge || 0)).toLocaleString()}</span>
+                    <span className="font-medium">Rs. {((order?.total || 0) - (order?.deliveryCharge || 0) + (order?.couponDiscount || 0)).toLocaleString()}</span>
                 </div>
                 <div className="flex justify-between mb-2">
                     <span className="text-gray-600">Delivery Charge</span>
                     <span className="font-medium">Rs. {(order?.deliveryCharge || 0).toLocaleString()}</span>
                 </div>
+                {order?.couponDiscount > 0 && (
+                    <div className="flex justify-between mb-2 text-green-600">
+                        <span>Coupon ({order.couponCode})</span>
+                        <span className="font-medium">-Rs. {order.couponDiscount.toLocaleString()}</span>
+                    </div>
+                )}
                 <div
                     className="flex justify-between items-center border-t border-gray-200 pt-2">
                     <span className="text-lg font-semibold text-gray-900">Total</span>
@@ -329,6 +378,71 @@ return (
         </div>
         {/* Delivery Information */}
         <div className="space-y-6">
+            {!deliveryCode && order.deliveryOtpRequired && ['out_for_delivery', 'arrived'].includes(order.deliveryStatus) && (
+            <form onSubmit={showGuestCode} className="card p-6 space-y-3">
+                <div className="flex items-center space-x-2">
+                    <ApperIcon name="KeyRound" size={18} className="text-primary" />
+                    <h2 className="text-lg font-semibold text-gray-900">Delivery Code</h2>
+                </div>
+                <p className="text-sm text-gray-600">
+                    Checked out as a guest? Enter the phone number you ordered with to see the code for your rider.
+                </p>
+                <Input
+                    type="tel"
+                    value={guestPhone}
+                    onChange={(e) => setGuestPhone(e.target.value)}
+                    placeholder="03XXXXXXXXX"
+                    icon="Phone"
+                    error={guestPhoneError}
+                />
+                <Button type="submit" variant="primary" size="small" disabled={!guestPhone.trim()}>
+                    Show Code
+                </Button>
+            </form>
+            )}
+            {deliveryCode && (
+            <div className="card p-6 border-2 border-primary/30">
+                <div className="flex items-center space-x-2 mb-2">
+                    <ApperIcon name="KeyRound" size={18} className="text-primary" />
+                    <h2 className="text-lg font-semibold text-gray-900">Delivery Code</h2>
+                </div>
+                <p className="text-3xl font-bold tracking-[0.4em] text-gray-900 font-mono">{deliveryCode}</p>
+                <p className="text-sm text-gray-600 mt-2">
+                    Share this code with the rider only once you have received your order.
+                </p>
+            </div>
+            )}
+            {rider && (
+            <div className="card p-6">
+                <div className="flex items-center justify-between mb-4">
+                    <h2 className="text-lg font-semibold text-gray-900">Your Rider</h2>
+                    <span className="text-sm text-gray-600">{rider.name} · {rider.vehicleType}</span>
+                </div>
+                <DeliveryMap
+                    orders={[order]}
+                    riders={[rider]}
+                    routes={[{ riderId: rider.Id, stops: [{ orderId: order.id, coordinates: order.deliveryAddress?.coordinates }] }]}
+                    className="h-56 sm:h-64"
+                />
+                {(() => {
+                    // Live estimate straight to this address; planned route ETA when the rider has no fix
+                    const [live] = routePlanningService.estimateArrivals(
+                        rider.currentLocation,
+                        [{ orderId: order.id, coordinates: order.deliveryAddress?.coordinates }],
+                        rider.vehicleType
+                    );
+                    const eta = live?.eta || order.deliveryRoute?.eta;
+                    if (!eta) return null;
+                    return (
+                        <p className="text-sm text-gray-600 mt-3">
+                            Estimated arrival around {format(new Date(eta), 'h:mm a')}
+                            {live && ` · ${live.distanceKm} km away`}
+                            {order.deliveryRoute?.totalStops > 1 && ` (stop ${order.deliveryRoute.sequence} of ${order.deliveryRoute.totalStops})`}
+                        </p>
+                    );
+                })()}
+            </div>
+            )}
             <div className="card p-6">
                 <h2 className="text-lg font-semibold text-gray-900 mb-4">Delivery Information</h2>
                 <div className="space-y-3">
@@ -1,21 +1,307 @@
 import React, { useEffect, useState } from "react";
-import { Link } from "react-router-dom";
+import { Link, useNavigate } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
 import { format } from "date-fns";
 import { toast } from "react-toastify";
 import { formatCurrency } from "@/utils/currency";
 import { clipboardService } from "@/services/ClipboardService";
 import { orderService } from "@/services/api/orderService";
+import { refundService } from "@/services/api/refundService";
+import { reorderItems, selectCartItemCount } from "@/store/cartSlice";
 import ApperIcon from "@/components/ApperIcon";
 import Badge from "@/components/atoms/Badge";
+import Button from "@/components/atoms/Button";
 import OrderStatusBadge from "@/components/molecules/OrderStatusBadge";
 import Error from "@/components/ui/Error";
 import Empty from "@/components/ui/Empty";
 import Loading from "@/components/ui/Loading";
 
+const REFUND_STATUS_BADGES = {
+  requested: { variant: 'warning', icon: 'Clock', label: 'Return Requested' },
+  rejected: { variant: 'danger', icon: 'XCircle', label: 'Return Rejected' },
+  partially_refunded: { variant: 'info', icon: 'RotateCcw', label: 'Partially Refunded' },
+  refunded: { variant: 'success', icon: 'CheckCircle', label: 'Refunded' }
+};
+
+const ReturnRequestModal = ({ order, onClose, onSubmitted }) => {
+  const [items, setItems] = useState([]);
+  const [quantities, setQuantities] = useState({});
+  const [reason, setReason] = useState('');
+  const [notes, setNotes] = useState('');
+  const [refundMethod, setRefundMethod] = useState('original');
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    refundService.getReturnableItems(order)
+      .then(setItems)
+      .catch(() => toast.error('Failed to load order items'))
+      .finally(() => setLoading(false));
+  }, [order]);
+
+  const selected = items.map(item => ({ productId: item.productId, quantity: quantities[item.productId] || 0 }));
+  const previouslyReturned = items.reduce((sum, item) => sum + item.returnedQuantity, 0);
+  const quote = refundService.calculateRefundAmount(order, selected, previouslyReturned);
+
+  const setQuantity = (item, quantity) => {
+    setQuantities(prev => ({
+      ...prev,
+      [item.productId]: Math.max(0, Math.min(item.returnableQuantity, quantity))
+    }));
+  };
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    try {
+      const refund = await orderService.requestReturn(order.id, {
+        items: selected,
+        reason,
+        notes,
+        refundMethod,
+        customerId: order.customerId
+      });
+      toast.success(`Return request #${refund.Id} submitted`);
+      onSubmitted();
+    } catch (error) {
+      toast.error(error.message || 'Failed to submit return request');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-lg w-full p-6 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-6">
+          <h3 className="text-lg font-semibold text-gray-900">
+            Return Items - Order #{order.id}
+          </h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <ApperIcon name="X" size={20} />
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <ApperIcon name="Loader" size={24} className="animate-spin text-primary" />
+          </div>
+        ) : (
+          <div className="space-y-5">
+            <div>
+              <h4 className="text-sm font-medium text-gray-900 mb-2">Items to return</h4>
+              <div className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                {items.map(item => (
+                  <div key={item.productId} className="flex items-center justify-between p-3">
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium text-gray-900 truncate">{item.name}</p>
+                      <p className="text-xs text-gray-500">
+                        {formatCurrency(item.price)} each
+                        {item.returnedQuantity > 0 && ` · ${item.returnedQuantity} already returned`}
+                      </p>
+                    </div>
+                    {item.returnableQuantity > 0 ? (
+                      <div className="flex items-center space-x-2">
+                        <button
+                          type="button"
+                          onClick={() => setQuantity(item, (quantities[item.productId] || 0) - 1)}
+                          className="p-1 rounded border border-gray-300 hover:bg-gray-50"
+                        >
+                          <ApperIcon name="Minus" size={14} />
+                        </button>
+                        <span className="w-12 text-center text-sm">
+                          {quantities[item.productId] || 0}/{item.returnableQuantity}
+                        </span>
+                        <button
+                          type="button"
+                          onClick={() => setQuantity(item, (quantities[item.productId] || 0) + 1)}
+                          className="p-1 rounded border border-gray-300 hover:bg-gray-50"
+                        >
+                          <ApperIcon name="Plus" size={14} />
+                        </button>
+                      </div>
+                    ) : (
+                      <span className="text-xs text-gray-500">Returned</span>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Reason</label>
+              <select value={reason} onChange={(e) => setReason(e.target.value)} className="input-field">
+                <option value="">Select a reason...</option>
+                {refundService.getReasons().map(option => (
+                  <option key={option.id} value={option.id}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Details (optional)</label>
+              <textarea
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                rows="2"
+                className="input-field"
+                placeholder="Tell us what went wrong"
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Refund to</label>
+              <div className="grid grid-cols-2 gap-2">
+                {refundService.getMethods().map(method => (
+                  <button
+                    key={method.id}
+                    type="button"
+                    onClick={() => setRefundMethod(method.id)}
+                    className={`px-3 py-2 rounded-lg border text-sm ${
+                      refundMethod === method.id
+                        ? 'border-primary bg-primary/5 text-primary font-medium'
+                        : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                    }`}
+                  >
+                    {method.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className="bg-gray-50 rounded-lg p-3 text-sm space-y-1">
+              <div className="flex justify-between">
+                <span className="text-gray-600">Items</span>
+                <span>{formatCurrency(quote.itemsTotal)}</span>
+              </div>
+              {quote.discountShare > 0 && (
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Discount share</span>
+                  <span>-{formatCurrency(quote.discountShare)}</span>
+                </div>
+              )}
+              {quote.deliveryRefund > 0 && (
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Delivery charge</span>
+                  <span>{formatCurrency(quote.deliveryRefund)}</span>
+                </div>
+              )}
+              <div className="flex justify-between font-semibold text-gray-900 pt-1 border-t border-gray-200">
+                <span>Estimated refund</span>
+                <span>{formatCurrency(quote.amount)}</span>
+              </div>
+            </div>
+
+            <div className="flex space-x-3">
+              <Button variant="outline" onClick={onClose} className="flex-1">
+                Cancel
+              </Button>
+              <Button
+                onClick={handleSubmit}
+                disabled={submitting || quote.items.length === 0 || !reason}
+                loading={submitting}
+                className="flex-1"
+              >
+                Submit Request
+              </Button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// What changed between the past order and the rebuilt cart
+const ReorderSummaryModal = ({ summary, onClose, onViewCart }) => {
+  const { orderId, report } = summary;
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-lg w-full p-6 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Reorder #{orderId}</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <ApperIcon name="X" size={20} />
+          </button>
+        </div>
+        <p className="text-sm text-gray-600 mb-4">Your cart has been rebuilt from this order with a few changes:</p>
+
+        <div className="space-y-4 text-sm">
+          {report.priceChanges.length > 0 && (
+            <div>
+              <h4 className="font-medium text-gray-900 mb-1">Price changes</h4>
+              <ul className="space-y-1">
+                {report.priceChanges.map(change => (
+                  <li key={change.name} className="flex justify-between">
+                    <span className="text-gray-700">{change.name}</span>
+                    <span className={change.newPrice > change.oldPrice ? 'text-red-600' : 'text-green-600'}>
+                      {formatCurrency(change.oldPrice)} → {formatCurrency(change.newPrice)}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {report.substitutions.length > 0 && (
+            <div>
+              <h4 className="font-medium text-gray-900 mb-1">Out of stock, substituted</h4>
+              <ul className="space-y-1">
+                {report.substitutions.map(sub => (
+                  <li key={sub.name} className="text-gray-700">
+                    {sub.name} → <span className="font-medium">{sub.substitute}</span> ({formatCurrency(sub.newPrice)})
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {report.adjustments.length > 0 && (
+            <div>
+              <h4 className="font-medium text-gray-900 mb-1">Quantity reduced to available stock</h4>
+              <ul className="space-y-1">
+                {report.adjustments.map(adjustment => (
+                  <li key={adjustment.name} className="text-gray-700">
+                    {adjustment.name}: {adjustment.requested} → {adjustment.quantity}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {report.unavailable.length > 0 && (
+            <div>
+              <h4 className="font-medium text-gray-900 mb-1">Left out</h4>
+              <ul className="space-y-1">
+                {report.unavailable.map(item => (
+                  <li key={item.name} className="text-gray-700">
+                    {item.name} <span className="text-gray-500">({item.reason})</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+
+        <div className="flex space-x-3 mt-6">
+          <Button variant="outline" onClick={onClose} className="flex-1">
+            Keep Browsing
+          </Button>
+          <Button variant="primary" icon="ShoppingCart" onClick={onViewCart} className="flex-1">
+            View Cart
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
 const Orders = () => {
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+  const cartCount = useSelector(selectCartItemCount);
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [returnOrder, setReturnOrder] = useState(null);
+  const [reorderingId, setReorderingId] = useState(null);
+  const [reorderSummary, setReorderSummary] = useState(null);
 
   useEffect(() => {
     loadOrders();
@@ -36,6 +322,26 @@ const Orders = () => {
     }
 };
 
+  const handleReorder = async (order) => {
+    if (cartCount > 0 && !window.confirm(`Replace the ${cartCount} item${cartCount === 1 ? '' : 's'} in your cart with this order?`)) {
+      return;
+    }
+    setReorderingId(order.id);
+    try {
+      const { report } = await dispatch(reorderItems(order.items)).unwrap();
+      if (Object.values(report).some(list => list.length > 0)) {
+        setReorderSummary({ orderId: order.id, report });
+      } else {
+        toast.success(`Items from order #${order.id} added to your cart`);
+        navigate('/cart');
+      }
+    } catch {
+      // The cart slice already shows why nothing could be added
+    } finally {
+      setReorderingId(null);
+    }
+  };
+
   const copyTxnId = async (transactionId) => {
     if (!transactionId) {
       toast.error('No transaction ID available to copy');
@@ -140,6 +446,12 @@ className="flex items-center space-x-2 text-primary hover:text-primary-dark tran
               <div className="flex flex-col sm:flex-row sm:items-center sm:space-x-4">
                 <div className="flex items-center space-x-2">
                   <OrderStatusBadge status={order.status} />
+                  {REFUND_STATUS_BADGES[order.refundStatus] && (
+                    <Badge variant={REFUND_STATUS_BADGES[order.refundStatus].variant} className="text-xs">
+                      <ApperIcon name={REFUND_STATUS_BADGES[order.refundStatus].icon} size={12} className="mr-1" />
+                      {REFUND_STATUS_BADGES[order.refundStatus].label}
+                    </Badge>
+                  )}
                   {/* Approval Status Badge */}
                   {order.approvalStatus && (
                     <div className="flex items-center space-x-1">
@@ -195,7 +507,7 @@ Rejected
                           return sum + ((item.price || 0) * (item.quantity || 0));
                         }, 0) || 0;
                         const deliveryCharge = order?.deliveryCharge || 0;
-                        return formatCurrency(itemsSubtotal + deliveryCharge);
+                        return formatCurrency(itemsSubtotal + deliveryCharge - (order?.couponDiscount || 0));
                       }
                       return formatCurrency(order.total);
                     })()}
@@ -434,12 +746,26 @@ Rejected
                       <span>Chat Support</span>
                     </button>
                     
-                    {order.status === 'delivered' && (
-                      <button className="flex items-center space-x-1 text-green-600 hover:text-green-700 transition-colors text-sm bg-green-50 px-4 py-2 rounded-lg min-w-[120px] justify-center touch-manipulation">
-                        <ApperIcon name="RotateCcw" size={14} />
+                    {order.items?.length > 0 && (
+                      <button
+                        onClick={() => handleReorder(order)}
+                        disabled={reorderingId === order.id}
+                        className="flex items-center space-x-1 text-green-600 hover:text-green-700 transition-colors text-sm bg-green-50 px-4 py-2 rounded-lg min-w-[120px] justify-center touch-manipulation disabled:opacity-50"
+                      >
+                        <ApperIcon name={reorderingId === order.id ? 'Loader2' : 'RotateCcw'} size={14} className={reorderingId === order.id ? 'animate-spin' : ''} />
                         <span>Reorder</span>
                       </button>
                     )}
+
+                    {order.status === 'delivered' && order.refundStatus !== 'refunded' && (
+                      <button
+                        onClick={() => setReturnOrder(order)}
+                        className="flex items-center space-x-1 text-red-600 hover:text-red-700 transition-colors text-sm bg-red-50 px-4 py-2 rounded-lg min-w-[120px] justify-center touch-manipulation"
+                      >
+                        <ApperIcon name="PackageX" size={14} />
+                        <span>Return Items</span>
+                      </button>
+                    )}
                     
                     <button className="flex items-center space-x-1 text-orange-600 hover:text-orange-700 transition-colors text-sm bg-orange-50 px-4 py-2 rounded-lg min-w-[120px] justify-center touch-manipulation">
                       <ApperIcon name="Share" size={14} />
@@ -462,12 +788,25 @@ Rejected
                   <ApperIcon name="MessageCircle" size={14} />
                   <span>Chat Support</span>
                 </button>
-                {order.status === 'delivered' && (
-                  <button className="flex items-center space-x-1 sm:space-x-2 text-green-600 hover:text-green-700 transition-colors text-sm bg-green-50 px-3 py-1.5 rounded-lg">
-                    <ApperIcon name="RotateCcw" size={14} />
+                {order.items?.length > 0 && (
+                  <button
+                    onClick={() => handleReorder(order)}
+                    disabled={reorderingId === order.id}
+                    className="flex items-center space-x-1 sm:space-x-2 text-green-600 hover:text-green-700 transition-colors text-sm bg-green-50 px-3 py-1.5 rounded-lg disabled:opacity-50"
+                  >
+                    <ApperIcon name={reorderingId === order.id ? 'Loader2' : 'RotateCcw'} size={14} className={reorderingId === order.id ? 'animate-spin' : ''} />
                     <span>Reorder</span>
                   </button>
                 )}
+                {order.status === 'delivered' && order.refundStatus !== 'refunded' && (
+                  <button
+                    onClick={() => setReturnOrder(order)}
+                    className="flex items-center space-x-1 sm:space-x-2 text-red-600 hover:text-red-700 transition-colors text-sm bg-red-50 px-3 py-1.5 rounded-lg"
+                  >
+                    <ApperIcon name="PackageX" size={14} />
+                    <span>Return Items</span>
+                  </button>
+                )}
               </div>
               
               {/* Wallet Transaction Section */}
@@ -514,6 +853,25 @@ Rejected
           </div>
         ))}
       </div>
+
+      {reorderSummary && (
+        <ReorderSummaryModal
+          summary={reorderSummary}
+          onClose={() => setReorderSummary(null)}
+          onViewCart={() => navigate('/cart')}
+        />
+      )}
+
+      {returnOrder && (
+        <ReturnRequestModal
+          order={returnOrder}
+          onClose={() => setReturnOrder(null)}
+          onSubmitted={() => {
+            setReturnOrder(null);
+            loadOrders();
+          }}
+        />
+      )}
     </div>
   );
 };
@@ -1,5 +1,7 @@
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import { useDispatch, useSelector } from "react-redux";
+import { toast } from "react-toastify";
+import { formatDistanceToNow } from "date-fns";
 import { CreditCard, DollarSign, Minus, Plus, ShoppingCart, Smartphone, Trash2 } from "lucide-react";
 import { formatCurrency } from "@/utils/currency";
 import { addToCart, clearCart, removeFromCart, updateQuantity } from "@/store/cartSlice";
@@ -13,9 +15,37 @@ import Analytics from "@/components/pages/Analytics";
 import Category from "@/components/pages/Category";
 import SearchBar from "@/components/molecules/SearchBar";
 import BarcodeScanner from "@/components/molecules/BarcodeScanner";
-import { posService } from "@/services/api/posService";
+import ShiftPanel from "@/components/organisms/ShiftPanel";
+import { useKeyboardWedge } from "@/hooks/useKeyboardWedge";
+import { getTransactionTenders, posService } from "@/services/api/posService";
+import { posSyncService } from "@/services/api/posSyncService";
 import { productService } from "@/services/api/productService";
 import { paymentService } from "@/services/api/paymentService";
+import { customerService } from "@/services/api/customerService";
+import { loyaltyService } from "@/services/api/loyaltyService";
+import { orderService } from "@/services/api/orderService";
+import sessionService from "@/services/SessionService";
+
+const TENDER_LABELS = {
+  cash: 'Cash',
+  card: 'Card',
+  jazzcash: 'JazzCash',
+  easypaisa: 'EasyPaisa',
+  sadapay: 'SadaPay',
+  bank: 'Bank Transfer',
+  loyalty: 'Loyalty Points'
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const formatTender = (tender) =>
+  `${TENDER_LABELS[tender.type] || tender.type}${tender.points ? ` (${tender.points} pts)` : ''}`;
+
+// Cash handed over across all cash tenders, for the receipt's Paid/Change lines
+const getCashReceived = (tenders) => tenders
+  .filter(tender => tender.type === 'cash')
+  .reduce((sum, tender) => sum + (tender.received ?? tender.amount), 0);
+
 const POS = () => {
   const [products, setProducts] = useState([]);
   const [filteredProducts, setFilteredProducts] = useState([]);
@@ -27,6 +57,13 @@ const POS = () => {
   const [customerPaid, setCustomerPaid] = useState('');
   const [processingPayment, setProcessingPayment] = useState(false);
   const [showBarcodeScanner, setShowBarcodeScanner] = useState(false);
+  const [syncStatus, setSyncStatus] = useState(() => posSyncService.getStatus());
+  const [catalogSource, setCatalogSource] = useState('live');
+  const wasSyncingRef = useRef(false);
+  const [currentShift, setCurrentShift] = useState(null);
+  const [cashierVariances, setCashierVariances] = useState([]);
+  const cashierId = sessionService.getActorId();
+  const cashierName = sessionService.getCurrentUser()?.name || cashierId;
   
 // Receipt configuration state
   const [receiptConfig, setReceiptConfig] = useState({
@@ -62,10 +99,13 @@ const POS = () => {
   const [newCustomer, setNewCustomer] = useState({
     name: '',
     phone: '',
-    email: '',
-    address: ''
+    email: ''
   });
   const [customerSearch, setCustomerSearch] = useState('');
+  const [customerBalances, setCustomerBalances] = useState({});
+  const [customerHistory, setCustomerHistory] = useState(null);
+  const [tenders, setTenders] = useState([]);
+  const openSaleLoadedRef = useRef(false);
   const [inventoryFilter, setInventoryFilter] = useState('all');
   const [bulkAction, setBulkAction] = useState('');
   const [selectedProducts, setSelectedProducts] = useState([]);
@@ -74,6 +114,72 @@ useEffect(() => {
     loadDashboardData();
   }, []);
 
+  useEffect(() => posSyncService.subscribe(setSyncStatus), []);
+
+  // Payments taken before a reload or crash come back, so they can be completed or given back
+  useEffect(() => {
+    posSyncService.getOpenSale()
+      .then(openSale => {
+        if (!openSale) return;
+        setTenders(openSale.tenders);
+        if (openSale.customer) setSelectedCustomer(openSale.customer);
+        toast.warning(`${openSale.tenders.length} payment(s) were taken before the till was closed. Ring the items up again, or remove the payments to give them back.`);
+      })
+      .catch(err => console.error('Error restoring open sale:', err))
+      .finally(() => {
+        openSaleLoadedRef.current = true;
+      });
+  }, []);
+
+  useEffect(() => {
+    if (!openSaleLoadedRef.current) return;
+    posSyncService.saveOpenSale({ tenders, customer: selectedCustomer })
+      .catch(err => console.error('Error saving open sale:', err));
+  }, [tenders, selectedCustomer]);
+
+  // Phone or name lookup against the shared customer directory
+  useEffect(() => {
+    const timer = setTimeout(() => loadCustomers(customerSearch), 300);
+    return () => clearTimeout(timer);
+  }, [customerSearch]);
+
+  useEffect(() => {
+    if (!showCustomerModal || !selectedCustomer) {
+      setCustomerHistory(null);
+      return undefined;
+    }
+    let active = true;
+    Promise.all([
+      orderService.getPurchaseHistory(selectedCustomer.id),
+      loyaltyService.getLedger(selectedCustomer.id, 5)
+    ])
+      .then(([history, ledger]) => {
+        if (active) setCustomerHistory({ ...history, ledger });
+      })
+      .catch(err => console.error('Error loading customer history:', err));
+    return () => {
+      active = false;
+    };
+  }, [showCustomerModal, selectedCustomer?.id]);
+
+  // Once queued sales reach the server, show the server's stock and today's totals again
+  useEffect(() => {
+    if (wasSyncingRef.current && !syncStatus.syncing) {
+      refreshCatalog().catch(err => console.error('Error refreshing products:', err));
+      loadDashboardData();
+      // Points for synced sales are earned during the sync
+      refreshCustomerPoints(selectedCustomer?.id);
+    }
+    wasSyncingRef.current = syncStatus.syncing;
+  }, [syncStatus.syncing]);
+
+  // The browser's online event is not enough when the server itself is unreachable, so keep retrying
+  useEffect(() => {
+    if (syncStatus.pending === 0) return undefined;
+    const timer = setInterval(() => posSyncService.sync(), 30 * 1000);
+    return () => clearInterval(timer);
+  }, [syncStatus.pending]);
+
   useEffect(() => {
     filterProducts();
   }, [products, searchTerm]);
@@ -86,8 +192,7 @@ useEffect(() => {
     try {
       setLoading(true);
       setError(null);
-      const data = await productService.getAll();
-      setProducts(data.filter(p => p.isActive && p.stock > 0));
+      await refreshCatalog();
     } catch (err) {
       setError(err.message);
     } finally {
@@ -95,6 +200,12 @@ useEffect(() => {
     }
 };
 
+  const refreshCatalog = async () => {
+    const { products: data, source } = await posSyncService.getCatalog();
+    setCatalogSource(source);
+    setProducts(data.filter(p => p.isActive && p.stock > 0));
+  };
+
   const loadDashboardData = async () => {
     try {
       const today = new Date().toISOString().split('T')[0];
@@ -108,20 +219,33 @@ useEffect(() => {
         averageTransaction: salesData.totalTransactions > 0 ? salesData.totalSales / salesData.totalTransactions : 0
       });
       setPaymentBreakdown(breakdown);
-      
-      // Load customers (mock data for now)
-      const mockCustomers = [
-        { Id: 1, name: 'Ahmed Khan', phone: '03001234567', email: 'ahmed@email.com', totalPurchases: 15000, lastVisit: '2024-01-15' },
-        { Id: 2, name: 'Fatima Ali', phone: '03007654321', email: 'fatima@email.com', totalPurchases: 25000, lastVisit: '2024-01-14' },
-        { Id: 3, name: 'Mohammad Hassan', phone: '03009876543', email: 'hassan@email.com', totalPurchases: 8000, lastVisit: '2024-01-13' }
-      ];
-      setCustomers(mockCustomers);
-      
+      setCashierVariances(await posService.getCashierVariances());
     } catch (error) {
       console.error('Error loading dashboard data:', error);
     }
   };
 
+  const loadCustomers = async (query = '') => {
+    try {
+      const results = await customerService.searchCustomers(query);
+      setCustomers(results);
+      const balances = await loyaltyService.getBalances(results.map(c => c.id));
+      setCustomerBalances(prev => ({ ...prev, ...balances }));
+    } catch (error) {
+      console.error('Error loading customers:', error);
+    }
+  };
+
+  const refreshCustomerPoints = async (customerId) => {
+    if (!customerId) return;
+    try {
+      const balance = await loyaltyService.getBalance(customerId);
+      setCustomerBalances(prev => ({ ...prev, [customerId]: balance }));
+    } catch (error) {
+      console.error('Error loading loyalty points:', error);
+    }
+  };
+
   const checkStockAlerts = () => {
     const lowStock = products.filter(p => p.stock <= 5 && p.stock > 0);
     const outOfStock = products.filter(p => p.stock === 0);
@@ -134,26 +258,31 @@ useEffect(() => {
   };
 
 const addCustomer = async () => {
-  if (!newCustomer?.name || !newCustomer?.phone) {
-    console.error('Name and phone are required');
-    return;
+  try {
+    const customer = await customerService.createWalkIn(newCustomer);
+    setNewCustomer({ name: '', phone: '', email: '' });
+    setCustomerBalances(prev => ({ ...prev, [customer.id]: 0 }));
+    await loadCustomers(customerSearch);
+    toast.success(`${customer.name} added`);
+    selectCustomer(customer);
+  } catch (error) {
+    toast.error(error.message);
   }
-  
-  const customer = {
-    Id: customers.length + 1,
-    ...newCustomer,
-    totalPurchases: 0,
-    lastVisit: new Date().toISOString().split('T')[0]
-  };
-  
-  setCustomers([...customers, customer]);
-  setNewCustomer({ name: '', phone: '', email: '', address: '' });
-  console.log('Customer added successfully');
 };
 
-const selectCustomer = (customer) => {
-  if (!customer) return;
+// Redeemed points belong to the customer they came from, so the sale keeps that customer until they are removed
+const changeCustomer = (customer) => {
+  const loyaltyTender = tenders.find(tender => tender.type === 'loyalty');
+  if (loyaltyTender && customer?.id !== loyaltyTender.customerId) {
+    toast.error('Remove the loyalty points payment before changing the customer');
+    return false;
+  }
   setSelectedCustomer(customer);
+  return true;
+};
+
+const selectCustomer = (customer) => {
+  if (!customer || !changeCustomer(customer)) return;
   setShowCustomerModal(false);
   console.log(`Customer ${customer.name} selected`);
 };
@@ -216,7 +345,7 @@ const filterProducts = () => {
 
 const handleBarcodeScan = async (barcode) => {
   try {
-    const product = await productService.getByBarcode(barcode);
+    const product = await posSyncService.findByBarcode(barcode);
     if (product) {
       addToCart(product);
       console.log(`${product.name} added to cart`);
@@ -225,9 +354,17 @@ const handleBarcodeScan = async (barcode) => {
     }
   } catch (err) {
     console.error('Error finding product:', err);
+    toast.error(`No product found for barcode ${barcode}`);
   }
   setShowBarcodeScanner(false);
 };
+
+// A USB scanner can be used at any time; while the scanner dialog is open it handles the input itself
+useKeyboardWedge((barcode) => {
+  // The scanner also typed the code into whichever field had focus, usually the search box
+  setSearchTerm(prev => prev.endsWith(barcode) ? prev.slice(0, -barcode.length) : prev);
+  handleBarcodeScan(barcode);
+}, { enabled: !showBarcodeScanner });
 const addToCart = (product) => {
   if (!product || !product.id) {
     console.error('Invalid product');
@@ -283,120 +420,255 @@ const updateQuantity = (productId, newQuantity) => {
     return cart.reduce((total, item) => total + (item.price * item.quantity), 0);
   };
 
+  // Points are tied to the customer they were taken from, so the customer stays put until they are removed
+  const hasLoyaltyTender = tenders.some(tender => tender.type === 'loyalty');
+
+  const getPaidSoFar = () => tenders.reduce((sum, tender) => sum + tender.amount, 0);
+
+  const getBalanceDue = () => roundMoney(getTotal() - getPaidSoFar());
+
+  // Only cash can be handed over above what is due; the excess comes back as change
   const getChange = () => {
-    const total = getTotal();
-    const paid = parseFloat(customerPaid) || 0;
-    return Math.max(0, paid - total);
+    if (paymentType !== 'cash') return 0;
+    const received = parseFloat(customerPaid) || 0;
+    return Math.max(0, roundMoney(received - Math.max(0, getBalanceDue())));
   };
 
-const processPayment = async () => {
-  if (cart.length === 0) {
-    console.error('Cart is empty');
-    return;
-  }
+  // Whether taking the entered payment would leave nothing due
+  const settlesBalance = () => {
+    const balanceDue = getBalanceDue();
+    const entered = parseFloat(customerPaid) || 0;
+    if (balanceDue <= 0) return true;
+    return paymentType === 'cash' ? entered >= balanceDue : (entered === 0 || entered >= balanceDue);
+  };
 
-  const total = getTotal();
-  const paid = parseFloat(customerPaid) || 0;
+  // Largest points redemption the selected customer can put towards the balance due
+  const getLoyaltyQuote = () => {
+    if (!selectedCustomer || hasLoyaltyTender) {
+      return { points: 0, value: 0 };
+    }
+    return loyaltyService.quoteRedemption(customerBalances[selectedCustomer.id] || 0, getBalanceDue());
+  };
 
-  if (paymentType === 'cash' && paid < total) {
-    console.error('Insufficient payment amount');
-    return;
-  }
+  // Charge one non-cash tender through the matching paymentService method
+  const chargeTender = async (type, amount, reference) => {
+    if (type === 'card') {
+      // For POS, we'll simulate card payment without form
+      const mockCardData = {
+        cardNumber: '4*** **** **** ****',
+        expiryDate: '12/25',
+        cvv: '***',
+        cardholderName: 'Customer'
+      };
+      return paymentService.processCardPayment(mockCardData, amount, reference);
+    }
+    if (['jazzcash', 'easypaisa', 'sadapay'].includes(type)) {
+      return paymentService.processDigitalWalletPayment(type, amount, reference, selectedCustomer?.phone || '03001234567');
+    }
+    if (type === 'bank') {
+      return paymentService.processBankTransfer(amount, reference, {});
+    }
+    return null;
+  };
+
+  const applyLoyaltyPoints = async () => {
+    const quote = getLoyaltyQuote();
+    if (quote.points === 0) return;
+
+    if (!syncStatus.online) {
+      toast.error('Loyalty points can only be redeemed while the till is online');
+      return;
+    }
 
     try {
       setProcessingPayment(true);
+      const reference = `POS-${Date.now()}`;
+      const { value } = await loyaltyService.redeem(selectedCustomer.id, {
+        points: quote.points,
+        amountDue: getBalanceDue(),
+        source: 'pos',
+        reference
+      });
+      setTenders(prev => [...prev, {
+        id: reference,
+        type: 'loyalty',
+        amount: value,
+        points: quote.points,
+        customerId: selectedCustomer.id,
+        reference
+      }]);
+      await refreshCustomerPoints(selectedCustomer.id);
+    } catch (loyaltyError) {
+      toast.error(loyaltyError.message);
+    } finally {
+      setProcessingPayment(false);
+    }
+  };
 
-      // Process payment based on payment type
-      let paymentResult = null;
-      
-      if (paymentType !== 'cash') {
-        try {
-          if (paymentType === 'card') {
-            // For POS, we'll simulate card payment without form
-            const mockCardData = {
-              cardNumber: '4*** **** **** ****',
-              expiryDate: '12/25',
-              cvv: '***',
-              cardholderName: 'Customer'
-            };
-paymentResult = await paymentService.processCardPayment(mockCardData, total, `POS-${Date.now()}`);
-          } else if (['jazzcash', 'easypaisa', 'sadapay'].includes(paymentType)) {
-            paymentResult = await paymentService.processDigitalWalletPayment(paymentType, total, `POS-${Date.now()}`, '03001234567');
-          } else if (paymentType === 'bank') {
-            paymentResult = await paymentService.processBankTransfer(total, `POS-${Date.now()}`, {});
-          }
-        } catch (paymentError) {
-          console.error('Payment error:', paymentError);
-          setProcessingPayment(false);
+  // Give a tender back before the sale is completed: refund charges, return points
+  const voidTender = async (tender) => {
+    try {
+      setProcessingPayment(true);
+      if (tender.type === 'loyalty') {
+        await loyaltyService.reverse(tender.customerId, {
+          source: 'pos',
+          reference: tender.reference,
+          reason: 'Removed from till payment'
+        });
+        await refreshCustomerPoints(tender.customerId);
+      } else if (tender.paymentResult) {
+        await paymentService.refundPayment({
+          orderId: tender.reference,
+          amount: tender.amount,
+          paymentMethod: tender.type,
+          originalTransactionId: tender.paymentResult.transactionId || null,
+          reason: 'Removed from till payment'
+        });
+      }
+      setTenders(prev => prev.filter(t => t.id !== tender.id));
+    } catch (err) {
+      toast.error(`Could not remove ${TENDER_LABELS[tender.type] || tender.type} payment: ${err.message}`);
+    } finally {
+      setProcessingPayment(false);
+    }
+  };
+
+  /**
+   * Take the payment entered on the panel as one tender. Once the tenders cover the
+   * total the sale is completed; until then the remaining balance stays due.
+   */
+  const processPayment = async () => {
+    if (cart.length === 0) {
+      console.error('Cart is empty');
+      return;
+    }
+
+    if (!currentShift) {
+      toast.error('Open a shift before taking payments');
+      return;
+    }
+
+    const balanceDue = getBalanceDue();
+    if (balanceDue < 0) {
+      toast.error('Payments taken are more than the total. Remove a payment before completing the sale.');
+      return;
+    }
+
+    let tender = null;
+    if (balanceDue > 0) {
+      const entered = parseFloat(customerPaid) || 0;
+
+      if (paymentType === 'cash') {
+        if (entered <= 0) {
+          console.error('Enter the cash received');
           return;
         }
+        const amount = Math.min(entered, balanceDue);
+        tender = { id: `cash-${Date.now()}`, type: 'cash', amount, received: entered, change: roundMoney(entered - amount) };
+      } else {
+        // A blank amount charges the whole balance
+        const amount = entered > 0 ? entered : balanceDue;
+        if (amount > balanceDue) {
+          toast.error(`Only Rs. ${balanceDue.toLocaleString()} is due`);
+          return;
+        }
+        if (!syncStatus.online) {
+          toast.error('Card and wallet payments need a connection. Take cash or wait until the till is back online.');
+          return;
+        }
+        tender = { type: paymentType, amount };
       }
+    }
 
-const transactionData = {
-        items: cart.map(item => ({
-          productId: item.id,
-          name: item.name,
-          price: item.price,
-          quantity: item.quantity
-        })),
-        total,
-        paymentType,
-        cashierId: 'admin', // In real app, this would be the logged-in user
-        customerPaid: paymentType === 'cash' ? paid : total,
-        change: paymentType === 'cash' ? getChange() : 0,
-        paymentResult: paymentResult || null,
-        customerId: selectedCustomer ? selectedCustomer.Id : null,
-        customerName: selectedCustomer ? selectedCustomer.name : null
-      };
-      await posService.createTransaction(transactionData);
-
-      // Update product stock
-      for (const item of cart) {
-        const product = products.find(p => p.id === item.id);
-        await productService.update(item.id, {
-          ...product,
-          stock: product.stock - item.quantity
-        });
-      }
+    try {
+      setProcessingPayment(true);
+
+      let appliedTenders = tenders;
+      if (tender) {
+        if (tender.type !== 'cash') {
+          const reference = `POS-${Date.now()}`;
+          try {
+            const paymentResult = await chargeTender(tender.type, tender.amount, reference);
+            tender = { ...tender, id: reference, reference, paymentResult };
+          } catch (paymentError) {
+            console.error('Payment error:', paymentError);
+            toast.error(`${TENDER_LABELS[tender.type]} payment failed: ${paymentError.message}`);
+            return;
+          }
+        }
+
+        appliedTenders = [...tenders, tender];
+        setTenders(appliedTenders);
+        setCustomerPaid('');
 
-// Update customer purchase history
-      if (selectedCustomer) {
-        const updatedCustomer = {
-          ...selectedCustomer,
-          totalPurchases: selectedCustomer.totalPurchases + total,
-          lastVisit: new Date().toISOString().split('T')[0]
-        };
-        setCustomers(customers.map(c => c.Id === selectedCustomer.Id ? updatedCustomer : c));
-        setSelectedCustomer(updatedCustomer);
+        const remaining = roundMoney(balanceDue - tender.amount);
+        if (remaining > 0) {
+          toast.info(`${TENDER_LABELS[tender.type]} Rs. ${tender.amount.toLocaleString()} taken. Rs. ${remaining.toLocaleString()} still due.`);
+          return;
+        }
       }
 
-      // Reset
-      setCart([]);
-      setCustomerPaid('');
-      await loadProducts();
-      await loadDashboardData(); // Refresh dashboard data
-      
-if (paymentType === 'cash') {
-      console.log('Payment processed successfully!');
-    } else {
-      console.log(`${paymentType.toUpperCase()} payment processed successfully!`);
+      await completeSale(appliedTenders);
+    } catch (err) {
+      console.error('Payment processing failed:', err);
+    } finally {
+      setProcessingPayment(false);
     }
-    
+  };
+
+  const completeSale = async (appliedTenders) => {
+    const paymentTypes = [...new Set(appliedTenders.filter(t => t.type !== 'loyalty').map(t => t.type))];
+    const charged = appliedTenders.filter(t => t.paymentResult);
+    const loyaltyTender = appliedTenders.find(t => t.type === 'loyalty');
+
+    const transactionData = {
+      items: cart.map(item => ({
+        productId: item.id,
+        name: item.name,
+        price: item.price,
+        quantity: item.quantity
+      })),
+      total: getTotal(),
+      paymentType: paymentTypes.length > 1 ? 'split' : (paymentTypes[0] || 'loyalty'),
+      tenders: appliedTenders.map(({ id, customerId, ...tender }) => tender),
+      cashierId,
+      shiftId: currentShift.id,
+      customerPaid: roundMoney(appliedTenders
+        .filter(t => t.type !== 'loyalty')
+        .reduce((sum, t) => sum + (t.received ?? t.amount), 0)),
+      change: roundMoney(appliedTenders.reduce((sum, t) => sum + (t.change || 0), 0)),
+      paymentResult: charged.length === 1 ? charged[0].paymentResult : null,
+      loyaltyRedemption: loyaltyTender
+        ? { points: loyaltyTender.points, value: loyaltyTender.amount, reference: loyaltyTender.reference }
+        : null,
+      customerId: selectedCustomer ? selectedCustomer.id : null,
+      customerName: selectedCustomer ? selectedCustomer.name : null
+    };
+    // Queued locally first so a dropped connection cannot lose the sale; stock is synced with it
+    const transaction = await posSyncService.recordSale(transactionData);
+
+    // Reset
+    setCart([]);
+    setCustomerPaid('');
+    setTenders([]);
+    await refreshCustomerPoints(selectedCustomer?.id);
+    await loadProducts();
+    await loadDashboardData(); // Refresh dashboard data
+
+    console.log(`${transactionData.paymentType.toUpperCase()} payment processed successfully!`);
+
     // Handle receipt printing based on configuration
     if (receiptConfig?.autoPrint) {
-      printReceipt(transactionData);
+      printReceipt(transaction);
     } else {
-      showReceiptPreviewModal(transactionData);
+      showReceiptPreviewModal(transaction);
     }
-  } catch (err) {
-    console.error('Payment processing failed:', err);
-  } finally {
-    setProcessingPayment(false);
-  }
   };
 
 const generateReceiptHTML = (transaction) => {
     const receiptNumber = `RCP-${Date.now()}`;
+    const tenders = getTransactionTenders(transaction);
+    const cashReceived = getCashReceived(tenders);
     const currentDate = new Date().toLocaleString();
     
     const receiptStyles = receiptConfig.receiptFormat === 'thermal' ? `
@@ -494,7 +766,7 @@ const generateReceiptHTML = (transaction) => {
             <div>Receipt #: ${receiptNumber}</div>
             <div>Date: ${currentDate}</div>
             <div>Cashier: ${transaction.cashierId}</div>
-            <div>Payment: ${transaction.paymentType.toUpperCase()}</div>
+            <div>Payment: ${transaction.paymentType === 'split' ? 'SPLIT TENDER' : transaction.paymentType.toUpperCase()}</div>
           </div>
 
           <div class="divider"></div>
@@ -524,14 +796,20 @@ const generateReceiptHTML = (transaction) => {
               <span>Total:</span>
               <span>Rs. ${transaction.total.toLocaleString()}</span>
             </div>
-            ${transaction.paymentType === 'cash' ? `
+            ${tenders.map(tender => `
+              <div class="total-row">
+                <span>${formatTender(tender)}:</span>
+                <span>Rs. ${tender.amount.toLocaleString()}</span>
+              </div>
+            `).join('')}
+            ${cashReceived > 0 ? `
               <div class="total-row">
-                <span>Paid:</span>
-                <span>Rs. ${transaction.customerPaid.toLocaleString()}</span>
+                <span>Cash Paid:</span>
+                <span>Rs. ${cashReceived.toLocaleString()}</span>
               </div>
               <div class="total-row">
                 <span>Change:</span>
-                <span>Rs. ${transaction.change.toLocaleString()}</span>
+                <span>Rs. ${(transaction.change || 0).toLocaleString()}</span>
               </div>
             ` : ''}
           </div>
@@ -658,6 +936,87 @@ return (
         </div>
       </div>
 
+      {/* Connection & Sync Status */}
+      {(!syncStatus.online || syncStatus.pending > 0 || catalogSource === 'cache') && (
+        <div className={`rounded-lg p-4 mb-6 border ${syncStatus.online ? 'bg-blue-50 border-blue-200' : 'bg-gray-100 border-gray-300'}`}>
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <div className="flex items-center space-x-2">
+              <ApperIcon name={syncStatus.online ? 'Wifi' : 'WifiOff'} size={20} className={syncStatus.online ? 'text-blue-600' : 'text-gray-600'} />
+              <span className="font-semibold text-gray-900">
+                {syncStatus.online ? 'Online' : 'Offline - sales are saved on this till'}
+              </span>
+              {syncStatus.pending > 0 && (
+                <span className="text-sm text-gray-600">
+                  {syncStatus.pending} sale{syncStatus.pending === 1 ? '' : 's'} waiting to sync
+                  {syncStatus.failed > 0 && ` (${syncStatus.failed} failed last attempt)`}
+                </span>
+              )}
+            </div>
+            <div className="flex items-center space-x-3">
+              {catalogSource === 'cache' && syncStatus.catalogCachedAt && (
+                <span className="text-xs text-gray-500">
+                  Catalog from {formatDistanceToNow(new Date(syncStatus.catalogCachedAt), { addSuffix: true })}
+                </span>
+              )}
+              {syncStatus.pending > 0 && (
+                <Button
+                  variant="outline"
+                  size="small"
+                  icon="RefreshCw"
+                  loading={syncStatus.syncing}
+                  disabled={!syncStatus.online || syncStatus.syncing}
+                  onClick={() => posSyncService.sync()}
+                >
+                  Sync now
+                </Button>
+              )}
+              {catalogSource === 'cache' && syncStatus.online && (
+                <Button variant="ghost" size="small" icon="CloudOff" onClick={loadProducts}>
+                  Reload catalog
+                </Button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Offline Sync Conflicts */}
+      {syncStatus.conflicts.length > 0 && (
+        <div className="bg-error bg-opacity-10 border border-error rounded-lg p-4 mb-6">
+          <div className="flex items-center space-x-2 mb-2">
+            <ApperIcon name="AlertOctagon" size={20} className="text-error" />
+            <span className="font-semibold text-error">
+              Stock conflicts from offline sales ({syncStatus.conflicts.length})
+            </span>
+          </div>
+          <p className="text-sm text-gray-600 mb-3">
+            These sales sold more than the server had in stock. Stock was set to zero; recount the shelf and adjust it in Inventory.
+          </p>
+          <div className="space-y-2">
+            {syncStatus.conflicts.map(conflict => (
+              <div key={conflict.clientId} className="flex items-start justify-between bg-white rounded-lg p-3 text-sm">
+                <div>
+                  <p className="font-medium text-gray-900">
+                    Sale #{conflict.transactionId} - {new Date(conflict.soldAt).toLocaleString()}
+                  </p>
+                  {conflict.items.map(item => (
+                    <p key={item.productId} className="text-gray-700">
+                      {item.name}: sold {item.sold}, server had {item.available} (short by {item.shortBy})
+                    </p>
+                  ))}
+                </div>
+                <Button
+                  variant="ghost"
+                  size="small"
+                  icon="X"
+                  onClick={() => posSyncService.dismissConflict(conflict.clientId)}
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Stock Alerts */}
       {stockAlerts.length > 0 && (
         <div className="bg-warning bg-opacity-10 border border-warning rounded-lg p-4 mb-6">
@@ -690,6 +1049,17 @@ return (
       )}
 
       {/* POS Tab */}
+      {activeTab === 'pos' && (
+        <ShiftPanel
+          cashierId={cashierId}
+          cashierName={cashierName}
+          pendingSales={syncStatus.pending}
+          onShiftChange={(shift) => {
+            setCurrentShift(shift);
+            loadDashboardData();
+          }}
+        />
+      )}
       {activeTab === 'pos' && (
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
           {/* Products Section */}
@@ -745,7 +1115,7 @@ return (
           <div className="card p-6 sticky top-6">
             <h2 className="text-xl font-semibold text-gray-900 mb-4">Cart</h2>
 
-            {cart.length === 0 ? (
+            {cart.length === 0 && tenders.length === 0 ? (
               <div className="text-center py-8">
                 <ApperIcon name="ShoppingCart" size={48} className="text-gray-400 mx-auto mb-4" />
                 <p className="text-gray-600">Select products to add to cart</p>
@@ -791,6 +1161,32 @@ return (
                       Rs. {getTotal().toLocaleString()}
                     </span>
                   </div>
+                  {tenders.length > 0 && (
+                    <div className="mb-4 space-y-1">
+                      {tenders.map(tender => (
+                        <div key={tender.id} className="flex justify-between items-center text-sm">
+                          <span className="text-gray-600">{formatTender(tender)}</span>
+                          <span className="flex items-center space-x-2">
+                            <span className="text-green-600">-Rs. {tender.amount.toLocaleString()}</span>
+                            <button
+                              onClick={() => voidTender(tender)}
+                              disabled={processingPayment}
+                              className="p-1 rounded hover:bg-red-100 text-red-600"
+                              title="Remove payment"
+                            >
+                              <ApperIcon name="X" size={12} />
+                            </button>
+                          </span>
+                        </div>
+                      ))}
+                      <div className="flex justify-between font-semibold pt-1 border-t border-gray-100">
+                        <span>{getBalanceDue() < 0 ? 'Overpaid' : 'Balance due'}</span>
+                        <span className={getBalanceDue() < 0 ? 'text-error' : ''}>
+                          Rs. {Math.abs(getBalanceDue()).toLocaleString()}
+                        </span>
+                      </div>
+                    </div>
+                  )}
 
                   <div className="space-y-4">
                     <div>
@@ -811,17 +1207,19 @@ return (
                       </select>
                     </div>
 
-                    {paymentType === 'cash' && (
+                    {getBalanceDue() > 0 && (
                       <div>
                         <Input
-                          label="Customer Paid"
+                          label={paymentType === 'cash' ? 'Cash Received' : 'Amount'}
                           type="number"
                           step="0.01"
+                          min="0"
                           value={customerPaid}
                           onChange={(e) => setCustomerPaid(e.target.value)}
-                          icon="Banknote"
+                          placeholder={paymentType === 'cash' ? '' : `Rs. ${getBalanceDue().toLocaleString()} (balance due)`}
+                          icon={paymentType === 'cash' ? 'Banknote' : 'CreditCard'}
                         />
-                        {customerPaid && (
+                        {paymentType === 'cash' && getChange() > 0 && (
                           <div className="mt-2 text-sm">
                             <p className="text-gray-600">
                               Change: <span className="font-semibold text-green-600">
@@ -843,22 +1241,44 @@ return (
                           size="small"
                           icon="Plus"
                           onClick={() => setShowCustomerModal(true)}
+                          disabled={hasLoyaltyTender}
                         >
                           Select
                         </Button>
                       </div>
                       {selectedCustomer ? (
-                        <div className="flex items-center justify-between p-2 bg-green-50 rounded-lg">
-                          <div>
-                            <p className="font-medium text-sm">{selectedCustomer.name}</p>
-                            <p className="text-xs text-gray-600">{selectedCustomer.phone}</p>
+                        <div className="p-2 bg-green-50 rounded-lg">
+                          <div className="flex items-center justify-between">
+                            <div>
+                              <p className="font-medium text-sm">{selectedCustomer.name}</p>
+                              <p className="text-xs text-gray-600">
+                                {selectedCustomer.phone} - {(customerBalances[selectedCustomer.id] || 0).toLocaleString()} points
+                              </p>
+                            </div>
+                            <Button
+                              variant="ghost"
+                              size="small"
+                              icon="X"
+                              onClick={() => changeCustomer(null)}
+                              disabled={hasLoyaltyTender}
+                            />
                           </div>
-                          <Button
-                            variant="ghost"
-                            size="small"
-                            icon="X"
-                            onClick={() => setSelectedCustomer(null)}
-                          />
+                          {getLoyaltyQuote().points > 0 && (
+                            syncStatus.online ? (
+                              <Button
+                                variant="outline"
+                                size="small"
+                                icon="Gift"
+                                onClick={applyLoyaltyPoints}
+                                disabled={processingPayment}
+                                className="w-full mt-2"
+                              >
+                                Use {getLoyaltyQuote().points.toLocaleString()} points (Rs. {getLoyaltyQuote().value.toLocaleString()})
+                              </Button>
+                            ) : (
+                              <p className="mt-2 text-xs text-gray-600">Points can be redeemed once the till is online</p>
+                            )
+                          )}
                         </div>
                       ) : (
                         <div className="text-sm text-gray-500 italic">No customer selected</div>
@@ -891,9 +1311,10 @@ return (
                       icon="CreditCard"
                       onClick={processPayment}
                       loading={processingPayment}
+                      disabled={processingPayment}
                       className="w-full"
                     >
-                      Process Payment
+                      {settlesBalance() ? 'Complete Payment' : 'Add Payment'}
                     </Button>
                     
                     {printStatus && (
@@ -1008,6 +1429,14 @@ return (
         <div className="space-y-6">
           <div className="flex justify-between items-center">
             <h2 className="text-xl font-semibold">Customer Management</h2>
+            <div className="flex-1 max-w-xs mx-4">
+              <Input
+                value={customerSearch}
+                onChange={(e) => setCustomerSearch(e.target.value)}
+                placeholder="Search by name or phone..."
+                icon="Search"
+              />
+            </div>
             <Button
               variant="primary"
               icon="UserPlus"
@@ -1019,7 +1448,7 @@ return (
 
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
             {customers.map((customer) => (
-              <div key={customer.Id} className="card p-4">
+              <div key={customer.id} className="card p-4">
                 <div className="flex items-center justify-between mb-2">
                   <div className="flex items-center space-x-2">
                     <ApperIcon name="User" size={16} className="text-gray-400" />
@@ -1030,19 +1459,18 @@ return (
                     size="small"
                     icon="Eye"
                     onClick={() => {
-                      setSelectedCustomer(customer);
-                      setShowCustomerModal(true);
+                      if (changeCustomer(customer)) setShowCustomerModal(true);
                     }}
                   />
                 </div>
                 <p className="text-sm text-gray-600 mb-1">{customer.phone}</p>
-                <p className="text-sm text-gray-600 mb-2">{customer.email}</p>
+                <p className="text-sm text-gray-600 mb-2">{customer.email || 'No email'}</p>
                 <div className="flex justify-between items-center">
                   <span className="text-sm font-medium text-primary">
-                    Rs. {customer.totalPurchases.toLocaleString()}
+                    {(customerBalances[customer.id] || 0).toLocaleString()} points
                   </span>
                   <span className="text-xs text-gray-500">
-                    Last: {customer.lastVisit}
+                    {customer.hasAccount ? 'Online account' : 'In-store only'}
                   </span>
                 </div>
               </div>
@@ -1110,6 +1538,49 @@ return (
               ))}
             </div>
           </div>
+
+          <div className="card p-6">
+            <h3 className="text-lg font-semibold mb-4">Cash Drawer Variances by Cashier</h3>
+            {cashierVariances.length === 0 ? (
+              <p className="text-sm text-gray-500 italic">No closed shifts yet</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-600 border-b">
+                      <th className="py-2">Cashier</th>
+                      <th className="py-2">Shifts</th>
+                      <th className="py-2">Short / Over</th>
+                      <th className="py-2">Net Variance</th>
+                      <th className="py-2">Flagged</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {cashierVariances.map(summary => (
+                      <tr key={summary.cashierId} className="border-b last:border-0">
+                        <td className="py-2 font-medium">{summary.cashierName}</td>
+                        <td className="py-2">{summary.shifts}</td>
+                        <td className="py-2">{summary.shortCount} / {summary.overCount}</td>
+                        <td className={`py-2 font-semibold ${summary.totalVariance < 0 ? 'text-error' : summary.totalVariance > 0 ? 'text-warning' : 'text-success'}`}>
+                          {summary.totalVariance > 0 ? '+' : ''}Rs. {summary.totalVariance.toLocaleString()}
+                        </td>
+                        <td className="py-2">
+                          {summary.flaggedCount > 0 ? (
+                            <span className="inline-flex items-center text-error">
+                              <ApperIcon name="AlertTriangle" size={14} className="mr-1" />
+                              {summary.flaggedCount}
+                            </span>
+                          ) : (
+                            <span className="text-gray-400">-</span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
         </div>
       )}
 <BarcodeScanner
@@ -1141,7 +1612,9 @@ return (
               
               <div className="border-t border-gray-300 pt-3 mb-3">
                 <p className="text-sm">Date: {new Date().toLocaleString()}</p>
-                <p className="text-sm">Payment: {previewTransaction.paymentType.toUpperCase()}</p>
+                <p className="text-sm">
+                  Payment: {previewTransaction.paymentType === 'split' ? 'SPLIT TENDER' : previewTransaction.paymentType.toUpperCase()}
+                </p>
               </div>
               
               <div className="space-y-2 mb-3">
@@ -1161,15 +1634,21 @@ return (
                   <span>Total:</span>
                   <span>Rs. {previewTransaction.total.toLocaleString()}</span>
                 </div>
-                {previewTransaction.paymentType === 'cash' && (
+                {getTransactionTenders(previewTransaction).map((tender, index) => (
+                  <div key={index} className="flex justify-between text-sm">
+                    <span>{formatTender(tender)}:</span>
+                    <span>Rs. {tender.amount.toLocaleString()}</span>
+                  </div>
+                ))}
+                {getCashReceived(getTransactionTenders(previewTransaction)) > 0 && (
                   <>
                     <div className="flex justify-between text-sm">
-                      <span>Paid:</span>
-                      <span>Rs. {previewTransaction.customerPaid.toLocaleString()}</span>
+                      <span>Cash Paid:</span>
+                      <span>Rs. {getCashReceived(getTransactionTenders(previewTransaction)).toLocaleString()}</span>
                     </div>
                     <div className="flex justify-between text-sm">
                       <span>Change:</span>
-                      <span>Rs. {previewTransaction.change.toLocaleString()}</span>
+                      <span>Rs. {(previewTransaction.change || 0).toLocaleString()}</span>
                     </div>
                   </>
                 )}
@@ -1307,8 +1786,8 @@ onClick={() => {
               <button
                 onClick={() => {
                   setShowCustomerModal(false);
-                  setSelectedCustomer(null);
-                  setNewCustomer({ name: '', phone: '', email: '', address: '' });
+                  if (!hasLoyaltyTender) setSelectedCustomer(null);
+                  setNewCustomer({ name: '', phone: '', email: '' });
                 }}
                 className="text-gray-500 hover:text-gray-700"
               >
@@ -1329,14 +1808,12 @@ onClick={() => {
                 </div>
 
                 <div className="max-h-48 overflow-y-auto space-y-2">
-                  {customers
-                    .filter(c => 
-                      c.name.toLowerCase().includes(customerSearch.toLowerCase()) ||
-                      c.phone.includes(customerSearch)
-                    )
-                    .map(customer => (
+                  {customers.length === 0 && customerSearch.trim() && (
+                    <p className="text-sm text-gray-500 italic">No customer matches "{customerSearch}". Add them below.</p>
+                  )}
+                  {customers.map(customer => (
                       <div
-                        key={customer.Id}
+                        key={customer.id}
                         className="flex items-center justify-between p-3 border rounded-lg hover:bg-gray-50 cursor-pointer"
                         onClick={() => selectCustomer(customer)}
                       >
@@ -1346,9 +1823,9 @@ onClick={() => {
                         </div>
                         <div className="text-right">
                           <p className="text-sm font-medium text-primary">
-                            Rs. {customer.totalPurchases.toLocaleString()}
+                            {(customerBalances[customer.id] || 0).toLocaleString()} points
                           </p>
-                          <p className="text-xs text-gray-500">{customer.lastVisit}</p>
+                          <p className="text-xs text-gray-500">{customer.hasAccount ? 'Online account' : 'In-store'}</p>
                         </div>
                       </div>
                     ))}
@@ -1375,12 +1852,6 @@ onClick={() => {
                       onChange={(e) => setNewCustomer({...newCustomer, email: e.target.value})}
                       placeholder="customer@email.com"
                     />
-                    <Input
-                      label="Address"
-                      value={newCustomer.address}
-                      onChange={(e) => setNewCustomer({...newCustomer, address: e.target.value})}
-                      placeholder="Customer address"
-                    />
                     <Button
                       variant="primary"
                       onClick={addCustomer}
@@ -1401,23 +1872,68 @@ onClick={() => {
                   <p className="text-gray-600">{selectedCustomer.email}</p>
                 </div>
                 
-                <div className="grid grid-cols-2 gap-4">
+                <div className="grid grid-cols-3 gap-4">
                   <div className="text-center">
-                    <p className="text-2xl font-bold text-primary">
-                      Rs. {selectedCustomer.totalPurchases.toLocaleString()}
+                    <p className="text-xl font-bold text-primary">
+                      Rs. {(customerHistory?.totalSpent || 0).toLocaleString()}
                     </p>
                     <p className="text-sm text-gray-600">Total Purchases</p>
                   </div>
                   <div className="text-center">
-                    <p className="text-lg font-semibold">{selectedCustomer.lastVisit}</p>
+                    <p className="text-lg font-semibold">
+                      {customerHistory?.lastPurchaseAt ? new Date(customerHistory.lastPurchaseAt).toLocaleDateString() : '-'}
+                    </p>
                     <p className="text-sm text-gray-600">Last Visit</p>
                   </div>
+                  <div className="text-center">
+                    <p className="text-xl font-bold text-primary">
+                      {(customerBalances[selectedCustomer.id] || 0).toLocaleString()}
+                    </p>
+                    <p className="text-sm text-gray-600">Points</p>
+                  </div>
                 </div>
 
+                {customerHistory && (
+                  <div>
+                    <h5 className="font-medium mb-2">Recent purchases</h5>
+                    {customerHistory.purchases.length === 0 ? (
+                      <p className="text-sm text-gray-500 italic">No purchases yet</p>
+                    ) : (
+                      <div className="space-y-1 text-sm">
+                        {customerHistory.purchases.slice(0, 5).map(purchase => (
+                          <div key={`${purchase.channel}-${purchase.id}`} className="flex justify-between">
+                            <span className="text-gray-600">
+                              {new Date(purchase.date).toLocaleDateString()} - {purchase.channel === 'store' ? 'In store' : `Order #${purchase.id}`}
+                            </span>
+                            <span className={purchase.status === 'cancelled' ? 'line-through text-gray-400' : 'font-medium'}>
+                              Rs. {purchase.total.toLocaleString()}
+                            </span>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                    {customerHistory.ledger.length > 0 && (
+                      <>
+                        <h5 className="font-medium mt-3 mb-2">Points activity</h5>
+                        <div className="space-y-1 text-sm">
+                          {customerHistory.ledger.map(entry => (
+                            <div key={entry.id} className="flex justify-between">
+                              <span className="text-gray-600">{entry.note}</span>
+                              <span className={entry.points >= 0 ? 'text-green-600' : 'text-error'}>
+                                {entry.points >= 0 ? '+' : ''}{entry.points}
+                              </span>
+                            </div>
+                          ))}
+                        </div>
+                      </>
+                    )}
+                  </div>
+                )}
+
                 <div className="flex space-x-2">
                   <Button
                     variant="outline"
-                    onClick={() => setSelectedCustomer(null)}
+                    onClick={() => changeCustomer(null)}
                     className="flex-1"
                   >
                     Back to List
@@ -9,6 +9,7 @@ import Error from "@/components/ui/Error";
 import Loading from "@/components/ui/Loading";
 import { orderService } from "@/services/api/orderService";
 import { paymentService } from "@/services/api/paymentService";
+import { refundService } from "@/services/api/refundService";
 
 // Payment Gateway Management Component
 const PaymentGatewayManagement = ({ paymentMethods, onGatewayUpdate }) => {
@@ -352,7 +353,10 @@ const [filterMethod, setFilterMethod] = useState('all');
   const [selectedTransactionId, setSelectedTransactionId] = useState(null);
   const [refundAmount, setRefundAmount] = useState('');
   const [refundReason, setRefundReason] = useState('');
+  const [refundMethod, setRefundMethod] = useState('original');
   const [processingRefund, setProcessingRefund] = useState(false);
+  const [refunds, setRefunds] = useState([]);
+  const [refundActionId, setRefundActionId] = useState(null);
   const [showImageModal, setShowImageModal] = useState(false);
   const [selectedImage, setSelectedImage] = useState(null);
   const [showRejectionModal, setShowRejectionModal] = useState(false);
@@ -378,12 +382,13 @@ const [filterMethod, setFilterMethod] = useState('all');
       setLoading(true);
       setError(null);
 
-      const [allTransactions, walletTxns, methods, orders, verifications] = await Promise.all([
+      const [allTransactions, walletTxns, methods, orders, verifications, refundRecords] = await Promise.all([
         paymentService.getAllTransactions(),
         paymentService.getWalletTransactions(),
         paymentService.getAvailablePaymentMethods(),
         orderService.getAll(),
-        orderService.getPendingVerifications()
+        orderService.getPendingVerifications(),
+        refundService.getAll()
       ]);
 
       const walletBalance = await paymentService.getWalletBalance();
@@ -391,7 +396,8 @@ const [filterMethod, setFilterMethod] = useState('all');
       // Calculate stats
       const successfulTxns = allTransactions.filter(t => t.status === 'completed');
       const failedTxns = allTransactions.filter(t => t.status === 'failed');
-      const totalRevenue = successfulTxns.reduce((sum, t) => sum + t.amount, 0);
+      // Refund transactions carry positive amounts, so they come off revenue
+      const totalRevenue = successfulTxns.reduce((sum, t) => sum + (t.type === 'refund' ? -t.amount : t.amount), 0);
       const pendingRefunds = orders.filter(o => o.refundRequested).length;
       const pendingVerificationsCount = verifications.length;
 
@@ -409,6 +415,7 @@ const [filterMethod, setFilterMethod] = useState('all');
       setWalletTransactions(walletTxns);
       setPaymentMethods(methods);
       setPendingVerifications(verifications);
+      setRefunds(refundRecords);
 
     } catch (err) {
       setError(err.message);
@@ -449,10 +456,11 @@ useEffect(() => {
 
     setProcessingRefund(true);
     try {
-      await orderService.processRefund(parseInt(orderId), parseFloat(refundAmount), refundReason);
+      await orderService.processRefund(parseInt(orderId), parseFloat(refundAmount), refundReason, { refundMethod });
       toast.success('Refund processed successfully');
       setRefundAmount('');
       setRefundReason('');
+      setRefundMethod('original');
       setSelectedTransactionId(null);
       loadPaymentData();
 } catch (error) {
@@ -462,6 +470,40 @@ useEffect(() => {
     }
   };
 
+  const handleApproveRefund = async (refund) => {
+    const note = refund.status === 'requested'
+      ? window.prompt(`Approve refund of Rs. ${refund.amount} for order #${refund.orderId}? Optional note:`, '')
+      : '';
+    if (note === null) return;
+
+    setRefundActionId(refund.Id);
+    try {
+      await orderService.approveRefund(refund.Id, { note });
+      toast.success(`Refund #${refund.Id} paid out`);
+      loadPaymentData();
+    } catch (error) {
+      toast.error(error.message || 'Failed to approve refund');
+    } finally {
+      setRefundActionId(null);
+    }
+  };
+
+  const handleRejectRefund = async (refund) => {
+    const reason = window.prompt(`Why is refund #${refund.Id} being rejected?`, '');
+    if (!reason?.trim()) return;
+
+    setRefundActionId(refund.Id);
+    try {
+      await orderService.rejectRefund(refund.Id, { reason });
+      toast.success(`Refund #${refund.Id} rejected`);
+      loadPaymentData();
+    } catch (error) {
+      toast.error(error.message || 'Failed to reject refund');
+    } finally {
+      setRefundActionId(null);
+    }
+  };
+
 const handleVerificationAction = async (orderId, action, notes = '') => {
     if (action === 'reject') {
       // Open rejection reason modal
@@ -915,6 +957,20 @@ const handleVerificationAction = async (orderId, action, notes = '') => {
                       onChange={(e) => setRefundAmount(e.target.value)}
                     />
                   </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Refund To
+                    </label>
+                    <select
+                      className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+                      value={refundMethod}
+                      onChange={(e) => setRefundMethod(e.target.value)}
+                    >
+                      {refundService.getMethods().map(method => (
+                        <option key={method.id} value={method.id}>{method.label}</option>
+                      ))}
+                    </select>
+                  </div>
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">
                       Reason
@@ -947,18 +1003,100 @@ const handleVerificationAction = async (orderId, action, notes = '') => {
                 </div>
               </div>
               <div>
-                <h4 className="font-medium text-gray-900 mb-4">Recent Refunds</h4>
-                <div className="space-y-3">
-                  {stats.pendingRefunds > 0 ? (
-                    <div className="text-center py-8">
-                      <ApperIcon name="RefreshCw" size={48} className="text-orange-400 mx-auto mb-4" />
-                      <p className="text-gray-600">{stats.pendingRefunds} pending refunds</p>
-                    </div>
-                  ) : (
+                <h4 className="font-medium text-gray-900 mb-4">Return Requests</h4>
+                <div className="space-y-3 mb-8">
+                  {refunds.filter(r => ['requested', 'approved', 'processing'].includes(r.status)).length === 0 ? (
                     <div className="text-center py-8">
                       <ApperIcon name="CheckCircle" size={48} className="text-green-400 mx-auto mb-4" />
                       <p className="text-gray-600">No pending refunds</p>
                     </div>
+                  ) : (
+                    refunds.filter(r => ['requested', 'approved', 'processing'].includes(r.status)).map(refund => (
+                      <div key={refund.Id} className="border border-orange-200 bg-orange-50 rounded-lg p-4">
+                        <div className="flex items-start justify-between mb-2">
+                          <div>
+                            <p className="font-medium text-gray-900">
+                              #{refund.Id} · Order #{refund.orderId}
+                            </p>
+                            <p className="text-sm text-gray-600">
+                              {refundService.getReasonLabel(refund.reason)} · {format(new Date(refund.requestedAt), 'MMM dd, hh:mm a')}
+                            </p>
+                          </div>
+                          <div className="text-right">
+                            <p className="font-semibold text-gray-900">Rs. {refund.amount.toLocaleString()}</p>
+                            <p className="text-xs text-gray-500">
+                              {refund.refundMethod === 'wallet' ? 'Wallet credit' : 'Original method'}
+                            </p>
+                          </div>
+                        </div>
+                        <ul className="text-sm text-gray-700 mb-2">
+                          {refund.items.map(item => (
+                            <li key={item.productId}>
+                              {item.quantity}x {item.name}{item.restock ? ' (restock)' : ''}
+                            </li>
+                          ))}
+                        </ul>
+                        {refund.notes && (
+                          <p className="text-sm text-gray-600 italic mb-2">"{refund.notes}"</p>
+                        )}
+                        {refund.status === 'approved' && refund.lastPayoutError && (
+                          <p className="text-xs text-red-600 mb-2">Payout failed: {refund.lastPayoutError}</p>
+                        )}
+                        {refund.approvalRequestId && (
+                          <p className="text-xs text-orange-700 mb-2">
+                            Raised in approval workflow as request #{refund.approvalRequestId}
+                          </p>
+                        )}
+                        <div className="flex space-x-2">
+                          <Button
+                            size="small"
+                            onClick={() => handleApproveRefund(refund)}
+                            disabled={refundActionId === refund.Id}
+                            className="flex-1"
+                          >
+                            <ApperIcon name="Check" size={14} className="mr-1" />
+                            {refund.status === 'requested' ? 'Approve & Refund' : 'Retry Payout'}
+                          </Button>
+                          {refund.status === 'requested' && (
+                            <Button
+                              size="small"
+                              variant="outline"
+                              onClick={() => handleRejectRefund(refund)}
+                              disabled={refundActionId === refund.Id}
+                              className="flex-1"
+                            >
+                              <ApperIcon name="X" size={14} className="mr-1" />
+                              Reject
+                            </Button>
+                          )}
+                        </div>
+                      </div>
+                    ))
+                  )}
+                </div>
+
+                <h4 className="font-medium text-gray-900 mb-4">Recent Refunds</h4>
+                <div className="divide-y divide-gray-100">
+                  {refunds.filter(r => r.status === 'refunded' || r.status === 'rejected').slice(0, 10).map(refund => (
+                    <div key={refund.Id} className="flex items-center justify-between py-3 text-sm">
+                      <div>
+                        <p className="font-medium text-gray-900">
+                          #{refund.Id} · Order #{refund.orderId}
+                        </p>
+                        <p className="text-gray-600">
+                          {refund.type === 'manual' ? refund.reason : refundService.getReasonLabel(refund.reason)}
+                        </p>
+                      </div>
+                      <div className="text-right">
+                        <p className="font-semibold text-gray-900">Rs. {refund.amount.toLocaleString()}</p>
+                        <span className={`text-xs font-medium ${refund.status === 'refunded' ? 'text-green-600' : 'text-red-600'}`}>
+                          {refund.status === 'refunded' ? 'Refunded' : 'Rejected'}
+                        </span>
+                      </div>
+                    </div>
+                  ))}
+                  {refunds.every(r => r.status !== 'refunded' && r.status !== 'rejected') && (
+                    <p className="text-sm text-gray-500 py-4">No refunds processed yet</p>
                   )}
                 </div>
               </div>
@@ -10,6 +10,10 @@ import Button from "@/components/atoms/Button";
 import Error from "@/components/ui/Error";
 import Loading from "@/components/ui/Loading";
 import Cart from "@/components/pages/Cart";
+import StarRating from "@/components/molecules/StarRating";
+import StockAlertButton from "@/components/molecules/StockAlertButton";
+import WishlistButton from "@/components/molecules/WishlistButton";
+import ProductReviews from "@/components/organisms/ProductReviews";
 import { productService } from "@/services/api/productService";
 import { useCart } from "@/hooks/useCart";
 import { toast } from "react-hot-toast";
@@ -303,9 +307,20 @@ onError={(e) => {
             <Badge variant="primary" className="mb-3">
               {product.category}
             </Badge>
-            <h1 className="text-4xl font-bold text-gray-900 mb-4">
-              {product.name}
-            </h1>
+            <div className="flex items-start justify-between gap-4">
+              <h1 className="text-4xl font-bold text-gray-900 mb-4">
+                {product.name}
+              </h1>
+              <WishlistButton product={product} size={22} className="flex-shrink-0 border border-gray-200" />
+            </div>
+            {product.reviewCount > 0 && (
+              <div className="flex items-center space-x-2 -mt-2">
+                <StarRating value={product.rating} size={18} />
+                <span className="text-sm text-gray-600">
+                  {product.rating.toFixed(1)} ({product.reviewCount} review{product.reviewCount === 1 ? '' : 's'})
+                </span>
+              </div>
+            )}
           </div>
 {/* Pricing Hierarchy Display */}
           <div className="space-y-4">
@@ -489,14 +504,17 @@ onError={(e) => {
                 </Button>
               </>
             ) : (
-              <Button
-                variant="outline"
-                size="large"
-                disabled
-                className="w-full"
-              >
-                Out of Stock
-              </Button>
+              <>
+                <Button
+                  variant="outline"
+                  size="large"
+                  disabled
+                  className="w-full"
+                >
+                  Out of Stock
+                </Button>
+                <StockAlertButton product={product} size="large" className="w-full" />
+              </>
             )}
           </div>
 
@@ -544,6 +562,8 @@ onError={(e) => {
           </div>
         </div>
       </div>
+
+      <ProductReviews productId={product.id} />
 </div>
   );
 };
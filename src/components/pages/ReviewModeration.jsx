@@ -0,0 +1,153 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { toast } from "react-toastify";
+import { format } from "date-fns";
+import ApperIcon from "@/components/ApperIcon";
+import Badge from "@/components/atoms/Badge";
+import Button from "@/components/atoms/Button";
+import StarRating from "@/components/molecules/StarRating";
+import Empty from "@/components/ui/Empty";
+import Error from "@/components/ui/Error";
+import Loading from "@/components/ui/Loading";
+import { reviewService } from "@/services/api/reviewService";
+
+const STATUS_TABS = [
+  { id: 'pending', label: 'Pending' },
+  { id: 'published', label: 'Published' },
+  { id: 'rejected', label: 'Rejected' }
+];
+
+const STATUS_VARIANTS = { pending: 'warning', published: 'success', rejected: 'danger' };
+
+// Queue for approving or rejecting customer reviews before they go live
+const ReviewModeration = () => {
+  const [status, setStatus] = useState('pending');
+  const [reviews, setReviews] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [workingId, setWorkingId] = useState(null);
+
+  const loadReviews = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setReviews(await reviewService.getAll({ status }));
+    } catch (err) {
+      setError(err.message || 'Failed to load reviews');
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    loadReviews();
+  }, [loadReviews]);
+
+  const handleModerate = async (review, nextStatus) => {
+    let note = '';
+    if (nextStatus === 'rejected') {
+      note = window.prompt('Reason for rejecting this review (shown to the customer):', '');
+      if (note === null) return;
+    }
+    setWorkingId(review.Id);
+    try {
+      await reviewService.moderate(review.Id, nextStatus, note);
+      toast.success(nextStatus === 'published' ? 'Review published' : nextStatus === 'rejected' ? 'Review rejected' : 'Review moved back to pending');
+      setReviews(prev => prev.filter(r => r.Id !== review.Id));
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setWorkingId(null);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-background p-6">
+      <div className="max-w-5xl mx-auto">
+        <div className="mb-6">
+          <div className="flex items-center space-x-2 mb-2">
+            <ApperIcon name="MessageSquareWarning" className="w-8 h-8 text-primary" />
+            <h1 className="text-3xl font-bold text-gray-900">Review Moderation</h1>
+          </div>
+          <p className="text-gray-600">Publish or reject customer reviews before they appear on product pages</p>
+        </div>
+
+        <div className="flex space-x-2 mb-6">
+          {STATUS_TABS.map(tab => (
+            <button
+              key={tab.id}
+              type="button"
+              onClick={() => setStatus(tab.id)}
+              className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                status === tab.id ? 'bg-primary text-white' : 'bg-white text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        {loading ? (
+          <Loading type="page" />
+        ) : error ? (
+          <Error message={error} onRetry={loadReviews} />
+        ) : reviews.length === 0 ? (
+          <Empty
+            title={`No ${status} reviews`}
+            description={status === 'pending' ? 'New reviews will show up here for checking.' : 'Nothing here yet.'}
+            icon="MessageSquare"
+          />
+        ) : (
+          <div className="space-y-4">
+            {reviews.map(review => (
+              <div key={review.Id} className="card p-5">
+                <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+                  <div className="min-w-0 flex-1">
+                    <div className="flex flex-wrap items-center gap-2 mb-1">
+                      <StarRating value={review.rating} size={16} />
+                      <Badge variant={STATUS_VARIANTS[review.status]} size="small">{review.status}</Badge>
+                      <Link to={`/product/${review.productId}`} className="text-sm text-primary hover:underline">
+                        Product #{review.productId}
+                      </Link>
+                    </div>
+                    {review.title && <p className="font-semibold text-gray-900">{review.title}</p>}
+                    {review.comment && <p className="text-gray-700 whitespace-pre-line mt-1">{review.comment}</p>}
+                    {review.photos.length > 0 && (
+                      <div className="flex flex-wrap gap-2 mt-3">
+                        {review.photos.map((photo, index) => (
+                          <img key={index} src={photo} alt={`Review photo ${index + 1}`} className="w-16 h-16 object-cover rounded-lg" />
+                        ))}
+                      </div>
+                    )}
+                    <p className="text-xs text-gray-500 mt-3">
+                      {review.customerName} · {format(new Date(review.createdAt), 'MMM d, yyyy HH:mm')}
+                      {review.orderId ? ` · order #${review.orderId}` : ''}
+                      {review.helpfulCount > 0 ? ` · ${review.helpfulCount} helpful` : ''}
+                    </p>
+                    {review.moderation?.note && (
+                      <p className="text-xs text-red-600 mt-1">Note: {review.moderation.note}</p>
+                    )}
+                  </div>
+                  <div className="flex md:flex-col gap-2 flex-shrink-0">
+                    {review.status !== 'published' && (
+                      <Button size="small" variant="primary" icon="Check" onClick={() => handleModerate(review, 'published')} disabled={workingId === review.Id}>
+                        Publish
+                      </Button>
+                    )}
+                    {review.status !== 'rejected' && (
+                      <Button size="small" variant="danger" icon="EyeOff" onClick={() => handleModerate(review, 'rejected')} disabled={workingId === review.Id}>
+                        Reject
+                      </Button>
+                    )}
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReviewModeration;
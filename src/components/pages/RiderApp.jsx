@@ -0,0 +1,339 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Link } from "react-router-dom";
+import { toast } from "react-toastify";
+import sessionService from "@/services/SessionService";
+import { deliveryPersonnelService } from "@/services/api/deliveryPersonnelService";
+import { orderService } from "@/services/api/orderService";
+import { formatCurrency } from "@/utils/currency";
+import { resizePhoto } from "@/utils/image";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import Input from "@/components/atoms/Input";
+import SignaturePad from "@/components/molecules/SignaturePad";
+import RiderSignIn from "@/components/organisms/RiderSignIn";
+import Error from "@/components/ui/Error";
+import Loading from "@/components/ui/Loading";
+
+const ACTIVE_DELIVERY_STATUSES = ['assigned', 'picked_up', 'out_for_delivery', 'arrived'];
+
+const NEXT_STEP = {
+  assigned: { status: 'picked_up', label: 'Picked Up', icon: 'PackageCheck' },
+  picked_up: { status: 'out_for_delivery', label: 'Start Delivery', icon: 'Bike' },
+  out_for_delivery: { status: 'arrived', label: 'Arrived', icon: 'MapPin' },
+  arrived: { status: 'delivered', label: 'Complete Delivery', icon: 'CheckCircle', requiresProof: true }
+};
+
+const STATUS_LABELS = {
+  assigned: 'Ready for pickup',
+  picked_up: 'Picked up',
+  out_for_delivery: 'On the way',
+  arrived: 'At customer'
+};
+
+const PHOTO_MAX_SIZE = 800;
+
+// Best-effort position for the delivery timeline; never blocks a status update for long
+const getCurrentLocation = () => new Promise(resolve => {
+  if (!navigator.geolocation) {
+    resolve(null);
+    return;
+  }
+  navigator.geolocation.getCurrentPosition(
+    position => resolve({ lat: position.coords.latitude, lng: position.coords.longitude }),
+    () => resolve(null),
+    { enableHighAccuracy: true, timeout: 5000, maximumAge: 30000 }
+  );
+});
+
+function RiderApp() {
+  const [riderId, setRiderId] = useState(() => {
+    const user = sessionService.getCurrentUser();
+    return user?.role === 'rider' ? user.riderId || null : null;
+  });
+  const [rider, setRider] = useState(null);
+  const [stops, setStops] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [updatingOrderId, setUpdatingOrderId] = useState(null);
+  const [proofOrder, setProofOrder] = useState(null);
+
+  useEffect(() => {
+    if (riderId) {
+      loadStops();
+    } else {
+      setLoading(false);
+    }
+  }, [riderId]);
+
+  const loadStops = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const [riderData, orders] = await Promise.all([
+        deliveryPersonnelService.getById(riderId),
+        orderService.getAll()
+      ]);
+      setRider(riderData);
+      setStops(orders
+        .filter(order => order.deliveryPersonId === riderId && ACTIVE_DELIVERY_STATUSES.includes(order.deliveryStatus))
+        .sort((a, b) => (a.deliveryRoute?.sequence ?? 99) - (b.deliveryRoute?.sequence ?? 99)));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const advanceStatus = async (order, proofOfDelivery = null) => {
+    const step = NEXT_STEP[order.deliveryStatus];
+    if (!step) return;
+
+    try {
+      setUpdatingOrderId(order.id);
+      const location = await getCurrentLocation();
+      const isDelivered = step.status === 'delivered';
+
+      await orderService.updateDeliveryStatus(
+        order.id,
+        step.status,
+        isDelivered ? new Date().toISOString() : null,
+        { actor: `rider_${riderId}`, location, proofOfDelivery }
+      );
+
+      if (isDelivered) {
+        const remaining = stops.filter(stop => stop.id !== order.id).length;
+        await deliveryPersonnelService.update(riderId, {
+          totalDeliveries: (rider?.totalDeliveries || 0) + 1,
+          ...(remaining === 0 && { status: 'available' })
+        });
+        setProofOrder(null);
+        toast.success(`Order #${order.id} delivered`);
+      } else {
+        toast.success(`Order #${order.id}: ${STATUS_LABELS[step.status] || step.label}`);
+      }
+      loadStops();
+    } catch (err) {
+      // Keep the proof modal open so the rider can fix the OTP or retake the photo
+      toast.error(err.message || 'Failed to update delivery');
+    } finally {
+      setUpdatingOrderId(null);
+    }
+  };
+
+  const handleStepClick = (order) => {
+    if (NEXT_STEP[order.deliveryStatus]?.requiresProof) {
+      setProofOrder(order);
+    } else {
+      advanceStatus(order);
+    }
+  };
+
+  if (!riderId) {
+    return <RiderSignIn onSignedIn={setRiderId} />;
+  }
+
+  if (loading && !rider) {
+    return (
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <Loading type="page" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <Error message={error} onRetry={loadStops} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-6 sm:py-8 space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">My Deliveries</h1>
+          <p className="text-sm text-gray-600">{rider?.name} · {rider?.vehicleType} · {rider?.zone}</p>
+        </div>
+        <div className="flex space-x-2">
+          <Link to="/rider/location">
+            <Button variant="outline" size="sm" className="touch-manipulation">
+              <ApperIcon name="Navigation" size={16} className="mr-1" />
+              Location
+            </Button>
+          </Link>
+          <Button variant="outline" size="sm" onClick={loadStops} className="touch-manipulation">
+            <ApperIcon name="RefreshCw" size={16} />
+          </Button>
+        </div>
+      </div>
+
+      {stops.length === 0 ? (
+        <div className="card p-8 text-center">
+          <ApperIcon name="PackageCheck" size={40} className="text-gray-300 mx-auto mb-3" />
+          <p className="text-gray-600">No active deliveries. New assignments will show up here.</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {stops.map((order, index) => {
+            const step = NEXT_STEP[order.deliveryStatus];
+            return (
+              <div key={order.id} className="card p-4 space-y-3">
+                <div className="flex items-start justify-between">
+                  <div className="flex items-start space-x-3">
+                    <span className="w-7 h-7 flex-shrink-0 rounded-full bg-primary text-white text-sm flex items-center justify-center">
+                      {order.deliveryRoute?.sequence ?? index + 1}
+                    </span>
+                    <div>
+                      <p className="font-medium text-gray-900">Order #{order.id} · {order.deliveryAddress?.name}</p>
+                      <p className="text-sm text-gray-600">{order.deliveryAddress?.address}, {order.deliveryAddress?.city}</p>
+                      {order.deliveryAddress?.instructions && (
+                        <p className="text-xs text-gray-500 mt-1">{order.deliveryAddress.instructions}</p>
+                      )}
+                    </div>
+                  </div>
+                  <span className="text-xs bg-gray-100 text-gray-700 px-2 py-1 rounded-full flex-shrink-0">
+                    {STATUS_LABELS[order.deliveryStatus]}
+                  </span>
+                </div>
+
+                <div className="flex items-center justify-between text-sm text-gray-600">
+                  <span>{order.items?.length || 0} items · {formatCurrency(order.total)}</span>
+                  {order.paymentMethod === 'cash' && (
+                    <span className="text-orange-600 font-medium">Collect cash</span>
+                  )}
+                </div>
+
+                <div className="flex gap-2">
+                  {order.deliveryAddress?.phone && (
+                    <a href={`tel:${order.deliveryAddress.phone}`} className="flex-shrink-0">
+                      <Button variant="outline" className="touch-manipulation">
+                        <ApperIcon name="Phone" size={16} />
+                      </Button>
+                    </a>
+                  )}
+                  {step && (
+                    <Button
+                      variant="primary"
+                      onClick={() => handleStepClick(order)}
+                      disabled={updatingOrderId !== null}
+                      className="flex-1 touch-manipulation"
+                    >
+                      <ApperIcon name={updatingOrderId === order.id ? 'Loader2' : step.icon} size={16} className={`mr-2 ${updatingOrderId === order.id ? 'animate-spin' : ''}`} />
+                      {step.label}
+                    </Button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {proofOrder && (
+        <ProofOfDeliveryModal
+          order={proofOrder}
+          submitting={updatingOrderId === proofOrder.id}
+          onSubmit={(proof) => advanceStatus(proofOrder, proof)}
+          onClose={() => setProofOrder(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+const ProofOfDeliveryModal = ({ order, submitting, onSubmit, onClose }) => {
+  const signaturePadRef = useRef(null);
+  const [photo, setPhoto] = useState(null);
+  const [signature, setSignature] = useState(null);
+  const [recipientName, setRecipientName] = useState(order.deliveryAddress?.name || '');
+  const [otp, setOtp] = useState('');
+
+  const handlePhoto = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      setPhoto(await resizePhoto(file, PHOTO_MAX_SIZE));
+    } catch (err) {
+      toast.error('Could not read photo, please retake it');
+    }
+  };
+
+  const canSubmit = photo && signature && otp.trim().length >= 4 && !submitting;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-end sm:items-center justify-center sm:p-4 z-50">
+      <div className="bg-white rounded-t-lg sm:rounded-lg max-w-md w-full p-6 max-h-[95vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Proof of Delivery · #{order.id}</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <ApperIcon name="X" size={20} />
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Photo of delivered order</label>
+            {photo ? (
+              <div className="relative">
+                <img src={photo} alt="Delivered order" className="w-full rounded-lg" />
+                <button
+                  type="button"
+                  onClick={() => setPhoto(null)}
+                  className="absolute top-2 right-2 bg-white rounded-full p-1 shadow"
+                >
+                  <ApperIcon name="X" size={16} />
+                </button>
+              </div>
+            ) : (
+              <label className="flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded-lg p-6 cursor-pointer hover:border-primary">
+                <ApperIcon name="Camera" size={28} className="text-gray-400 mb-2" />
+                <span className="text-sm text-gray-600">Take photo</span>
+                <input type="file" accept="image/*" capture="environment" onChange={handlePhoto} className="hidden" />
+              </label>
+            )}
+          </div>
+
+          <Input
+            label="Received by"
+            value={recipientName}
+            onChange={(e) => setRecipientName(e.target.value)}
+          />
+
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <label className="block text-sm font-medium text-gray-700">Recipient signature</label>
+              <button type="button" onClick={() => signaturePadRef.current?.clear()} className="text-xs text-primary">
+                Clear
+              </button>
+            </div>
+            <div className="border-2 border-gray-300 rounded-lg">
+              <SignaturePad ref={signaturePadRef} onChange={setSignature} />
+            </div>
+          </div>
+
+          <Input
+            label="Delivery code from customer"
+            value={otp}
+            onChange={(e) => setOtp(e.target.value.replace(/\D/g, ''))}
+            inputMode="numeric"
+            maxLength={6}
+            placeholder="Ask the customer for their code"
+          />
+
+          <Button
+            variant="primary"
+            className="w-full"
+            disabled={!canSubmit}
+            onClick={() => onSubmit({ photo, signature, otp, recipientName })}
+          >
+            <ApperIcon name="CheckCircle" size={16} className="mr-2" />
+            {submitting ? 'Confirming...' : 'Confirm Delivery'}
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RiderApp;
@@ -0,0 +1,291 @@
+import React, { useEffect, useRef, useState } from "react";
+import { toast } from "react-toastify";
+import { deliveryPersonnelService } from "@/services/api/deliveryPersonnelService";
+import { orderService } from "@/services/api/orderService";
+import { routePlanningService } from "@/services/api/routePlanningService";
+import webSocketService from "@/services/api/websocketService";
+import sessionService from "@/services/SessionService";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import DeliveryMap from "@/components/molecules/DeliveryMap";
+import Error from "@/components/ui/Error";
+import Loading from "@/components/ui/Loading";
+
+const RIDER_STORAGE_KEY = 'freshmart_rider_id';
+// Persisting every GPS fix is wasteful; the socket still gets throttled updates at this rate
+const MIN_PUBLISH_INTERVAL_MS = 10000;
+const SIMULATION_INTERVAL_MS = 5000;
+const SIMULATION_STEP = 0.15;
+
+const ACTIVE_DELIVERY_STATUSES = ['assigned', 'picked_up', 'out_for_delivery', 'arrived'];
+
+function RiderLocation() {
+  const [personnel, setPersonnel] = useState([]);
+  // Signed-in riders share as themselves; otherwise fall back to the last rider picked on this device
+  const sessionRiderId = sessionService.getCurrentUser()?.role === 'rider' ? sessionService.getCurrentUser().riderId : null;
+  const [riderId, setRiderId] = useState(() => sessionRiderId || parseInt(localStorage.getItem(RIDER_STORAGE_KEY)) || null);
+  const [stops, setStops] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [mode, setMode] = useState(null); // 'gps' | 'simulated' | null
+  const [lastFix, setLastFix] = useState(null);
+  const [updatesSent, setUpdatesSent] = useState(0);
+
+  const watchIdRef = useRef(null);
+  const simulationRef = useRef(null);
+  const lastPublishRef = useRef(0);
+  const positionRef = useRef(null);
+  // The simulation interval outlives the render that started it, so it reads stops from here
+  const stopsRef = useRef(stops);
+
+  useEffect(() => {
+    stopsRef.current = stops;
+  }, [stops]);
+
+  const rider = personnel.find(p => p.Id === riderId) || null;
+
+  useEffect(() => {
+    loadPersonnel();
+    return () => stopSharing();
+  }, []);
+
+  useEffect(() => {
+    if (riderId) {
+      localStorage.setItem(RIDER_STORAGE_KEY, String(riderId));
+      loadStops(riderId);
+    }
+    stopSharing();
+    positionRef.current = null;
+    setLastFix(null);
+    setUpdatesSent(0);
+  }, [riderId]);
+
+  const loadPersonnel = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await deliveryPersonnelService.getAll();
+      setPersonnel(data.filter(p => p.isActive));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadStops = async (id) => {
+    try {
+      const orders = await orderService.getAll();
+      setStops(orders
+        .filter(order => order.deliveryPersonId === id && ACTIVE_DELIVERY_STATUSES.includes(order.deliveryStatus))
+        .sort((a, b) => (a.deliveryRoute?.sequence ?? 99) - (b.deliveryRoute?.sequence ?? 99)));
+    } catch (err) {
+      toast.error('Failed to load assigned deliveries');
+    }
+  };
+
+  const publish = async (location, { force = false } = {}) => {
+    positionRef.current = location;
+    setLastFix({ ...location, at: new Date().toISOString() });
+
+    const now = Date.now();
+    if (!force && now - lastPublishRef.current < MIN_PUBLISH_INTERVAL_MS) return;
+    lastPublishRef.current = now;
+
+    webSocketService.sendRiderLocation(riderId, location);
+    setUpdatesSent(count => count + 1);
+    try {
+      await deliveryPersonnelService.updateLocation(riderId, { lat: location.lat, lng: location.lng });
+    } catch (err) {
+      console.error('Failed to save rider location:', err);
+    }
+  };
+
+  const startGps = () => {
+    if (!navigator.geolocation) {
+      toast.error('GPS is not available on this device');
+      return;
+    }
+    stopSharing();
+    setMode('gps');
+    watchIdRef.current = navigator.geolocation.watchPosition(
+      (position) => {
+        publish({
+          lat: position.coords.latitude,
+          lng: position.coords.longitude,
+          accuracy: position.coords.accuracy,
+          speed: position.coords.speed,
+          heading: position.coords.heading
+        });
+      },
+      (geoError) => {
+        toast.error(`Location error: ${geoError.message}`);
+        stopSharing();
+      },
+      { enableHighAccuracy: true, maximumAge: 5000, timeout: 20000 }
+    );
+  };
+
+  // Moves the rider a step towards the next stop, for testing without a real device
+  const startSimulation = () => {
+    if (!rider?.currentLocation) {
+      toast.error('Rider has no starting location');
+      return;
+    }
+    stopSharing();
+    setMode('simulated');
+    positionRef.current = positionRef.current || { ...rider.currentLocation };
+    publish(positionRef.current, { force: true });
+
+    simulationRef.current = setInterval(() => {
+      const current = positionRef.current;
+      const target = stopsRef.current.find(stop => stop.deliveryAddress?.coordinates)?.deliveryAddress.coordinates;
+      const next = target
+        ? {
+            lat: current.lat + (target.lat - current.lat) * SIMULATION_STEP,
+            lng: current.lng + (target.lng - current.lng) * SIMULATION_STEP
+          }
+        : {
+            lat: current.lat + (Math.random() - 0.5) * 0.001,
+            lng: current.lng + (Math.random() - 0.5) * 0.001
+          };
+      publish({ ...next, accuracy: 5 });
+    }, SIMULATION_INTERVAL_MS);
+  };
+
+  function stopSharing() {
+    if (watchIdRef.current !== null && navigator.geolocation) {
+      navigator.geolocation.clearWatch(watchIdRef.current);
+    }
+    if (simulationRef.current) {
+      clearInterval(simulationRef.current);
+    }
+    watchIdRef.current = null;
+    simulationRef.current = null;
+    setMode(null);
+  }
+
+  const currentPosition = lastFix || rider?.currentLocation;
+  const arrivals = rider && currentPosition
+    ? routePlanningService.estimateArrivals(
+        currentPosition,
+        stops.map(order => ({ orderId: order.id, name: order.deliveryAddress?.name, coordinates: order.deliveryAddress?.coordinates })),
+        rider.vehicleType
+      )
+    : [];
+
+  if (loading) {
+    return (
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <Loading type="page" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <Error message={error} onRetry={loadPersonnel} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-6 sm:py-8 space-y-6">
+      <div>
+        <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mb-2">Rider Location</h1>
+        <p className="text-sm sm:text-base text-gray-600">Share your position with dispatch and customers</p>
+      </div>
+
+      <div className="card p-4 sm:p-6 space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Rider</label>
+          <select
+            value={riderId || ''}
+            disabled={Boolean(sessionRiderId)}
+            onChange={(e) => setRiderId(parseInt(e.target.value) || null)}
+            className="input-field"
+          >
+            <option value="">Select rider...</option>
+            {personnel.map(person => (
+              <option key={person.Id} value={person.Id}>
+                {person.name} ({person.zone})
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {rider && (
+          <>
+            <div className="flex flex-col sm:flex-row gap-3">
+              {mode ? (
+                <Button variant="outline" onClick={stopSharing} className="flex-1 touch-manipulation">
+                  <ApperIcon name="Square" size={16} className="mr-2" />
+                  Stop Sharing
+                </Button>
+              ) : (
+                <>
+                  <Button variant="primary" onClick={startGps} className="flex-1 touch-manipulation">
+                    <ApperIcon name="Navigation" size={16} className="mr-2" />
+                    Share GPS Location
+                  </Button>
+                  <Button variant="outline" onClick={startSimulation} className="flex-1 touch-manipulation">
+                    <ApperIcon name="PlayCircle" size={16} className="mr-2" />
+                    Simulate Route
+                  </Button>
+                </>
+              )}
+            </div>
+
+            <div className="flex items-center justify-between text-sm bg-gray-50 rounded-lg p-3">
+              <div className="flex items-center space-x-2">
+                <span className={`w-2.5 h-2.5 rounded-full ${mode ? 'bg-green-500 animate-pulse' : 'bg-gray-300'}`}></span>
+                <span className="text-gray-700">
+                  {mode === 'gps' ? 'Sharing GPS' : mode === 'simulated' ? 'Sharing simulated route' : 'Not sharing'}
+                </span>
+              </div>
+              <span className="text-gray-500">{updatesSent} updates sent</span>
+            </div>
+
+            {lastFix && (
+              <p className="text-xs text-gray-500 font-mono">
+                {lastFix.lat.toFixed(5)}, {lastFix.lng.toFixed(5)}
+                {lastFix.accuracy ? ` ±${Math.round(lastFix.accuracy)}m` : ''}
+              </p>
+            )}
+          </>
+        )}
+      </div>
+
+      {rider && (
+        <div className="card p-4 sm:p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">My Deliveries</h2>
+          <DeliveryMap
+            orders={stops}
+            riders={[{ ...rider, currentLocation: currentPosition }]}
+            routes={[{ riderId: rider.Id, start: currentPosition, stops: arrivals }]}
+            className="h-56 sm:h-72 mb-4"
+          />
+          {arrivals.length === 0 ? (
+            <p className="text-sm text-gray-500">No active deliveries assigned</p>
+          ) : (
+            <ol className="divide-y divide-gray-100">
+              {arrivals.map(stop => (
+                <li key={stop.orderId} className="flex items-center justify-between py-2 text-sm">
+                  <span className="text-gray-900">
+                    {stop.sequence}. Order #{stop.orderId} · {stop.name}
+                  </span>
+                  <span className="text-gray-600">
+                    {stop.distanceKm} km · {new Date(stop.eta).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}
+                  </span>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RiderLocation;
@@ -3,10 +3,14 @@ import { toast } from "react-toastify";
 import ApperIcon from "@/components/ApperIcon";
 import Button from "@/components/atoms/Button";
 import Input from "@/components/atoms/Input";
+import PasswordModal from "@/components/molecules/PasswordModal";
 import Empty from "@/components/ui/Empty";
 import Error from "@/components/ui/Error";
 import Loading from "@/components/ui/Loading";
 import employeeService from "@/services/api/employeeService";
+import { roleService } from "@/services/api/roleService";
+import sessionService from "@/services/SessionService";
+
 // Error Boundary Component
 class RoleAssignmentErrorBoundary extends React.Component {
   constructor(props) {
@@ -45,46 +49,55 @@ class RoleAssignmentErrorBoundary extends React.Component {
   }
 }
 
+const ROLE_COLORS = [
+  'text-red-600 bg-red-50',
+  'text-blue-600 bg-blue-50',
+  'text-green-600 bg-green-50',
+  'text-purple-600 bg-purple-50',
+  'text-orange-600 bg-orange-50',
+  'text-teal-600 bg-teal-50'
+];
+
+const EMPTY_ROLE_FORM = { name: '', description: '', copyFrom: '' };
+
 // Role Assignment Component
 const RoleAssignment = () => {
   const [users, setUsers] = useState([]);
   const [filteredUsers, setFilteredUsers] = useState([]);
+  const [roles, setRoles] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [activeTab, setActiveTab] = useState('staff');
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedRole, setSelectedRole] = useState('');
   const [updatingUserId, setUpdatingUserId] = useState(null);
-  const [retryCount, setRetryCount] = useState(0);
-
-const availableRoles = [
-    { value: 'admin', label: 'Administrator', color: 'text-red-600 bg-red-50' },
-    { value: 'moderator', label: 'Moderator', color: 'text-blue-600 bg-blue-50' },
-    { value: 'employee', label: 'Employee', color: 'text-green-600 bg-green-50' },
-    { value: 'vendor', label: 'Vendor', color: 'text-purple-600 bg-purple-50' },
-    { value: 'purchaser', label: 'Purchaser', color: 'text-orange-600 bg-orange-50' },
-    { value: 'delivery', label: 'Delivery', color: 'text-teal-600 bg-teal-50' },
-    { value: 'user', label: 'User', color: 'text-gray-600 bg-gray-50' }
-  ];
-const fetchUsers = useCallback(async () => {
+  const [draftPermissions, setDraftPermissions] = useState({});
+  const [savingRoleId, setSavingRoleId] = useState(null);
+  const [roleForm, setRoleForm] = useState(null);
+  const [passwordUser, setPasswordUser] = useState(null);
+
+  const permissionGroups = roleService.getPermissionRegistry().reduce((groups, permission) => {
+    (groups[permission.group] = groups[permission.group] || []).push(permission);
+    return groups;
+  }, {});
+  const staffRoles = roles.filter(role => role.staff);
+
+  const fetchData = useCallback(async () => {
     try {
       setLoading(true);
       setError(null);
-      
-      // Fetch all employees using the correct method name
-      const usersData = await employeeService.getAll();
-      
-      // Add role information to users if not present with defensive null checking
+
+      const [usersData, rolesData] = await Promise.all([employeeService.getAll(), roleService.getAll()]);
       const usersWithRoles = (usersData || []).map(user => ({
         ...user,
         id: user.id || user.Id, // Normalize ID field
-        role: user?.role || 'user',
-        lastLogin: user?.lastLogin || new Date().toISOString(),
+        role: user?.role || 'employee',
         status: user?.status || 'active'
       }));
-      
+
       setUsers(usersWithRoles);
-      setFilteredUsers(usersWithRoles);
-      setRetryCount(0);
+      setRoles(rolesData);
+      setDraftPermissions({});
     } catch (err) {
       console.error('Failed to fetch users:', err);
       setError({
@@ -92,100 +105,118 @@ const fetchUsers = useCallback(async () => {
         message: err?.message || 'Unable to fetch user data. Please try again.',
         code: err?.code || 'FETCH_ERROR'
       });
-      
-      // Simulate retry logic
-      if (retryCount < 3) {
-        setTimeout(() => {
-          setRetryCount(prev => prev + 1);
-          fetchUsers();
-        }, 2000);
-      }
     } finally {
       setLoading(false);
     }
-  }, [retryCount]);
+  }, []);
 
   useEffect(() => {
-    fetchUsers();
-  }, [fetchUsers]);
+    fetchData();
+  }, [fetchData]);
 
   useEffect(() => {
+    const term = searchTerm.toLowerCase();
     const filtered = users.filter(user =>
-      user.name?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      user.email?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      user.role?.toLowerCase().includes(searchTerm.toLowerCase())
+      (!selectedRole || user.role === selectedRole) && (
+        user.name?.toLowerCase().includes(term) ||
+        user.email?.toLowerCase().includes(term) ||
+        user.role?.toLowerCase().includes(term)
+      )
     );
     setFilteredUsers(filtered);
-  }, [searchTerm, users]);
+  }, [searchTerm, selectedRole, users]);
 
-const handleRoleUpdate = async (userId, newRole) => {
+  const handleRoleUpdate = async (userId, newRole) => {
     try {
       setUpdatingUserId(userId);
-      
-      // Use the new updateRole service method
-      await employeeService.updateRole(userId, newRole);
-      
-      // Update local state with correct id field (normalized)
-      const updatedUsers = users.map(user =>
-        (user.id || user.Id) === userId ? { ...user, role: newRole } : user
-      );
-      setUsers(updatedUsers);
-      
-      const roleLabel = availableRoles.find(r => r?.value === newRole)?.label || newRole;
-      toast.success(`Role updated successfully to ${roleLabel}`);
+      await roleService.assignRole(userId, newRole, sessionService.getCurrentUser());
+      setUsers(prev => prev.map(user => user.id === userId ? { ...user, role: newRole } : user));
+      toast.success(`Role updated successfully to ${getRoleName(newRole)}`);
     } catch (err) {
       console.error('Failed to update role:', err);
-      toast.error('Failed to update role. Please try again.');
+      toast.error(err.message || 'Failed to update role. Please try again.');
     } finally {
       setUpdatingUserId(null);
     }
   };
 
-  const getRoleColor = (role) => {
-    const roleConfig = availableRoles.find(r => r.value === role);
-    return roleConfig?.color || 'text-gray-600 bg-gray-50';
+  const handleSetPassword = async (password) => {
+    const user = passwordUser;
+    try {
+      await roleService.setStaffPassword(user.id, password, sessionService.getCurrentUser());
+      setUsers(prev => prev.map(u => u.id === user.id ? { ...u, hasPassword: true } : u));
+      setPasswordUser(null);
+      toast.success(`Password set for ${user.name}`);
+    } catch (err) {
+      toast.error(err.message);
+      throw err;
+    }
+  };
+
+  const getRoleName = (roleId) => roles.find(r => r.id === roleId)?.name || roleId;
+
+  const getRoleColor = (roleId) => {
+    const index = roles.findIndex(r => r.id === roleId);
+    return index === -1 ? 'text-gray-600 bg-gray-50' : ROLE_COLORS[index % ROLE_COLORS.length];
   };
 
-  const handleRetry = () => {
-    setRetryCount(0);
-    fetchUsers();
+  const getRolePermissions = (role) => draftPermissions[role.id] || role.permissions;
+
+  const togglePermission = (role, permissionId) => {
+    const current = getRolePermissions(role);
+    const next = current.includes(permissionId)
+      ? current.filter(p => p !== permissionId)
+      : [...current, permissionId];
+    setDraftPermissions(prev => ({ ...prev, [role.id]: next }));
+  };
+
+  const handleSaveRole = async (role) => {
+    try {
+      setSavingRoleId(role.id);
+      const updated = await roleService.updateRole(role.id, { permissions: draftPermissions[role.id] }, sessionService.getCurrentUser());
+      setRoles(prev => prev.map(r => r.id === role.id ? updated : r));
+      setDraftPermissions(prev => {
+        const { [role.id]: saved, ...rest } = prev;
+        return rest;
+      });
+      toast.success(`${role.name} permissions saved`);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSavingRoleId(null);
+    }
+  };
+
+  const handleCreateRole = async (e) => {
+    e.preventDefault();
+    try {
+      const template = roles.find(r => r.id === roleForm.copyFrom);
+      const created = await roleService.createRole({
+        name: roleForm.name,
+        description: roleForm.description,
+        permissions: (template?.permissions || []).filter(p => p !== '*')
+      }, sessionService.getCurrentUser());
+      setRoles(prev => [...prev, created]);
+      setRoleForm(null);
+      toast.success(`${created.name} role created`);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleDeleteRole = async (role) => {
+    if (!window.confirm(`Delete the ${role.name} role?`)) return;
+    try {
+      await roleService.deleteRole(role.id, sessionService.getCurrentUser());
+      setRoles(prev => prev.filter(r => r.id !== role.id));
+      toast.success(`${role.name} role deleted`);
+    } catch (err) {
+      toast.error(err.message);
+    }
   };
 
   if (loading) {
-    return (
-      <div className="min-h-screen bg-background p-6">
-        <div className="max-w-6xl mx-auto">
-          <div className="mb-8">
-            <div className="h-8 bg-gray-200 rounded w-64 mb-4 shimmer"></div>
-            <div className="h-4 bg-gray-200 rounded w-96 shimmer"></div>
-          </div>
-          
-          <div className="card p-6 mb-6">
-            <div className="flex flex-col sm:flex-row gap-4 mb-6">
-              <div className="h-12 bg-gray-200 rounded flex-1 shimmer"></div>
-              <div className="h-12 bg-gray-200 rounded w-32 shimmer"></div>
-            </div>
-          </div>
-          
-          <div className="space-y-4">
-            {[...Array(5)].map((_, i) => (
-              <div key={i} className="card p-6">
-                <div className="flex items-center justify-between">
-                  <div className="flex items-center space-x-4">
-                    <div className="w-12 h-12 bg-gray-200 rounded-full shimmer"></div>
-                    <div>
-                      <div className="h-4 bg-gray-200 rounded w-32 mb-2 shimmer"></div>
-                      <div className="h-3 bg-gray-200 rounded w-48 shimmer"></div>
-                    </div>
-                  </div>
-                  <div className="h-8 bg-gray-200 rounded w-24 shimmer"></div>
-                </div>
-              </div>
-            ))}
-          </div>
-        </div>
-      </div>
-    );
+    return <Loading type="page" />;
   }
 
   if (error) {
@@ -195,7 +226,7 @@ const handleRoleUpdate = async (userId, newRole) => {
           <Error
             title={error.title}
             message={error.message}
-            onRetry={handleRetry}
+            onRetry={fetchData}
             details={error.code && `Error Code: ${error.code}`}
           />
         </div>
@@ -217,105 +248,263 @@ const handleRoleUpdate = async (userId, newRole) => {
           </p>
         </div>
 
-        {/* Search and Filter */}
-        <div className="card p-6 mb-6">
-          <div className="flex flex-col sm:flex-row gap-4 mb-6">
-            <div className="flex-1">
-              <Input
-                type="text"
-                placeholder="Search users by name, email, or role..."
-                value={searchTerm}
-                onChange={(e) => setSearchTerm(e.target.value)}
-                className="w-full"
-              />
-            </div>
-            <select
-              value={selectedRole}
-              onChange={(e) => setSelectedRole(e.target.value)}
-              className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-accent focus:border-accent"
-            >
-              <option value="">All Roles</option>
-              {availableRoles.map(role => (
-                <option key={role.value} value={role.value}>
-                  {role.label}
-                </option>
-              ))}
-            </select>
-          </div>
-          
-          <div className="flex items-center justify-between text-sm text-gray-500">
-            <span>
-              Showing {filteredUsers.length} of {users.length} users
-            </span>
-            <Button
-              variant="outline"
-              size="sm"
-              onClick={handleRetry}
-              className="flex items-center space-x-2"
-            >
-              <ApperIcon name="RefreshCw" className="w-4 h-4" />
-              <span>Refresh</span>
-            </Button>
-          </div>
+        <div className="border-b border-gray-200 mb-6">
+          <nav className="flex space-x-8">
+            {[{ id: 'staff', label: 'Staff', icon: 'Users' }, { id: 'roles', label: 'Roles & Permissions', icon: 'ShieldCheck' }].map(tab => (
+              <button
+                key={tab.id}
+                onClick={() => setActiveTab(tab.id)}
+                className={`flex items-center space-x-2 py-4 px-1 border-b-2 font-medium text-sm ${
+                  activeTab === tab.id
+                    ? 'border-primary text-primary'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                <ApperIcon name={tab.icon} size={18} />
+                <span>{tab.label}</span>
+              </button>
+            ))}
+          </nav>
         </div>
 
-        {/* Users List */}
-        {filteredUsers.length === 0 ? (
-          <Empty
-            title="No Users Found"
-            message={searchTerm ? "No users match your search criteria." : "No users available for role assignment."}
-            icon="Users"
-          />
-        ) : (
-          <div className="space-y-4">
-            {filteredUsers.map(user => (
-              <div key={user.id} className="card p-6 hover:shadow-premium transition-shadow duration-300">
-                <div className="flex items-center justify-between">
-                  <div className="flex items-center space-x-4">
-                    <div className="w-12 h-12 bg-gradient-to-br from-primary to-accent rounded-full flex items-center justify-center text-white font-bold">
-                      {user.name?.charAt(0)?.toUpperCase() || 'U'}
-                    </div>
-                    <div>
-                      <h3 className="font-semibold text-gray-900">{user.name || 'Unknown User'}</h3>
-                      <p className="text-gray-600">{user.email || 'No email provided'}</p>
-                      <div className="flex items-center space-x-4 mt-1">
-                        <span className={`px-2 py-1 rounded-full text-xs font-medium ${getRoleColor(user.role)}`}>
-                          {availableRoles.find(r => r.value === user.role)?.label || user.role}
-                        </span>
-                        <span className="text-xs text-gray-500">
-                          Last login: {user.lastLogin ? new Date(user.lastLogin).toLocaleDateString() : 'Never'}
-                        </span>
+        {activeTab === 'staff' && (
+          <>
+            {/* Search and Filter */}
+            <div className="card p-6 mb-6">
+              <div className="flex flex-col sm:flex-row gap-4 mb-6">
+                <div className="flex-1">
+                  <Input
+                    type="text"
+                    placeholder="Search users by name, email, or role..."
+                    value={searchTerm}
+                    onChange={(e) => setSearchTerm(e.target.value)}
+                    className="w-full"
+                  />
+                </div>
+                <select
+                  value={selectedRole}
+                  onChange={(e) => setSelectedRole(e.target.value)}
+                  className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-accent focus:border-accent"
+                >
+                  <option value="">All Roles</option>
+                  {staffRoles.map(role => (
+                    <option key={role.id} value={role.id}>
+                      {role.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="flex items-center justify-between text-sm text-gray-500">
+                <span>
+                  Showing {filteredUsers.length} of {users.length} users
+                </span>
+                <Button
+                  variant="outline"
+                  size="small"
+                  onClick={fetchData}
+                  className="flex items-center space-x-2"
+                >
+                  <ApperIcon name="RefreshCw" className="w-4 h-4" />
+                  <span>Refresh</span>
+                </Button>
+              </div>
+            </div>
+
+            {/* Users List */}
+            {filteredUsers.length === 0 ? (
+              <Empty
+                title="No Users Found"
+                description={searchTerm ? "No users match your search criteria." : "No users available for role assignment."}
+                icon="Users"
+              />
+            ) : (
+              <div className="space-y-4">
+                {filteredUsers.map(user => (
+                  <div key={user.id} className="card p-6 hover:shadow-premium transition-shadow duration-300">
+                    <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+                      <div className="flex items-center space-x-4">
+                        <div className="w-12 h-12 bg-gradient-to-br from-primary to-accent rounded-full flex items-center justify-center text-white font-bold">
+                          {user.name?.charAt(0)?.toUpperCase() || 'U'}
+                        </div>
+                        <div>
+                          <h3 className="font-semibold text-gray-900">{user.name || 'Unknown User'}</h3>
+                          <p className="text-gray-600">{user.email || 'No email provided'}</p>
+                          <div className="flex items-center space-x-4 mt-1">
+                            <span className={`px-2 py-1 rounded-full text-xs font-medium ${getRoleColor(user.role)}`}>
+                              {getRoleName(user.role)}
+                            </span>
+                            <span className="text-xs text-gray-500">
+                              {user.hasPassword ? 'Can sign in' : 'No password set'}
+                            </span>
+                          </div>
+                        </div>
+                      </div>
+
+                      <div className="flex items-center space-x-3">
+                        <Button variant="ghost" size="small" icon="Key" onClick={() => setPasswordUser(user)}>
+                          {user.hasPassword ? 'Reset Password' : 'Set Password'}
+                        </Button>
+                        <select
+                          value={user.role}
+                          onChange={(e) => handleRoleUpdate(user.id, e.target.value)}
+                          disabled={updatingUserId === user.id}
+                          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-accent focus:border-accent disabled:opacity-50"
+                        >
+                          {staffRoles.map(role => (
+                            <option key={role.id} value={role.id}>
+                              {role.name}
+                            </option>
+                          ))}
+                        </select>
+
+                        {updatingUserId === user.id && (
+                          <div className="flex items-center space-x-2">
+                            <Loading type="spinner" size="sm" />
+                            <span className="text-sm text-gray-500">Updating...</span>
+                          </div>
+                        )}
                       </div>
                     </div>
                   </div>
-                  
-                  <div className="flex items-center space-x-3">
-<select
-                      value={user?.role || 'user'}
-                      onChange={(e) => handleRoleUpdate(user.id || user.Id, e.target.value)}
-                      disabled={updatingUserId === (user.id || user.Id)}
-                      className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-accent focus:border-accent disabled:opacity-50"
+                ))}
+              </div>
+            )}
+          </>
+        )}
+
+        {activeTab === 'roles' && (
+          <div className="space-y-6">
+            <div className="flex justify-end">
+              {!roleForm && (
+                <Button variant="primary" size="small" icon="Plus" onClick={() => setRoleForm({ ...EMPTY_ROLE_FORM })}>
+                  New Role
+                </Button>
+              )}
+            </div>
+
+            {roleForm && (
+              <form onSubmit={handleCreateRole} className="card p-6 space-y-4">
+                <h2 className="text-lg font-semibold text-gray-900">New Role</h2>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <Input
+                    label="Name"
+                    value={roleForm.name}
+                    onChange={(e) => setRoleForm(prev => ({ ...prev, name: e.target.value }))}
+                    placeholder="e.g. Inventory Clerk"
+                    required
+                  />
+                  <Input
+                    label="Description"
+                    value={roleForm.description}
+                    onChange={(e) => setRoleForm(prev => ({ ...prev, description: e.target.value }))}
+                  />
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Start from</label>
+                    <select
+                      value={roleForm.copyFrom}
+                      onChange={(e) => setRoleForm(prev => ({ ...prev, copyFrom: e.target.value }))}
+                      className="input-field"
                     >
-                      {availableRoles.map(role => (
-                        <option key={role?.value} value={role?.value}>
-                          {role?.label}
-                        </option>
+                      <option value="">No permissions</option>
+                      {roles.filter(role => role.id !== 'admin').map(role => (
+                        <option key={role.id} value={role.id}>{role.name}</option>
                       ))}
                     </select>
-                    
-                    {updatingUserId === (user.id || user.Id) && (
-                      <div className="flex items-center space-x-2">
-                        <Loading type="spinner" size="sm" />
-                        <span className="text-sm text-gray-500">Updating...</span>
-                      </div>
-                    )}
                   </div>
                 </div>
-              </div>
-            ))}
+                <div className="flex justify-end space-x-3">
+                  <Button type="button" variant="outline" size="small" onClick={() => setRoleForm(null)}>
+                    Cancel
+                  </Button>
+                  <Button type="submit" variant="primary" size="small">
+                    Create Role
+                  </Button>
+                </div>
+              </form>
+            )}
+
+            {/* Permission matrix: one column per role */}
+            <div className="card overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="border-b border-gray-200">
+                    <th className="text-left p-3 font-medium text-gray-700 sticky left-0 bg-white">Permission</th>
+                    {roles.map(role => (
+                      <th key={role.id} className="p-3 text-center font-medium text-gray-700 align-top min-w-[110px]">
+                        <div className="flex flex-col items-center space-y-1">
+                          <span className={`px-2 py-1 rounded-full text-xs ${getRoleColor(role.id)}`}>{role.name}</span>
+                          {draftPermissions[role.id] && (
+                            <button
+                              type="button"
+                              onClick={() => handleSaveRole(role)}
+                              disabled={savingRoleId === role.id}
+                              className="text-xs text-primary hover:text-primary-dark font-medium"
+                            >
+                              {savingRoleId === role.id ? 'Saving...' : 'Save'}
+                            </button>
+                          )}
+                          {!role.builtIn && !draftPermissions[role.id] && (
+                            <button type="button" onClick={() => handleDeleteRole(role)} className="text-xs text-red-600 hover:text-red-700">
+                              Delete
+                            </button>
+                          )}
+                        </div>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {Object.entries(permissionGroups).map(([group, permissions]) => (
+                    <React.Fragment key={group}>
+                      <tr className="bg-gray-50">
+                        <td colSpan={roles.length + 1} className="px-3 py-2 text-xs font-semibold uppercase tracking-wide text-gray-500 sticky left-0">
+                          {group}
+                        </td>
+                      </tr>
+                      {permissions.map(permission => (
+                        <tr key={permission.id} className="border-b border-gray-100">
+                          <td className="p-3 text-gray-700 sticky left-0 bg-white">{permission.label}</td>
+                          {roles.map(role => {
+                            const granted = getRolePermissions(role);
+                            const isLocked = role.id === 'admin';
+                            return (
+                              <td key={role.id} className="p-3 text-center">
+                                <input
+                                  type="checkbox"
+                                  checked={granted.includes('*') || granted.includes(permission.id)}
+                                  disabled={isLocked}
+                                  onChange={() => togglePermission(role, permission.id)}
+                                  className="rounded border-gray-300 text-primary focus:ring-primary disabled:opacity-50"
+                                  aria-label={`${role.name}: ${permission.label}`}
+                                />
+                              </td>
+                            );
+                          })}
+                        </tr>
+                      ))}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="text-xs text-gray-500">
+              The Administrator role always has every permission. Changes apply to signed-in staff immediately after saving.
+            </p>
           </div>
         )}
       </div>
+
+      {passwordUser && (
+        <PasswordModal
+          title={`Set Password - ${passwordUser.name}`}
+          description="Staff use this password with their work email to sign in."
+          submitLabel="Set Password"
+          isNew
+          onSubmit={handleSetPassword}
+          onClose={() => setPasswordUser(null)}
+        />
+      )}
     </div>
   );
 };
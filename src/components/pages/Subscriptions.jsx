@@ -0,0 +1,442 @@
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { Link, useLocation, useNavigate } from "react-router-dom";
+import { toast } from "react-toastify";
+import { format } from "date-fns";
+import ApperIcon from "@/components/ApperIcon";
+import Badge from "@/components/atoms/Badge";
+import Button from "@/components/atoms/Button";
+import Input from "@/components/atoms/Input";
+import Empty from "@/components/ui/Empty";
+import Error from "@/components/ui/Error";
+import Loading from "@/components/ui/Loading";
+import { SUBSCRIPTION_FREQUENCIES, subscriptionService } from "@/services/api/subscriptionService";
+import { customerService } from "@/services/api/customerService";
+import { deliverySlotService } from "@/services/api/deliverySlotService";
+import { paymentService } from "@/services/api/paymentService";
+import { productService } from "@/services/api/productService";
+import sessionService from "@/services/SessionService";
+
+const STATUS_VARIANTS = { active: 'success', paused: 'warning' };
+const HISTORY_VARIANTS = { ordered: 'success', skipped: 'default', missed: 'warning', failed: 'danger' };
+
+const getSignedInCustomer = () => {
+  const user = sessionService.getCurrentUser();
+  return sessionService.isAuthenticated() && user?.role === 'customer' ? user : null;
+};
+
+const frequencyLabel = (frequency) => SUBSCRIPTION_FREQUENCIES.find(f => f.id === frequency)?.label || frequency;
+const windowLabel = (slotId) => deliverySlotService.getWindow(slotId)?.label || slotId;
+const formatDateKey = (dateKey) => format(new Date(`${dateKey}T00:00:00`), 'EEE, MMM d');
+
+const SubscriptionForm = ({ initial, products, addresses, onSave, onCancel }) => {
+  const [form, setForm] = useState(initial);
+  const [productToAdd, setProductToAdd] = useState('');
+  const [saving, setSaving] = useState(false);
+  const windows = deliverySlotService.getWindows();
+  const minDate = subscriptionService.getEarliestDeliveryDate();
+
+  const setItemQuantity = (productId, quantity) => {
+    setForm(prev => ({
+      ...prev,
+      items: prev.items.map(item => item.productId === productId ? { ...item, quantity } : item)
+    }));
+  };
+
+  const handleAddProduct = () => {
+    const productId = parseInt(productToAdd);
+    if (!productId) return;
+    setForm(prev => prev.items.some(item => item.productId === productId)
+      ? prev
+      : { ...prev, items: [...prev.items, { productId, quantity: 1 }] });
+    setProductToAdd('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await onSave(form);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="card p-6 space-y-5">
+      <h2 className="text-lg font-semibold text-gray-900">{initial.Id ? 'Edit subscription' : 'New subscription'}</h2>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Items</label>
+        {form.items.length === 0 ? (
+          <p className="text-sm text-gray-500">No items yet. Add the staples you buy every time.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+            {form.items.map(item => {
+              const product = products[item.productId];
+              return (
+                <li key={item.productId} className="flex items-center gap-3 px-3 py-2">
+                  <span className="flex-1 text-sm text-gray-900">
+                    {product?.name || item.name || `Product #${item.productId}`}
+                    {product && <span className="text-gray-500"> · Rs. {product.price.toLocaleString()}/{product.unit}</span>}
+                  </span>
+                  <input
+                    type="number"
+                    min={1}
+                    className="input-field w-20"
+                    value={item.quantity}
+                    onChange={(e) => setItemQuantity(item.productId, e.target.value)}
+                    aria-label={`Quantity of ${product?.name || item.name}`}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setForm(prev => ({ ...prev, items: prev.items.filter(i => i.productId !== item.productId) }))}
+                    className="p-1 text-gray-400 hover:text-red-500"
+                    aria-label="Remove item"
+                  >
+                    <ApperIcon name="X" size={16} />
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+        <div className="flex gap-2 mt-3">
+          <select className="input-field flex-1" value={productToAdd} onChange={(e) => setProductToAdd(e.target.value)}>
+            <option value="">Add a product…</option>
+            {Object.values(products)
+              .filter(product => product.isActive !== false && !form.items.some(item => item.productId === product.id))
+              .map(product => (
+                <option key={product.id} value={product.id}>{product.name} (Rs. {product.price}/{product.unit})</option>
+              ))}
+          </select>
+          <Button type="button" variant="secondary" icon="Plus" onClick={handleAddProduct} disabled={!productToAdd}>
+            Add
+          </Button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">How often</label>
+          <select className="input-field" value={form.frequency} onChange={(e) => setForm(prev => ({ ...prev, frequency: e.target.value }))}>
+            {SUBSCRIPTION_FREQUENCIES.map(f => <option key={f.id} value={f.id}>{f.label}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Delivery window</label>
+          <select className="input-field" value={form.slotId} onChange={(e) => setForm(prev => ({ ...prev, slotId: e.target.value }))}>
+            {windows.map(window => <option key={window.id} value={window.id}>{window.label}</option>)}
+          </select>
+        </div>
+        <Input
+          type="date"
+          label={initial.Id ? 'Next delivery' : 'First delivery'}
+          value={form.nextDeliveryDate}
+          min={minDate}
+          onChange={(e) => setForm(prev => ({ ...prev, nextDeliveryDate: e.target.value }))}
+          required
+        />
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Deliver to</label>
+          <select className="input-field" value={form.addressId} onChange={(e) => setForm(prev => ({ ...prev, addressId: e.target.value }))}>
+            {addresses.map(address => (
+              <option key={address.id} value={address.id}>{address.label} — {address.address}, {address.city}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="flex gap-3">
+        <Button type="submit" variant="primary" loading={saving} disabled={saving}>
+          {initial.Id ? 'Save changes' : 'Start subscription'}
+        </Button>
+        <Button type="button" variant="ghost" onClick={onCancel}>Cancel</Button>
+      </div>
+    </form>
+  );
+};
+
+/**
+ * Recurring baskets for the signed-in customer: set up, edit, skip, pause and resume.
+ * Orders are placed automatically and paid from the wallet.
+ */
+const Subscriptions = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [customer, setCustomer] = useState(getSignedInCustomer);
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [products, setProducts] = useState({});
+  const [addresses, setAddresses] = useState([]);
+  const [walletBalance, setWalletBalance] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [workingId, setWorkingId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    return sessionService.onSessionChange(() => setCustomer(getSignedInCustomer()));
+  }, []);
+
+  const loadData = useCallback(async () => {
+    if (!customer) {
+      setLoading(false);
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      await subscriptionService.processDue(customer.id);
+      const [subs, catalog, saved, balance] = await Promise.all([
+        subscriptionService.getByCustomer(customer.id),
+        productService.getAll(),
+        customerService.getAddresses(customer.id),
+        paymentService.getWalletBalance()
+      ]);
+      setSubscriptions(subs);
+      setProducts(Object.fromEntries(catalog.map(product => [product.id, product])));
+      setAddresses(saved);
+      setWalletBalance(balance);
+    } catch (err) {
+      setError(err.message || 'Failed to load subscriptions');
+    } finally {
+      setLoading(false);
+    }
+  }, [customer]);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  const newSubscription = useCallback((items = []) => ({
+    items,
+    frequency: 'weekly',
+    slotId: deliverySlotService.getWindows()[0]?.id,
+    addressId: (addresses.find(a => a.isDefault) || addresses[0])?.id,
+    nextDeliveryDate: subscriptionService.getEarliestDeliveryDate()
+  }), [addresses]);
+
+  // Cart hands over its items to start a subscription from the current basket
+  useEffect(() => {
+    if (!loading && location.state?.items && addresses.length > 0) {
+      setEditing(newSubscription(location.state.items));
+      navigate(location.pathname, { replace: true, state: null });
+    }
+  }, [loading, location.state, location.pathname, addresses.length, newSubscription, navigate]);
+
+  const estimate = useMemo(() => Object.fromEntries(subscriptions.map(subscription => [
+    subscription.Id,
+    subscription.items.reduce((sum, item) => sum + (products[item.productId]?.price || 0) * item.quantity, 0)
+  ])), [subscriptions, products]);
+
+  const handleSave = async (form) => {
+    try {
+      if (form.Id) {
+        await subscriptionService.update(form.Id, customer.id, form);
+        toast.success('Subscription updated');
+      } else {
+        await subscriptionService.create(customer.id, form);
+        toast.success('Subscription started');
+      }
+      setEditing(null);
+      loadData();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const runAction = async (subscription, action, message) => {
+    setWorkingId(subscription.Id);
+    try {
+      const updated = await subscriptionService[action](subscription.Id, customer.id);
+      setSubscriptions(prev => action === 'cancel'
+        ? prev.filter(s => s.Id !== subscription.Id)
+        : prev.map(s => s.Id === updated.Id ? updated : s));
+      toast.success(message);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setWorkingId(null);
+    }
+  };
+
+  const handleCancel = (subscription) => {
+    if (window.confirm('Cancel this subscription? No further orders will be placed.')) {
+      runAction(subscription, 'cancel', 'Subscription cancelled');
+    }
+  };
+
+  if (!customer) {
+    return (
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+        <Empty
+          title="Sign in to manage subscriptions"
+          description="Subscriptions are tied to your account, saved addresses and wallet."
+          icon="Repeat"
+          action="Sign In"
+          onAction={() => navigate('/account')}
+        />
+      </div>
+    );
+  }
+
+  if (loading) {
+    return <Loading type="page" />;
+  }
+
+  if (error) {
+    return (
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <Error message={error} onRetry={loadData} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Subscriptions</h1>
+          <p className="text-gray-600">Your regular baskets, ordered a day ahead and paid from your wallet</p>
+        </div>
+        {!editing && addresses.length > 0 && (
+          <Button variant="primary" icon="Plus" onClick={() => setEditing(newSubscription())}>
+            New
+          </Button>
+        )}
+      </div>
+
+      {walletBalance !== null && (
+        <div className="card p-4 mb-6 flex items-center justify-between text-sm">
+          <span className="flex items-center gap-2 text-gray-700">
+            <ApperIcon name="Wallet" size={18} className="text-primary" />
+            Wallet balance
+          </span>
+          <span className="font-semibold text-gray-900">Rs. {walletBalance.toLocaleString()}</span>
+        </div>
+      )}
+
+      {addresses.length === 0 && (
+        <div className="card p-4 mb-6 flex items-start gap-2 text-sm text-gray-700">
+          <ApperIcon name="MapPin" size={16} className="mt-0.5 text-primary flex-shrink-0" />
+          <p>
+            Save a delivery address first —{' '}
+            <Link to="/account" className="text-primary font-medium">add one in your account</Link>.
+          </p>
+        </div>
+      )}
+
+      {editing && (
+        <div className="mb-6">
+          <SubscriptionForm
+            key={editing.Id || 'new'}
+            initial={editing}
+            products={products}
+            addresses={addresses}
+            onSave={handleSave}
+            onCancel={() => setEditing(null)}
+          />
+        </div>
+      )}
+
+      {subscriptions.length === 0 && !editing ? (
+        <Empty
+          title="No subscriptions yet"
+          description="Set up the items you buy every week and we'll order them for you."
+          icon="Repeat"
+          action={addresses.length > 0 ? 'Create Subscription' : undefined}
+          onAction={addresses.length > 0 ? () => setEditing(newSubscription()) : undefined}
+        />
+      ) : (
+        <div className="space-y-4">
+          {subscriptions.map(subscription => {
+            const working = workingId === subscription.Id;
+            const address = addresses.find(a => a.id === subscription.addressId);
+            const lowBalance = subscription.status === 'active' && walletBalance !== null && estimate[subscription.Id] > walletBalance;
+            return (
+              <div key={subscription.Id} className="card p-5">
+                <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+                  <div className="min-w-0 flex-1">
+                    <div className="flex items-center gap-2 mb-1">
+                      <span className="font-semibold text-gray-900">{frequencyLabel(subscription.frequency)}</span>
+                      <Badge variant={STATUS_VARIANTS[subscription.status]} size="small">{subscription.status}</Badge>
+                    </div>
+                    <p className="text-sm text-gray-600 flex items-center gap-1">
+                      <ApperIcon name="CalendarClock" size={14} />
+                      {subscription.status === 'active'
+                        ? `Next delivery ${formatDateKey(subscription.nextDeliveryDate)}, ${windowLabel(subscription.slotId)}`
+                        : `Paused · ${windowLabel(subscription.slotId)}`}
+                    </p>
+                    <p className="text-sm text-gray-600 flex items-center gap-1 mt-1">
+                      <ApperIcon name="MapPin" size={14} />
+                      {address ? `${address.label} — ${address.address}, ${address.city}` : 'Default address'}
+                    </p>
+                    <ul className="mt-3 text-sm text-gray-800 space-y-0.5">
+                      {subscription.items.map(item => (
+                        <li key={item.productId}>
+                          {item.quantity} × {products[item.productId]?.name || item.name}
+                          {products[item.productId] && products[item.productId].stock <= 0 && (
+                            <span className="text-red-600"> (out of stock)</span>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                    <p className="text-sm text-gray-600 mt-2">
+                      About <span className="font-semibold text-gray-900">Rs. {estimate[subscription.Id].toLocaleString()}</span> plus delivery at today's prices
+                    </p>
+                    {lowBalance && (
+                      <p className="text-sm text-red-600 mt-1">Top up your wallet before the next order, or it will be skipped.</p>
+                    )}
+                  </div>
+                  <div className="flex md:flex-col gap-2 flex-wrap flex-shrink-0">
+                    <Button size="small" variant="outline" icon="Pencil" onClick={() => setEditing({ ...subscription, nextDeliveryDate: subscriptionService.rollForward(subscription.nextDeliveryDate, subscription.frequency) })} disabled={working}>
+                      Edit
+                    </Button>
+                    {subscription.status === 'active' ? (
+                      <>
+                        <Button size="small" variant="outline" icon="SkipForward" onClick={() => runAction(subscription, 'skipNext', 'Next delivery skipped')} disabled={working}>
+                          Skip next
+                        </Button>
+                        <Button size="small" variant="outline" icon="Pause" onClick={() => runAction(subscription, 'pause', 'Subscription paused')} disabled={working}>
+                          Pause
+                        </Button>
+                      </>
+                    ) : (
+                      <Button size="small" variant="primary" icon="Play" onClick={() => runAction(subscription, 'resume', 'Subscription resumed')} disabled={working}>
+                        Resume
+                      </Button>
+                    )}
+                    <Button size="small" variant="ghost" icon="Trash2" onClick={() => handleCancel(subscription)} disabled={working}>
+                      Cancel
+                    </Button>
+                  </div>
+                </div>
+
+                {subscription.history.length > 0 && (
+                  <div className="mt-4 pt-4 border-t border-gray-100">
+                    <p className="text-xs font-medium text-gray-500 uppercase mb-2">Recent deliveries</p>
+                    <ul className="space-y-1 text-sm">
+                      {subscription.history.slice(0, 5).map((entry, index) => (
+                        <li key={index} className="flex flex-wrap items-center gap-2">
+                          <span className="text-gray-700 w-28">{formatDateKey(entry.date)}</span>
+                          <Badge variant={HISTORY_VARIANTS[entry.status]} size="small">{entry.status}</Badge>
+                          {entry.orderId && (
+                            <Link to={`/orders/${entry.orderId}`} className="text-primary hover:underline">
+                              Order #{entry.orderId} · Rs. {entry.total.toLocaleString()}
+                            </Link>
+                          )}
+                          {entry.reason && <span className="text-gray-600">{entry.reason}</span>}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Subscriptions;
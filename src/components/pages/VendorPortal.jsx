@@ -4,11 +4,11 @@ import { formatCurrency } from '@/utils/currency'
 import ApperIcon from '@/components/ApperIcon'
 import Button from '@/components/atoms/Button'
 import Input from '@/components/atoms/Input'
+import SignaturePad from '@/components/molecules/SignaturePad'
 import Error from '@/components/ui/Error'
 import Loading from '@/components/ui/Loading'
 import { orderService } from '@/services/api/orderService'
 import { vendorService } from '@/services/api/vendorService'
-import { productService } from '@/services/api/productService'
 
 // Error boundary for lazy-loaded components
 class LazyComponentErrorBoundary extends React.Component {
@@ -193,11 +193,13 @@ const VendorLogin = ({ onLogin }) => {
           </Button>
         </form>
 
-        <div className="text-center">
-          <p className="text-sm text-gray-600">
-            Demo Credentials: ahmed.khan@vendor.com / vendor123
-          </p>
-        </div>
+        {import.meta.env.DEV && (
+          <div className="text-center">
+            <p className="text-sm text-gray-600">
+              Demo Credentials: ahmed.khan@vendor.com / vendor123
+            </p>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -221,24 +223,13 @@ const VendorDashboard = ({ vendor, onLogout, onProfileUpdate }) => {
     setLoading(true);
     setError(null);
 try {
-      const [vendorProducts, vendorStats] = await Promise.all([
-        productService.getVendorProducts(vendor.id),
-        productService.getVendorStats(vendor.id)
+      const [productResult, vendorStats] = await Promise.all([
+        vendorService.getVendorProducts(vendor.id),
+        vendorService.getVendorStats(vendor.id)
       ]);
       
-      setProducts(vendorProducts);
-      
-      // Calculate enhanced stats with cost/selling/margin totals
-      const enhancedStats = {
-        ...vendorStats,
-        ...calculateTotals(vendorProducts, {
-          costField: 'purchasePrice',
-          sellingField: 'price',
-          quantityField: 'stock'
-        })
-      };
-      
-      setStats(enhancedStats);
+      setProducts(productResult.products);
+      setStats(enhanceStats(vendorStats, productResult.products));
     } catch (error) {
       console.error('Error loading vendor data:', error);
       setError(error.message);
@@ -248,6 +239,16 @@ try {
     }
   };
 
+  // Calculate enhanced stats with cost/selling/margin totals
+  const enhanceStats = (vendorStats, vendorProducts) => ({
+    ...vendorStats,
+    ...calculateTotals(vendorProducts, {
+      costField: 'purchasePrice',
+      sellingField: 'price',
+      quantityField: 'stock'
+    })
+  });
+
   // Calculate totals for vendor products
   const calculateTotals = (products, fields) => {
     if (!products || products.length === 0) {
@@ -285,21 +286,27 @@ try {
     };
   };
 
-  const handleProductUpdate = async (productId, priceData) => {
+  // Resolves with the service result so the modal can show a pending approval
+  const handleProductUpdate = async (productId, priceData, options = {}) => {
     try {
-const updatedProduct = await productService.updateVendorPrice(vendor.id, productId, priceData);
-      
-      setProducts(prev => 
-        prev.map(product => 
-          product.id === productId ? updatedProduct : product
-        )
+      const result = await vendorService.updateVendorPrice(vendor.id, productId, priceData, options);
+      // Pending price changes still carry any stock update, which has already been applied
+      const updatedProducts = products.map(product =>
+        product.id === productId ? result.product : product
       );
+      setProducts(updatedProducts);
+
+      if (result.status === 'pending_approval') {
+        toast.info(`Sent for approval: ${result.reason}`);
+        return result;
+      }
       
       toast.success('Product price updated successfully');
       
       // Reload stats
-const newStats = await productService.getVendorStats(vendor.id);
-      setStats(newStats);
+      const newStats = await vendorService.getVendorStats(vendor.id);
+      setStats(enhanceStats(newStats, updatedProducts));
+      return result;
     } catch (error) {
       toast.error(error.message);
       throw error;
@@ -494,13 +501,13 @@ const VendorProductsTab = ({ products, vendor, onProductUpdate }) => {
     setEditingProduct(product);
   };
 
-  const handleSavePrice = async (productId, priceData) => {
-    try {
-      await onProductUpdate(productId, priceData);
+  // Direct updates close the modal; approvals are acknowledged inside it first
+  const handleSavePrice = async (productId, priceData, options) => {
+    const result = await onProductUpdate(productId, priceData, options);
+    if (result.status === 'updated') {
       setEditingProduct(null);
-    } catch (error) {
-      // Error handled in onProductUpdate
     }
+    return result;
   };
 
   return (
@@ -712,12 +719,6 @@ const EditPriceModal = ({ product, vendor, onSave, onClose }) => {
       newErrors.price = `Minimum margin required: ${product.vendorInfo?.minMargin || 5}%`;
     }
     
-    // Max 20% price change validation
-    const priceChangePercent = Math.abs(((formData.price - product.price) / product.price) * 100);
-    if (priceChangePercent > 20) {
-      newErrors.price = 'Maximum 20% price change allowed per update';
-    }
-    
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -731,7 +732,10 @@ const EditPriceModal = ({ product, vendor, onSave, onClose }) => {
     
     setLoading(true);
     try {
-      await onSave(product.id, formData);
+      const result = await onSave(product.id, formData);
+      if (result.status === 'pending_approval') {
+        showSubmitted(result);
+      }
     } catch (error) {
       // Error handled in onSave
     } finally {
@@ -739,6 +743,20 @@ const EditPriceModal = ({ product, vendor, onSave, onClose }) => {
     }
   };
 
+  const showSubmitted = (result) => {
+    setApprovalStatus({
+      status: 'submitted',
+      requestId: result.requestId,
+      reason: result.reason,
+      submittedAt: new Date().toISOString()
+    });
+
+    // Close modal after brief delay
+    setTimeout(() => {
+      onClose();
+    }, 2000);
+  };
+
   const handleSubmitForApproval = async () => {
     if (!validateForm()) {
       return;
@@ -746,49 +764,10 @@ const EditPriceModal = ({ product, vendor, onSave, onClose }) => {
     
     setSubmittingApproval(true);
     try {
-      // Simulate submission for approval
-      const approvalData = {
-        type: 'price_stock_change',
-        title: `Price/Stock Update - ${product.name}`,
-        description: `Update price from Rs. ${product.price} to Rs. ${formData.price} and stock from ${product.stock} to ${formData.stock}`,
-submittedBy: `vendor_${vendor.id}`,
-        affectedEntity: {
-          entityType: 'product',
-          entityId: product.id,
-          entityName: product.name,
-          currentValues: { 
-            price: product.price, 
-            stock: product.stock,
-            purchasePrice: product.purchasePrice || 0
-          },
-          proposedValues: { 
-            price: formData.price, 
-            stock: formData.stock,
-            purchasePrice: formData.purchasePrice
-          }
-        },
-vendorId: vendor.id,
-        productId: product.id
-      };
-      
-      // Simulate API call to submit for approval
-      await new Promise(resolve => setTimeout(resolve, 800));
-      
-      setApprovalStatus({
-        status: 'submitted',
-        requestId: `REQ_${Date.now()}`,
-        submittedAt: new Date().toISOString()
-      });
-      
-      toast.success('Changes submitted for approval successfully');
-      
-      // Close modal after brief delay
-      setTimeout(() => {
-        onClose();
-      }, 2000);
-      
+      const result = await onSave(product.id, formData, { requestApproval: true });
+      showSubmitted(result);
     } catch (error) {
-      toast.error('Failed to submit for approval');
+      // Error handled in onSave
     } finally {
       setSubmittingApproval(false);
     }
@@ -827,6 +806,7 @@ vendorId: vendor.id,
           </p>
           <div className="bg-gray-50 p-3 rounded-lg text-sm">
             <p><strong>Request ID:</strong> {approvalStatus.requestId}</p>
+            {approvalStatus.reason && <p><strong>Reason:</strong> {approvalStatus.reason}</p>}
             <p><strong>Status:</strong> <span className="text-yellow-600 font-medium">Pending Review</span></p>
           </div>
         </div>
@@ -941,6 +921,11 @@ vendorId: vendor.id,
                 </span>
               </div>
             )}
+            {Math.abs(calculatePriceChange()) > 20 && (
+              <p className="text-xs text-red-600">
+                Changes over 20% are sent for admin approval before going live
+              </p>
+            )}
 
             {/* Stock Change */}
             {formData.stock !== product.stock && (
@@ -2401,59 +2386,11 @@ signature: signatureData,
 
 // Signature Capture Modal Component
 const SignatureModal = ({ order, onSignatureComplete, onClose }) => {
-  const canvasRef = React.useRef(null);
-  const [isDrawing, setIsDrawing] = React.useState(false);
+  const signaturePadRef = React.useRef(null);
   const [signature, setSignature] = React.useState(null);
 
-  React.useEffect(() => {
-    const canvas = canvasRef.current;
-    if (canvas) {
-      const ctx = canvas.getContext('2d');
-      ctx.strokeStyle = '#000';
-      ctx.lineWidth = 2;
-      ctx.lineCap = 'round';
-    }
-  }, []);
-
-  const startDrawing = (e) => {
-    setIsDrawing(true);
-    const canvas = canvasRef.current;
-    const rect = canvas.getBoundingClientRect();
-    const ctx = canvas.getContext('2d');
-    
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
-    
-    ctx.beginPath();
-    ctx.moveTo(x, y);
-  };
-
-  const draw = (e) => {
-    if (!isDrawing) return;
-    
-    const canvas = canvasRef.current;
-    const rect = canvas.getBoundingClientRect();
-    const ctx = canvas.getContext('2d');
-    
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
-    
-    ctx.lineTo(x, y);
-    ctx.stroke();
-  };
-
-  const stopDrawing = () => {
-    setIsDrawing(false);
-    const canvas = canvasRef.current;
-    const signatureData = canvas.toDataURL();
-    setSignature(signatureData);
-  };
-
   const clearSignature = () => {
-    const canvas = canvasRef.current;
-    const ctx = canvas.getContext('2d');
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-    setSignature(null);
+    signaturePadRef.current?.clear();
   };
 
   const handleSubmit = () => {
@@ -2497,16 +2434,7 @@ const SignatureModal = ({ order, onSignatureComplete, onClose }) => {
               Vendor Signature
             </label>
             <div className="border-2 border-gray-300 rounded-lg">
-              <canvas
-                ref={canvasRef}
-                width={350}
-                height={150}
-                className="w-full cursor-crosshair"
-                onMouseDown={startDrawing}
-                onMouseMove={draw}
-                onMouseUp={stopDrawing}
-                onMouseLeave={stopDrawing}
-              />
+              <SignaturePad ref={signaturePadRef} onChange={setSignature} />
             </div>
             <p className="text-xs text-gray-500 mt-1">
               Sign above to confirm handover to delivery personnel
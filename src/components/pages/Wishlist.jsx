@@ -0,0 +1,143 @@
+import React, { useEffect, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import ApperIcon from "@/components/ApperIcon";
+import Badge from "@/components/atoms/Badge";
+import Button from "@/components/atoms/Button";
+import StockAlertButton from "@/components/molecules/StockAlertButton";
+import Empty from "@/components/ui/Empty";
+import { addToCartWithValidation } from "@/store/cartSlice";
+import { clearWishlist, removeFromWishlist, selectWishlistItems } from "@/store/wishlistSlice";
+import { productService } from "@/services/api/productService";
+
+// Saved products, refreshed against the catalog so stock and price are current
+const Wishlist = () => {
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+  const items = useSelector(selectWishlistItems);
+  const [liveProducts, setLiveProducts] = useState({});
+  const [addingId, setAddingId] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    Promise.all(items.map(item =>
+      productService.getById(item.id).then(product => [item.id, product]).catch(() => [item.id, null])
+    )).then(entries => {
+      if (active) setLiveProducts(Object.fromEntries(entries));
+    });
+    return () => {
+      active = false;
+    };
+  }, [items]);
+
+  const handleAddToCart = async (productId) => {
+    setAddingId(productId);
+    try {
+      await dispatch(addToCartWithValidation(productId)).unwrap();
+    } catch {
+      // The cart slice already shows why it could not be added
+    } finally {
+      setAddingId(null);
+    }
+  };
+
+  if (items.length === 0) {
+    return (
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+        <Empty
+          title="Your wishlist is empty"
+          description="Tap the heart on any product to save it for later."
+          icon="Heart"
+          action="Browse Products"
+          onAction={() => navigate('/category/All')}
+        />
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Wishlist</h1>
+          <p className="text-gray-600">{items.length} saved product{items.length === 1 ? '' : 's'}</p>
+        </div>
+        <Button variant="ghost" size="small" icon="Trash2" onClick={() => dispatch(clearWishlist())}>
+          Clear all
+        </Button>
+      </div>
+
+      <div className="space-y-4">
+        {items.map(item => {
+          const product = liveProducts[item.id];
+          const unavailable = product === null || product?.isActive === false;
+          const outOfStock = product && product.stock <= 0;
+          const price = product?.price ?? item.price;
+
+          return (
+            <div key={item.id} className="card p-4 flex items-center gap-4">
+              <Link to={`/product/${item.id}`} className="flex-shrink-0">
+                {item.imageUrl ? (
+                  <img src={item.imageUrl} alt={item.name} className="w-20 h-20 object-cover rounded-lg" />
+                ) : (
+                  <div className="w-20 h-20 bg-gray-100 rounded-lg flex items-center justify-center">
+                    <ApperIcon name="Package" size={24} className="text-gray-400" />
+                  </div>
+                )}
+              </Link>
+
+              <div className="flex-1 min-w-0">
+                <Link to={`/product/${item.id}`} className="font-semibold text-gray-900 hover:text-primary line-clamp-1">
+                  {item.name}
+                </Link>
+                <div className="flex items-center gap-2 mt-1">
+                  <span className="font-bold text-gray-900">Rs. {price.toLocaleString()}</span>
+                  <span className="text-sm text-gray-500">/{item.unit}</span>
+                  {product && price < item.price && (
+                    <Badge variant="success" size="small">Price dropped</Badge>
+                  )}
+                </div>
+                <div className="mt-1 text-sm">
+                  {unavailable ? (
+                    <span className="text-gray-500">No longer available</span>
+                  ) : outOfStock ? (
+                    <span className="text-red-600">Out of stock</span>
+                  ) : product ? (
+                    <span className="text-green-600">{product.stock} in stock</span>
+                  ) : null}
+                </div>
+              </div>
+
+              <div className="flex flex-col sm:flex-row items-end sm:items-center gap-2">
+                {outOfStock ? (
+                  <StockAlertButton product={product} />
+                ) : (
+                  <Button
+                    variant="primary"
+                    size="small"
+                    icon="ShoppingCart"
+                    onClick={() => handleAddToCart(item.id)}
+                    loading={addingId === item.id}
+                    disabled={unavailable || !product || addingId === item.id}
+                  >
+                    Add to Cart
+                  </Button>
+                )}
+                <button
+                  type="button"
+                  onClick={() => dispatch(removeFromWishlist(item.id))}
+                  className="p-2 text-gray-400 hover:text-red-500 transition-colors"
+                  aria-label={`Remove ${item.name} from wishlist`}
+                >
+                  <ApperIcon name="X" size={18} />
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default Wishlist;
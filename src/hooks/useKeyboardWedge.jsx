@@ -0,0 +1,54 @@
+import { useEffect, useRef } from "react";
+
+// USB and Bluetooth scanners in keyboard mode type a whole code within a few milliseconds per key;
+// people do not, so a fast burst of characters ended by Enter or Tab is treated as a scan
+const MAX_KEY_INTERVAL_MS = 50;
+const MIN_CODE_LENGTH = 6;
+
+/**
+ * Listen for keyboard-wedge barcode scanners anywhere on the page
+ * @param {Function} onScan - Called with the scanned code
+ * @param {Object} options - { enabled, minLength }
+ */
+export const useKeyboardWedge = (onScan, { enabled = true, minLength = MIN_CODE_LENGTH } = {}) => {
+  const bufferRef = useRef('');
+  const lastKeyAtRef = useRef(0);
+  const onScanRef = useRef(onScan);
+
+  useEffect(() => {
+    onScanRef.current = onScan;
+  }, [onScan]);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const handleKeyDown = (e) => {
+      if (e.ctrlKey || e.altKey || e.metaKey) return;
+
+      const now = Date.now();
+      if (now - lastKeyAtRef.current > MAX_KEY_INTERVAL_MS) {
+        bufferRef.current = '';
+      }
+      lastKeyAtRef.current = now;
+
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        const code = bufferRef.current;
+        bufferRef.current = '';
+        if (code.length >= minLength) {
+          // Keep the terminator from submitting whatever form had focus
+          e.preventDefault();
+          e.stopPropagation();
+          onScanRef.current(code);
+        }
+        return;
+      }
+
+      if (e.key.length === 1) {
+        bufferRef.current += e.key;
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [enabled, minLength]);
+};
@@ -0,0 +1,302 @@
+import axios from 'axios';
+import sessionService from '@/services/SessionService';
+import { persistenceService } from '@/services/PersistenceService';
+import { ErrorHandler } from '@/utils/errorHandling';
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+/**
+ * ApiError - Normalized error thrown by every ApiClient request
+ * Callers can rely on status/code/type instead of digging through axios internals.
+ */
+export class ApiError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = details.status ?? null;
+    this.code = details.code || 'API_ERROR';
+    this.type = details.type || 'general';
+    this.data = details.data ?? null;
+    this.method = details.method || null;
+    this.url = details.url || null;
+    this.isCancelled = Boolean(details.isCancelled);
+  }
+}
+
+/**
+ * ApiClient - Shared axios client for talking to the real backend
+ * Injects the session token, retries transient failures with exponential backoff,
+ * supports cancellation and rejects with ApiError.
+ *
+ * Mode is chosen with VITE_API_MODE: 'mock' (default) keeps the in-browser mock
+ * services, 'live' routes service calls to VITE_API_BASE_URL.
+ *
+ * In live mode orderService and productService call the REST endpoints directly; every other
+ * service keeps its collections on the backend through PersistenceService's ApiClient adapter.
+ */
+class ApiClient {
+  constructor() {
+    this.baseURL = import.meta.env.VITE_API_BASE_URL || '';
+    this.mode = this.resolveMode(import.meta.env.VITE_API_MODE);
+    this.maxRetries = 3;
+    this.retryBaseDelay = 500;
+    this.controllers = new Map();
+    this.requestCounter = 0;
+
+    this.client = axios.create({
+      baseURL: this.baseURL,
+      timeout: 15000,
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+    this.client.interceptors.request.use(config => this.attachAuthToken(config));
+    this.client.interceptors.response.use(
+      response => response,
+      error => this.handleResponseError(error)
+    );
+  }
+
+  resolveMode(mode) {
+    if (mode !== 'live') {
+      return 'mock';
+    }
+    if (!this.baseURL) {
+      console.warn('ApiClient: VITE_API_MODE is "live" but VITE_API_BASE_URL is not set, staying in mock mode');
+      return 'mock';
+    }
+    return 'live';
+  }
+
+  isLive() {
+    return this.mode === 'live';
+  }
+
+  getMode() {
+    return this.mode;
+  }
+
+  /**
+   * Switch between mock and live mode at runtime (e.g. from a dev settings panel)
+   * @param {string} mode - 'mock' or 'live'
+   */
+  setMode(mode) {
+    if (!['mock', 'live'].includes(mode)) {
+      throw new Error(`Invalid API mode: ${mode}`);
+    }
+    this.mode = mode === 'live' ? this.resolveMode('live') : 'mock';
+    persistenceService.useLiveApi(this.isLive());
+    return this.mode;
+  }
+
+  attachAuthToken(config) {
+    const token = sessionService.getToken();
+    if (token && !config.headers?.Authorization) {
+      config.headers = config.headers || {};
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+  }
+
+  /**
+   * Retry transient failures (network, timeout, 5xx) using the shared
+   * ErrorHandler policy; everything else is normalized and rejected.
+   */
+  async handleResponseError(error) {
+    const normalized = this.normalizeError(error);
+    const config = error.config;
+
+    if (!config || normalized.isCancelled || !this.isRetryable(config)) {
+      throw normalized;
+    }
+
+    const attempt = config.retryAttempt || 0;
+    const maxRetries = config.maxRetries ?? this.maxRetries;
+
+    // shouldRetry classifies by message, so hand it the normalized type
+    if (!ErrorHandler.shouldRetry(new Error(normalized.type), attempt, maxRetries)) {
+      throw normalized;
+    }
+
+    config.retryAttempt = attempt + 1;
+    await this.wait(ErrorHandler.getRetryDelay(attempt, this.retryBaseDelay), config.signal);
+    return this.client(config);
+  }
+
+  // Only idempotent requests are retried unless the caller opts in with retry: true
+  isRetryable(config) {
+    if (config.retry === false) return false;
+    if (config.retry === true) return true;
+    return IDEMPOTENT_METHODS.includes((config.method || 'get').toLowerCase());
+  }
+
+  wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(this.createCancelledError());
+        return;
+      }
+      const timer = setTimeout(resolve, ms);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(this.createCancelledError());
+      }, { once: true });
+    });
+  }
+
+  createCancelledError(config = {}) {
+    return new ApiError('Request was cancelled', {
+      code: 'REQUEST_CANCELLED',
+      type: 'cancelled',
+      method: config.method,
+      url: config.url,
+      isCancelled: true
+    });
+  }
+
+  /**
+   * Convert any axios failure into an ApiError
+   * @param {Error} error - Error raised by axios or an interceptor
+   * @returns {ApiError}
+   */
+  normalizeError(error) {
+    if (error instanceof ApiError) {
+      return error;
+    }
+
+    const config = error.config || {};
+    const request = { method: config.method?.toUpperCase(), url: config.url };
+
+    if (axios.isCancel(error) || error.code === 'ERR_CANCELED') {
+      return this.createCancelledError(config);
+    }
+
+    if (error.response) {
+      const { status, data } = error.response;
+      return new ApiError(data?.message || data?.error || this.getStatusMessage(status), {
+        ...request,
+        status,
+        code: data?.code || `HTTP_${status}`,
+        type: this.getStatusType(status),
+        data
+      });
+    }
+
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      return new ApiError(`Request timeout after ${config.timeout || this.client.defaults.timeout}ms`, {
+        ...request,
+        code: 'TIMEOUT',
+        type: 'timeout'
+      });
+    }
+
+    return new ApiError('Unable to reach the server - network error', {
+      ...request,
+      code: error.code || 'NETWORK_ERROR',
+      type: 'network'
+    });
+  }
+
+  getStatusType(status) {
+    if (status === 401 || status === 403) return 'permission';
+    if (status === 404) return 'not-found';
+    if (status === 400 || status === 422) return 'validation';
+    if (status === 408) return 'timeout';
+    if (status >= 500) return 'server';
+    return 'general';
+  }
+
+  getStatusMessage(status) {
+    switch (this.getStatusType(status)) {
+      case 'permission':
+        return status === 401 ? 'Unauthorized - please sign in again' : 'Permission denied';
+      case 'not-found':
+        return 'Resource not found';
+      case 'validation':
+        return 'Invalid request data';
+      case 'timeout':
+        return 'Request timeout';
+      case 'server':
+        return `Server error (${status})`;
+      default:
+        return `Request failed with status ${status}`;
+    }
+  }
+
+  /**
+   * Send a request and resolve with the response body
+   * @param {Object} config - axios config plus:
+   *   requestKey - cancels any in-flight request with the same key
+   *   retry      - force (true) or disable (false) retries
+   *   maxRetries - override the default retry budget
+   * @returns {Promise<*>} - Response data
+   */
+  async request(config) {
+    const { requestKey, ...axiosConfig } = config;
+    const key = requestKey || `request_${++this.requestCounter}`;
+    let controller = null;
+
+    // Caller-supplied signals are respected as-is; otherwise track our own
+    if (!axiosConfig.signal) {
+      if (requestKey) {
+        this.cancel(requestKey);
+      }
+      controller = new AbortController();
+      axiosConfig.signal = controller.signal;
+      this.controllers.set(key, controller);
+    }
+
+    try {
+      const response = await this.client.request(axiosConfig);
+      return response.data;
+    } catch (error) {
+      throw this.normalizeError(error);
+    } finally {
+      if (controller && this.controllers.get(key) === controller) {
+        this.controllers.delete(key);
+      }
+    }
+  }
+
+  get(url, config = {}) {
+    return this.request({ ...config, method: 'get', url });
+  }
+
+  post(url, data, config = {}) {
+    return this.request({ ...config, method: 'post', url, data });
+  }
+
+  put(url, data, config = {}) {
+    return this.request({ ...config, method: 'put', url, data });
+  }
+
+  patch(url, data, config = {}) {
+    return this.request({ ...config, method: 'patch', url, data });
+  }
+
+  delete(url, config = {}) {
+    return this.request({ ...config, method: 'delete', url });
+  }
+
+  /**
+   * Abort an in-flight request started with the given requestKey
+   * @param {string} requestKey - Key passed to request()
+   * @returns {boolean} - Whether a request was cancelled
+   */
+  cancel(requestKey) {
+    const controller = this.controllers.get(requestKey);
+    if (!controller) return false;
+    controller.abort();
+    this.controllers.delete(requestKey);
+    return true;
+  }
+
+  // Abort everything in flight (e.g. on logout or route teardown)
+  cancelAll() {
+    this.controllers.forEach(controller => controller.abort());
+    this.controllers.clear();
+  }
+}
+
+// Export singleton instance
+export const apiClient = new ApiClient();
+export default apiClient;
@@ -0,0 +1,171 @@
+import IndexedDBAdapter from "@/services/persistence/IndexedDBAdapter";
+import ApiClientAdapter from "@/services/persistence/ApiClientAdapter";
+import HttpAdapter from "@/services/persistence/HttpAdapter";
+import MemoryAdapter from "@/services/persistence/MemoryAdapter";
+
+/**
+ * PersistenceService - Pluggable storage layer behind the mock API services
+ * Each service loads its collection once (falling back to the bundled mock data)
+ * and writes a snapshot back after every mutation.
+ *
+ * Backend is chosen with VITE_PERSISTENCE_ADAPTER: 'indexeddb' (default), 'http' or 'memory'.
+ * The HTTP adapter talks to VITE_API_BASE_URL. In live API mode (VITE_API_MODE=live) every
+ * collection goes through ApiClient instead, so all services read and write the backend.
+ */
+class PersistenceService {
+  constructor() {
+    this.writeQueues = new Map();
+    const liveApi = import.meta.env.VITE_API_MODE === 'live' && Boolean(import.meta.env.VITE_API_BASE_URL);
+    this.adapterType = liveApi ? 'api' : this.getConfiguredType();
+    this.adapter = this.createAdapter(this.adapterType);
+  }
+
+  getConfiguredType() {
+    return import.meta.env.VITE_PERSISTENCE_ADAPTER || 'indexeddb';
+  }
+
+  /**
+   * Build the storage adapter for the configured backend, degrading gracefully
+   * @param {string} type - Adapter type
+   * @returns {Object} - Adapter implementing getItem/setItem/removeItem/clear
+   */
+  createAdapter(type) {
+    try {
+      if (type === 'api') {
+        return new ApiClientAdapter();
+      }
+
+      if (type === 'http') {
+        const baseURL = import.meta.env.VITE_API_BASE_URL;
+        if (baseURL) {
+          return new HttpAdapter(baseURL);
+        }
+        console.warn('PersistenceService: VITE_API_BASE_URL not set, falling back to IndexedDB');
+      }
+
+      if (type !== 'memory' && IndexedDBAdapter.isSupported()) {
+        this.adapterType = 'indexeddb';
+        return new IndexedDBAdapter();
+      }
+    } catch (error) {
+      console.error('PersistenceService: Failed to create storage adapter:', error);
+    }
+
+    if (type !== 'memory') {
+      console.warn('PersistenceService: No durable storage available, data will not survive reloads');
+    }
+    this.adapterType = 'memory';
+    return new MemoryAdapter();
+  }
+
+  /**
+   * Swap the storage backend at runtime (e.g. when pointing the app at a real API)
+   * @param {Object} adapter - Adapter implementing getItem/setItem/removeItem/clear
+   * @param {string} type - Label reported by getAdapterType()
+   */
+  setAdapter(adapter, type = 'custom') {
+    if (!adapter || typeof adapter.getItem !== 'function' || typeof adapter.setItem !== 'function') {
+      throw new Error('Invalid persistence adapter');
+    }
+    this.adapter = adapter;
+    this.adapterType = type;
+    this.writeQueues.clear();
+  }
+
+  getAdapterType() {
+    return this.adapterType;
+  }
+
+  /**
+   * Follow ApiClient between mock and live mode. Services pick up the new backend the
+   * next time they load a collection.
+   * @param {boolean} live - Whether ApiClient is in live mode
+   */
+  useLiveApi(live) {
+    const type = live ? 'api' : this.getConfiguredType();
+    if (type === this.adapterType) return;
+    this.adapterType = type;
+    this.adapter = this.createAdapter(type);
+    this.writeQueues.clear();
+  }
+
+  /**
+   * Load a collection, seeding it from mock data when nothing has been stored yet
+   * @param {string} collection - Collection name
+   * @param {*} seedData - Default data used on first run or when storage fails
+   * @returns {Promise<*>} - Stored data or a copy of the seed
+   */
+  async load(collection, seedData) {
+    try {
+      const stored = await this.adapter.getItem(collection);
+      if (stored !== null && stored !== undefined) {
+        return stored;
+      }
+    } catch (error) {
+      console.error(`PersistenceService: Failed to load "${collection}", using seed data:`, error);
+    }
+
+    return this.clone(seedData);
+  }
+
+  /**
+   * Write a snapshot of a collection. Writes per collection are serialized so
+   * the last mutation always wins; failures are logged, never thrown.
+   * @param {string} collection - Collection name
+   * @param {*} data - Current collection state
+   * @returns {Promise<boolean>} - Whether the write succeeded
+   */
+  save(collection, data) {
+    const snapshot = this.clone(data);
+    const previousWrite = this.writeQueues.get(collection) || Promise.resolve(true);
+
+    const write = previousWrite
+      .then(() => this.adapter.setItem(collection, snapshot))
+      .then(() => true)
+      .catch(error => {
+        console.error(`PersistenceService: Failed to save "${collection}":`, error);
+        return false;
+      });
+
+    this.writeQueues.set(collection, write);
+    return write;
+  }
+
+  /**
+   * Drop a stored collection so the next load starts from seed data again
+   * @param {string} collection - Collection name
+   */
+  async reset(collection) {
+    try {
+      await this.writeQueues.get(collection);
+      this.writeQueues.delete(collection);
+      await this.adapter.removeItem(collection);
+      return true;
+    } catch (error) {
+      console.error(`PersistenceService: Failed to reset "${collection}":`, error);
+      return false;
+    }
+  }
+
+  async clearAll() {
+    try {
+      await Promise.all(this.writeQueues.values());
+      this.writeQueues.clear();
+      await this.adapter.clear();
+      return true;
+    } catch (error) {
+      console.error('PersistenceService: Failed to clear storage:', error);
+      return false;
+    }
+  }
+
+  // JSON round-trip keeps stored snapshots independent of live service state
+  clone(data) {
+    if (data === undefined) return null;
+    return JSON.parse(JSON.stringify(data));
+  }
+}
+
+// Export singleton instance
+export const persistenceService = new PersistenceService();
+export default persistenceService;
@@ -8,6 +8,11 @@ import attendance from "@/services/mockData/attendance.json";
 import vendors from "@/services/mockData/vendors.json";
 import posTransactions from '@/services/mockData/posTransactions.json'
 import deliveryPersonnel from '@/services/mockData/deliveryPersonnel.json'
+import { customerService } from '@/services/api/customerService'
+import employeeService from '@/services/api/employeeService'
+import { deliveryPersonnelService } from '@/services/api/deliveryPersonnelService'
+import { roleService } from '@/services/api/roleService'
+import { generateToken } from '@/utils/password'
 
 // Session management constants
 class SessionService {
@@ -103,7 +108,7 @@ class SessionService {
       name: 'Guest User',
       email: null,
       role: 'guest',
-      permissions: ['view_products', 'add_to_cart'],
+      permissions: this.getDefaultPermissions('guest'),
       settings: {
         theme: 'light',
         currency: 'USD',
@@ -144,10 +149,9 @@ class SessionService {
     return user?.role || 'guest';
   }
 
-  // Get user permissions
+  // Permissions come from the role definition, so role edits apply to signed-in users straight away
   getUserPermissions() {
-    const user = this.getCurrentUser();
-    return user?.permissions || [];
+    return roleService.getRolePermissions(this.getUserRole());
   }
 
   // Get user settings
@@ -217,8 +221,18 @@ class SessionService {
 
   // Check if user has specific permission
   hasPermission(permission) {
-    const permissions = this.getUserPermissions();
-    return permissions.includes(permission);
+    return roleService.roleHasPermission(this.getUserRole(), permission);
+  }
+
+  // Service-level check; throws a PERMISSION_DENIED error for the current user
+  requirePermission(permission) {
+    roleService.assertPermission(this.getCurrentUser(), permission);
+    return this.getCurrentUser();
+  }
+
+  // Name recorded against changes made by the current user
+  getActorId() {
+    return this.getCurrentUser()?.id || 'guest';
   }
 
   // Check if user has any of the specified roles
@@ -286,27 +300,64 @@ class SessionService {
     }
   }
 
-  // Login user with credentials
+  /**
+   * Login user with credentials
+   * Customers sign in with { identifier (email or phone), password }, checked against their
+   * stored password hash. Riders sign in with { role: 'rider', riderId, phoneDigits }, the last four
+   * digits of the phone number on their delivery personnel record.
+   */
   async login(credentials) {
     try {
-      // Simulate API call - replace with actual authentication
-      await new Promise(resolve => setTimeout(resolve, 1000));
-
-      // Mock user data - replace with actual API response
-      const userData = {
-        id: 'user_' + Date.now(),
-        name: credentials.name || 'User',
-        email: credentials.email,
-        role: credentials.role || 'customer',
-        permissions: this.getDefaultPermissions(credentials.role || 'customer'),
-        settings: {
-          theme: 'light',
-          currency: 'USD',
-          notifications: true
+      const role = credentials.role || 'customer';
+      let userData;
+
+      if (role === 'customer') {
+        const customer = await customerService.authenticate(
+          credentials.identifier || credentials.email || credentials.phone,
+          credentials.password
+        );
+        userData = this.buildCustomerUser(customer);
+      } else if (role === 'staff') {
+        const employee = await employeeService.authenticate(credentials.email, credentials.password);
+        if (!roleService.isStaffRole(employee.role)) {
+          const error = new Error('Your account does not have staff access');
+          error.code = 'PERMISSION_DENIED';
+          throw error;
         }
-      };
+        userData = {
+          id: 'staff_' + employee.Id,
+          name: employee.name,
+          email: employee.email,
+          role: employee.role,
+          permissions: this.getDefaultPermissions(employee.role),
+          employeeId: employee.Id,
+          settings: {
+            theme: 'light',
+            currency: 'PKR',
+            notifications: true
+          }
+        };
+      } else if (role === 'rider') {
+        const rider = await deliveryPersonnelService.authenticate(credentials.riderId, credentials.phoneDigits);
+        userData = {
+          id: 'rider_' + rider.Id,
+          name: rider.name || 'Rider',
+          email: rider.email || null,
+          role,
+          permissions: this.getDefaultPermissions(role),
+          // Riders are linked to their delivery personnel record
+          riderId: rider.Id,
+          settings: {
+            theme: 'light',
+            currency: 'PKR',
+            notifications: true
+          }
+        };
+      } else {
+        throw new Error(`Sign-in for the ${role} role is not available here`);
+      }
 
-      const token = 'mock_token_' + Date.now();
+      const token = 'session_' + generateToken();
       const session = this.createSession(userData, token);
 
       if (session) {
@@ -317,11 +368,27 @@ class SessionService {
       }
     } catch (error) {
       console.error('Login failed:', error);
-      toast.error('Login failed: ' + error.message);
-      return { success: false, error: error.message };
+      return { success: false, error: error.message, code: error.code };
     }
   }
 
+  // Session user for a customer account; profile edits refresh it through updateUser
+  buildCustomerUser(customer) {
+    return {
+      id: customer.id,
+      name: customer.name,
+      email: customer.email,
+      phone: customer.phone,
+      role: 'customer',
+      permissions: this.getDefaultPermissions('customer'),
+      settings: {
+        theme: 'light',
+        currency: 'PKR',
+        notifications: customer.settings?.emailNotifications ?? true
+      }
+    };
+  }
+
   // Get session information
   getSessionInfo() {
     const session = this.getSession();
@@ -364,15 +431,7 @@ class SessionService {
 
   // Get default permissions for role
   getDefaultPermissions(role) {
-    const permissionMap = {
-      admin: ['*'], // All permissions
-      manager: ['view_products', 'manage_products', 'view_orders', 'manage_orders', 'view_reports'],
-      employee: ['view_products', 'view_orders', 'process_orders'],
-      customer: ['view_products', 'add_to_cart', 'place_orders', 'view_own_orders'],
-      guest: ['view_products', 'add_to_cart']
-    };
-
-    return permissionMap[role] || permissionMap.guest;
+    return roleService.getRolePermissions(role);
   }
 }
 
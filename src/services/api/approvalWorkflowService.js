@@ -1,6 +1,8 @@
 import React from "react";
 import { approveRequest, rejectRequest, submitForApproval } from "@/store/approvalWorkflowSlice";
 import Error from "@/components/ui/Error";
+import { productService } from "@/services/api/productService";
+import { persistenceService } from "@/services/PersistenceService";
 // Mock data for approval workflow
 const mockApprovalRequests = [
   {
@@ -95,6 +97,25 @@ class ApprovalWorkflowService {
     this.wsListeners = new Set();
     this.walletHolds = new Map(); // Track wallet holds by request ID
     this.walletAdjustments = []; // Track completed wallet adjustments
+    this.ready = persistenceService.load('approvalWorkflow', this.getPersistedState()).then(state => {
+      this.requests = state.requests || [];
+      this.walletHolds = new Map(state.walletHolds || []);
+      this.walletAdjustments = state.walletAdjustments || [];
+      this.nextId = this.requests.reduce((max, req) => Math.max(max, req.Id), 0) + 1;
+    });
+  }
+
+  // Holds are keyed by request ID in a Map, stored as entries
+  getPersistedState() {
+    return {
+      requests: this.requests,
+      walletHolds: Array.from(this.walletHolds.entries()),
+      walletAdjustments: this.walletAdjustments
+    };
+  }
+
+  persist() {
+    return persistenceService.save('approvalWorkflow', this.getPersistedState());
   }
 
   // WebSocket Connection Management
@@ -156,6 +177,12 @@ class ApprovalWorkflowService {
   }
 
   // Core CRUD Operations
+  async getRequest(requestId) {
+    await this.ready;
+    const request = this.requests.find(req => req.Id === parseInt(requestId));
+    return request ? { ...request } : null;
+  }
+
   async getPendingApprovals(filters = {}) {
     await this.delay(300);
     
@@ -271,6 +298,7 @@ async submitForApproval(approvalData) {
     }
     
     this.requests.unshift(newRequest);
+    await this.persist();
     
     // Notify WebSocket listeners
     this.notifyListeners({
@@ -311,6 +339,7 @@ async approveRequest(requestId, comments = '') {
     
     const index = this.requests.findIndex(req => req.Id === parseInt(requestId));
     this.requests[index] = updatedRequest;
+    await this.persist();
     
     // Notify WebSocket listeners
     this.notifyListeners({
@@ -361,6 +390,7 @@ return updatedRequest;
     
     const index = this.requests.findIndex(req => req.Id === parseInt(requestId));
     this.requests[index] = updatedRequest;
+    await this.persist();
     
     // Notify WebSocket listeners
     this.notifyListeners({
@@ -372,6 +402,8 @@ return updatedRequest;
         comments
       }
     });
+
+    await this.executeRejectedChanges(updatedRequest);
 return updatedRequest;
   }
 
@@ -391,6 +423,7 @@ return updatedRequest;
     };
     
     request.comments.push(newComment);
+    await this.persist();
     
     // Notify WebSocket listeners
     this.notifyListeners({
@@ -436,6 +469,14 @@ return updatedRequest;
         if (value > 10000) return { level: 'high', priority: 'urgent' };
         if (value > 5000) return { level: 'medium', priority: 'high' };
         return { level: 'low', priority: 'medium' };
+      },
+
+      refund: (entity) => {
+        const amount = entity.proposedValues.refundAmount || 0;
+
+        if (amount > 20000) return { level: 'high', priority: 'urgent' };
+        if (amount > 10000) return { level: 'medium', priority: 'high' };
+        return { level: 'low', priority: 'medium' };
       }
     };
     
@@ -480,6 +521,13 @@ return updatedRequest;
           customerImpact: discountPercent > 20 ? 'high' : 'medium'
         };
         
+      case 'refund':
+        return {
+          revenueImpact: -Math.round(affectedEntity.proposedValues.refundAmount || 0),
+          marginImpact: 0,
+          customerImpact: 'high'
+        };
+
       default:
         return {
           revenueImpact: 0,
@@ -497,9 +545,16 @@ async executeApprovedChanges(approvedRequest) {
       const { type, affectedEntity, walletAdjustment } = approvedRequest;
       
       switch (type) {
-        case 'price_change':
+        case 'price_change': {
           console.log(`Executing price change for product ${affectedEntity.entityId}`);
-          // productService.update(affectedEntity.entityId, affectedEntity.proposedValues);
+          // Only pricing fields are applied; stock may have moved since the request was raised
+          const { price, purchasePrice } = affectedEntity.proposedValues;
+          await productService.update(affectedEntity.entityId, {
+            price,
+            ...(purchasePrice !== undefined && { purchasePrice }),
+            previousPrice: affectedEntity.currentValues.price,
+            updatedAt: new Date().toISOString()
+          });
           
           // Process wallet adjustment if present
           if (walletAdjustment) {
@@ -508,6 +563,7 @@ async executeApprovedChanges(approvedRequest) {
             // await paymentService.processApprovalAdjustment(walletAdjustment);
           }
           break;
+        }
           
         case 'bulk_discount':
           console.log(`Applying bulk discount to category ${affectedEntity.entityId}`);
@@ -518,6 +574,18 @@ async executeApprovedChanges(approvedRequest) {
           console.log(`Removing products: ${affectedEntity.entityId}`);
           // productService.bulkRemove(affectedEntity.entityId);
           break;
+
+        case 'refund': {
+          // Imported lazily: orderService reaches this service through refundService
+          const { refundService } = await import('@/services/api/refundService');
+          const refund = await refundService.findByApprovalRequest(approvedRequest.Id);
+          // Refunds approved from the Refunds tab are already being paid out there
+          if (refund?.status === 'requested') {
+            const { orderService } = await import('@/services/api/orderService');
+            await orderService.approveRefund(refund.Id, { note: approvedRequest.approvalComments || '' });
+          }
+          break;
+        }
       }
       
       return { success: true, executedAt: new Date().toISOString() };
@@ -527,6 +595,17 @@ async executeApprovedChanges(approvedRequest) {
     }
   }
 
+  // Rejections carry through to records that mirror a request, so both stay in step
+  async executeRejectedChanges(rejectedRequest) {
+    if (rejectedRequest.type !== 'refund') return;
+    const { refundService } = await import('@/services/api/refundService');
+    const refund = await refundService.findByApprovalRequest(rejectedRequest.Id);
+    if (refund?.status === 'requested') {
+      const { orderService } = await import('@/services/api/orderService');
+      await orderService.rejectRefund(refund.Id, { reason: rejectedRequest.rejectionComments });
+    }
+  }
+
   // Utility methods
   async getApprovalStatistics() {
     await this.delay(200);
@@ -625,7 +704,8 @@ async executeApprovedChanges(approvedRequest) {
 return { required: false };
   }
 
-  delay(ms = 300) {
+  async delay(ms = 300) {
+    await this.ready;
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
@@ -880,6 +960,7 @@ return { required: false };
         
         const index = this.requests.findIndex(req => req.Id === parseInt(requestId));
         this.requests[index] = updatedRequest;
+        await this.persist();
         
         results.successful.push({
           requestId: parseInt(requestId),
@@ -972,6 +1053,7 @@ return { required: false };
         
         const index = this.requests.findIndex(req => req.Id === parseInt(requestId));
         this.requests[index] = updatedRequest;
+        await this.persist();
         
         results.successful.push({
           requestId: parseInt(requestId),
@@ -980,6 +1062,8 @@ return { required: false };
         });
         
         results.summary.totalImpact += Math.abs(request.businessImpact?.revenueImpact || 0);
+
+        await this.executeRejectedChanges(updatedRequest);
         
       } catch (error) {
         results.failed.push({
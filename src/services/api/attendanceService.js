@@ -1,9 +1,20 @@
 import attendance from '@/services/mockData/attendance.json';
+import { persistenceService } from '@/services/PersistenceService';
 
 let attendanceData = [...attendance];
 let lastId = Math.max(...attendanceData.map(att => att.Id), 0);
 
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const ready = persistenceService.load('attendance', attendance).then(records => {
+  attendanceData = records;
+  lastId = Math.max(...attendanceData.map(att => att.Id), 0);
+});
+
+const delay = async (ms) => {
+  await ready;
+  return new Promise(resolve => setTimeout(resolve, ms));
+};
+
+const persist = () => persistenceService.save('attendance', attendanceData);
 
 const attendanceService = {
 async getAll() {
@@ -49,6 +60,7 @@ async getById(id) {
       updatedAt: new Date().toISOString()
     };
     attendanceData.push(newRecord);
+    await persist();
     return { ...newRecord };
   },
 
@@ -68,6 +80,7 @@ async getById(id) {
     };
     
     attendanceData[index] = updatedRecord;
+    await persist();
     return { ...updatedRecord };
   },
 
@@ -79,6 +92,7 @@ async getById(id) {
     }
     
     const deletedRecord = attendanceData.splice(index, 1)[0];
+    await persist();
     return { ...deletedRecord };
   },
 
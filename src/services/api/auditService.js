@@ -0,0 +1,262 @@
+import { persistenceService } from '@/services/PersistenceService';
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// JSON with sorted keys, so the same entry always hashes the same way
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const sha256 = async (text) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+const isSame = (a, b) => canonicalize(a) === canonicalize(b);
+
+// Field-level changes between two snapshots: { field: { from, to } }
+const diffValues = (before, after) => {
+  const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+  if (!isObject(before) || !isObject(after)) {
+    return isSame(before, after) ? {} : { value: { from: before ?? null, to: after ?? null } };
+  }
+
+  const changes = {};
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(field => {
+    if (!isSame(before[field], after[field])) {
+      changes[field] = { from: before[field] ?? null, to: after[field] ?? null };
+    }
+  });
+  return changes;
+};
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined
+    ? ''
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Append-only audit trail for admin and financial actions. Each entry stores who did
+ * what to which entity, the field-level diff and a SHA-256 hash over its contents and
+ * the previous entry's hash, so editing or removing any stored entry breaks the chain.
+ * The newest hash and the entry count are kept separately as the head, so dropping
+ * entries off the end of the log is caught too.
+ */
+class AuditService {
+  constructor() {
+    this.entries = [];
+    this.head = null;
+    this.queue = Promise.resolve();
+    this.ready = Promise.all([
+      persistenceService.load('auditLog', []),
+      persistenceService.load('auditHead', null)
+    ]).then(([entries, head]) => {
+      this.entries = entries;
+      this.head = head;
+      // Logs written before the head was kept start from what is stored now
+      if (!head && entries.length > 0) {
+        this.head = this.headFor(entries);
+        return persistenceService.save('auditHead', this.head);
+      }
+    });
+  }
+
+  headFor(entries) {
+    return { hash: entries[entries.length - 1]?.hash || GENESIS_HASH, count: entries.length };
+  }
+
+  persist() {
+    this.head = this.headFor(this.entries);
+    return Promise.all([
+      persistenceService.save('auditLog', this.entries),
+      persistenceService.save('auditHead', this.head)
+    ]);
+  }
+
+  async delay(ms = 200) {
+    await this.ready;
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  hashEntry(entry) {
+    const { hash, ...content } = entry;
+    return sha256(`${entry.previousHash}|${canonicalize(content)}`);
+  }
+
+  /**
+   * Append an entry to the audit trail
+   * @param {Object} event - { action, entityType, entityId, actor, summary, before, after, metadata }
+   * @returns {Promise<Object>} - The stored entry
+   */
+  record({ action, entityType, entityId = null, actor = 'system', summary = '', before = null, after = null, metadata = {} }) {
+    if (!action || !entityType) {
+      return Promise.reject(new Error('Audit entries need an action and entity type'));
+    }
+
+    // Entries are chained, so appends run one at a time
+    const append = this.queue.then(async () => {
+      await this.ready;
+      const previous = this.entries[this.entries.length - 1];
+      const entry = {
+        id: `AUD-${Date.now()}-${this.entries.length + 1}`,
+        sequence: this.entries.length + 1,
+        timestamp: new Date().toISOString(),
+        action,
+        entityType,
+        entityId: entityId === null || entityId === undefined ? null : String(entityId),
+        actor: String(actor ?? 'system'),
+        summary,
+        changes: diffValues(before, after),
+        metadata: JSON.parse(JSON.stringify(metadata || {})),
+        previousHash: previous?.hash || GENESIS_HASH
+      };
+      entry.hash = await this.hashEntry(entry);
+
+      this.entries.push(entry);
+      await this.persist();
+      return { ...entry };
+    });
+    this.queue = append.catch(() => {});
+    return append;
+  }
+
+  /**
+   * Record without letting an audit failure undo the action being audited
+   */
+  async safeRecord(event) {
+    try {
+      return await this.record(event);
+    } catch (error) {
+      console.error('Audit log write failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * @param {Object} filters - { actor, entityType, entityId, action, from, to, search }
+   * @returns {Promise<Array>} - Matching entries, newest first
+   */
+  async getAll(filters = {}) {
+    await this.delay();
+    const { actor, entityType, entityId, action, from, to, search } = filters;
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+    const term = search?.trim().toLowerCase();
+
+    return this.entries
+      .filter(entry => {
+        if (actor && entry.actor !== actor) return false;
+        if (entityType && entry.entityType !== entityType) return false;
+        if (entityId && entry.entityId !== String(entityId)) return false;
+        if (action && entry.action !== action) return false;
+
+        const time = new Date(entry.timestamp).getTime();
+        if (fromTime !== null && time < fromTime) return false;
+        if (toTime !== null && time > toTime) return false;
+
+        return !term || `${entry.summary} ${entry.action} ${entry.entityId || ''}`.toLowerCase().includes(term);
+      })
+      .map(entry => ({ ...entry }))
+      .reverse();
+  }
+
+  async getFilterOptions() {
+    await this.ready;
+    const unique = (field) => [...new Set(this.entries.map(entry => entry[field]).filter(Boolean))].sort();
+    return {
+      actors: unique('actor'),
+      entityTypes: unique('entityType'),
+      actions: unique('action')
+    };
+  }
+
+  /**
+   * Recompute every hash, check each entry points at the one before it and that the
+   * log still ends at the stored head
+   * @returns {Promise<Object>} - { valid, checked, brokenAt, reason }
+   */
+  async verifyChain() {
+    await this.delay(100);
+    let previousHash = GENESIS_HASH;
+
+    for (let i = 0; i < this.entries.length; i++) {
+      const entry = this.entries[i];
+      if (entry.previousHash !== previousHash) {
+        return { valid: false, checked: i, brokenAt: entry.sequence ?? i + 1, entryId: entry.id, reason: 'Entry does not follow the one before it' };
+      }
+      if (await this.hashEntry(entry) !== entry.hash) {
+        return { valid: false, checked: i, brokenAt: entry.sequence ?? i + 1, entryId: entry.id, reason: 'Entry contents were changed after it was written' };
+      }
+      previousHash = entry.hash;
+    }
+
+    if (this.head && (this.head.count !== this.entries.length || this.head.hash !== previousHash)) {
+      const last = this.entries[this.entries.length - 1];
+      return {
+        valid: false,
+        checked: this.entries.length,
+        brokenAt: this.entries.length + 1,
+        entryId: last?.id || null,
+        reason: this.head.count > this.entries.length
+          ? `${this.head.count - this.entries.length} of the newest entries were removed`
+          : 'Log does not end at the recorded head'
+      };
+    }
+
+    return { valid: true, checked: this.entries.length, brokenAt: null, entryId: null, reason: null };
+  }
+
+  toCSV(entries) {
+    const header = ['Sequence', 'Timestamp', 'Actor', 'Action', 'Entity Type', 'Entity ID', 'Summary', 'Changes', 'Metadata', 'Previous Hash', 'Hash'];
+    const rows = entries.map(entry => [
+      entry.sequence,
+      entry.timestamp,
+      entry.actor,
+      entry.action,
+      entry.entityType,
+      entry.entityId,
+      entry.summary,
+      entry.changes,
+      entry.metadata,
+      entry.previousHash,
+      entry.hash
+    ].map(csvCell).join(','));
+    return [header.join(','), ...rows].join('\n');
+  }
+
+  /**
+   * Export entries matching the filters
+   * @param {string} format - 'csv' or 'json'
+   * @returns {Promise<Object>} - { filename, mimeType, content }
+   */
+  async export(format = 'csv', filters = {}) {
+    const entries = (await this.getAll(filters)).reverse();
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (format === 'json') {
+      return {
+        filename: `audit-log-${stamp}.json`,
+        mimeType: 'application/json',
+        content: JSON.stringify({ exportedAt: new Date().toISOString(), filters, entries }, null, 2)
+      };
+    }
+    return {
+      filename: `audit-log-${stamp}.csv`,
+      mimeType: 'text/csv',
+      content: this.toCSV(entries)
+    };
+  }
+}
+
+export const auditService = new AuditService();
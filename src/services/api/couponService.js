@@ -0,0 +1,368 @@
+import couponsData from '@/services/mockData/coupons.json';
+import { persistenceService } from '@/services/PersistenceService';
+
+export const COUPON_TYPES = {
+  PERCENTAGE: 'percentage',
+  FIXED: 'fixed',
+  FREE_DELIVERY: 'free_delivery'
+};
+
+class CouponService {
+  constructor() {
+    this.coupons = [...couponsData];
+    this.ready = persistenceService.load('coupons', couponsData).then(coupons => {
+      this.coupons = coupons;
+    });
+  }
+
+  persist() {
+    return persistenceService.save('coupons', this.coupons);
+  }
+
+  async delay(ms = 200) {
+    await this.ready;
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  normalizeCode(code) {
+    return (code || '').toString().trim().toUpperCase();
+  }
+
+  async getAll() {
+    await this.delay();
+    return this.coupons.map(coupon => ({ ...coupon }));
+  }
+
+  async getById(id) {
+    await this.delay();
+    const coupon = this.coupons.find(c => c.id === parseInt(id));
+    if (!coupon) {
+      throw new Error('Coupon not found');
+    }
+    return { ...coupon };
+  }
+
+  async getByCode(code) {
+    await this.delay();
+    const coupon = this.findByCode(code);
+    if (!coupon) {
+      throw new Error('Coupon not found');
+    }
+    return { ...coupon };
+  }
+
+  findByCode(code) {
+    const normalized = this.normalizeCode(code);
+    return this.coupons.find(c => c.code === normalized) || null;
+  }
+
+  async create(couponData) {
+    await this.delay();
+    const code = this.normalizeCode(couponData.code);
+    this.validateCouponData({ ...couponData, code });
+
+    if (this.findByCode(code)) {
+      throw new Error(`Coupon code ${code} already exists`);
+    }
+
+    const newCoupon = {
+      ...this.sanitizeCouponData(couponData),
+      id: this.getNextId(),
+      code,
+      usedCount: 0,
+      redemptions: [],
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    this.coupons.push(newCoupon);
+    await this.persist();
+    return { ...newCoupon };
+  }
+
+  async update(id, couponData) {
+    await this.delay();
+    const index = this.coupons.findIndex(c => c.id === parseInt(id));
+    if (index === -1) {
+      throw new Error('Coupon not found');
+    }
+
+    const existing = this.coupons[index];
+    const code = couponData.code !== undefined ? this.normalizeCode(couponData.code) : existing.code;
+    const merged = { ...existing, ...couponData, code };
+    this.validateCouponData(merged);
+
+    const duplicate = this.findByCode(code);
+    if (duplicate && duplicate.id !== existing.id) {
+      throw new Error(`Coupon code ${code} already exists`);
+    }
+
+    // Usage history is owned by redeemCoupon, never by the edit form
+    this.coupons[index] = {
+      ...this.sanitizeCouponData(merged),
+      id: existing.id,
+      code,
+      usedCount: existing.usedCount,
+      redemptions: existing.redemptions,
+      createdAt: existing.createdAt,
+      updatedAt: new Date().toISOString()
+    };
+    await this.persist();
+    return { ...this.coupons[index] };
+  }
+
+  async delete(id) {
+    await this.delay();
+    const index = this.coupons.findIndex(c => c.id === parseInt(id));
+    if (index === -1) {
+      throw new Error('Coupon not found');
+    }
+    this.coupons.splice(index, 1);
+    await this.persist();
+    return true;
+  }
+
+  async toggleStatus(id) {
+    await this.delay();
+    const coupon = this.coupons.find(c => c.id === parseInt(id));
+    if (!coupon) {
+      throw new Error('Coupon not found');
+    }
+    coupon.isActive = !coupon.isActive;
+    coupon.updatedAt = new Date().toISOString();
+    await this.persist();
+    return { ...coupon };
+  }
+
+  getNextId() {
+    return this.coupons.reduce((max, coupon) => Math.max(max, coupon.id), 0) + 1;
+  }
+
+  validateCouponData(couponData) {
+    if (!couponData.code || !/^[A-Z0-9_-]{3,20}$/.test(couponData.code)) {
+      throw new Error('Coupon code must be 3-20 letters, numbers, dashes or underscores');
+    }
+    if (!Object.values(COUPON_TYPES).includes(couponData.type)) {
+      throw new Error('Invalid coupon type');
+    }
+
+    const value = parseFloat(couponData.value);
+    if (couponData.type === COUPON_TYPES.PERCENTAGE && (!(value > 0) || value > 100)) {
+      throw new Error('Percentage discount must be between 1 and 100');
+    }
+    if (couponData.type === COUPON_TYPES.FIXED && !(value > 0)) {
+      throw new Error('Fixed discount must be greater than 0');
+    }
+
+    if (couponData.startsAt && couponData.expiresAt &&
+        new Date(couponData.expiresAt) <= new Date(couponData.startsAt)) {
+      throw new Error('Expiry date must be after the start date');
+    }
+  }
+
+  sanitizeCouponData(couponData) {
+    const toLimit = (limit) => {
+      const parsed = parseInt(limit);
+      return parsed > 0 ? parsed : null;
+    };
+
+    return {
+      code: couponData.code,
+      description: couponData.description || '',
+      type: couponData.type,
+      value: couponData.type === COUPON_TYPES.FREE_DELIVERY ? 0 : parseFloat(couponData.value) || 0,
+      maxDiscount: parseFloat(couponData.maxDiscount) > 0 ? parseFloat(couponData.maxDiscount) : null,
+      minOrderAmount: parseFloat(couponData.minOrderAmount) || 0,
+      categories: Array.isArray(couponData.categories) ? couponData.categories.filter(Boolean) : [],
+      usageLimit: toLimit(couponData.usageLimit),
+      perCustomerLimit: toLimit(couponData.perCustomerLimit),
+      startsAt: couponData.startsAt || null,
+      expiresAt: couponData.expiresAt || null,
+      isActive: couponData.isActive !== undefined ? Boolean(couponData.isActive) : true
+    };
+  }
+
+  getCustomerUsage(coupon, customerId) {
+    if (!customerId) return 0;
+    return (coupon.redemptions || []).filter(r => r.customerId === String(customerId)).length;
+  }
+
+  // Category-scoped coupons only discount the matching part of the cart
+  getEligibleSubtotal(coupon, items = [], subtotal = 0) {
+    if (!coupon.categories || coupon.categories.length === 0) {
+      return subtotal;
+    }
+
+    const scopedTotal = items
+      .filter(item => coupon.categories.includes(item.category))
+      .reduce((sum, item) => sum + (parseFloat(item.price) || 0) * (parseInt(item.quantity) || 0), 0);
+
+    return Math.min(scopedTotal, subtotal);
+  }
+
+  /**
+   * Check a coupon against a cart and work out the discount. Pure - safe to call during render.
+   * @param {Object} coupon - Coupon record
+   * @param {Object} context - { items, subtotal, deliveryCharge, customerId }
+   * @returns {Object} - { valid, reason, errorCode, itemDiscount, deliveryDiscount, totalDiscount }
+   */
+  evaluateCoupon(coupon, context = {}) {
+    const { items = [], subtotal = 0, deliveryCharge = 0, customerId = null } = context;
+    const invalid = (errorCode, reason) => ({
+      valid: false,
+      errorCode,
+      reason,
+      code: coupon?.code || null,
+      itemDiscount: 0,
+      deliveryDiscount: 0,
+      totalDiscount: 0
+    });
+
+    if (!coupon) {
+      return invalid('COUPON_NOT_FOUND', 'Coupon code not found');
+    }
+
+    const now = new Date();
+    if (!coupon.isActive) {
+      return invalid('COUPON_INACTIVE', 'This coupon is no longer active');
+    }
+    if (coupon.startsAt && new Date(coupon.startsAt) > now) {
+      return invalid('COUPON_NOT_STARTED', `This coupon is valid from ${new Date(coupon.startsAt).toLocaleDateString()}`);
+    }
+    if (coupon.expiresAt && new Date(coupon.expiresAt) < now) {
+      return invalid('COUPON_EXPIRED', 'This coupon has expired');
+    }
+    if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+      return invalid('COUPON_USAGE_LIMIT', 'This coupon has reached its usage limit');
+    }
+    if (coupon.perCustomerLimit && this.getCustomerUsage(coupon, customerId) >= coupon.perCustomerLimit) {
+      return invalid('COUPON_CUSTOMER_LIMIT', 'You have already used this coupon the maximum number of times');
+    }
+    if (subtotal < (coupon.minOrderAmount || 0)) {
+      return invalid('COUPON_MIN_ORDER', `Add Rs. ${(coupon.minOrderAmount - subtotal).toLocaleString()} more to use this coupon`);
+    }
+
+    const eligibleSubtotal = this.getEligibleSubtotal(coupon, items, subtotal);
+    if (eligibleSubtotal <= 0) {
+      return invalid('COUPON_NOT_APPLICABLE', `This coupon only applies to ${coupon.categories.join(', ')}`);
+    }
+
+    let itemDiscount = 0;
+    let deliveryDiscount = 0;
+
+    if (coupon.type === COUPON_TYPES.PERCENTAGE) {
+      itemDiscount = eligibleSubtotal * (coupon.value / 100);
+      if (coupon.maxDiscount) {
+        itemDiscount = Math.min(itemDiscount, coupon.maxDiscount);
+      }
+    } else if (coupon.type === COUPON_TYPES.FIXED) {
+      itemDiscount = Math.min(coupon.value, eligibleSubtotal);
+    } else if (coupon.type === COUPON_TYPES.FREE_DELIVERY) {
+      deliveryDiscount = parseFloat(deliveryCharge) || 0;
+    }
+
+    itemDiscount = Math.round(itemDiscount * 100) / 100;
+
+    return {
+      valid: true,
+      errorCode: null,
+      reason: null,
+      code: coupon.code,
+      itemDiscount,
+      deliveryDiscount,
+      totalDiscount: itemDiscount + deliveryDiscount
+    };
+  }
+
+  /**
+   * Look up a code and validate it against the cart, throwing if it cannot be used
+   * @param {string} code - Coupon code entered by the customer
+   * @param {Object} context - { items, subtotal, deliveryCharge, customerId }
+   * @returns {Promise<Object>} - Evaluation result plus a coupon snapshot
+   */
+  async validateCoupon(code, context = {}) {
+    await this.delay();
+    const coupon = this.findByCode(code);
+    const result = this.evaluateCoupon(coupon, context);
+
+    if (!result.valid) {
+      const error = new Error(result.reason);
+      error.code = result.errorCode;
+      throw error;
+    }
+
+    return { ...result, coupon: { ...coupon, redemptions: undefined } };
+  }
+
+  /**
+   * Record a coupon use against an order. Limits are re-checked so two
+   * concurrent checkouts cannot both take the last redemption.
+   */
+  async redeemCoupon(code, { orderId, customerId, discount }) {
+    await this.delay();
+    const coupon = this.findByCode(code);
+    if (!coupon) {
+      throw new Error('Coupon not found');
+    }
+
+    if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+      const error = new Error('This coupon has reached its usage limit');
+      error.code = 'COUPON_USAGE_LIMIT';
+      throw error;
+    }
+    if (coupon.perCustomerLimit && this.getCustomerUsage(coupon, customerId) >= coupon.perCustomerLimit) {
+      const error = new Error('You have already used this coupon the maximum number of times');
+      error.code = 'COUPON_CUSTOMER_LIMIT';
+      throw error;
+    }
+
+    coupon.usedCount = (coupon.usedCount || 0) + 1;
+    coupon.redemptions = [
+      ...(coupon.redemptions || []),
+      {
+        orderId,
+        customerId: customerId ? String(customerId) : null,
+        discount,
+        redeemedAt: new Date().toISOString()
+      }
+    ];
+    coupon.updatedAt = new Date().toISOString();
+    await this.persist();
+    return { ...coupon };
+  }
+
+  /**
+   * Give back a redemption recorded for an order that was never placed
+   * @returns {Promise<boolean>} - False when the order had no redemption of this coupon
+   */
+  async releaseRedemption(code, orderId) {
+    await this.delay();
+    const coupon = this.findByCode(code);
+    const redemptions = coupon?.redemptions || [];
+    const index = redemptions.findIndex(redemption => redemption.orderId === orderId);
+    if (index === -1) {
+      return false;
+    }
+
+    coupon.redemptions = redemptions.filter((_, i) => i !== index);
+    coupon.usedCount = Math.max(0, (coupon.usedCount || 0) - 1);
+    coupon.updatedAt = new Date().toISOString();
+    await this.persist();
+    return true;
+  }
+
+  async getCouponStats() {
+    await this.delay();
+    const now = new Date();
+    return {
+      total: this.coupons.length,
+      active: this.coupons.filter(c => c.isActive && (!c.expiresAt || new Date(c.expiresAt) >= now)).length,
+      expired: this.coupons.filter(c => c.expiresAt && new Date(c.expiresAt) < now).length,
+      totalRedemptions: this.coupons.reduce((sum, c) => sum + (c.usedCount || 0), 0),
+      totalDiscountGiven: this.coupons.reduce((sum, c) =>
+        sum + (c.redemptions || []).reduce((s, r) => s + (r.discount || 0), 0), 0)
+    };
+  }
+}
+
+export const couponService = new CouponService();
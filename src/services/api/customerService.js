@@ -0,0 +1,509 @@
+import { persistenceService } from '@/services/PersistenceService';
+import { mailService } from '@/services/api/mailService';
+import { geocodingService } from '@/services/api/geocodingService';
+import { hasCoordinates, roundCoordinates } from '@/utils/geo';
+import { generateToken, getPasswordProblems, hashPassword, hashToken, verifyPassword } from '@/utils/password';
+
+const AUTH_CONFIG = {
+  maxFailedLogins: 5,
+  lockoutMinutes: 15,
+  resetTokenMinutes: 30
+};
+
+const DEFAULT_SETTINGS = {
+  emailNotifications: true,
+  smsNotifications: true,
+  marketingEmails: false
+};
+
+const authError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Customer directory shared by the storefront and the till: registration, sign-in by email or
+ * phone, password reset through the local mail outbox, and the profile, addresses and settings
+ * behind Account. Customers added at the POS are walk-in records without a password; registering
+ * online with the same phone number turns that record into a full account, keeping its history.
+ * Passwords and reset tokens are only ever stored hashed.
+ */
+class CustomerService {
+  constructor() {
+    this.customers = [];
+    this.resetTokens = [];
+    this.ready = Promise.all([
+      persistenceService.load('customers', []),
+      persistenceService.load('passwordResets', [])
+    ]).then(([customers, resetTokens]) => {
+      this.customers = customers;
+      this.resetTokens = resetTokens;
+    });
+  }
+
+  persist() {
+    return Promise.all([
+      persistenceService.save('customers', this.customers),
+      persistenceService.save('passwordResets', this.resetTokens)
+    ]);
+  }
+
+  async delay(ms = 200) {
+    await this.ready;
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  normalizeEmail(email) {
+    return (email || '').trim().toLowerCase();
+  }
+
+  // Pakistani numbers in any common format (+92 300..., 0300-...) compare equal
+  normalizePhone(phone) {
+    const digits = (phone || '').replace(/\D/g, '');
+    if (digits.startsWith('92')) return `0${digits.slice(2)}`;
+    return digits;
+  }
+
+  isValidEmail(email) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+  }
+
+  isValidPhone(phone) {
+    return /^03\d{9}$/.test(this.normalizePhone(phone));
+  }
+
+  findByIdentifier(identifier) {
+    const value = (identifier || '').trim();
+    if (value.includes('@')) {
+      const email = this.normalizeEmail(value);
+      return this.customers.find(c => c.email === email) || null;
+    }
+    const phone = this.normalizePhone(value);
+    return phone ? this.customers.find(c => this.normalizePhone(c.phone) === phone) || null : null;
+  }
+
+  findCustomer(customerId) {
+    const customer = this.customers.find(c => c.id === customerId);
+    if (!customer) {
+      throw authError('Customer account not found', 'CUSTOMER_NOT_FOUND');
+    }
+    return customer;
+  }
+
+  // Everything except credentials and lockout counters
+  toPublic(customer) {
+    const { password, failedLogins, lockedUntil, ...profile } = customer;
+    return {
+      ...profile,
+      hasAccount: Boolean(password),
+      addresses: (customer.addresses || []).map(address => ({
+        ...address,
+        coordinates: address.coordinates ? { ...address.coordinates } : null
+      })),
+      settings: { ...DEFAULT_SETTINGS, ...customer.settings }
+    };
+  }
+
+  getNextId() {
+    const maxId = this.customers.reduce((max, c) => Math.max(max, parseInt(c.id.replace('cust_', '')) || 0), 0);
+    return `cust_${maxId + 1}`;
+  }
+
+  validateContactDetails({ name, email, phone }, excludeId = null) {
+    if (!name?.trim()) {
+      throw authError('Name is required', 'NAME_REQUIRED');
+    }
+    if (!this.isValidEmail(this.normalizeEmail(email))) {
+      throw authError('Enter a valid email address', 'INVALID_EMAIL');
+    }
+    if (!this.isValidPhone(phone)) {
+      throw authError('Enter a valid mobile number, e.g. 0300 1234567', 'INVALID_PHONE');
+    }
+    if (this.customers.some(c => c.id !== excludeId && c.email === this.normalizeEmail(email))) {
+      throw authError('An account with this email already exists', 'EMAIL_TAKEN');
+    }
+    if (this.customers.some(c => c.id !== excludeId && this.normalizePhone(c.phone) === this.normalizePhone(phone))) {
+      throw authError('An account with this phone number already exists', 'PHONE_TAKEN');
+    }
+  }
+
+  checkPasswordStrength(password) {
+    const problems = getPasswordProblems(password);
+    if (problems.length > 0) {
+      throw authError(`Password needs ${problems.join(', ')}`, 'WEAK_PASSWORD');
+    }
+  }
+
+  /**
+   * Create a customer account
+   * @throws {Error} - NAME_REQUIRED, INVALID_EMAIL, INVALID_PHONE, EMAIL_TAKEN, PHONE_TAKEN or WEAK_PASSWORD
+   */
+  async register({ name, email, phone, password }) {
+    await this.delay();
+    // A walk-in added at the till with this phone becomes the online account
+    const walkIn = this.customers.find(c => !c.password && this.normalizePhone(c.phone) === this.normalizePhone(phone));
+    this.validateContactDetails({ name, email, phone }, walkIn?.id ?? null);
+    this.checkPasswordStrength(password);
+
+    const now = new Date().toISOString();
+    const account = {
+      name: name.trim(),
+      email: this.normalizeEmail(email),
+      phone: phone.trim(),
+      password: await hashPassword(password),
+      failedLogins: 0,
+      lockedUntil: null,
+      updatedAt: now
+    };
+
+    let customer;
+    if (walkIn) {
+      customer = Object.assign(walkIn, account, { linkedAt: now });
+    } else {
+      customer = {
+        id: this.getNextId(),
+        ...account,
+        addresses: [],
+        settings: { ...DEFAULT_SETTINGS },
+        source: 'online',
+        createdAt: now,
+        lastLoginAt: null
+      };
+      this.customers.push(customer);
+    }
+    await this.persist();
+    await mailService.send({
+      to: customer.email,
+      subject: 'Welcome to FreshMart',
+      body: `Hi ${customer.name}, your FreshMart account is ready. Sign in with your email or phone number.`
+    });
+    return this.toPublic(customer);
+  }
+
+  /**
+   * Sign in with email or phone and password. Repeated failures lock the account for a while.
+   * @throws {Error} - INVALID_CREDENTIALS or ACCOUNT_LOCKED
+   */
+  async authenticate(identifier, password) {
+    await this.delay(400);
+    const customer = this.findByIdentifier(identifier);
+    // Same message whether or not the account exists
+    if (!customer) {
+      throw authError('Incorrect email/phone or password', 'INVALID_CREDENTIALS');
+    }
+
+    const now = Date.now();
+    if (customer.lockedUntil && new Date(customer.lockedUntil).getTime() > now) {
+      const minutes = Math.ceil((new Date(customer.lockedUntil).getTime() - now) / 60000);
+      throw authError(`Too many failed sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}`, 'ACCOUNT_LOCKED');
+    }
+
+    if (!(await verifyPassword(password || '', customer.password))) {
+      customer.failedLogins = (customer.failedLogins || 0) + 1;
+      if (customer.failedLogins >= AUTH_CONFIG.maxFailedLogins) {
+        customer.failedLogins = 0;
+        customer.lockedUntil = new Date(now + AUTH_CONFIG.lockoutMinutes * 60000).toISOString();
+      }
+      await this.persist();
+      throw authError('Incorrect email/phone or password', 'INVALID_CREDENTIALS');
+    }
+
+    customer.failedLogins = 0;
+    customer.lockedUntil = null;
+    customer.lastLoginAt = new Date().toISOString();
+    await this.persist();
+    return this.toPublic(customer);
+  }
+
+  /**
+   * Email a reset link. Resolves the same way whether or not the account exists.
+   */
+  async requestPasswordReset(identifier) {
+    await this.delay();
+    const customer = this.findByIdentifier(identifier);
+    if (!customer || !customer.email) {
+      return { sent: true };
+    }
+
+    const token = generateToken();
+    // Only the newest link works
+    this.resetTokens = this.resetTokens.filter(t => t.customerId !== customer.id);
+    this.resetTokens.push({
+      customerId: customer.id,
+      tokenHash: await hashToken(token),
+      expiresAt: new Date(Date.now() + AUTH_CONFIG.resetTokenMinutes * 60000).toISOString()
+    });
+    await this.persist();
+
+    await mailService.send({
+      to: customer.email,
+      subject: 'Reset your FreshMart password',
+      body: `Hi ${customer.name}, use the link below to choose a new password. It expires in ${AUTH_CONFIG.resetTokenMinutes} minutes. If you did not ask for this, you can ignore this email.`,
+      link: `/account?reset=${token}`
+    });
+    return { sent: true };
+  }
+
+  /**
+   * @throws {Error} - RESET_TOKEN_INVALID, RESET_TOKEN_EXPIRED or WEAK_PASSWORD
+   */
+  async resetPassword(token, newPassword) {
+    await this.delay();
+    const tokenHash = await hashToken(token || '');
+    const record = this.resetTokens.find(t => t.tokenHash === tokenHash);
+    if (!record) {
+      throw authError('This reset link is invalid or has already been used', 'RESET_TOKEN_INVALID');
+    }
+    if (new Date(record.expiresAt).getTime() < Date.now()) {
+      this.resetTokens = this.resetTokens.filter(t => t !== record);
+      await this.persist();
+      throw authError('This reset link has expired. Request a new one', 'RESET_TOKEN_EXPIRED');
+    }
+    this.checkPasswordStrength(newPassword);
+
+    const customer = this.findCustomer(record.customerId);
+    customer.password = await hashPassword(newPassword);
+    customer.failedLogins = 0;
+    customer.lockedUntil = null;
+    customer.updatedAt = new Date().toISOString();
+    this.resetTokens = this.resetTokens.filter(t => t !== record);
+    await this.persist();
+
+    await mailService.send({
+      to: customer.email,
+      subject: 'Your FreshMart password was changed',
+      body: `Hi ${customer.name}, your password was just reset. If this was not you, reset it again and contact support.`
+    });
+    return this.toPublic(customer);
+  }
+
+  async changePassword(customerId, currentPassword, newPassword) {
+    await this.delay();
+    const customer = this.findCustomer(customerId);
+    if (!(await verifyPassword(currentPassword || '', customer.password))) {
+      throw authError('Current password is incorrect', 'INVALID_CREDENTIALS');
+    }
+    this.checkPasswordStrength(newPassword);
+
+    customer.password = await hashPassword(newPassword);
+    customer.updatedAt = new Date().toISOString();
+    await this.persist();
+    return true;
+  }
+
+  /**
+   * Till lookup by name, phone or email; a phone number in any format matches
+   * @returns {Promise<Array>} - Public profiles, most recently updated first
+   */
+  async searchCustomers(query = '', limit = 20) {
+    await this.delay(100);
+    const text = query.trim().toLowerCase();
+    const phone = this.normalizePhone(query);
+    return this.customers
+      .filter(c => !text ||
+        c.name.toLowerCase().includes(text) ||
+        (c.email && c.email.includes(text)) ||
+        (phone.length >= 4 && this.normalizePhone(c.phone).includes(phone)))
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+      .slice(0, limit)
+      .map(c => this.toPublic(c));
+  }
+
+  async isCustomer(customerId) {
+    await this.ready;
+    return Boolean(customerId) && this.customers.some(c => c.id === customerId);
+  }
+
+  async findByPhone(phone) {
+    await this.delay(100);
+    const normalized = this.normalizePhone(phone);
+    const customer = normalized ? this.customers.find(c => this.normalizePhone(c.phone) === normalized) : null;
+    return customer ? this.toPublic(customer) : null;
+  }
+
+  /**
+   * Add a customer at the till. Only name and phone are needed; there is no password until
+   * the customer registers online with the same phone number.
+   * @throws {Error} - NAME_REQUIRED, INVALID_PHONE, INVALID_EMAIL, PHONE_TAKEN or EMAIL_TAKEN
+   */
+  async createWalkIn({ name, phone, email = '' }) {
+    await this.delay();
+    if (!name?.trim()) {
+      throw authError('Name is required', 'NAME_REQUIRED');
+    }
+    if (!this.isValidPhone(phone)) {
+      throw authError('Enter a valid mobile number, e.g. 0300 1234567', 'INVALID_PHONE');
+    }
+    if (this.customers.some(c => this.normalizePhone(c.phone) === this.normalizePhone(phone))) {
+      throw authError('A customer with this phone number already exists', 'PHONE_TAKEN');
+    }
+    const normalizedEmail = this.normalizeEmail(email);
+    if (normalizedEmail && !this.isValidEmail(normalizedEmail)) {
+      throw authError('Enter a valid email address', 'INVALID_EMAIL');
+    }
+    if (normalizedEmail && this.customers.some(c => c.email === normalizedEmail)) {
+      throw authError('An account with this email already exists', 'EMAIL_TAKEN');
+    }
+
+    const now = new Date().toISOString();
+    const customer = {
+      id: this.getNextId(),
+      name: name.trim(),
+      email: normalizedEmail,
+      phone: phone.trim(),
+      password: null,
+      addresses: [],
+      settings: { ...DEFAULT_SETTINGS },
+      failedLogins: 0,
+      lockedUntil: null,
+      source: 'pos',
+      createdAt: now,
+      updatedAt: now,
+      lastLoginAt: null
+    };
+    this.customers.push(customer);
+    await this.persist();
+    return this.toPublic(customer);
+  }
+
+  async getProfile(customerId) {
+    await this.delay();
+    return this.toPublic(this.findCustomer(customerId));
+  }
+
+  async updateProfile(customerId, { name, email, phone }) {
+    await this.delay();
+    const customer = this.findCustomer(customerId);
+    const next = {
+      name: name ?? customer.name,
+      email: email ?? customer.email,
+      phone: phone ?? customer.phone
+    };
+    this.validateContactDetails(next, customer.id);
+
+    customer.name = next.name.trim();
+    customer.email = this.normalizeEmail(next.email);
+    customer.phone = next.phone.trim();
+    customer.updatedAt = new Date().toISOString();
+    await this.persist();
+    return this.toPublic(customer);
+  }
+
+  async getAddresses(customerId) {
+    await this.delay();
+    return this.toPublic(this.findCustomer(customerId)).addresses;
+  }
+
+  /**
+   * Add an address, or update it when address.id matches an existing one. A dropped pin
+   * (address.coordinates) is kept as-is; otherwise the address is geocoded so every saved
+   * address can be routed and priced. The first address becomes the default.
+   * @param {Object} address - { id?, label, address, city, postalCode, coordinates?, isDefault? }
+   * @throws {Error} - ADDRESS_INCOMPLETE, or GEOCODE_NOT_FOUND when it cannot be located without a pin
+   */
+  async saveAddress(customerId, address) {
+    await this.delay();
+    const customer = this.findCustomer(customerId);
+    if (!address.address?.trim() || !address.city?.trim()) {
+      throw authError('Street address and city are required', 'ADDRESS_INCOMPLETE');
+    }
+
+    const entry = {
+      label: address.label?.trim() || 'Home',
+      address: address.address.trim(),
+      city: address.city.trim(),
+      postalCode: address.postalCode?.trim() || ''
+    };
+
+    if (hasCoordinates(address.coordinates)) {
+      entry.coordinates = roundCoordinates(address.coordinates);
+      entry.locationSource = address.locationSource === 'geocoded' ? 'geocoded' : 'pin';
+    } else {
+      const result = await geocodingService.geocode(entry);
+      entry.coordinates = result.coordinates;
+      entry.locationSource = 'geocoded';
+    }
+
+    customer.addresses = customer.addresses || [];
+    const index = customer.addresses.findIndex(a => a.id === address.id);
+    let saved;
+    if (index === -1) {
+      saved = { id: `addr_${Date.now()}`, ...entry, isDefault: customer.addresses.length === 0 };
+      customer.addresses.push(saved);
+    } else {
+      saved = { ...customer.addresses[index], ...entry };
+      customer.addresses[index] = saved;
+    }
+    if (address.isDefault) {
+      this.markDefault(customer, saved.id);
+    }
+
+    customer.updatedAt = new Date().toISOString();
+    await this.persist();
+    return this.toPublic(customer).addresses;
+  }
+
+  async setDefaultAddress(customerId, addressId) {
+    await this.delay();
+    const customer = this.findCustomer(customerId);
+    if (!(customer.addresses || []).some(a => a.id === addressId)) {
+      throw new Error('Address not found');
+    }
+    this.markDefault(customer, addressId);
+    customer.updatedAt = new Date().toISOString();
+    await this.persist();
+    return this.toPublic(customer).addresses;
+  }
+
+  async deleteAddress(customerId, addressId) {
+    await this.delay();
+    const customer = this.findCustomer(customerId);
+    customer.addresses = (customer.addresses || []).filter(a => a.id !== addressId);
+    // Removing the default promotes the next address so checkout always has one preselected
+    if (customer.addresses.length > 0 && !customer.addresses.some(a => a.isDefault)) {
+      customer.addresses[0].isDefault = true;
+    }
+    customer.updatedAt = new Date().toISOString();
+    await this.persist();
+    return this.toPublic(customer).addresses;
+  }
+
+  markDefault(customer, addressId) {
+    customer.addresses.forEach(address => {
+      address.isDefault = address.id === addressId;
+    });
+  }
+
+  async updateSettings(customerId, settings) {
+    await this.delay();
+    const customer = this.findCustomer(customerId);
+    customer.settings = { ...DEFAULT_SETTINGS, ...customer.settings, ...settings };
+    customer.updatedAt = new Date().toISOString();
+    await this.persist();
+    return { ...customer.settings };
+  }
+
+  // Account data the customer can download
+  async exportData(customerId) {
+    await this.delay();
+    return {
+      exportedAt: new Date().toISOString(),
+      profile: this.toPublic(this.findCustomer(customerId))
+    };
+  }
+
+  async deleteAccount(customerId, password) {
+    await this.delay();
+    const customer = this.findCustomer(customerId);
+    if (!(await verifyPassword(password || '', customer.password))) {
+      throw authError('Password is incorrect', 'INVALID_CREDENTIALS');
+    }
+    this.customers = this.customers.filter(c => c.id !== customerId);
+    this.resetTokens = this.resetTokens.filter(t => t.customerId !== customerId);
+    await this.persist();
+    return true;
+  }
+}
+
+export const customerService = new CustomerService();
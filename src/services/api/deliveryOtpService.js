@@ -0,0 +1,164 @@
+import { persistenceService } from '@/services/PersistenceService';
+
+const OTP_CONFIG = {
+  codeLength: 4,
+  maxFailedAttempts: 3,
+  lockoutMinutes: 10
+};
+
+/**
+ * One-time delivery codes. A code is issued when an order goes out for delivery, shown to the
+ * customer, and must be entered by the rider to complete the drop-off. Failed attempts are
+ * rate-limited per order and every issue/verify event is written to an audit trail.
+ */
+class DeliveryOtpService {
+  constructor() {
+    this.codes = [];
+    this.auditLog = [];
+    this.ready = Promise.all([
+      persistenceService.load('deliveryOtps', []),
+      persistenceService.load('deliveryOtpAudit', [])
+    ]).then(([codes, auditLog]) => {
+      this.codes = codes;
+      this.auditLog = auditLog;
+    });
+  }
+
+  persist() {
+    return Promise.all([
+      persistenceService.save('deliveryOtps', this.codes),
+      persistenceService.save('deliveryOtpAudit', this.auditLog)
+    ]);
+  }
+
+  async delay(ms = 150) {
+    await this.ready;
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  generateCode() {
+    const values = new Uint32Array(1);
+    crypto.getRandomValues(values);
+    return String(values[0] % 10 ** OTP_CONFIG.codeLength).padStart(OTP_CONFIG.codeLength, '0');
+  }
+
+  getRecord(orderId) {
+    return this.codes.find(c => c.orderId === parseInt(orderId) && c.status === 'active') || null;
+  }
+
+  audit(orderId, event, actor, details = {}) {
+    this.auditLog.push({
+      id: `OTPLOG-${Date.now()}-${this.auditLog.length + 1}`,
+      orderId: parseInt(orderId),
+      event,
+      actor: actor || null,
+      details,
+      at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Issue a fresh code for an order, revoking any earlier one
+   * @returns {Promise<string>} - The code to show the customer
+   */
+  async issue(orderId, actor = null) {
+    await this.delay();
+    const previous = this.getRecord(orderId);
+    if (previous) {
+      previous.status = 'revoked';
+    }
+
+    const record = {
+      orderId: parseInt(orderId),
+      code: this.generateCode(),
+      status: 'active',
+      failedAttempts: 0,
+      lockedUntil: null,
+      issuedAt: new Date().toISOString(),
+      verifiedAt: null
+    };
+    this.codes.push(record);
+    this.audit(orderId, previous ? 'reissued' : 'issued', actor);
+    await this.persist();
+    return record.code;
+  }
+
+  // Raw code lookup; the tracking page goes through orderService.getDeliveryCode, which checks the viewer owns the order
+  async getActiveCode(orderId) {
+    await this.delay();
+    return this.getRecord(orderId)?.code || null;
+  }
+
+  /**
+   * Check a code entered by the rider
+   * @throws {Error} - OTP_NOT_ISSUED, OTP_LOCKED (error.retryAfter) or DELIVERY_OTP_INVALID (error.attemptsRemaining)
+   * @returns {Promise<Object>} - { verified: true, verifiedAt }
+   */
+  async verify(orderId, code, actor = null) {
+    await this.delay();
+    const record = this.getRecord(orderId);
+    if (!record) {
+      const error = new Error('No delivery code has been issued for this order');
+      error.code = 'OTP_NOT_ISSUED';
+      throw error;
+    }
+
+    const now = Date.now();
+    if (record.lockedUntil && new Date(record.lockedUntil).getTime() > now) {
+      this.audit(orderId, 'verify_blocked', actor, { lockedUntil: record.lockedUntil });
+      await this.persist();
+      const minutes = Math.ceil((new Date(record.lockedUntil).getTime() - now) / 60000);
+      const error = new Error(`Too many wrong codes. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}`);
+      error.code = 'OTP_LOCKED';
+      error.retryAfter = record.lockedUntil;
+      throw error;
+    }
+
+    if ((code || '').toString().trim() !== record.code) {
+      record.failedAttempts += 1;
+      const attemptsRemaining = OTP_CONFIG.maxFailedAttempts - record.failedAttempts;
+      this.audit(orderId, 'verify_failed', actor, { failedAttempts: record.failedAttempts });
+
+      if (attemptsRemaining <= 0) {
+        record.lockedUntil = new Date(now + OTP_CONFIG.lockoutMinutes * 60000).toISOString();
+        record.failedAttempts = 0;
+        this.audit(orderId, 'locked', actor, { lockedUntil: record.lockedUntil });
+      }
+      await this.persist();
+
+      const error = new Error(attemptsRemaining > 0
+        ? `Delivery code does not match. ${attemptsRemaining} attempt${attemptsRemaining === 1 ? '' : 's'} left`
+        : `Delivery code does not match. Verification locked for ${OTP_CONFIG.lockoutMinutes} minutes`);
+      error.code = attemptsRemaining > 0 ? 'DELIVERY_OTP_INVALID' : 'OTP_LOCKED';
+      error.attemptsRemaining = Math.max(0, attemptsRemaining);
+      error.retryAfter = record.lockedUntil;
+      throw error;
+    }
+
+    record.status = 'verified';
+    record.verifiedAt = new Date().toISOString();
+    this.audit(orderId, 'verified', actor);
+    await this.persist();
+    return { verified: true, verifiedAt: record.verifiedAt };
+  }
+
+  async revoke(orderId, actor = null) {
+    await this.delay();
+    const record = this.getRecord(orderId);
+    if (!record) return false;
+    record.status = 'revoked';
+    this.audit(orderId, 'revoked', actor);
+    await this.persist();
+    return true;
+  }
+
+  async getAuditLog(orderId = null) {
+    await this.delay();
+    const entries = orderId === null
+      ? this.auditLog
+      : this.auditLog.filter(entry => entry.orderId === parseInt(orderId));
+    return entries.map(entry => ({ ...entry }));
+  }
+}
+
+export const deliveryOtpService = new DeliveryOtpService();
@@ -1,8 +1,16 @@
 import deliveryPersonnelData from '../mockData/deliveryPersonnel.json';
+import { persistenceService } from '@/services/PersistenceService';
 
 class DeliveryPersonnelService {
   constructor() {
     this.personnel = [...deliveryPersonnelData];
+    this.ready = persistenceService.load('deliveryPersonnel', deliveryPersonnelData).then(personnel => {
+      this.personnel = personnel;
+    });
+  }
+
+  persist() {
+    return persistenceService.save('deliveryPersonnel', this.personnel);
   }
 
   async getAll() {
@@ -19,6 +27,23 @@ class DeliveryPersonnelService {
     return { ...person };
   }
 
+  /**
+   * Check a rider's sign-in: the rider picks their name and confirms with the last four
+   * digits of the phone number on file
+   * @throws {Error} - INVALID_CREDENTIALS
+   */
+  async authenticate(riderId, phoneDigits) {
+    await this.delay();
+    const person = this.personnel.find(p => p.Id === parseInt(riderId) && p.isActive);
+    const lastFour = (person?.phone || '').replace(/\D/g, '').slice(-4);
+    if (!person || lastFour.length < 4 || String(phoneDigits || '').trim() !== lastFour) {
+      const error = new Error('Phone digits do not match our records');
+      error.code = 'INVALID_CREDENTIALS';
+      throw error;
+    }
+    return { ...person };
+  }
+
   async create(personnelData) {
     await this.delay();
     const newPersonnel = {
@@ -30,6 +55,7 @@ class DeliveryPersonnelService {
       rating: 5.0
     };
     this.personnel.push(newPersonnel);
+    await this.persist();
     return { ...newPersonnel };
   }
 
@@ -40,6 +66,7 @@ class DeliveryPersonnelService {
       throw new Error('Delivery personnel not found');
     }
     this.personnel[index] = { ...this.personnel[index], ...personnelData };
+    await this.persist();
     return { ...this.personnel[index] };
   }
 
@@ -50,6 +77,7 @@ class DeliveryPersonnelService {
       throw new Error('Delivery personnel not found');
     }
     this.personnel.splice(index, 1);
+    await this.persist();
     return true;
   }
 
@@ -70,6 +98,8 @@ class DeliveryPersonnelService {
       throw new Error('Delivery personnel not found');
     }
     this.personnel[index].currentLocation = location;
+    this.personnel[index].lastLocationAt = new Date().toISOString();
+    await this.persist();
     return { ...this.personnel[index] };
   }
 
@@ -80,6 +110,7 @@ class DeliveryPersonnelService {
       throw new Error('Delivery personnel not found');
     }
     this.personnel[index].status = status;
+    await this.persist();
     return { ...this.personnel[index] };
   }
 
@@ -89,7 +120,8 @@ class DeliveryPersonnelService {
     return maxId + 1;
   }
 
-  delay() {
+  async delay() {
+    await this.ready;
     return new Promise(resolve => setTimeout(resolve, 300));
   }
 }
@@ -0,0 +1,185 @@
+import deliveryRulesData from '@/services/mockData/deliveryRules.json';
+import { persistenceService } from '@/services/PersistenceService';
+import { geocodingService } from '@/services/api/geocodingService';
+
+export const DELIVERY_SLOT_TYPES = {
+  STANDARD: 'standard',
+  EXPRESS: 'express'
+};
+
+/**
+ * Delivery fee rules shared by Cart, Checkout and orderService.
+ * Fees are computed synchronously from the cached rules so they can be used during render;
+ * rule edits go through the async methods and are persisted like any other collection.
+ */
+class DeliveryPricingService {
+  constructor() {
+    this.rules = JSON.parse(JSON.stringify(deliveryRulesData));
+    this.ready = persistenceService.load('deliveryRules', deliveryRulesData).then(rules => {
+      this.rules = rules;
+    });
+  }
+
+  persist() {
+    return persistenceService.save('deliveryRules', this.rules);
+  }
+
+  async delay(ms = 200) {
+    await this.ready;
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  async getRules() {
+    await this.delay();
+    return JSON.parse(JSON.stringify(this.rules));
+  }
+
+  getZones() {
+    return this.rules.zones.map(zone => ({ ...zone }));
+  }
+
+  getSlots() {
+    return Object.entries(this.rules.slots).map(([id, slot]) => ({ id, ...slot }));
+  }
+
+  async updateZone(zoneId, zoneData) {
+    await this.delay();
+    const index = this.rules.zones.findIndex(z => z.id === zoneId);
+    if (index === -1) {
+      throw new Error('Delivery zone not found');
+    }
+
+    const updatedZone = { ...this.rules.zones[index], ...zoneData, id: zoneId };
+    this.validateZone(updatedZone);
+
+    this.rules.zones[index] = updatedZone;
+    await this.persist();
+    return { ...updatedZone };
+  }
+
+  async updateRules(rulesData) {
+    await this.delay();
+    const updatedRules = { ...this.rules, ...rulesData };
+    updatedRules.zones.forEach(zone => this.validateZone(zone));
+    this.validateZone(updatedRules.defaultZone);
+
+    this.rules = updatedRules;
+    await this.persist();
+    return JSON.parse(JSON.stringify(this.rules));
+  }
+
+  validateZone(zone) {
+    ['baseFee', 'perKgFee', 'freeDeliveryThreshold', 'expressSurcharge'].forEach(field => {
+      const value = parseFloat(zone[field]);
+      if (isNaN(value) || value < 0) {
+        throw new Error(`${zone.name || zone.id}: ${field} must be zero or more`);
+      }
+    });
+  }
+
+  /**
+   * Find the zone for an address. Postal code prefixes win over city, and the
+   * longest matching prefix wins so sub-areas can override their parent area.
+   * When the postal code is missing or unknown, pinned coordinates stand in for it
+   * through the postal code of the nearest known area.
+   * @param {string} city - Delivery city
+   * @param {string} postalCode - Delivery postal code
+   * @param {Object} coordinates - Optional { lat, lng } of the delivery address
+   * @returns {Object} - Matching zone, or the default zone for unknown areas
+   */
+  resolveZone(city, postalCode, coordinates = null) {
+    const code = (postalCode || '').toString().trim();
+    const normalizedCity = (city || '').toString().trim().toLowerCase();
+
+    const postalZone = this.findZoneByPostalCode(code);
+    if (postalZone) return postalZone;
+
+    const nearestArea = geocodingService.findNearestArea(coordinates);
+    const pinnedZone = nearestArea && this.findZoneByPostalCode(nearestArea.postalCode);
+    if (pinnedZone) return pinnedZone;
+
+    if (normalizedCity) {
+      const cityZones = this.rules.zones.filter(z => z.city?.toLowerCase() === normalizedCity);
+      const cityZone = cityZones.find(z => z.isCityDefault) || cityZones[0];
+      if (cityZone) return cityZone;
+    }
+
+    return this.rules.defaultZone;
+  }
+
+  findZoneByPostalCode(code) {
+    if (!code) return null;
+    let bestMatch = null;
+    let bestLength = 0;
+    this.rules.zones.forEach(zone => {
+      (zone.postalCodePrefixes || []).forEach(prefix => {
+        if (code.startsWith(prefix) && prefix.length > bestLength) {
+          bestMatch = zone;
+          bestLength = prefix.length;
+        }
+      });
+    });
+    return bestMatch;
+  }
+
+  getZoneByName(zoneName) {
+    return this.rules.zones.find(z => z.name === zoneName) || null;
+  }
+
+  /**
+   * Estimate basket weight from product units. Items may carry an explicit weightKg.
+   * @param {Array} items - Cart or order items
+   * @returns {number} - Weight in kg
+   */
+  estimateWeight(items = []) {
+    const unitWeights = this.rules.unitWeights || {};
+    const weight = items.reduce((total, item) => {
+      const quantity = parseInt(item.quantity) || 0;
+      const perUnit = parseFloat(item.weightKg) || unitWeights[item.unit] || unitWeights.piece || 0;
+      return total + perUnit * quantity;
+    }, 0);
+    return Math.round(weight * 100) / 100;
+  }
+
+  /**
+   * Compute the delivery fee for a basket
+   * @param {Object} params - { items, subtotal, city, postalCode, coordinates, zone, slotType }
+   *   zone may be passed directly (by name) when the address is not known yet
+   * @returns {Object} - { fee, zone, slotType, weightKg, breakdown, freeDeliveryThreshold, amountToFreeDelivery, expressAvailable }
+   */
+  calculateDeliveryFee({ items = [], subtotal = 0, city = '', postalCode = '', coordinates = null, zone = null, slotType = DELIVERY_SLOT_TYPES.STANDARD } = {}) {
+    const resolvedZone = (zone && this.getZoneByName(zone)) || this.resolveZone(city, postalCode, coordinates);
+    const weightKg = this.estimateWeight(items);
+    const includedKg = this.rules.weight?.includedKg || 0;
+    const extraKg = Math.max(0, Math.ceil(weightKg - includedKg));
+
+    const isExpress = slotType === DELIVERY_SLOT_TYPES.EXPRESS && resolvedZone.expressAvailable;
+    const qualifiesForFree = subtotal >= resolvedZone.freeDeliveryThreshold;
+
+    const baseFee = qualifiesForFree ? 0 : resolvedZone.baseFee;
+    const weightSurcharge = qualifiesForFree ? 0 : extraKg * resolvedZone.perKgFee;
+    // Free delivery covers the standard run only; express is always charged
+    const expressSurcharge = isExpress ? resolvedZone.expressSurcharge : 0;
+
+    return {
+      fee: baseFee + weightSurcharge + expressSurcharge,
+      zone: resolvedZone.name,
+      zoneId: resolvedZone.id,
+      slotType: isExpress ? DELIVERY_SLOT_TYPES.EXPRESS : DELIVERY_SLOT_TYPES.STANDARD,
+      weightKg,
+      breakdown: {
+        baseFee,
+        weightSurcharge,
+        expressSurcharge,
+        extraKg,
+        freeDeliveryApplied: qualifiesForFree
+      },
+      freeDeliveryThreshold: resolvedZone.freeDeliveryThreshold,
+      amountToFreeDelivery: Math.max(0, resolvedZone.freeDeliveryThreshold - subtotal),
+      expressAvailable: Boolean(resolvedZone.expressAvailable),
+      exceedsMaxWeight: Boolean(this.rules.weight?.maxKg && weightKg > this.rules.weight.maxKg)
+    };
+  }
+}
+
+export const deliveryPricingService = new DeliveryPricingService();
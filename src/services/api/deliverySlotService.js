@@ -0,0 +1,194 @@
+import slotConfig from '@/services/mockData/deliverySlots.json';
+import { persistenceService } from '@/services/PersistenceService';
+import { deliveryPersonnelService } from '@/services/api/deliveryPersonnelService';
+
+/**
+ * Delivery window booking. Each zone's capacity per window is derived from its
+ * active riders (orders per window depend on vehicle type); full windows cannot be booked.
+ */
+class DeliverySlotService {
+  constructor() {
+    this.config = slotConfig;
+    this.bookings = [];
+    this.ready = persistenceService.load('deliverySlotBookings', []).then(bookings => {
+      this.bookings = bookings;
+    });
+  }
+
+  persist() {
+    return persistenceService.save('deliverySlotBookings', this.bookings);
+  }
+
+  async delay(ms = 200) {
+    await this.ready;
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  getWindows() {
+    return this.config.windows.map(window => ({ ...window }));
+  }
+
+  getWindow(slotId) {
+    return this.config.windows.find(w => w.id === slotId) || null;
+  }
+
+  // Local calendar date as YYYY-MM-DD
+  toDateKey(date) {
+    const d = new Date(date);
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${month}-${day}`;
+  }
+
+  getSlotTimes(date, slotId) {
+    const window = this.getWindow(slotId);
+    if (!window) return null;
+    return {
+      start: new Date(`${date}T${window.start}:00`),
+      end: new Date(`${date}T${window.end}:00`)
+    };
+  }
+
+  /**
+   * Describe a booked slot for display and for order.deliverySlot
+   * @returns {Object|null} - { date, slotId, label, start, end }
+   */
+  describeSlot(date, slotId) {
+    const window = this.getWindow(slotId);
+    const times = this.getSlotTimes(date, slotId);
+    if (!window || !times) return null;
+    return {
+      date,
+      slotId,
+      label: window.label,
+      start: times.start.toISOString(),
+      end: times.end.toISOString()
+    };
+  }
+
+  /**
+   * Orders a zone can take per window on a given day
+   * @param {Array} personnel - Delivery personnel records
+   * @param {string} zone - Zone name as used on personnel and delivery rules
+   * @param {string} date - YYYY-MM-DD
+   */
+  getZoneCapacity(personnel, zone, date) {
+    const isToday = date === this.toDateKey(new Date());
+    // Today we know who is off shift; for future days every active rider counts
+    const riders = personnel.filter(p =>
+      p.isActive && p.zone === zone && !(isToday && p.status === 'off_duty'));
+
+    if (riders.length === 0) {
+      const isServicedZone = personnel.some(p => p.zone === zone);
+      return isServicedZone ? 0 : this.config.unzonedCapacityPerSlot;
+    }
+
+    return riders.reduce((total, rider) =>
+      total + (this.config.ordersPerSlotByVehicle[rider.vehicleType] || this.config.defaultOrdersPerSlot), 0);
+  }
+
+  getActiveBookings(zone, date, slotId) {
+    return this.bookings.filter(b =>
+      b.status !== 'cancelled' && b.zone === zone && b.date === date && b.slotId === slotId);
+  }
+
+  /**
+   * Slot calendar for a zone
+   * @param {string} zone - Zone name
+   * @param {number} days - Number of days to return, capped at the booking horizon
+   * @returns {Promise<Array>} - [{ date, slots: [{ id, label, capacity, booked, remaining, isFull, isClosed, isAvailable }] }]
+   */
+  async getAvailability(zone, days = this.config.bookingHorizonDays) {
+    await this.delay();
+    const personnel = await deliveryPersonnelService.getAll();
+    const now = new Date();
+    const cutoffMs = this.config.cutoffMinutes * 60 * 1000;
+    const dayCount = Math.min(days, this.config.bookingHorizonDays);
+
+    const calendar = [];
+    for (let offset = 0; offset < dayCount; offset++) {
+      const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+      const date = this.toDateKey(day);
+      const capacity = this.getZoneCapacity(personnel, zone, date);
+
+      const slots = this.config.windows.map(window => {
+        const { start } = this.getSlotTimes(date, window.id);
+        const booked = this.getActiveBookings(zone, date, window.id).length;
+        const isClosed = start.getTime() - now.getTime() < cutoffMs;
+        const isFull = booked >= capacity;
+        return {
+          ...window,
+          capacity,
+          booked,
+          remaining: Math.max(0, capacity - booked),
+          isFull,
+          isClosed,
+          isAvailable: !isFull && !isClosed
+        };
+      });
+
+      calendar.push({ date, slots });
+    }
+
+    return calendar;
+  }
+
+  /**
+   * Reserve a window for an order. Capacity is re-checked at booking time.
+   * @param {Object} params - { orderId, zone, date, slotId }
+   * @returns {Promise<Object>} - Booking with the described slot
+   */
+  async bookSlot({ orderId, zone, date, slotId }) {
+    await this.delay();
+    const times = this.getSlotTimes(date, slotId);
+    if (!times) {
+      const error = new Error('Selected delivery slot does not exist');
+      error.code = 'SLOT_INVALID';
+      throw error;
+    }
+
+    if (times.start.getTime() - Date.now() < this.config.cutoffMinutes * 60 * 1000) {
+      const error = new Error('Selected delivery slot is no longer accepting orders');
+      error.code = 'SLOT_CLOSED';
+      throw error;
+    }
+
+    const personnel = await deliveryPersonnelService.getAll();
+    const capacity = this.getZoneCapacity(personnel, zone, date);
+    if (this.getActiveBookings(zone, date, slotId).length >= capacity) {
+      const error = new Error('Selected delivery slot is full, please choose another time');
+      error.code = 'SLOT_FULL';
+      throw error;
+    }
+
+    const booking = {
+      id: `SLOT-${Date.now()}-${orderId}`,
+      orderId,
+      zone,
+      date,
+      slotId,
+      status: 'booked',
+      bookedAt: new Date().toISOString()
+    };
+    this.bookings.push(booking);
+    await this.persist();
+    return { ...booking, slot: this.describeSlot(date, slotId) };
+  }
+
+  async releaseSlot(orderId) {
+    await this.delay();
+    const booking = this.bookings.find(b => b.orderId === orderId && b.status !== 'cancelled');
+    if (!booking) return false;
+    booking.status = 'cancelled';
+    booking.cancelledAt = new Date().toISOString();
+    await this.persist();
+    return true;
+  }
+
+  async getBookingsForDate(date) {
+    await this.delay();
+    return this.bookings.filter(b => b.date === date && b.status !== 'cancelled').map(b => ({ ...b }));
+  }
+}
+
+export const deliverySlotService = new DeliverySlotService();
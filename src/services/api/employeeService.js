@@ -1,33 +1,49 @@
 import employees from '@/services/mockData/employees.json';
+import { persistenceService } from '@/services/PersistenceService';
+import { getPasswordProblems, hashPassword, verifyPassword } from '@/utils/password';
 
 let employeeData = [...employees];
 let lastId = Math.max(...employeeData.map(emp => emp.Id), 0);
 
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const ready = persistenceService.load('employees', employees).then(records => {
+  employeeData = records;
+  lastId = Math.max(...employeeData.map(emp => emp.Id), 0);
+});
+
+const delay = async (ms) => {
+  await ready;
+  return new Promise(resolve => setTimeout(resolve, ms));
+};
+
+const persist = () => persistenceService.save('employees', employeeData);
+
+// Staff password hashes never leave the service
+const toPublic = ({ password, ...employee }) => ({ ...employee, hasPassword: Boolean(password) });
 
 const employeeService = {
   async getAll() {
     await delay(300);
-    return [...employeeData];
+    return employeeData.map(toPublic);
   },
 
   async getById(id) {
     await delay(200);
     const employee = employeeData.find(emp => emp.Id === parseInt(id));
-    return employee ? { ...employee } : null;
+    return employee ? toPublic(employee) : null;
   },
 
-  async create(employeeData) {
+  async create(employeeRecord) {
     await delay(400);
     const newEmployee = {
-      ...employeeData,
+      ...employeeRecord,
       Id: ++lastId,
-      salary: parseFloat(employeeData.salary),
+      salary: parseFloat(employeeRecord.salary),
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
     employeeData.push(newEmployee);
-    return { ...newEmployee };
+    await persist();
+    return toPublic(newEmployee);
   },
 
   async update(id, updatedData) {
@@ -37,16 +53,19 @@ const employeeService = {
       throw new Error('Employee not found');
     }
     
+    // Passwords only change through setPassword
+    const { password, hasPassword, ...changes } = updatedData;
     const updatedEmployee = {
       ...employeeData[index],
-      ...updatedData,
+      ...changes,
       Id: parseInt(id),
       salary: parseFloat(updatedData.salary),
       updatedAt: new Date().toISOString()
     };
     
     employeeData[index] = updatedEmployee;
-    return { ...updatedEmployee };
+    await persist();
+    return toPublic(updatedEmployee);
   },
 
   async delete(id) {
@@ -57,21 +76,22 @@ const employeeService = {
     }
     
     const deletedEmployee = employeeData.splice(index, 1)[0];
-    return { ...deletedEmployee };
+    await persist();
+    return toPublic(deletedEmployee);
   },
 
   async getByDepartment(department) {
     await delay(250);
     return employeeData
       .filter(emp => emp.department === department)
-      .map(emp => ({ ...emp }));
+      .map(toPublic);
   },
 
   async getActiveEmployees() {
     await delay(250);
     return employeeData
       .filter(emp => emp.status === 'active')
-      .map(emp => ({ ...emp }));
+      .map(toPublic);
 },
 
   async updateRole(userId, newRole) {
@@ -86,8 +106,44 @@ const employeeService = {
       role: newRole,
       updatedAt: new Date().toISOString()
     };
+    await persist();
     
-    return { ...employeeData[index] };
+    return toPublic(employeeData[index]);
+  },
+
+  /**
+   * Check staff sign-in credentials. Staff without a password set cannot sign in.
+   * @returns {Promise<Object>} - The employee, without the password hash
+   */
+  async authenticate(email, password) {
+    await delay(300);
+    const employee = employeeData.find(emp =>
+      emp.email?.toLowerCase() === (email || '').trim().toLowerCase() && emp.status === 'active'
+    );
+    if (!employee || !(await verifyPassword(password || '', employee.password))) {
+      const error = new Error('Email or password is incorrect');
+      error.code = 'INVALID_CREDENTIALS';
+      throw error;
+    }
+    return toPublic(employee);
+  },
+
+  async setPassword(userId, password) {
+    await delay(300);
+    const employee = employeeData.find(emp => emp.Id === parseInt(userId));
+    if (!employee) {
+      throw new Error('Employee not found');
+    }
+    const problems = getPasswordProblems(password);
+    if (problems.length > 0) {
+      const error = new Error(`Password needs ${problems.join(', ')}`);
+      error.code = 'WEAK_PASSWORD';
+      throw error;
+    }
+    employee.password = await hashPassword(password);
+    employee.updatedAt = new Date().toISOString();
+    await persist();
+    return toPublic(employee);
   }
 };
 
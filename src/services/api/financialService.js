@@ -2,6 +2,7 @@ import React from "react";
 import Error from "@/components/ui/Error";
 import { orderService } from "@/services/api/orderService";
 import { productService } from "@/services/api/productService";
+import { persistenceService } from "@/services/PersistenceService";
 
 // Mock expense data with proper Id structure
 const mockExpenses = [
@@ -180,6 +181,34 @@ class FinancialService {
     this.vendorIdCounter = Math.max(...mockVendors.map(v => v.Id), 0) + 1;
     this.vendorPayments = [...mockVendorPayments];
     this.vendorPaymentIdCounter = Math.max(...mockVendorPayments.map(p => p.Id), 0) + 1;
+
+    // State written through to persistent storage as a single "financials" document
+    this.persistedFields = [
+      'expenses',
+      'expenseIdCounter',
+      'vendors',
+      'vendorIdCounter',
+      'vendorPayments',
+      'vendorPaymentIdCounter'
+    ];
+    this.ready = persistenceService.load('financials', this.getPersistedState()).then(state => {
+      this.persistedFields.forEach(field => {
+        if (state && state[field] !== undefined) {
+          this[field] = state[field];
+        }
+      });
+    });
+  }
+
+  getPersistedState() {
+    return this.persistedFields.reduce((state, field) => {
+      state[field] = this[field];
+      return state;
+    }, {});
+  }
+
+  persist() {
+    return persistenceService.save('financials', this.getPersistedState());
   }
 
   async getFinancialMetrics(days = 30) {
@@ -639,6 +668,7 @@ async getExpenseById(id) {
       };
 
       this.expenses.push(newExpense);
+      await this.persist();
       return { ...newExpense };
     } catch (error) {
       throw new Error('Failed to create expense: ' + error.message);
@@ -665,6 +695,7 @@ async updateExpense(id, expenseData) {
       };
 
       this.expenses[index] = updatedExpense;
+      await this.persist();
       return { ...updatedExpense };
     } catch (error) {
       throw new Error('Failed to update expense: ' + error.message);
@@ -681,6 +712,7 @@ async deleteExpense(id) {
       }
 
       this.expenses.splice(index, 1);
+      await this.persist();
       return { success: true };
     } catch (error) {
       throw new Error('Failed to delete expense: ' + error.message);
@@ -823,6 +855,7 @@ async deleteExpense(id) {
       };
 
       this.vendors.push(newVendor);
+      await this.persist();
       return { ...newVendor };
     } catch (error) {
       throw new Error('Failed to create vendor: ' + error.message);
@@ -849,6 +882,7 @@ async deleteExpense(id) {
       };
 
       this.vendors[index] = updatedVendor;
+      await this.persist();
       return { ...updatedVendor };
     } catch (error) {
       throw new Error('Failed to update vendor: ' + error.message);
@@ -871,6 +905,7 @@ async deleteVendor(id) {
       }
 
       this.vendors.splice(index, 1);
+      await this.persist();
       return { success: true };
     } catch (error) {
       throw new Error('Failed to delete vendor: ' + error.message);
@@ -913,6 +948,7 @@ async deleteVendor(id) {
       };
 
       this.vendorPayments.push(newPayment);
+      await this.persist();
       return { ...newPayment };
     } catch (error) {
       throw new Error('Failed to process vendor payment: ' + error.message);
@@ -937,6 +973,7 @@ async deleteVendor(id) {
         }
       }
 
+      await this.persist();
       return {
         success: true,
         processedCount: processedPayments.length,
@@ -1029,7 +1066,8 @@ async deleteVendor(id) {
     }
   }
 
-  delay(ms = 300) {
+  async delay(ms = 300) {
+    await this.ready;
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
@@ -0,0 +1,94 @@
+import gazetteer from '@/services/mockData/geocoding.json';
+import { hasCoordinates, haversineKm } from '@/utils/geo';
+
+/**
+ * Offline geocoder backed by a gazetteer of served cities and their areas. Addresses
+ * resolve to the best known area (postal code or area name in the street address),
+ * falling back to the city centre; customers refine the result with a pin drop.
+ */
+class GeocodingService {
+  constructor() {
+    this.cities = gazetteer.cities;
+  }
+
+  async delay(ms = 150) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  findCity(name) {
+    const normalized = (name || '').toString().trim().toLowerCase();
+    if (!normalized) return null;
+    return this.cities.find(city =>
+      city.name.toLowerCase() === normalized || (city.aliases || []).includes(normalized)
+    ) || null;
+  }
+
+  /**
+   * Resolve an address to coordinates
+   * @param {Object} address - { address, city, postalCode }
+   * @returns {Promise<Object>} - { coordinates, precision ('area' or 'city'), city, area, postalCode }
+   * @throws {Error} - GEOCODE_NOT_FOUND when neither the city nor the postal code is known
+   */
+  async geocode({ address = '', city = '', postalCode = '' } = {}) {
+    await this.delay();
+    const code = (postalCode || '').toString().trim();
+    const street = (address || '').toString().toLowerCase();
+    let match = this.findCity(city);
+
+    // A known postal code pins the city even when it was misspelled or left out
+    if (!match && code) {
+      match = this.cities.find(c => c.areas.some(area => area.postalCode === code)) || null;
+    }
+
+    if (!match) {
+      const error = new Error(`We could not locate "${[city, code].filter(Boolean).join(' ') || address}". Drop a pin on the map instead.`);
+      error.code = 'GEOCODE_NOT_FOUND';
+      throw error;
+    }
+
+    const area = match.areas.find(a => code && a.postalCode === code) ||
+      match.areas.find(a => street.includes(a.name.toLowerCase()));
+
+    return {
+      coordinates: { ...(area || match).coordinates },
+      precision: area ? 'area' : 'city',
+      city: match.name,
+      area: area?.name || null,
+      postalCode: area?.postalCode || code || null
+    };
+  }
+
+  /**
+   * Nearest known area to a point, if the point is inside a served city
+   * @param {Object} coordinates - { lat, lng }
+   * @returns {Object|null} - { city, area, postalCode, distanceKm }
+   */
+  findNearestArea(coordinates) {
+    if (!hasCoordinates(coordinates)) return null;
+
+    let nearest = null;
+    this.cities.forEach(city => {
+      if (haversineKm(coordinates, city.coordinates) > city.radiusKm) return;
+      city.areas.forEach(area => {
+        const distanceKm = haversineKm(coordinates, area.coordinates);
+        if (!nearest || distanceKm < nearest.distanceKm) {
+          nearest = { city: city.name, area: area.name, postalCode: area.postalCode, distanceKm };
+        }
+      });
+    });
+
+    return nearest ? { ...nearest, distanceKm: Math.round(nearest.distanceKm * 100) / 100 } : null;
+  }
+
+  async reverseGeocode(coordinates) {
+    await this.delay();
+    return this.findNearestArea(coordinates);
+  }
+
+  // Centre of the first served city, used to open the picker somewhere useful
+  getDefaultCenter(cityName = '') {
+    return { ...(this.findCity(cityName) || this.cities[0]).coordinates };
+  }
+}
+
+export const geocodingService = new GeocodingService();
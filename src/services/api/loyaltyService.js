@@ -0,0 +1,246 @@
+import { persistenceService } from '@/services/PersistenceService';
+
+export const LOYALTY_RULES = {
+  // Rupees spent per point earned
+  spendPerPoint: 100,
+  // Rupees a point is worth when redeemed
+  pointValue: 1,
+  minRedeemPoints: 100
+};
+
+const loyaltyError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Loyalty points ledger shared by the till and online checkout.
+ * Balances are always the sum of a customer's ledger entries; every entry names the sale or
+ * order it belongs to (source + reference), which keeps earning idempotent and lets a cancelled
+ * purchase reverse exactly what it earned and redeemed.
+ */
+class LoyaltyService {
+  constructor() {
+    this.ledger = [];
+    this.ready = persistenceService.load('loyaltyLedger', []).then(ledger => {
+      this.ledger = ledger;
+    });
+  }
+
+  persist() {
+    return persistenceService.save('loyaltyLedger', this.ledger);
+  }
+
+  async delay(ms = 150) {
+    await this.ready;
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  balanceOf(customerId) {
+    return this.ledger
+      .filter(entry => entry.customerId === customerId)
+      .reduce((sum, entry) => sum + entry.points, 0);
+  }
+
+  async getBalance(customerId) {
+    await this.delay();
+    return this.balanceOf(customerId);
+  }
+
+  // Balances for several customers at once, e.g. the till's customer list
+  async getBalances(customerIds) {
+    await this.delay();
+    return Object.fromEntries(customerIds.map(id => [id, this.balanceOf(id)]));
+  }
+
+  async getLedger(customerId, limit = 50) {
+    await this.delay();
+    return this.ledger
+      .filter(entry => entry.customerId === customerId)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, limit)
+      .map(entry => ({ ...entry }));
+  }
+
+  calculateEarnedPoints(amount) {
+    return Math.max(0, Math.floor((Number(amount) || 0) / LOYALTY_RULES.spendPerPoint));
+  }
+
+  /**
+   * Largest redemption a balance allows against an amount due
+   * @returns {{points: number, value: number}} - Zero when the balance is below the minimum
+   */
+  quoteRedemption(balance, amountDue) {
+    if (balance < LOYALTY_RULES.minRedeemPoints || !(amountDue > 0)) {
+      return { points: 0, value: 0 };
+    }
+    const points = Math.min(balance, Math.floor(amountDue / LOYALTY_RULES.pointValue));
+    return { points, value: points * LOYALTY_RULES.pointValue };
+  }
+
+  /**
+   * Check a redemption without recording it
+   * @returns {Promise<number>} - Rupee value of the points
+   * @throws {Error} - CUSTOMER_REQUIRED, INVALID_POINTS, BELOW_MINIMUM, INSUFFICIENT_POINTS or EXCEEDS_AMOUNT_DUE
+   */
+  async validateRedemption(customerId, points, amountDue) {
+    await this.delay();
+    return this.checkRedemption(customerId, points, amountDue);
+  }
+
+  checkRedemption(customerId, points, amountDue) {
+    if (!customerId) {
+      throw loyaltyError('Points can only be redeemed by a known customer', 'CUSTOMER_REQUIRED');
+    }
+    if (!Number.isInteger(points) || points <= 0) {
+      throw loyaltyError('Points to redeem must be a whole number above zero', 'INVALID_POINTS');
+    }
+    if (points < LOYALTY_RULES.minRedeemPoints) {
+      throw loyaltyError(`At least ${LOYALTY_RULES.minRedeemPoints} points must be redeemed at a time`, 'BELOW_MINIMUM');
+    }
+    const balance = this.balanceOf(customerId);
+    if (points > balance) {
+      throw loyaltyError(`Only ${balance} points are available`, 'INSUFFICIENT_POINTS');
+    }
+    const value = points * LOYALTY_RULES.pointValue;
+    if (value > amountDue + 0.01) {
+      throw loyaltyError('Points cannot be worth more than the amount due', 'EXCEEDS_AMOUNT_DUE');
+    }
+    return value;
+  }
+
+  addEntry(customerId, { type, points, source, reference, note }) {
+    const entry = {
+      id: this.getNextId(),
+      customerId,
+      type,
+      points,
+      source,
+      reference: String(reference),
+      note: note || '',
+      balanceAfter: this.balanceOf(customerId) + points,
+      createdAt: new Date().toISOString()
+    };
+    this.ledger.push(entry);
+    return entry;
+  }
+
+  findEntry(customerId, type, source, reference) {
+    return this.ledger.find(entry => entry.customerId === customerId && entry.type === type &&
+      entry.source === source && entry.reference === String(reference));
+  }
+
+  /**
+   * Award points for a purchase. Earning twice for the same source and reference returns the first entry.
+   * @param {Object} purchase - { amount, source: 'pos'|'order', reference, note }
+   * @returns {Promise<Object|null>} - Ledger entry, or null when the amount earns nothing
+   */
+  async earn(customerId, { amount, source, reference, note }) {
+    await this.delay();
+    if (!customerId) return null;
+    const existing = this.findEntry(customerId, 'earn', source, reference);
+    if (existing) return { ...existing };
+
+    const points = this.calculateEarnedPoints(amount);
+    if (points === 0) return null;
+
+    const entry = this.addEntry(customerId, {
+      type: 'earn',
+      points,
+      source,
+      reference,
+      note: note || `Earned on Rs. ${Number(amount).toLocaleString()}`
+    });
+    await this.persist();
+    return { ...entry };
+  }
+
+  /**
+   * Spend points as tender
+   * @param {Object} redemption - { points, amountDue, source, reference }
+   * @returns {Promise<{entry: Object, value: number}>}
+   */
+  async redeem(customerId, { points, amountDue, source, reference }) {
+    await this.delay();
+    const value = this.checkRedemption(customerId, points, amountDue);
+    if (this.findEntry(customerId, 'redeem', source, reference)) {
+      throw loyaltyError('Points were already redeemed for this purchase', 'ALREADY_REDEEMED');
+    }
+
+    const entry = this.addEntry(customerId, {
+      type: 'redeem',
+      points: -points,
+      source,
+      reference,
+      note: `Redeemed for Rs. ${value.toLocaleString()}`
+    });
+    await this.persist();
+    return { entry: { ...entry }, value };
+  }
+
+  /**
+   * Undo what a purchase earned and redeemed, e.g. when an order is cancelled or a till
+   * payment fails after points were taken. Earned points already spent are clawed back
+   * only down to a zero balance.
+   * @returns {Promise<Array>} - Reversal entries added
+   */
+  async reverse(customerId, { source, reference, reason = 'Purchase cancelled' }) {
+    await this.delay();
+    if (!customerId) return [];
+
+    const reversals = [];
+    ['redeem', 'earn'].forEach(type => {
+      const original = this.findEntry(customerId, type, source, reference);
+      if (!original || this.findEntry(customerId, `reverse_${type}`, source, reference)) return;
+
+      // Points already taken back by refunds are not taken twice
+      const points = type === 'earn'
+        ? -Math.min(original.points - this.clawedBack(customerId, source, reference), Math.max(0, this.balanceOf(customerId)))
+        : -original.points;
+      reversals.push(this.addEntry(customerId, { type: `reverse_${type}`, points, source, reference, note: reason }));
+    });
+
+    if (reversals.length > 0) {
+      await this.persist();
+    }
+    return reversals.map(entry => ({ ...entry }));
+  }
+
+  clawedBack(customerId, source, reference) {
+    return this.ledger
+      .filter(entry => entry.customerId === customerId && entry.type === 'refund_clawback' &&
+        entry.source === source && entry.reference === String(reference))
+      .reduce((sum, entry) => sum - entry.points, 0);
+  }
+
+  /**
+   * Take back points earned on the refunded part of a purchase. Points follow what is left of
+   * the purchase, so repeated partial refunds only remove the difference.
+   * @param {Object} refund - { source, reference, remainingAmount, note }
+   * @returns {Promise<Object|null>} - Ledger entry, or null when nothing is owed back
+   */
+  async clawBackForRefund(customerId, { source, reference, remainingAmount, note = '' }) {
+    await this.delay();
+    if (!customerId) return null;
+    const earned = this.findEntry(customerId, 'earn', source, reference);
+    if (!earned || this.findEntry(customerId, 'reverse_earn', source, reference)) return null;
+
+    const kept = earned.points - this.clawedBack(customerId, source, reference);
+    const owed = kept - Math.min(earned.points, this.calculateEarnedPoints(remainingAmount));
+    const points = Math.min(owed, Math.max(0, this.balanceOf(customerId)));
+    if (points <= 0) return null;
+
+    const entry = this.addEntry(customerId, { type: 'refund_clawback', points: -points, source, reference, note });
+    await this.persist();
+    return { ...entry };
+  }
+
+  getNextId() {
+    const maxId = this.ledger.reduce((max, entry) =>
+      entry.id > max ? entry.id : max, 0);
+    return maxId + 1;
+  }
+}
+
+export const loyaltyService = new LoyaltyService();
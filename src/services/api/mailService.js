@@ -0,0 +1,73 @@
+import { persistenceService } from '@/services/PersistenceService';
+
+/**
+ * Local stand-in for an email provider. Messages are written to a persisted outbox
+ * that can be read on the /mailbox page (dev builds only) instead of being sent.
+ */
+class MailService {
+  constructor() {
+    this.outbox = [];
+    this.ready = persistenceService.load('mailOutbox', []).then(outbox => {
+      this.outbox = outbox;
+    });
+  }
+
+  persist() {
+    return persistenceService.save('mailOutbox', this.outbox);
+  }
+
+  async delay(ms = 150) {
+    await this.ready;
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Queue an email
+   * @param {Object} message - { to, subject, body, link }
+   */
+  async send({ to, subject, body, link = null }) {
+    await this.delay();
+    if (!to || !subject) {
+      throw new Error('Recipient and subject are required');
+    }
+
+    const message = {
+      id: `MAIL-${Date.now()}-${this.outbox.length + 1}`,
+      to: to.toLowerCase(),
+      subject,
+      body,
+      link,
+      sentAt: new Date().toISOString(),
+      read: false
+    };
+    this.outbox.unshift(message);
+    await this.persist();
+    return { ...message };
+  }
+
+  async getMessages(to = null) {
+    await this.delay();
+    return this.outbox
+      .filter(message => !to || message.to === to.toLowerCase())
+      .map(message => ({ ...message }));
+  }
+
+  async markRead(id) {
+    await this.delay();
+    const message = this.outbox.find(m => m.id === id);
+    if (message && !message.read) {
+      message.read = true;
+      await this.persist();
+    }
+    return message ? { ...message } : null;
+  }
+
+  async clear() {
+    await this.delay();
+    this.outbox = [];
+    await this.persist();
+    return true;
+  }
+}
+
+export const mailService = new MailService();
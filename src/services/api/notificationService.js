@@ -1,3 +1,5 @@
+import { persistenceService } from '@/services/PersistenceService';
+
 // Mock data for notification counts including approval workflow
 const mockNotificationCounts = {
   payments: 5,
@@ -19,6 +21,11 @@ class NotificationService {
   constructor() {
     this.counts = { ...mockNotificationCounts };
     this.lastUpdate = new Date().toISOString();
+    this.inbox = [];
+    this.inboxListeners = new Set();
+    this.ready = persistenceService.load('inAppNotifications', []).then(inbox => {
+      this.inbox = inbox;
+    });
   }
   async getUnreadCounts() {
     await this.delay();
@@ -119,6 +126,81 @@ class NotificationService {
     };
   }
 
+  // In-app notifications for customers (back in stock alerts and the like)
+
+  /**
+   * Deliver a notification to a user's in-app inbox
+   * @param {Object} notification - { recipientId, type, title, message, link, metadata }
+   */
+  async push({ recipientId, type = 'general', title, message = '', link = null, metadata = {} }) {
+    await this.ready;
+    if (!recipientId || !title) {
+      throw new Error('Notifications need a recipient and a title');
+    }
+
+    const notification = {
+      id: `NTF-${Date.now()}-${this.inbox.length + 1}`,
+      recipientId,
+      type,
+      title,
+      message,
+      link,
+      metadata,
+      read: false,
+      createdAt: new Date().toISOString()
+    };
+    this.inbox.push(notification);
+    await persistenceService.save('inAppNotifications', this.inbox);
+    this.emitInboxChange(recipientId);
+    return { ...notification };
+  }
+
+  async getInbox(recipientId) {
+    await this.ready;
+    return this.inbox
+      .filter(notification => notification.recipientId === recipientId)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(notification => ({ ...notification }));
+  }
+
+  async markNotificationRead(notificationId) {
+    await this.ready;
+    const notification = this.inbox.find(n => n.id === notificationId);
+    if (notification && !notification.read) {
+      notification.read = true;
+      await persistenceService.save('inAppNotifications', this.inbox);
+      this.emitInboxChange(notification.recipientId);
+    }
+    return notification ? { ...notification } : null;
+  }
+
+  async markInboxRead(recipientId) {
+    await this.ready;
+    this.inbox.forEach(notification => {
+      if (notification.recipientId === recipientId) {
+        notification.read = true;
+      }
+    });
+    await persistenceService.save('inAppNotifications', this.inbox);
+    this.emitInboxChange(recipientId);
+  }
+
+  // Listen for inbox changes; returns an unsubscribe function
+  onInboxChange(listener) {
+    this.inboxListeners.add(listener);
+    return () => this.inboxListeners.delete(listener);
+  }
+
+  emitInboxChange(recipientId) {
+    this.inboxListeners.forEach(listener => {
+      try {
+        listener(recipientId);
+      } catch (error) {
+        console.error('Inbox listener failed:', error);
+      }
+    });
+  }
+
   async markApprovalAsRead(category) {
     await this.delay(150);
     
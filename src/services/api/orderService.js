@@ -1,16 +1,118 @@
 import ordersData from '../mockData/orders.json'
 import { productService } from '@/services/api/productService'
 import { paymentService } from '@/services/api/paymentService'
+import { couponService } from '@/services/api/couponService'
+import { deliveryPricingService } from '@/services/api/deliveryPricingService'
+import { deliverySlotService } from '@/services/api/deliverySlotService'
+import { deliveryOtpService } from '@/services/api/deliveryOtpService'
+import { refundService } from '@/services/api/refundService'
+import { auditService } from '@/services/api/auditService'
+import { loyaltyService } from '@/services/api/loyaltyService'
+import { customerService } from '@/services/api/customerService'
+import { posService } from '@/services/api/posService'
+import sessionService from '@/services/SessionService'
+import { persistenceService } from '@/services/PersistenceService'
+import { apiClient } from '@/services/ApiClient'
 class OrderService {
   constructor() {
     this.orders = [...ordersData];
+    this.ready = persistenceService.load('orders', ordersData).then(orders => {
+      this.orders = orders;
+    });
+  }
+
+  persist() {
+    return persistenceService.save('orders', this.orders);
   }
 
   async getAll() {
     await this.delay();
+    if (apiClient.isLive()) {
+      return apiClient.get('/orders');
+    }
     return [...this.orders];
   }
 
+  /**
+   * Products a customer orders most often, for the "buy again" list. Cancelled orders are ignored.
+   * @returns {Promise<Array>} - [{ productId, name, image, unit, timesOrdered, totalQuantity, lastQuantity, lastOrderedAt }]
+   *   most frequent first, ties broken by the most recent order
+   */
+  async getFrequentlyBought(customerId, limit = 8) {
+    const orders = (await this.getAll())
+      .filter(order => customerId && order.customerId === customerId && order.status !== 'cancelled')
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    const byProduct = new Map();
+    orders.forEach(order => {
+      (order.items || []).forEach(item => {
+        const productId = item.productId ?? item.id;
+        const entry = byProduct.get(productId) || {
+          productId,
+          name: item.name,
+          image: item.image || null,
+          unit: item.unit || null,
+          timesOrdered: 0,
+          totalQuantity: 0
+        };
+        entry.timesOrdered += 1;
+        entry.totalQuantity += item.quantity || 0;
+        entry.lastQuantity = item.quantity || 1;
+        entry.lastOrderedAt = order.createdAt;
+        byProduct.set(productId, entry);
+      });
+    });
+
+    return [...byProduct.values()]
+      .sort((a, b) => b.timesOrdered - a.timesOrdered || new Date(b.lastOrderedAt) - new Date(a.lastOrderedAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Everything a customer has bought, online orders and till sales together
+   * @returns {Promise<{purchases: Array, totalSpent: number, lastPurchaseAt: string|null}>}
+   *   purchases are [{ channel: 'online'|'store', id, date, total, itemCount, status, paymentType }], newest first
+   */
+  async getPurchaseHistory(customerId) {
+    if (!customerId) {
+      return { purchases: [], totalSpent: 0, lastPurchaseAt: null };
+    }
+    const [orders, transactions] = await Promise.all([this.getAll(), posService.getAll()]);
+
+    const purchases = [
+      ...orders
+        .filter(order => order.customerId === customerId)
+        .map(order => ({
+          channel: 'online',
+          id: order.id,
+          date: order.createdAt,
+          total: order.total || 0,
+          itemCount: (order.items || []).reduce((sum, item) => sum + (item.quantity || 0), 0),
+          status: order.status,
+          paymentType: order.paymentMethod
+        })),
+      ...transactions
+        .filter(transaction => transaction.customerId === customerId)
+        .map(transaction => ({
+          channel: 'store',
+          id: transaction.id,
+          date: transaction.timestamp,
+          total: transaction.total || 0,
+          itemCount: (transaction.items || []).reduce((sum, item) => sum + (item.quantity || 0), 0),
+          status: 'completed',
+          paymentType: transaction.paymentType
+        }))
+    ].sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    return {
+      purchases,
+      totalSpent: purchases
+        .filter(purchase => purchase.status !== 'cancelled')
+        .reduce((sum, purchase) => sum + purchase.total, 0),
+      lastPurchaseAt: purchases[0]?.date || null
+    };
+  }
+
 async getById(id) {
     try {
       await this.delay();
@@ -35,7 +137,9 @@ async getById(id) {
       console.log('OrderService.getById: Searching for order with numeric ID:', numericId);
       console.log('OrderService.getById: Available order IDs:', this.orders.map(o => o.id));
       
-      const order = this.orders.find(o => o.id === numericId);
+      const order = apiClient.isLive()
+        ? await apiClient.get(`/orders/${numericId}`)
+        : this.orders.find(o => o.id === numericId);
       if (!order) {
         const error = new Error(`Order with ID ${numericId} not found in database`);
         console.error('OrderService.getById: Order not found:', {
@@ -68,7 +172,7 @@ async getById(id) {
       if (!order.hasOwnProperty('total') || order.total <= 0) {
         console.warn(`OrderService.getById: Order ${numericId} has invalid total, calculating from items`);
         order.total = order.items.reduce((sum, item) => 
-          sum + ((item.price || 0) * (item.quantity || 0)), 0) + (order.deliveryCharge || 0);
+          sum + ((item.price || 0) * (item.quantity || 0)), 0) + (order.deliveryCharge || 0) - (order.couponDiscount || 0);
       }
       
       // Ensure critical timestamps exist
@@ -117,6 +221,51 @@ async create(orderData) {
       }
     }
 
+    // Delivery fee is recomputed from the shared rules so the client cannot under-charge
+    let deliveryQuote = null;
+    if (orderData.deliveryAddress) {
+      deliveryQuote = this.getDeliveryQuote(orderData);
+      if (Math.abs(deliveryQuote.fee - (parseFloat(orderData.deliveryCharge) || 0)) > 0.01) {
+        const error = new Error('Delivery charge has changed, please review your order');
+        error.code = 'DELIVERY_FEE_MISMATCH';
+        throw error;
+      }
+    }
+
+    // Coupons are re-validated here so limits hold even if the client state is stale
+    let couponDiscount = 0;
+    if (orderData.couponCode) {
+      const couponResult = await couponService.validateCoupon(orderData.couponCode, {
+        items: orderData.items,
+        subtotal: orderData.subtotal ?? this.calculateOrderSubtotal(orderData.items),
+        deliveryCharge: orderData.deliveryCharge,
+        customerId: orderData.customerId
+      });
+      couponDiscount = couponResult.totalDiscount;
+
+      if (Math.abs(couponDiscount - (parseFloat(orderData.couponDiscount) || 0)) > 0.01) {
+        const error = new Error('Coupon discount has changed, please review your order');
+        error.code = 'COUPON_DISCOUNT_MISMATCH';
+        throw error;
+      }
+    }
+
+    // Points are tender: the order total is already net of them, so they are checked against total + discount
+    const loyaltyPointsRedeemed = parseInt(orderData.loyaltyPointsRedeemed) || 0;
+    let loyaltyDiscount = 0;
+    if (loyaltyPointsRedeemed > 0) {
+      loyaltyDiscount = await loyaltyService.validateRedemption(
+        orderData.customerId,
+        loyaltyPointsRedeemed,
+        (parseFloat(orderData.total) || 0) + (parseFloat(orderData.loyaltyDiscount) || 0)
+      );
+      if (Math.abs(loyaltyDiscount - (parseFloat(orderData.loyaltyDiscount) || 0)) > 0.01) {
+        const error = new Error('Loyalty points value has changed, please review your order');
+        error.code = 'LOYALTY_DISCOUNT_MISMATCH';
+        throw error;
+      }
+    }
+
     // Initialize vendor availability tracking
     const vendorAvailability = orderData.vendor_availability || {};
     
@@ -129,6 +278,14 @@ const newOrder = {
       // Ensure both total and totalAmount fields are set for compatibility
       total: orderData.total || orderData.totalAmount || 0,
       totalAmount: orderData.totalAmount || orderData.total || 0,
+      couponCode: orderData.couponCode ? couponService.normalizeCode(orderData.couponCode) : null,
+      couponDiscount,
+      loyaltyPointsRedeemed,
+      loyaltyDiscount,
+      deliveryZone: deliveryQuote?.zone || null,
+      deliverySlotType: deliveryQuote?.slotType || orderData.deliverySlotType || 'standard',
+      deliveryFeeBreakdown: deliveryQuote?.breakdown || null,
+      estimatedWeightKg: deliveryQuote?.weightKg ?? null,
       // Enhanced approval workflow integration
       approvalStatus: orderData.approvalStatus || 'pending',
       approvalRequestId: orderData.approvalRequestId || null,
@@ -139,20 +296,6 @@ const newOrder = {
       updatedAt: new Date().toISOString()
     };
     
-    // Handle wallet payments
-if (orderData.paymentMethod === 'wallet') {
-      try {
-        const walletTransaction = await paymentService.processWalletPayment(orderData.total, newOrder.id);
-        newOrder.paymentResult = walletTransaction;
-        newOrder.paymentStatus = 'completed';
-      } catch (walletError) {
-        // Enhanced wallet error handling
-        const error = new Error('Wallet payment failed: ' + walletError.message);
-        error.code = walletError.code || 'WALLET_PAYMENT_FAILED';
-        error.originalError = walletError;
-        throw error;
-      }
-    }
 // Handle bank transfer verification
     if (orderData.paymentMethod === 'bank' && orderData.paymentResult?.requiresVerification) {
       newOrder.paymentStatus = 'pending_verification';
@@ -186,27 +329,174 @@ if (orderData.paymentMethod === 'wallet') {
         backupRef: proofData.fileName ? `/uploads/${proofData.fileName}` : null
       };
     }
-    this.orders.push(newOrder);
+
+    // Everything that can run out (slot capacity, coupon uses, points) is claimed before the
+    // wallet is charged; if any later step fails, what was already done is undone in reverse
+    const rollback = [];
+    try {
+      if (orderData.deliverySlot?.date && orderData.deliverySlot?.slotId) {
+        const booking = await deliverySlotService.bookSlot({
+          orderId: newOrder.id,
+          zone: newOrder.deliveryZone,
+          date: orderData.deliverySlot.date,
+          slotId: orderData.deliverySlot.slotId
+        });
+        newOrder.deliverySlot = booking.slot;
+        newOrder.estimatedDelivery = booking.slot.end;
+        rollback.push(() => deliverySlotService.releaseSlot(newOrder.id));
+      }
+
+      if (newOrder.couponCode) {
+        await couponService.redeemCoupon(newOrder.couponCode, {
+          orderId: newOrder.id,
+          customerId: orderData.customerId,
+          discount: couponDiscount
+        });
+        rollback.push(() => couponService.releaseRedemption(newOrder.couponCode, newOrder.id));
+      }
+
+      if (loyaltyPointsRedeemed > 0) {
+        await loyaltyService.redeem(orderData.customerId, {
+          points: loyaltyPointsRedeemed,
+          amountDue: newOrder.total + loyaltyDiscount,
+          source: 'order',
+          reference: newOrder.id
+        });
+        rollback.push(() => loyaltyService.reverse(orderData.customerId, {
+          source: 'order',
+          reference: newOrder.id,
+          reason: `Order #${newOrder.id} could not be placed`
+        }));
+      }
+
+      if (orderData.paymentMethod === 'wallet') {
+        try {
+          const walletTransaction = await paymentService.processWalletPayment(orderData.total, newOrder.id);
+          newOrder.paymentResult = walletTransaction;
+          newOrder.paymentStatus = 'completed';
+        } catch (walletError) {
+          const error = new Error('Wallet payment failed: ' + walletError.message);
+          error.code = walletError.code || 'WALLET_PAYMENT_FAILED';
+          error.originalError = walletError;
+          throw error;
+        }
+        rollback.push(async () => {
+          await paymentService.updateWalletBalance(orderData.total);
+          await paymentService.recordWalletTransaction({
+            type: 'refund_credit',
+            amount: orderData.total,
+            description: `Order #${newOrder.id} could not be placed`,
+            orderId: newOrder.id,
+            transactionId: newOrder.paymentResult.transactionId
+          });
+        });
+      }
+
+      if (apiClient.isLive()) {
+        const { id, ...orderPayload } = newOrder;
+        return await apiClient.post('/orders', orderPayload);
+      }
+
+      this.orders.push(newOrder);
+      await this.persist();
+    } catch (error) {
+      await this.undoSteps(rollback);
+      throw error;
+    }
+
+    await this.awardLoyaltyPoints(newOrder);
     return { ...newOrder };
   }
 
+  // Payment is confirmed once it has cleared verification; cash is collected on delivery
+  isPaymentConfirmed(order) {
+    if (order.status === 'cancelled' || order.status === 'payment_pending') return false;
+    if (order.paymentMethod === 'cash') return order.status === 'delivered';
+    return order.paymentStatus === 'completed' && order.verificationStatus !== 'pending';
+  }
+
+  /**
+   * Members earn on what was actually paid, once the payment is confirmed (guests are keyed by
+   * phone and have no ledger). Earning is idempotent per order, and a ledger hiccup must not
+   * fail the order update that triggered it.
+   */
+  async awardLoyaltyPoints(order) {
+    if (!this.isPaymentConfirmed(order)) return;
+    try {
+      if (await customerService.isCustomer(order.customerId)) {
+        await loyaltyService.earn(order.customerId, {
+          amount: order.total,
+          source: 'order',
+          reference: order.id,
+          note: `Order #${order.id}`
+        });
+      }
+    } catch (loyaltyError) {
+      console.error('Failed to award loyalty points:', loyaltyError);
+    }
+  }
+
+  // Undo order placement steps newest first; one failing undo must not stop the rest
+  async undoSteps(steps) {
+    for (const undo of [...steps].reverse()) {
+      try {
+        await undo();
+      } catch (undoError) {
+        console.error('Failed to undo order step:', undoError);
+      }
+    }
+  }
+
   async update(id, orderData) {
     await this.delay();
+    if (apiClient.isLive()) {
+      return apiClient.put(`/orders/${id}`, orderData);
+    }
     const index = this.orders.findIndex(o => o.id === id);
     if (index === -1) {
       throw new Error('Order not found');
     }
+    const wasCancelled = this.orders[index].status === 'cancelled';
+    const wasConfirmed = this.isPaymentConfirmed(this.orders[index]);
     this.orders[index] = { ...this.orders[index], ...orderData };
+    await this.persist();
+
+    // Cancelled orders give their delivery window back, and their loyalty points
+    if (!wasCancelled && this.orders[index].status === 'cancelled') {
+      if (this.orders[index].deliverySlot) {
+        await deliverySlotService.releaseSlot(id);
+      }
+      await loyaltyService.reverse(this.orders[index].customerId, {
+        source: 'order',
+        reference: id,
+        reason: `Order #${id} cancelled`
+      });
+    } else if (!wasConfirmed) {
+      await this.awardLoyaltyPoints(this.orders[index]);
+    }
     return { ...this.orders[index] };
   }
 
+  async updateOrderStatus(orderId, status) {
+    const order = await this.getById(orderId);
+    return await this.update(order.id, {
+      status,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
   async delete(id) {
     await this.delay();
+    if (apiClient.isLive()) {
+      await apiClient.delete(`/orders/${id}`);
+      return true;
+    }
     const index = this.orders.findIndex(o => o.id === id);
     if (index === -1) {
       throw new Error('Order not found');
     }
 this.orders.splice(index, 1);
+    await this.persist();
     return true;
   }
 
@@ -215,19 +505,45 @@ this.orders.splice(index, 1);
       order.id > max ? order.id : max, 0);
     return maxId + 1;
   }
-  async assignDeliveryPersonnel(orderId, deliveryPersonId) {
+  async assignDeliveryPersonnel(orderId, deliveryPersonId, deliveryRoute = null) {
     await this.delay();
     const order = await this.getById(orderId);
     const updatedOrder = {
       ...order,
       deliveryPersonId: deliveryPersonId,
-      deliveryStatus: 'assigned'
+      deliveryStatus: 'assigned',
+      // Stop position and ETA when the order was dispatched as part of a planned route
+      deliveryRoute: deliveryRoute || null
     };
     return await this.update(orderId, updatedOrder);
   }
-async updateDeliveryStatus(orderId, deliveryStatus, actualDelivery = null) {
+/**
+   * Move an order through the delivery flow
+   * @param {number} orderId - Order ID
+   * @param {string} deliveryStatus - assigned | picked_up | out_for_delivery | arrived | delivered | failed
+   * @param {string} actualDelivery - Delivery timestamp, for 'delivered'
+   * @param {Object} details - { actor, location, otp, proofOfDelivery: { photo, signature, otp, recipientName } }
+   */
+  async updateDeliveryStatus(orderId, deliveryStatus, actualDelivery = null, details = {}) {
     await this.delay();
     const order = await this.getById(orderId);
+
+    // Check the proof first so an incomplete submission does not use up the delivery code
+    const proofOfDelivery = details.proofOfDelivery
+      ? this.validateProofOfDelivery(order, details.proofOfDelivery, details)
+      : null;
+
+    // Every drop-off is confirmed with the code issued when the order went out for delivery
+    let otpVerification = null;
+    if (deliveryStatus === 'delivered') {
+      const otp = details.otp ?? details.proofOfDelivery?.otp;
+      if (!otp) {
+        const error = new Error('Enter the delivery code from the customer to complete this delivery');
+        error.code = 'DELIVERY_OTP_REQUIRED';
+        throw error;
+      }
+      otpVerification = await deliveryOtpService.verify(orderId, otp, details.actor);
+    }
     
     // Map delivery status to order status for user-facing display synchronization
     const deliveryToOrderStatusMap = {
@@ -235,27 +551,287 @@ async updateDeliveryStatus(orderId, deliveryStatus, actualDelivery = null) {
       'assigned': 'confirmed', 
       'picked_up': 'packed',        // Critical mapping: picked_up -> packed
       'in_transit': 'shipped',
+      'out_for_delivery': 'shipped',
+      'arrived': 'shipped',
       'delivered': 'delivered',
       'failed': 'cancelled'
     };
     
     // Get corresponding order status for the delivery status
     const correspondingOrderStatus = deliveryToOrderStatusMap[deliveryStatus];
+    const now = new Date().toISOString();
     
     const updatedOrder = {
       ...order,
       deliveryStatus: deliveryStatus,
       status: correspondingOrderStatus || order.status,
-      updatedAt: new Date().toISOString()
+      deliveryTimeline: [
+        ...(order.deliveryTimeline || []),
+        {
+          status: deliveryStatus,
+          at: now,
+          actor: details.actor || null,
+          location: details.location || null
+        }
+      ],
+      updatedAt: now
     };
     
     if (actualDelivery) {
       updatedOrder.actualDelivery = actualDelivery;
     }
+
+    if (deliveryStatus === 'out_for_delivery') {
+      await deliveryOtpService.issue(orderId, details.actor);
+      updatedOrder.deliveryOtpRequired = true;
+    } else if (deliveryStatus === 'failed' && order.deliveryOtpRequired) {
+      await deliveryOtpService.revoke(orderId, details.actor);
+      updatedOrder.deliveryOtpRequired = false;
+    }
+
+    if (otpVerification) {
+      updatedOrder.deliveryOtpVerifiedAt = otpVerification.verifiedAt;
+    }
+
+    if (proofOfDelivery) {
+      updatedOrder.proofOfDelivery = { ...proofOfDelivery, otpVerified: Boolean(otpVerification) };
+    }
     
     return await this.update(orderId, updatedOrder);
   }
 
+  /**
+   * Delivery code for the tracking page. Only the customer who placed the order gets it:
+   * signed-in customers by their account, guests by entering the phone number they
+   * checked out with. Anyone else opening the order sees nothing.
+   * @param {Object} options - { phone } entered by a guest
+   * @returns {Promise<string|null>}
+   */
+  async getDeliveryCode(orderId, { phone = null } = {}) {
+    const order = await this.getById(orderId);
+    const viewer = sessionService.getCurrentUser();
+    const digits = (value) => String(value || '').replace(/\D/g, '');
+    const ownsByAccount = Boolean(viewer?.id && order.customerId && viewer.id === order.customerId);
+    const ownsByPhone = Boolean(digits(phone)) &&
+      [order.deliveryAddress?.phone, order.customerId].some(value => digits(value) === digits(phone));
+    if (!ownsByAccount && !ownsByPhone) {
+      return null;
+    }
+    if (!order.deliveryOtpRequired || !['out_for_delivery', 'arrived'].includes(order.deliveryStatus)) {
+      return null;
+    }
+    return await deliveryOtpService.getActiveCode(order.id);
+  }
+
+  /**
+   * Check proof of delivery captured by the rider. The OTP itself is verified by
+   * deliveryOtpService; only the outcome is kept on the order.
+   * @returns {Object} - Proof record to store on the order
+   */
+  validateProofOfDelivery(order, proof, details = {}) {
+    const missing = ['photo', 'signature', 'otp'].filter(field => !proof[field]);
+    if (missing.length > 0) {
+      const error = new Error(`Proof of delivery is incomplete: missing ${missing.join(', ')}`);
+      error.code = 'POD_INCOMPLETE';
+      throw error;
+    }
+
+    return {
+      photo: proof.photo,
+      signature: proof.signature,
+      recipientName: proof.recipientName?.trim() || order.deliveryAddress?.name || null,
+      otpVerified: false,
+      capturedBy: details.actor || null,
+      location: details.location || null,
+      capturedAt: new Date().toISOString()
+    };
+  }
+
+  appendStatusHistory(order, status, { actor = null, note = '' } = {}) {
+    return [
+      ...(order.statusHistory || []),
+      { status, at: new Date().toISOString(), actor, note }
+    ];
+  }
+
+  /**
+   * Customer return request for some or all of a delivered order's items
+   * @param {Object} request - { items: [{ productId, quantity }], reason, notes, refundMethod, customerId }
+   * @returns {Promise<Object>} - The refund request record
+   */
+  async requestReturn(orderId, request) {
+    const order = await this.getById(orderId);
+    if (order.status !== 'delivered') {
+      const error = new Error('Returns can only be requested for delivered orders');
+      error.code = 'RETURN_NOT_ALLOWED';
+      throw error;
+    }
+
+    const refund = await refundService.createRequest(order, { ...request, actor: request.customerId });
+    await this.update(order.id, {
+      refundRequested: true,
+      refundStatus: 'requested',
+      statusHistory: this.appendStatusHistory(order, 'return_requested', {
+        actor: request.customerId || order.customerId || null,
+        note: `Refund #${refund.Id}: ${refundService.getReasonLabel(refund.reason)}`
+      })
+    });
+    return refund;
+  }
+
+  // Approving a return request pays it out straight away; an approved request whose payout failed,
+  // or whose payout was interrupted, can be retried
+  async approveRefund(refundId, { actor = sessionService.getActorId(), note = '' } = {}) {
+    sessionService.requirePermission('manage_refunds');
+    const existing = await refundService.getById(refundId);
+    const refund = ['approved', 'processing'].includes(existing.status)
+      ? existing
+      : await refundService.approve(refundId, { actor, note });
+    return await this.processRefund(refund.orderId, refund.amount, refundService.getReasonLabel(refund.reason), {
+      refundId: refund.Id,
+      refundMethod: refund.refundMethod,
+      items: refund.items,
+      actor
+    });
+  }
+
+  async rejectRefund(refundId, { actor = sessionService.getActorId(), reason = '' } = {}) {
+    sessionService.requirePermission('manage_refunds');
+    const refund = await refundService.reject(refundId, { actor, reason });
+    const order = await this.getById(refund.orderId);
+    await this.update(order.id, {
+      refundRequested: refundService.hasOpenRequest(order.id),
+      refundStatus: order.refundedAmount > 0 ? order.refundStatus : 'rejected',
+      statusHistory: this.appendStatusHistory(order, 'return_rejected', { actor, note: `Refund #${refund.Id}: ${reason}` })
+    });
+    await auditService.safeRecord({
+      action: 'refund.rejected',
+      entityType: 'order',
+      entityId: order.id,
+      actor,
+      summary: `Refund #${refund.Id} rejected: ${reason}`,
+      metadata: { refundId: refund.Id, amount: refund.amount }
+    });
+    return refund;
+  }
+
+  /**
+   * Pay out a refund, either for an approved return request or directly from the admin Refunds tab
+   * @param {number} orderId - Order ID
+   * @param {number} amount - Amount to refund; cannot exceed what is left of the order total
+   * @param {string} reason - Shown on the transaction and in the order history
+   * @param {Object} options - { refundId, refundMethod: 'original' | 'wallet', items, actor }
+   * @returns {Promise<Object>} - The updated order
+   */
+  async processRefund(orderId, amount, reason, options = {}) {
+    const { refundId = null, refundMethod = 'original', items = [], actor = sessionService.getActorId() } = options;
+    sessionService.requirePermission('manage_refunds');
+    const order = await this.getById(orderId);
+
+    const refundable = Math.max(0, (order.total || 0) - (order.refundedAmount || 0));
+    if (!(amount > 0)) {
+      throw new Error('Refund amount must be greater than 0');
+    }
+    if (amount > refundable + 0.01) {
+      const error = new Error(`Refund exceeds the remaining refundable amount of Rs. ${refundable}`);
+      error.code = 'REFUND_EXCEEDS_BALANCE';
+      throw error;
+    }
+
+    // Claimed before any money moves; the payout itself is looked up by refund ID first, so a
+    // retry after a failure part-way through never pays out twice
+    if (refundId) {
+      await refundService.beginPayout(refundId, actor);
+    }
+
+    let payout;
+    try {
+      payout = await paymentService.getRefundPayout(refundId);
+      if (!payout && (refundMethod === 'wallet' || order.paymentMethod === 'wallet')) {
+        // Wallet-paid orders always go back to the wallet
+        await paymentService.updateWalletBalance(amount);
+        payout = await paymentService.recordWalletTransaction({
+          type: 'refund_credit',
+          amount,
+          description: `Refund for order #${order.id}: ${reason}`,
+          orderId: order.id,
+          transactionId: order.walletTransaction?.transactionId || null,
+          metadata: { refundId, customerId: order.customerId || null }
+        });
+      } else if (!payout) {
+        payout = await paymentService.refundPayment({
+          orderId: order.id,
+          amount,
+          paymentMethod: order.paymentMethod,
+          originalTransactionId: order.transactionId || order.paymentResult?.transactionId || null,
+          reason,
+          refundId
+        });
+      }
+    } catch (payoutError) {
+      if (refundId) {
+        await refundService.failPayout(refundId, { actor, reason: payoutError.message });
+      }
+      throw payoutError;
+    }
+
+    const record = await refundService.markRefunded(refundId, {
+      orderId: order.id,
+      amount,
+      reason,
+      refundMethod: refundMethod === 'wallet' || order.paymentMethod === 'wallet' ? 'wallet' : 'original',
+      payout: { transactionId: payout.transactionId || payout.reference, type: payout.type || 'refund', status: payout.status },
+      actor
+    });
+
+    // Returned goods in sellable condition go back on the shelf
+    for (const item of items.filter(item => item.restock)) {
+      try {
+        const product = await productService.getById(item.productId);
+        await productService.update(product.id, { stock: (product.stock || 0) + item.quantity });
+      } catch (error) {
+        console.error(`Failed to restock product ${item.productId}:`, error);
+      }
+    }
+
+    const refundedAmount = Math.round(((order.refundedAmount || 0) + amount) * 100) / 100;
+    const fullyRefunded = refundedAmount >= (order.total || 0);
+
+    // Points earned on the order follow what the customer still paid for
+    try {
+      await loyaltyService.clawBackForRefund(order.customerId, {
+        source: 'order',
+        reference: order.id,
+        remainingAmount: Math.max(0, (order.total || 0) - refundedAmount),
+        note: `Refund #${record.Id} on order #${order.id}`
+      });
+    } catch (loyaltyError) {
+      console.error('Failed to take back loyalty points for refund:', loyaltyError);
+    }
+    await auditService.safeRecord({
+      action: 'refund.issued',
+      entityType: 'order',
+      entityId: order.id,
+      actor,
+      summary: `Rs. ${amount} refunded for order #${order.id}: ${reason}`,
+      before: { refundedAmount: order.refundedAmount || 0, refundStatus: order.refundStatus || null },
+      after: { refundedAmount, refundStatus: fullyRefunded ? 'refunded' : 'partially_refunded' },
+      metadata: { refundId: record.Id, refundMethod: record.refundMethod, payout: record.payout }
+    });
+    return await this.update(order.id, {
+      refundedAmount,
+      refundStatus: fullyRefunded ? 'refunded' : 'partially_refunded',
+      refundRequested: refundService.hasOpenRequest(order.id),
+      paymentStatus: fullyRefunded ? 'refunded' : order.paymentStatus,
+      refunds: [...(order.refunds || []), record.Id],
+      statusHistory: this.appendStatusHistory(order, fullyRefunded ? 'refunded' : 'partially_refunded', {
+        actor,
+        note: `Rs. ${amount} refunded: ${reason}`
+      }),
+      updatedAt: new Date().toISOString()
+    });
+  }
+
   async verifyOrderPayment(orderId, verificationData) {
     try {
       await this.delay();
@@ -368,24 +944,19 @@ customerName: order?.deliveryAddress?.name || 'Unknown',
 
 async updateVerificationStatus(orderId, status, notes = '') {
     await this.delay();
-    const orderIndex = this.orders.findIndex(o => o.id === parseInt(orderId));
-    
-    if (orderIndex === -1) {
-      throw new Error('Order not found');
-    }
-
-    const order = this.orders[orderIndex];
+    const order = await this.getById(orderId);
     
     if (order.verificationStatus && order.verificationStatus !== 'pending') {
       throw new Error('Order verification is not pending');
     }
 
+    const actor = sessionService.getActorId();
     const updatedOrder = {
       ...order,
       verificationStatus: status,
       verificationNotes: notes,
       verifiedAt: new Date().toISOString(),
-      verifiedBy: 'admin',
+      verifiedBy: actor,
       paymentStatus: status === 'verified' ? 'completed' : 'verification_failed',
       updatedAt: new Date().toISOString()
     };
@@ -411,8 +982,19 @@ async updateVerificationStatus(orderId, status, notes = '') {
       updatedOrder.approvalStatus = 'rejected'; // Update approval status
     }
 
-    this.orders[orderIndex] = updatedOrder;
-    return { ...updatedOrder };
+    // update() awards loyalty points once the payment counts as confirmed
+    const saved = await this.update(order.id, updatedOrder);
+    await auditService.safeRecord({
+      action: status === 'verified' ? 'order.payment_verified' : 'order.payment_rejected',
+      entityType: 'order',
+      entityId: order.id,
+      actor,
+      summary: `Payment proof for order #${order.id} ${status === 'verified' ? 'approved' : 'rejected'}`,
+      before: { verificationStatus: order.verificationStatus || 'pending', paymentStatus: order.paymentStatus || null },
+      after: { verificationStatus: saved.verificationStatus, paymentStatus: saved.paymentStatus },
+      metadata: { amount: order.total ?? null, paymentMethod: order.paymentMethod || null, notes }
+    });
+    return saved;
   }
 
   async getVerificationHistory(orderId) {
@@ -447,15 +1029,34 @@ return {
     }, 0);
   }
 
-  calculateOrderTotal(items, deliveryCharge = 0) {
+  /**
+   * Delivery fee for an order using the shared zone/weight/slot rules. The zone always comes
+   * from the delivery address; a deliveryZone sent by the client is ignored.
+   * @param {Object} order - Needs items; deliveryAddress and deliverySlotType refine the quote
+   */
+  getDeliveryQuote(order) {
+    return deliveryPricingService.calculateDeliveryFee({
+      items: order.items || [],
+      subtotal: order.subtotal ?? this.calculateOrderSubtotal(order.items),
+      city: order.deliveryAddress?.city,
+      postalCode: order.deliveryAddress?.postalCode,
+      coordinates: order.deliveryAddress?.coordinates,
+      slotType: order.deliverySlotType
+    });
+  }
+
+  calculateOrderTotal(items, deliveryCharge = 0, couponDiscount = 0) {
     const subtotal = this.calculateOrderSubtotal(items);
     const delivery = parseFloat(deliveryCharge) || 0;
-    return subtotal + delivery;
+    const discount = parseFloat(couponDiscount) || 0;
+    return Math.max(0, subtotal + delivery - discount);
   }
 
   validateOrderAmount(order) {
     const calculatedSubtotal = this.calculateOrderSubtotal(order.items);
-    const calculatedTotal = this.calculateOrderTotal(order.items, order.deliveryCharge);
+    // Orders without a stored charge are priced with the current delivery rules
+    const deliveryCharge = order.deliveryCharge ?? this.getDeliveryQuote(order).fee;
+    const calculatedTotal = this.calculateOrderTotal(order.items, deliveryCharge, order.couponDiscount);
     
     // Return calculated values if order total is missing or zero
     if (!order.total || order.total === 0) {
@@ -477,12 +1078,7 @@ return {
   async updateVendorAvailability(orderId, vendorId, productId, availabilityData) {
     await this.delay();
     
-    const orderIndex = this.orders.findIndex(o => o.id === parseInt(orderId));
-    if (orderIndex === -1) {
-      throw new Error('Order not found');
-    }
-
-    const order = this.orders[orderIndex];
+    const order = await this.getById(orderId);
     
     // Initialize vendor_availability if not exists
     if (!order.vendor_availability) {
@@ -512,9 +1108,7 @@ return {
       order.fulfillment_stage = 'availability_confirmed';
     }
     
-    this.orders[orderIndex] = order;
-    
-    return { ...order };
+    return await this.update(order.id, order);
   }
 
   // Helper method to check if all items are confirmed
@@ -715,7 +1309,9 @@ async getPendingAvailabilityRequests() {
     return grades[gradeIndex];
   }
 
-  delay() {
+  async delay() {
+    await this.ready;
+    if (apiClient.isLive()) return;
     return new Promise(resolve => setTimeout(resolve, 400));
   }
 // Enhanced Fulfillment Workflow Methods with Payment Flow Integration
@@ -734,12 +1330,7 @@ async getPendingAvailabilityRequests() {
       throw new Error(`Invalid fulfillment stage: ${stage}`);
     }
     
-    const orderIndex = this.orders.findIndex(o => o.id === parseInt(orderId));
-    if (orderIndex === -1) {
-      throw new Error('Order not found');
-    }
-
-    const order = this.orders[orderIndex];
+    const order = await this.getById(orderId);
     
     // Initialize order_status_timestamps if not exists
     if (!order.order_status_timestamps) {
@@ -804,8 +1395,7 @@ async getPendingAvailabilityRequests() {
       order.vendorConfirmationTimestamp = new Date().toISOString();
     }
     
-    this.orders[orderIndex] = order;
-    return { ...order };
+    return await this.update(order.id, order);
   }
 
   // Check if payment amounts match between vendor and admin
@@ -884,12 +1474,7 @@ async getPendingAvailabilityRequests() {
   async confirmHandover(orderId, handoverData) {
     await this.delay();
     
-    const orderIndex = this.orders.findIndex(o => o.id === parseInt(orderId));
-    if (orderIndex === -1) {
-      throw new Error('Order not found');
-    }
-
-    const order = this.orders[orderIndex];
+    const order = await this.getById(orderId);
     
     order.fulfillment_stage = 'handed_over';
     order.handoverSignature = handoverData.signature;
@@ -899,8 +1484,7 @@ async getPendingAvailabilityRequests() {
     order.deliveryStatus = 'picked_up';
     order.updatedAt = new Date().toISOString();
     
-    this.orders[orderIndex] = order;
-    return { ...order };
+    return await this.update(order.id, order);
 }
 
   // Enhanced Price Summary Data Retrieval with Role-Based Filtering
@@ -1,3 +1,7 @@
+import { persistenceService } from '@/services/PersistenceService';
+import sessionService from '@/services/SessionService';
+import { auditService } from '@/services/api/auditService';
+
 // Payment Service - Pure JavaScript implementation
 // Handles all payment processing operations
 class PaymentService {
@@ -9,8 +13,6 @@ constructor() {
     this.vendorBills = [];
     this.vendorPayments = [];
     this.paymentProofs = [];
-    this.currentUserRole = 'admin';
-    this.financeManagerRole = 'finance_manager';
     this.cardBrands = {
       '4': 'visa',
       '5': 'mastercard',
@@ -64,6 +66,42 @@ constructor() {
         instructions: 'Send money to the above EasyPaisa number and upload payment screenshot.'
       }
     ];
+
+    // State written through to persistent storage as a single "payments" document
+    this.persistedFields = [
+      'transactions',
+      'walletBalance',
+      'walletTransactions',
+      'vendors',
+      'vendorBills',
+      'vendorPayments',
+      'paymentProofs',
+      'recurringPayments',
+      'recurringPaymentIdCounter',
+      'scheduledPayments',
+      'scheduledPaymentIdCounter',
+      'paymentAutomationRules',
+      'automationRuleIdCounter',
+      'paymentGateways'
+    ];
+    this.ready = persistenceService.load('payments', this.getPersistedState()).then(state => {
+      this.persistedFields.forEach(field => {
+        if (state && state[field] !== undefined) {
+          this[field] = state[field];
+        }
+      });
+    });
+  }
+
+  getPersistedState() {
+    return this.persistedFields.reduce((state, field) => {
+      state[field] = this[field];
+      return state;
+    }, {});
+  }
+
+  persist() {
+    return persistenceService.save('payments', this.getPersistedState());
   }
 
   // Card Payment Processing
@@ -101,6 +139,7 @@ constructor() {
     };
 
     this.transactions.push(transaction);
+    await this.persist();
     return { ...transaction };
   }
 
@@ -164,6 +203,7 @@ async processDigitalWalletPayment(walletType, amount, orderId, phone) {
     };
 
     this.transactions.push(transaction);
+    await this.persist();
     return { ...transaction };
   }
 
@@ -189,6 +229,7 @@ async processDigitalWalletPayment(walletType, amount, orderId, phone) {
     };
 
     this.transactions.push(transaction);
+    await this.persist();
     return { ...transaction };
   }
 
@@ -208,6 +249,7 @@ async processDigitalWalletPayment(walletType, amount, orderId, phone) {
     // Simulate verification process
     const verified = Math.random() > 0.2; // 80% verification success rate
 
+    const previousStatus = transaction.status;
     if (verified) {
       transaction.status = 'completed';
       transaction.verifiedAt = new Date().toISOString();
@@ -217,6 +259,17 @@ transaction.verificationData = verificationData;
     }
 
     // Return verification result
+    await this.persist();
+    await auditService.safeRecord({
+      action: verified ? 'payment.verified' : 'payment.verification_failed',
+      entityType: 'payment',
+      entityId: transactionId,
+      actor: sessionService.getActorId(),
+      summary: `Payment ${transactionId} ${verified ? 'verified' : 'failed verification'}`,
+      before: { status: previousStatus },
+      after: { status: transaction.status },
+      metadata: { orderId: transaction.orderId ?? null, amount: transaction.amount ?? null }
+    });
     return { verified, transaction: { ...transaction } };
   }
 
@@ -259,6 +312,7 @@ transaction.verificationData = verificationData;
     }
     
     this.transactions.push(retryTransaction);
+    await this.persist();
     return { ...retryTransaction };
   }
 
@@ -273,8 +327,54 @@ transaction.verificationData = verificationData;
       transaction.failedAt = new Date().toISOString();
     }
     
+    await this.persist();
     return transaction;
   }
+
+  /**
+   * Payout already made for a refund record, either a refund transaction or a wallet credit.
+   * Lets a retried refund pick up the earlier payout instead of paying twice.
+   * @returns {Promise<Object|null>}
+   */
+  async getRefundPayout(refundId) {
+    await this.ready;
+    if (!refundId) return null;
+    const payout = this.transactions.find(t => t.type === 'refund' && t.refundId === refundId) ||
+      this.walletTransactions.find(t => t.type === 'refund_credit' && t.metadata?.refundId === refundId);
+    return payout ? { ...payout } : null;
+  }
+
+  // Refund back to the method the order was paid with; cash refunds are handed over by the rider
+  async refundPayment({ orderId, amount, paymentMethod, originalTransactionId = null, reason = '', refundId = null }) {
+    await this.delay(500);
+
+    if (!(amount > 0)) {
+      throw new Error('Refund amount must be positive');
+    }
+
+    const transaction = {
+      Id: this.getNextId(),
+      type: 'refund',
+      orderId,
+      amount,
+      paymentMethod,
+      status: paymentMethod === 'cash' ? 'pending' : 'completed',
+      transactionId: this.generateTransactionId(),
+      originalTransactionId,
+      refundId,
+      reason,
+      timestamp: new Date().toISOString(),
+      processingFee: 0,
+      gatewayResponse: {
+        reference: this.generateReference()
+      }
+    };
+
+    this.transactions.push(transaction);
+    await this.persist();
+    return { ...transaction };
+  }
+
 async getAvailablePaymentMethods() {
     await this.delay(200);
     return [...this.paymentGateways];
@@ -378,10 +478,26 @@ generateTransactionId() {
 
   async updateWalletBalance(amount) {
     await this.delay(200);
+    const previousBalance = this.walletBalance;
     this.walletBalance += amount;
+    await this.persist();
+    await this.auditWallet('wallet.adjusted', `Wallet balance adjusted by Rs. ${amount}`, previousBalance, { amount });
     return this.walletBalance;
   }
 
+  auditWallet(action, summary, previousBalance, metadata = {}) {
+    return auditService.safeRecord({
+      action,
+      entityType: 'wallet',
+      entityId: 'store',
+      actor: sessionService.getActorId(),
+      summary,
+      before: { balance: previousBalance },
+      after: { balance: this.walletBalance },
+      metadata
+    });
+  }
+
   // Approval Workflow Integration Methods
 // Approval Workflow Integration Methods
   async holdWalletBalance(amount, reason, requestId = null) {
@@ -417,6 +533,7 @@ generateTransactionId() {
     this.walletTransactions.push(holdTransaction);
     console.log(`Wallet hold created: Rs. ${amount} for ${reason}`);
     
+    await this.persist();
 return holdTransaction;
 }
 
@@ -443,6 +560,7 @@ return holdTransaction;
     this.walletTransactions.push(releaseTransaction);
     console.log(`Wallet hold released: Rs. ${amount} for ${reason}`);
     
+    await this.persist();
     return releaseTransaction;
   }
 async processApprovalAdjustment(adjustmentData) {
@@ -481,6 +599,7 @@ async processApprovalAdjustment(adjustmentData) {
     
     console.log(`Processed approval adjustment: Rs. ${adjustmentAmount} for request ${requestId}`);
     
+    await this.persist();
     return adjustmentTransaction;
   }
 
@@ -521,6 +640,7 @@ async processApprovalAdjustment(adjustmentData) {
     this.walletTransactions.push(transaction);
     console.log(`Recorded wallet transaction: ${type} - Rs. ${amount}`);
     
+    await this.persist();
     return transaction;
   }
 
@@ -531,6 +651,7 @@ async processApprovalAdjustment(adjustmentData) {
       throw new Error('Deposit amount must be positive');
     }
 
+    const previousBalance = this.walletBalance;
     this.walletBalance += amount;
     
     const transaction = {
@@ -544,6 +665,8 @@ async processApprovalAdjustment(adjustmentData) {
     };
 
     this.walletTransactions.push(transaction);
+    await this.persist();
+    await this.auditWallet('wallet.deposit', `Deposited Rs. ${amount} to wallet`, previousBalance, { amount, reference: transaction.reference });
     return { ...transaction };
   }
 
@@ -558,6 +681,7 @@ async processApprovalAdjustment(adjustmentData) {
       throw new Error('Insufficient wallet balance');
     }
 
+    const previousBalance = this.walletBalance;
     this.walletBalance -= amount;
     
     const transaction = {
@@ -571,6 +695,8 @@ async processApprovalAdjustment(adjustmentData) {
     };
 
     this.walletTransactions.push(transaction);
+    await this.persist();
+    await this.auditWallet('wallet.withdrawal', `Withdrew Rs. ${amount} from wallet`, previousBalance, { amount, reference: transaction.reference });
     return { ...transaction };
   }
 
@@ -585,6 +711,7 @@ async processApprovalAdjustment(adjustmentData) {
       throw new Error('Insufficient wallet balance');
     }
 
+    const previousBalance = this.walletBalance;
     this.walletBalance -= amount;
     
     const transaction = {
@@ -598,6 +725,8 @@ async processApprovalAdjustment(adjustmentData) {
       recipientId
     };
 this.walletTransactions.push(transaction);
+    await this.persist();
+    await this.auditWallet('wallet.transfer', `Transferred Rs. ${amount} from wallet${recipientId ? ` to ${recipientId}` : ''}`, previousBalance, { amount, recipientId, reference: transaction.reference });
     return { ...transaction };
   }
 
@@ -666,6 +795,7 @@ async processWalletPayment(amount, orderId) {
     };
 
     this.walletTransactions.push(transaction);
+    await this.persist();
     return { 
       ...transaction,
       transactionId: transaction.transactionId
@@ -736,6 +866,7 @@ async getGatewayStatus(gatewayId) {
       throw new Error('Payment gateway not found');
     }
     gateway.enabled = true;
+    await this.persist();
     return { success: true, gatewayId, enabled: true };
   }
 
@@ -746,6 +877,7 @@ async getGatewayStatus(gatewayId) {
       throw new Error('Payment gateway not found');
     }
     gateway.enabled = false;
+    await this.persist();
     return { success: true, gatewayId, enabled: false };
   }
 
@@ -772,6 +904,7 @@ async getGatewayStatus(gatewayId) {
     };
 
     this.paymentGateways.push(gateway);
+    await this.persist();
     return { ...gateway };
   }
 
@@ -793,6 +926,7 @@ async getGatewayStatus(gatewayId) {
       updatedAt: new Date().toISOString()
     });
 
+    await this.persist();
     return { ...gateway };
   }
 
@@ -810,6 +944,7 @@ async getGatewayStatus(gatewayId) {
     }
 
     this.paymentGateways.splice(index, 1);
+    await this.persist();
     return { success: true };
   }
 
@@ -819,7 +954,8 @@ async getGatewayStatus(gatewayId) {
     return maxId + 1;
   }
 
-delay(ms = 300) {
+async delay(ms = 300) {
+    await this.ready;
     return new Promise(resolve => setTimeout(resolve, ms));
   }
   
@@ -849,6 +985,7 @@ delay(ms = 300) {
     };
 
     this.vendors.push(vendor);
+    await this.persist();
     return { ...vendor };
   }
 
@@ -865,6 +1002,7 @@ delay(ms = 300) {
       updatedAt: new Date().toISOString()
     });
 
+    await this.persist();
     return { ...vendor };
   }
 
@@ -886,6 +1024,7 @@ delay(ms = 300) {
     }
 
     this.vendors.splice(index, 1);
+    await this.persist();
     return { success: true };
   }
 
@@ -907,9 +1046,7 @@ delay(ms = 300) {
   async createVendorBill(billData) {
     await this.delay(500);
     
-    if (!this.validateFinanceManagerRole()) {
-      throw new Error('Insufficient permissions. Finance manager role required.');
-    }
+    sessionService.requirePermission('manage_payments');
 
     if (!billData.vendorId || !billData.amount || !billData.description) {
       throw new Error('Vendor ID, amount, and description are required');
@@ -931,7 +1068,7 @@ delay(ms = 300) {
       status: 'pending',
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
-      createdBy: this.currentUserRole,
+      createdBy: sessionService.getActorId(),
       category: billData.category || 'general',
       taxAmount: billData.taxAmount || 0,
       totalAmount: billData.amount + (billData.taxAmount || 0)
@@ -943,15 +1080,14 @@ delay(ms = 300) {
     vendor.totalOwed += bill.totalAmount;
     vendor.updatedAt = new Date().toISOString();
 
+    await this.persist();
     return { ...bill };
   }
 
   async processVendorBillPayment(billId, paymentData) {
     await this.delay(800);
     
-    if (!this.validateFinanceManagerRole()) {
-      throw new Error('Insufficient permissions. Finance manager role required.');
-    }
+    sessionService.requirePermission('manage_payments');
 
     const bill = this.vendorBills.find(b => b.Id === billId);
     if (!bill) {
@@ -982,7 +1118,7 @@ delay(ms = 300) {
       status: 'pending_proof',
       transactionId: this.generateTransactionId(),
       timestamp: new Date().toISOString(),
-      paidBy: this.currentUserRole,
+      paidBy: sessionService.getActorId(),
       reference: paymentData.reference || '',
       notes: paymentData.notes || '',
       requiresProof: true,
@@ -1003,6 +1139,7 @@ delay(ms = 300) {
 
     bill.updatedAt = new Date().toISOString();
 
+    await this.persist();
     return { ...payment };
   }
 
@@ -1010,9 +1147,7 @@ delay(ms = 300) {
   async uploadPaymentProof(paymentId, proofData) {
     await this.delay(600);
     
-    if (!this.validateFinanceManagerRole()) {
-      throw new Error('Insufficient permissions. Finance manager role required.');
-    }
+    sessionService.requirePermission('manage_payments');
 
     const payment = this.vendorPayments.find(p => p.Id === paymentId);
     if (!payment) {
@@ -1041,7 +1176,7 @@ delay(ms = 300) {
       fileSize: proofData.fileSize,
       fileUrl: this.generateFileUrl(proofData.fileName), // Simulated URL
       uploadedAt: new Date().toISOString(),
-      uploadedBy: this.currentUserRole,
+      uploadedBy: sessionService.getActorId(),
       status: 'pending_verification',
       verificationNotes: ''
     };
@@ -1053,15 +1188,14 @@ delay(ms = 300) {
     payment.proofId = proof.Id;
     payment.updatedAt = new Date().toISOString();
 
+    await this.persist();
     return { ...proof };
   }
 
   async verifyPaymentProof(proofId, verificationData) {
     await this.delay(400);
     
-    if (!this.validateFinanceManagerRole()) {
-      throw new Error('Insufficient permissions. Finance manager role required.');
-    }
+    sessionService.requirePermission('verify_payments');
 
     const proof = this.paymentProofs.find(p => p.Id === proofId);
     if (!proof) {
@@ -1075,10 +1209,12 @@ delay(ms = 300) {
 
     // Simulate verification process
     const verified = verificationData.approved !== false; // Default to approved unless explicitly false
+    const previousPaymentStatus = payment.status;
+    const previousProofStatus = payment.proofStatus ?? null;
 
     proof.status = verified ? 'verified' : 'rejected';
     proof.verifiedAt = new Date().toISOString();
-    proof.verifiedBy = this.currentUserRole;
+    proof.verifiedBy = sessionService.getActorId();
     proof.verificationNotes = verificationData.notes || '';
 
     if (verified) {
@@ -1102,6 +1238,17 @@ delay(ms = 300) {
 
     payment.updatedAt = new Date().toISOString();
 
+    await this.persist();
+    await auditService.safeRecord({
+      action: verified ? 'payment_proof.verified' : 'payment_proof.rejected',
+      entityType: 'vendor_payment',
+      entityId: payment.Id,
+      actor: proof.verifiedBy,
+      summary: `Payment proof #${proof.Id} ${verified ? 'verified' : 'rejected'} for Rs. ${payment.amount}`,
+      before: { status: previousPaymentStatus, proofStatus: previousProofStatus },
+      after: { status: payment.status, proofStatus: payment.proofStatus },
+      metadata: { proofId: proof.Id, vendorId: payment.vendorId, notes: proof.verificationNotes }
+    });
     return { 
       verified, 
       proof: { ...proof }, 
@@ -1109,20 +1256,14 @@ delay(ms = 300) {
     };
   }
 
-  // Finance Manager Role Validation
+  // Finance actions are gated by permissions on the signed-in user's role
   validateFinanceManagerRole() {
-    return this.currentUserRole === 'admin' || this.currentUserRole === this.financeManagerRole;
-  }
-
-  async setUserRole(role) {
-    await this.delay(100);
-    this.currentUserRole = role;
-    return { role };
+    return sessionService.hasPermission('manage_payments');
   }
 
   async getCurrentUserRole() {
     await this.delay(100);
-    return { role: this.currentUserRole };
+    return { role: sessionService.getUserRole() };
   }
 
   // Reporting and Analytics
@@ -1242,9 +1383,7 @@ generateFileUrl(fileName) {
   async createRecurringPayment(recurringData) {
     await this.delay(500);
     
-    if (!this.validateFinanceManagerRole()) {
-      throw new Error('Insufficient permissions. Finance manager role required.');
-    }
+    sessionService.requirePermission('manage_payments');
 
     // Validate required fields
     if (!recurringData.name || !recurringData.vendorId || !recurringData.amount || !recurringData.frequency) {
@@ -1282,7 +1421,7 @@ generateFileUrl(fileName) {
       emailNotifications: recurringData.emailNotifications !== false,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
-      createdBy: this.currentUserRole,
+      createdBy: sessionService.getActorId(),
       totalPayments: 0,
       successfulPayments: 0,
       failedPayments: 0,
@@ -1303,15 +1442,14 @@ generateFileUrl(fileName) {
     // Schedule the first payment
     await this.scheduleNextPayment(recurringPayment);
 
+    await this.persist();
     return { ...recurringPayment };
   }
 
   async updateRecurringPayment(recurringId, updateData) {
     await this.delay(400);
     
-    if (!this.validateFinanceManagerRole()) {
-      throw new Error('Insufficient permissions. Finance manager role required.');
-    }
+    sessionService.requirePermission('manage_payments');
 
     const recurring = this.recurringPayments.find(r => r.Id === recurringId);
     if (!recurring) {
@@ -1357,6 +1495,7 @@ generateFileUrl(fileName) {
       );
     }
 
+    await this.persist();
     return { ...recurring };
   }
 
@@ -1366,7 +1505,7 @@ generateFileUrl(fileName) {
     return await this.updateRecurringPayment(recurringId, { 
       status: 'paused',
       pausedAt: new Date().toISOString(),
-      pausedBy: this.currentUserRole
+      pausedBy: sessionService.getActorId()
     });
   }
 
@@ -1385,16 +1524,14 @@ generateFileUrl(fileName) {
       status: 'active',
       nextPaymentDate,
       resumedAt: new Date().toISOString(),
-      resumedBy: this.currentUserRole
+      resumedBy: sessionService.getActorId()
     });
   }
 
   async deleteRecurringPayment(recurringId) {
     await this.delay(300);
     
-    if (!this.validateFinanceManagerRole()) {
-      throw new Error('Insufficient permissions. Finance manager role required.');
-    }
+    sessionService.requirePermission('manage_payments');
 
     const index = this.recurringPayments.findIndex(r => r.Id === recurringId);
     if (index === -1) {
@@ -1409,8 +1546,9 @@ generateFileUrl(fileName) {
     // Mark as cancelled instead of deleting (for audit trail)
     this.recurringPayments[index].status = 'cancelled';
     this.recurringPayments[index].cancelledAt = new Date().toISOString();
-    this.recurringPayments[index].cancelledBy = this.currentUserRole;
+    this.recurringPayments[index].cancelledBy = sessionService.getActorId();
 
+    await this.persist();
     return { success: true };
   }
 
@@ -1490,6 +1628,7 @@ generateFileUrl(fileName) {
         });
       }
     }
+    await this.persist();
 return results;
   }
 
@@ -1700,9 +1839,7 @@ const retryPayment = {
   async createAutomationRule(ruleData) {
     await this.delay(400);
     
-    if (!this.validateFinanceManagerRole()) {
-      throw new Error('Insufficient permissions. Finance manager role required.');
-    }
+    sessionService.requirePermission('manage_payments');
 
     const rule = {
       Id: this.automationRuleIdCounter++,
@@ -1713,12 +1850,13 @@ const retryPayment = {
       actions: ruleData.actions || {},
       priority: ruleData.priority || 1,
       createdAt: new Date().toISOString(),
-      createdBy: this.currentUserRole,
+      createdBy: sessionService.getActorId(),
       lastTriggered: null,
       triggerCount: 0
     };
 
     this.paymentAutomationRules.push(rule);
+    await this.persist();
     return { ...rule };
   }
 
@@ -1740,6 +1878,7 @@ const retryPayment = {
       updatedAt: new Date().toISOString()
     });
 
+    await this.persist();
     return { ...rule };
   }
 
@@ -1752,6 +1891,7 @@ const retryPayment = {
     }
 
     this.paymentAutomationRules.splice(index, 1);
+    await this.persist();
     return { success: true };
   }
 
@@ -1,9 +1,22 @@
 import payroll from '@/services/mockData/payroll.json';
+import { persistenceService } from '@/services/PersistenceService';
+import sessionService from '@/services/SessionService';
+import { auditService } from '@/services/api/auditService';
 
 let payrollData = [...payroll];
 let lastId = Math.max(...payrollData.map(pay => pay.Id), 0);
 
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const ready = persistenceService.load('payroll', payroll).then(records => {
+  payrollData = records;
+  lastId = Math.max(...payrollData.map(pay => pay.Id), 0);
+});
+
+const delay = async (ms) => {
+  await ready;
+  return new Promise(resolve => setTimeout(resolve, ms));
+};
+
+const persist = () => persistenceService.save('payroll', payrollData);
 
 const payrollService = {
   async getAll() {
@@ -19,6 +32,7 @@ const payrollService = {
 
   async create(payrollRecord) {
     await delay(400);
+    sessionService.requirePermission('manage_payroll');
     const newRecord = {
       ...payrollRecord,
       Id: ++lastId,
@@ -37,11 +51,21 @@ const payrollService = {
       updatedAt: new Date().toISOString()
     };
     payrollData.push(newRecord);
+    await persist();
+    await auditService.safeRecord({
+      action: 'payroll.created',
+      entityType: 'payroll',
+      entityId: newRecord.Id,
+      actor: sessionService.getActorId(),
+      summary: `Payroll for employee #${newRecord.employeeId} (${newRecord.month || 'unspecified month'}) created: Rs. ${newRecord.netSalary}`,
+      after: newRecord
+    });
     return { ...newRecord };
   },
 
   async update(id, updatedData) {
     await delay(300);
+    sessionService.requirePermission('manage_payroll');
     const index = payrollData.findIndex(pay => pay.Id === parseInt(id));
     if (index === -1) {
       throw new Error('Payroll record not found');
@@ -55,18 +79,41 @@ const payrollService = {
       updatedAt: new Date().toISOString()
     };
     
+    const previousRecord = payrollData[index];
     payrollData[index] = updatedRecord;
+    await persist();
+
+    const approved = updatedRecord.status === 'approved' && previousRecord.status !== 'approved';
+    await auditService.safeRecord({
+      action: approved ? 'payroll.approved' : 'payroll.updated',
+      entityType: 'payroll',
+      entityId: updatedRecord.Id,
+      actor: sessionService.getActorId(),
+      summary: `Payroll #${updatedRecord.Id} for employee #${updatedRecord.employeeId} ${approved ? 'approved' : 'updated'}`,
+      before: previousRecord,
+      after: updatedRecord
+    });
     return { ...updatedRecord };
   },
 
   async delete(id) {
     await delay(200);
+    sessionService.requirePermission('manage_payroll');
     const index = payrollData.findIndex(pay => pay.Id === parseInt(id));
     if (index === -1) {
       throw new Error('Payroll record not found');
     }
     
     const deletedRecord = payrollData.splice(index, 1)[0];
+    await persist();
+    await auditService.safeRecord({
+      action: 'payroll.deleted',
+      entityType: 'payroll',
+      entityId: deletedRecord.Id,
+      actor: sessionService.getActorId(),
+      summary: `Payroll #${deletedRecord.Id} for employee #${deletedRecord.employeeId} deleted`,
+      before: deletedRecord
+    });
     return { ...deletedRecord };
   },
 
@@ -1,8 +1,62 @@
 import posData from '../mockData/posTransactions.json';
+import { persistenceService } from '@/services/PersistenceService';
+
+// Pakistani rupee notes and coins counted into the drawer at close
+export const CASH_DENOMINATIONS = [5000, 1000, 500, 100, 50, 20, 10, 5, 2, 1];
+// Drawer differences up to this amount are reported but not flagged
+export const SHIFT_VARIANCE_TOLERANCE = 50;
+
+const shiftError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Tenders a sale was paid with. Split-tender sales record them directly; older single-payment
+ * sales are read as one tender of their payment type, plus any loyalty points redeemed.
+ * @returns {Array<{type: string, amount: number}>}
+ */
+export const getTransactionTenders = (transaction) => {
+  if (Array.isArray(transaction.tenders)) {
+    return transaction.tenders;
+  }
+  const pointsValue = transaction.loyaltyRedemption?.value || 0;
+  const tenders = [];
+  if (transaction.total - pointsValue > 0 || pointsValue === 0) {
+    tenders.push({
+      type: transaction.paymentType,
+      amount: roundMoney(transaction.total - pointsValue),
+      ...(transaction.paymentType === 'cash' && { received: transaction.customerPaid, change: transaction.change })
+    });
+  }
+  if (pointsValue > 0) {
+    tenders.push({ type: 'loyalty', amount: pointsValue, points: transaction.loyaltyRedemption.points });
+  }
+  return tenders;
+};
 
 class POSService {
   constructor() {
     this.transactions = [...posData];
+    this.shifts = [];
+    this.ready = Promise.all([
+      persistenceService.load('posTransactions', posData),
+      persistenceService.load('posShifts', [])
+    ]).then(([transactions, shifts]) => {
+      this.transactions = transactions;
+      this.shifts = shifts;
+    });
+  }
+
+  persist() {
+    return persistenceService.save('posTransactions', this.transactions);
+  }
+
+  persistShifts() {
+    return persistenceService.save('posShifts', this.shifts);
   }
 
   async getAll() {
@@ -19,14 +73,26 @@ class POSService {
     return { ...transaction };
   }
 
+  /**
+   * Record a completed sale. Sales replayed from the offline queue carry a clientId and
+   * their original timestamp; a clientId that was already recorded returns the existing sale.
+   */
   async createTransaction(transactionData) {
     await this.delay();
+    if (transactionData.clientId) {
+      const existing = this.transactions.find(t => t.clientId === transactionData.clientId);
+      if (existing) {
+        return { ...existing };
+      }
+    }
+
     const newTransaction = {
       id: this.getNextId(),
       ...transactionData,
-      timestamp: new Date().toISOString()
+      timestamp: transactionData.timestamp || new Date().toISOString()
     };
     this.transactions.push(newTransaction);
+    await this.persist();
     return { ...newTransaction };
   }
 
@@ -67,36 +133,282 @@ class POSService {
 
     const index = this.transactions.findIndex(t => t.id === transactionId);
     this.transactions[index] = updatedTransaction;
+    await this.persist();
     
     return { ...updatedTransaction };
   }
 
   async getTransactionsByPaymentMethod(paymentMethod) {
     await this.delay();
-    return this.transactions.filter(t => t.paymentType === paymentMethod);
+    return this.transactions.filter(t => getTransactionTenders(t).some(tender => tender.type === paymentMethod));
   }
 
-  async getDailyPaymentBreakdown(date) {
+  /**
+   * @param {Object} options - { shiftId } to limit the breakdown to one shift's sales
+   */
+  async getDailyPaymentBreakdown(date, options = {}) {
     await this.delay();
     const targetDate = new Date(date).toDateString();
     const dailyTransactions = this.transactions.filter(
-      t => new Date(t.timestamp).toDateString() === targetDate
+      t => new Date(t.timestamp).toDateString() === targetDate &&
+        (options.shiftId === undefined || t.shiftId === options.shiftId)
     );
 
+    // Each tender counts towards its own method, so a part-cash, part-card sale adds its cash to the
+    // drawer's expected total; loyalty points are tender too, reported apart from the drawer's cash
     const breakdown = dailyTransactions.reduce((acc, transaction) => {
-      const method = transaction.paymentType;
-      if (!acc[method]) {
-        acc[method] = { count: 0, total: 0 };
-      }
-      acc[method].count += 1;
-      acc[method].total += transaction.total;
+      const totals = getTransactionTenders(transaction).reduce((byMethod, tender) => {
+        byMethod[tender.type] = (byMethod[tender.type] || 0) + tender.amount;
+        return byMethod;
+      }, {});
+      Object.entries(totals).forEach(([method, total]) => {
+        if (!acc[method]) {
+          acc[method] = { count: 0, total: 0 };
+        }
+        acc[method].count += 1;
+        acc[method].total = roundMoney(acc[method].total + total);
+      });
       return acc;
     }, {});
 
     return breakdown;
   }
 
-  delay() {
+  // Shift Management Methods
+  async getShifts(filters = {}) {
+    await this.delay();
+    return this.shifts
+      .filter(shift => (!filters.cashierId || shift.cashierId === filters.cashierId) &&
+        (!filters.status || shift.status === filters.status))
+      .sort((a, b) => new Date(b.openedAt) - new Date(a.openedAt))
+      .map(shift => ({ ...shift }));
+  }
+
+  async getCurrentShift(cashierId) {
+    await this.delay();
+    const shift = this.shifts.find(s => s.cashierId === cashierId && s.status === 'open');
+    return shift ? { ...shift } : null;
+  }
+
+  async openShift({ cashierId, cashierName, openingFloat }) {
+    await this.delay();
+    if (!cashierId) {
+      throw shiftError('A cashier is required to open a shift', 'CASHIER_REQUIRED');
+    }
+    const float = Number(openingFloat);
+    if (!Number.isFinite(float) || float < 0) {
+      throw shiftError('Opening float must be zero or more', 'INVALID_AMOUNT');
+    }
+    if (this.shifts.some(s => s.cashierId === cashierId && s.status === 'open')) {
+      throw shiftError('This cashier already has an open shift', 'SHIFT_ALREADY_OPEN');
+    }
+
+    const shift = {
+      id: this.getNextShiftId(),
+      cashierId,
+      cashierName: cashierName || cashierId,
+      status: 'open',
+      openingFloat: roundMoney(float),
+      cashMovements: [],
+      openedAt: new Date().toISOString(),
+      closedAt: null,
+      zReport: null
+    };
+    this.shifts.push(shift);
+    await this.persistShifts();
+    return { ...shift };
+  }
+
+  /**
+   * Record petty cash put into ('in') or taken out of ('out') the drawer
+   * @param {Object} movement - { type, amount, reason, actor }
+   */
+  async addCashMovement(shiftId, { type, amount, reason, actor } = {}) {
+    await this.delay();
+    const shift = this.findOpenShift(shiftId);
+    if (!['in', 'out'].includes(type)) {
+      throw shiftError('Cash movement must be "in" or "out"', 'INVALID_MOVEMENT');
+    }
+    const value = Number(amount);
+    if (!Number.isFinite(value) || value <= 0) {
+      throw shiftError('Amount must be greater than 0', 'INVALID_AMOUNT');
+    }
+    if (!reason || !reason.trim()) {
+      throw shiftError('A reason is required for petty cash entries', 'REASON_REQUIRED');
+    }
+    if (type === 'out') {
+      const { expectedCash } = await this.buildShiftReport(shift);
+      if (value > expectedCash) {
+        throw shiftError(`Only Rs. ${expectedCash.toLocaleString()} should be in the drawer`, 'INSUFFICIENT_CASH');
+      }
+    }
+
+    shift.cashMovements.push({
+      id: shift.cashMovements.length + 1,
+      type,
+      amount: roundMoney(value),
+      reason: reason.trim(),
+      createdBy: actor || shift.cashierId,
+      createdAt: new Date().toISOString()
+    });
+    await this.persistShifts();
+    return { ...shift };
+  }
+
+  /**
+   * X-report: running totals for an open shift without closing it
+   */
+  async getXReport(shiftId) {
+    await this.delay();
+    const shift = this.findOpenShift(shiftId);
+    return { type: 'X', ...(await this.buildShiftReport(shift)) };
+  }
+
+  /**
+   * Close a shift and produce its Z-report, reconciling the counted drawer against expected cash
+   * @param {Object} closing - { denominations: { [note]: count }, notes, actor }
+   */
+  async closeShift(shiftId, { denominations = {}, notes = '', actor } = {}) {
+    await this.delay();
+    const shift = this.findOpenShift(shiftId);
+
+    const counted = {};
+    for (const [denomination, count] of Object.entries(denominations)) {
+      if (!CASH_DENOMINATIONS.includes(Number(denomination))) {
+        throw shiftError(`Unknown denomination: ${denomination}`, 'INVALID_DENOMINATION');
+      }
+      const quantity = Number(count || 0);
+      if (!Number.isInteger(quantity) || quantity < 0) {
+        throw shiftError(`Count for Rs. ${denomination} must be a whole number`, 'INVALID_COUNT');
+      }
+      if (quantity > 0) {
+        counted[denomination] = quantity;
+      }
+    }
+
+    const report = await this.buildShiftReport(shift);
+    const countedCash = roundMoney(Object.entries(counted)
+      .reduce((sum, [denomination, quantity]) => sum + Number(denomination) * quantity, 0));
+    const variance = roundMoney(countedCash - report.expectedCash);
+
+    shift.status = 'closed';
+    shift.closedAt = report.generatedAt;
+    shift.zReport = {
+      type: 'Z',
+      ...report,
+      denominations: counted,
+      countedCash,
+      variance,
+      varianceStatus: variance === 0 ? 'balanced' : variance < 0 ? 'short' : 'over',
+      flagged: Math.abs(variance) > SHIFT_VARIANCE_TOLERANCE,
+      notes: notes.trim(),
+      closedBy: actor || shift.cashierId
+    };
+    await this.persistShifts();
+    return { ...shift };
+  }
+
+  /**
+   * Drawer variances from closed shifts, grouped per cashier, flagged cashiers first
+   */
+  async getCashierVariances() {
+    await this.delay();
+    const byCashier = new Map();
+    this.shifts
+      .filter(shift => shift.status === 'closed' && shift.zReport)
+      .forEach(shift => {
+        const summary = byCashier.get(shift.cashierId) || {
+          cashierId: shift.cashierId,
+          cashierName: shift.cashierName,
+          shifts: 0,
+          totalVariance: 0,
+          shortCount: 0,
+          overCount: 0,
+          flaggedCount: 0,
+          lastClosedAt: null
+        };
+        const { variance, varianceStatus, flagged } = shift.zReport;
+        summary.shifts += 1;
+        summary.totalVariance = roundMoney(summary.totalVariance + variance);
+        if (varianceStatus === 'short') summary.shortCount += 1;
+        if (varianceStatus === 'over') summary.overCount += 1;
+        if (flagged) summary.flaggedCount += 1;
+        if (!summary.lastClosedAt || shift.closedAt > summary.lastClosedAt) {
+          summary.lastClosedAt = shift.closedAt;
+        }
+        byCashier.set(shift.cashierId, summary);
+      });
+
+    return [...byCashier.values()].sort((a, b) =>
+      b.flaggedCount - a.flaggedCount || Math.abs(b.totalVariance) - Math.abs(a.totalVariance));
+  }
+
+  findOpenShift(shiftId) {
+    const shift = this.shifts.find(s => s.id === shiftId);
+    if (!shift) {
+      throw shiftError('Shift not found', 'SHIFT_NOT_FOUND');
+    }
+    if (shift.status !== 'open') {
+      throw shiftError('This shift is already closed', 'SHIFT_CLOSED');
+    }
+    return shift;
+  }
+
+  // Shift totals come from the per-day payment breakdown, one call per calendar day the shift spans
+  async buildShiftReport(shift) {
+    const generatedAt = new Date();
+    const days = [];
+    for (let day = new Date(shift.openedAt); day <= generatedAt; day.setDate(day.getDate() + 1)) {
+      days.push(new Date(day.getFullYear(), day.getMonth(), day.getDate()));
+    }
+    if (days.length === 0 || days[days.length - 1].toDateString() !== generatedAt.toDateString()) {
+      days.push(generatedAt);
+    }
+
+    const breakdowns = await Promise.all(days.map(day => this.getDailyPaymentBreakdown(day, { shiftId: shift.id })));
+    const payments = breakdowns.reduce((acc, breakdown) => {
+      Object.entries(breakdown).forEach(([method, { count, total }]) => {
+        acc[method] = acc[method] || { count: 0, total: 0 };
+        acc[method].count += count;
+        acc[method].total = roundMoney(acc[method].total + total);
+      });
+      return acc;
+    }, {});
+
+    const sumMovements = (type) => roundMoney(shift.cashMovements
+      .filter(movement => movement.type === type)
+      .reduce((sum, movement) => sum + movement.amount, 0));
+    const cashSales = payments.cash?.total || 0;
+    const cashIn = sumMovements('in');
+    const cashOut = sumMovements('out');
+
+    return {
+      shiftId: shift.id,
+      cashierId: shift.cashierId,
+      cashierName: shift.cashierName,
+      openedAt: shift.openedAt,
+      generatedAt: generatedAt.toISOString(),
+      openingFloat: shift.openingFloat,
+      payments,
+      // Split-tender sales appear under several methods, so count the sales themselves
+      transactionCount: this.transactions.filter(t => t.shiftId === shift.id).length,
+      totalSales: roundMoney(Object.values(payments).reduce((sum, { total }) => sum + total, 0)),
+      cashSales,
+      cashIn,
+      cashOut,
+      cashMovements: [...shift.cashMovements],
+      expectedCash: roundMoney(shift.openingFloat + cashSales + cashIn - cashOut)
+    };
+  }
+
+  getNextShiftId() {
+    const maxId = this.shifts.reduce((max, shift) =>
+      shift.id > max ? shift.id : max, 0);
+    return maxId + 1;
+  }
+
+  async delay() {
+    await this.ready;
     return new Promise(resolve => setTimeout(resolve, 300));
   }
 }
@@ -0,0 +1,394 @@
+import IndexedDBAdapter from "@/services/persistence/IndexedDBAdapter";
+import MemoryAdapter from "@/services/persistence/MemoryAdapter";
+import { posService } from "@/services/api/posService";
+import { productService } from "@/services/api/productService";
+import { loyaltyService } from "@/services/api/loyaltyService";
+import { normalizeGtin } from "@/utils/barcode";
+
+const MAX_CONFLICTS = 50;
+
+const syncError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Dropped connections surface as ApiError type network/timeout in live mode, or as
+// the "Network error ..." messages productService rewraps them into
+const isNetworkError = (error) =>
+  error?.type === 'network' || error?.type === 'timeout' || /network|timeout/i.test(error?.message || '');
+
+const generateClientId = () => {
+  const random = typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  return `pos-${random}`;
+};
+
+/**
+ * POSSyncService - Keeps the till working without a connection
+ * Sales are queued locally with client-generated IDs and replayed against posService and
+ * productService once the connection is back. The queue always lives in the browser's own
+ * IndexedDB, whatever backend PersistenceService is configured with, so it survives both
+ * reloads and an unreachable server.
+ */
+class POSSyncService {
+  constructor() {
+    this.storage = IndexedDBAdapter.isSupported()
+      ? new IndexedDBAdapter('freshmart-pos', 'offline')
+      : new MemoryAdapter();
+    this.queue = [];
+    this.catalog = null;
+    this.conflicts = [];
+    this.openSale = null;
+    this.listeners = new Set();
+    this.syncing = null;
+    this.reachable = true;
+    this.lastSyncAt = null;
+
+    this.ready = Promise.all([
+      this.read('queue', []),
+      this.read('catalog', null),
+      this.read('conflicts', []),
+      this.read('openSale', null)
+    ]).then(([queue, catalog, conflicts, openSale]) => {
+      this.queue = queue;
+      this.catalog = catalog;
+      this.conflicts = conflicts;
+      this.openSale = openSale;
+      this.notify();
+    });
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', () => {
+        this.reachable = true;
+        this.notify();
+        this.sync();
+      });
+      window.addEventListener('offline', () => this.notify());
+    }
+  }
+
+  async read(key, fallback) {
+    try {
+      const stored = await this.storage.getItem(key);
+      return stored ?? fallback;
+    } catch (error) {
+      console.error(`POSSyncService: Failed to read "${key}":`, error);
+      return fallback;
+    }
+  }
+
+  async write(key, value) {
+    try {
+      await this.storage.setItem(key, JSON.parse(JSON.stringify(value)));
+    } catch (error) {
+      console.error(`POSSyncService: Failed to write "${key}":`, error);
+    }
+  }
+
+  isOnline() {
+    const browserOnline = typeof navigator === 'undefined' || navigator.onLine !== false;
+    return browserOnline && this.reachable;
+  }
+
+  getStatus() {
+    return {
+      online: this.isOnline(),
+      syncing: Boolean(this.syncing),
+      pending: this.queue.length,
+      failed: this.queue.filter(entry => entry.lastError).length,
+      conflicts: [...this.conflicts],
+      lastSyncAt: this.lastSyncAt,
+      catalogCachedAt: this.catalog?.cachedAt || null
+    };
+  }
+
+  /**
+   * Subscribe to connectivity, queue and conflict changes
+   * @param {Function} listener - Called with getStatus()
+   * @returns {Function} - Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    listener(this.getStatus());
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    const status = this.getStatus();
+    this.listeners.forEach(listener => {
+      try {
+        listener(status);
+      } catch (error) {
+        console.error('POSSyncService listener failed:', error);
+      }
+    });
+  }
+
+  // Quantities sold at this till that the server has not seen yet
+  getPendingQuantities() {
+    const pending = new Map();
+    this.queue.forEach(entry => {
+      entry.transaction.items.forEach(item => {
+        if (entry.stockApplied.includes(item.productId)) return;
+        pending.set(item.productId, (pending.get(item.productId) || 0) + item.quantity);
+      });
+    });
+    return pending;
+  }
+
+  // The cache holds the server's last known stock; queued sales are applied on top on every read
+  applyPending(products) {
+    const pending = this.getPendingQuantities();
+    return products.map(product => pending.has(product.id)
+      ? { ...product, stock: Math.max(0, product.stock - pending.get(product.id)) }
+      : product);
+  }
+
+  /**
+   * Load the POS catalog, refreshing the local copy when the server is reachable
+   * @returns {Promise<{products: Array, source: 'live'|'cache', cachedAt: string}>}
+   */
+  async getCatalog() {
+    await this.ready;
+
+    if (typeof navigator === 'undefined' || navigator.onLine !== false) {
+      try {
+        const products = await productService.getAll();
+        this.catalog = { products, cachedAt: new Date().toISOString() };
+        await this.write('catalog', this.catalog);
+        this.reachable = true;
+        this.notify();
+        return { products: this.applyPending(products), source: 'live', cachedAt: this.catalog.cachedAt };
+      } catch (error) {
+        if (!isNetworkError(error) || !this.catalog) {
+          throw error;
+        }
+        this.reachable = false;
+        this.notify();
+      }
+    }
+
+    if (!this.catalog) {
+      throw syncError('No product catalog is available offline yet. Connect once to download it.', 'CATALOG_UNAVAILABLE');
+    }
+    return { products: this.applyPending(this.catalog.products), source: 'cache', cachedAt: this.catalog.cachedAt };
+  }
+
+  /**
+   * Find a product by barcode, falling back to the cached catalog when offline
+   * @param {string} barcode - Scanned code
+   * @returns {Promise<Object>}
+   */
+  async findByBarcode(barcode) {
+    await this.ready;
+
+    if (this.isOnline()) {
+      try {
+        const product = await productService.getByBarcode(barcode);
+        return this.applyPending([product])[0];
+      } catch (error) {
+        if (!isNetworkError(error)) throw error;
+        this.reachable = false;
+        this.notify();
+      }
+    }
+
+    const target = normalizeGtin(barcode);
+    const product = this.catalog && this.applyPending(this.catalog.products)
+      .find(p => p.barcode && normalizeGtin(p.barcode) === target && p.isActive);
+    if (!product) {
+      throw syncError('Product not found', 'PRODUCT_NOT_FOUND');
+    }
+    return product;
+  }
+
+  /**
+   * Payments already taken for the sale still being rung up. They are kept next to the queue so
+   * a reload or crash cannot lose track of card and wallet charges that have gone through.
+   * @returns {Promise<Object|null>} - { tenders, customer, savedAt }
+   */
+  async getOpenSale() {
+    await this.ready;
+    return this.openSale ? { ...this.openSale, tenders: [...this.openSale.tenders] } : null;
+  }
+
+  async saveOpenSale({ tenders = [], customer = null } = {}) {
+    await this.ready;
+    this.openSale = tenders.length > 0
+      ? { tenders, customer, savedAt: new Date().toISOString() }
+      : null;
+    await this.write('openSale', this.openSale);
+  }
+
+  /**
+   * Queue a completed sale and try to sync it straight away
+   * @param {Object} transactionData - Transaction as POS would hand to posService.createTransaction
+   * @returns {Promise<Object>} - The queued transaction, with clientId and timestamp
+   */
+  async recordSale(transactionData) {
+    await this.ready;
+
+    if (!Array.isArray(transactionData?.items) || transactionData.items.length === 0) {
+      throw syncError('Cannot record a sale without items', 'ITEMS_REQUIRED');
+    }
+
+    const clientId = generateClientId();
+    const transaction = {
+      ...transactionData,
+      clientId,
+      timestamp: new Date().toISOString()
+    };
+
+    this.queue.push({
+      clientId,
+      transaction,
+      queuedAt: transaction.timestamp,
+      attempts: 0,
+      lastError: null,
+      stockApplied: [],
+      conflicts: []
+    });
+    await this.write('queue', this.queue);
+    this.notify();
+
+    if (this.isOnline()) {
+      this.sync();
+    }
+
+    return { ...transaction };
+  }
+
+  /**
+   * Replay queued sales in order. Concurrent calls share the running sync.
+   * @returns {Promise<{synced: number, pending: number, conflicts: Array}>}
+   */
+  sync() {
+    if (!this.syncing) {
+      this.syncing = this.runSync().finally(() => {
+        this.syncing = null;
+        this.notify();
+      });
+      this.notify();
+    }
+    return this.syncing;
+  }
+
+  async runSync() {
+    await this.ready;
+
+    const result = { synced: 0, pending: this.queue.length, conflicts: [] };
+    if (this.queue.length === 0 || (typeof navigator !== 'undefined' && navigator.onLine === false)) {
+      return result;
+    }
+
+    // Sales rung up while this runs are picked up too; each entry is tried once per run
+    const attempted = new Set();
+    let entry;
+    while ((entry = this.queue.find(queued => !attempted.has(queued.clientId)))) {
+      attempted.add(entry.clientId);
+      try {
+        const saved = await this.syncEntry(entry);
+        this.queue = this.queue.filter(queued => queued.clientId !== entry.clientId);
+        await this.write('queue', this.queue);
+        result.synced += 1;
+
+        if (entry.conflicts.length > 0) {
+          const conflict = {
+            clientId: entry.clientId,
+            transactionId: saved.id,
+            soldAt: entry.transaction.timestamp,
+            syncedAt: new Date().toISOString(),
+            items: entry.conflicts
+          };
+          this.conflicts = [conflict, ...this.conflicts].slice(0, MAX_CONFLICTS);
+          await this.write('conflicts', this.conflicts);
+          result.conflicts.push(conflict);
+        }
+        this.reachable = true;
+      } catch (error) {
+        entry.attempts += 1;
+        entry.lastError = error.message;
+        await this.write('queue', this.queue);
+
+        // Later sales depend on the same connection, so stop; anything else only blocks this sale
+        if (isNetworkError(error)) {
+          this.reachable = false;
+          break;
+        }
+        console.error(`POSSyncService: Failed to sync sale ${entry.clientId}:`, error);
+      }
+    }
+
+    this.lastSyncAt = new Date().toISOString();
+    result.pending = this.queue.length;
+    return result;
+  }
+
+  /**
+   * Push one queued sale. Stock is applied per product and recorded on the entry, and
+   * posService ignores a clientId it already has, so an interrupted sync can resume safely.
+   */
+  async syncEntry(entry) {
+    for (const item of entry.transaction.items) {
+      if (entry.stockApplied.includes(item.productId)) continue;
+
+      const product = await productService.getById(item.productId, 'admin');
+      const remaining = product.stock - item.quantity;
+      if (remaining < 0) {
+        // The goods have already left the shop; record the shortfall instead of refusing the sale
+        entry.conflicts.push({
+          productId: item.productId,
+          name: item.name,
+          sold: item.quantity,
+          available: product.stock,
+          shortBy: -remaining
+        });
+      }
+
+      const stock = Math.max(0, remaining);
+      await productService.update(item.productId, { ...product, stock });
+      entry.stockApplied.push(item.productId);
+      this.updateCachedStock(item.productId, stock);
+      await this.write('queue', this.queue);
+    }
+
+    if (this.catalog) {
+      await this.write('catalog', this.catalog);
+    }
+
+    const saved = await posService.createTransaction({
+      ...entry.transaction,
+      syncedAt: new Date().toISOString(),
+      ...(entry.conflicts.length > 0 && { stockConflicts: entry.conflicts })
+    });
+
+    // Points are earned once the sale is on the server; earning is idempotent per clientId
+    const { customerId, total, loyaltyRedemption } = entry.transaction;
+    if (customerId) {
+      await loyaltyService.earn(customerId, {
+        amount: total - (loyaltyRedemption?.value || 0),
+        source: 'pos',
+        reference: entry.clientId,
+        note: `Store sale #${saved.id}`
+      });
+    }
+    return saved;
+  }
+
+  updateCachedStock(productId, stock) {
+    if (!this.catalog) return;
+    this.catalog.products = this.catalog.products.map(product =>
+      product.id === productId ? { ...product, stock } : product);
+  }
+
+  async dismissConflict(clientId) {
+    await this.ready;
+    this.conflicts = this.conflicts.filter(conflict => conflict.clientId !== clientId);
+    await this.write('conflicts', this.conflicts);
+    this.notify();
+  }
+}
+
+export const posSyncService = new POSSyncService();
@@ -1,13 +1,53 @@
 import productsData from "@/services/mockData/products.json";
+import { persistenceService } from "@/services/PersistenceService";
+import { apiClient } from "@/services/ApiClient";
+import { auditService } from "@/services/api/auditService";
+import { stockAlertService } from "@/services/api/stockAlertService";
+import sessionService from "@/services/SessionService";
+import { hasValidCheckDigit, normalizeGtin } from "@/utils/barcode";
+
+// Changes to these fields are written to the audit trail
+const AUDITED_PRICE_FIELDS = ['price', 'purchasePrice', 'discountValue', 'discountType'];
+
 class ProductService {
   constructor() {
     this.products = [...productsData];
+    this.ready = persistenceService.load('products', productsData).then(products => {
+      this.products = this.migrateBarcodes(products);
+      if (this.products !== products) {
+        return this.persist();
+      }
+    });
+  }
+
+  /**
+   * The seed catalog once shipped barcodes with wrong check digits, which scanners reject.
+   * Stored products still holding a numeric code that fails the check take the corrected one
+   * from the seed by id; every other code is left alone.
+   * @returns {Array} - The same array when nothing needed fixing
+   */
+  migrateBarcodes(products) {
+    let changed = false;
+    const migrated = products.map(product => {
+      const code = String(product.barcode ?? '');
+      // Only numeric retail codes carry a check digit; Code 128 and other codes are kept as entered
+      if (!/^\d+$/.test(code) || hasValidCheckDigit(code)) return product;
+      const seedBarcode = productsData.find(seed => seed.id === product.id)?.barcode;
+      if (!seedBarcode || !hasValidCheckDigit(seedBarcode)) return product;
+      changed = true;
+      return { ...product, barcode: seedBarcode };
+    });
+    return changed ? migrated : products;
+  }
+
+  persist() {
+    return persistenceService.save('products', this.products);
   }
 
 async getAll(userRole = 'customer') {
     try {
       await this.delay();
-      const products = [...this.products];
+      const products = apiClient.isLive() ? await apiClient.get('/products') : [...this.products];
       
       if (!Array.isArray(products)) {
         throw new Error('Product data is corrupted');
@@ -52,7 +92,9 @@ async getById(id, userRole = 'customer') {
         throw new Error('Product ID must be a positive number');
       }
       
-      const product = this.products.find(p => p.id === numericId);
+      const product = apiClient.isLive()
+        ? await apiClient.get(`/products/${numericId}`)
+        : this.products.find(p => p.id === numericId);
       if (!product) {
         throw new Error('Product not found');
       }
@@ -96,6 +138,10 @@ async getById(id, userRole = 'customer') {
       throw new Error('Stock cannot be negative');
     }
 
+    if (apiClient.isLive()) {
+      return apiClient.post('/products', productData);
+    }
+
     const newProduct = {
       id: this.getNextId(),
       ...productData,
@@ -110,16 +156,15 @@ async getById(id, userRole = 'customer') {
     };
     
     this.products.push(newProduct);
+    await this.persist();
     return { ...newProduct };
   }
 
-  async update(id, productData) {
+  /**
+   * @param {Object} options - { actor, auditSummary } used when the price changes
+   */
+  async update(id, productData, options = {}) {
     await this.delay();
-    
-    const index = this.products.findIndex(p => p.id === parseInt(id));
-    if (index === -1) {
-      throw new Error('Product not found');
-    }
 
     // Validate if provided
     if (productData.price !== undefined && productData.price <= 0) {
@@ -130,19 +175,59 @@ async getById(id, userRole = 'customer') {
       throw new Error('Stock cannot be negative');
     }
 
+    if (apiClient.isLive()) {
+      return apiClient.put(`/products/${parseInt(id)}`, productData);
+    }
+    
+    const index = this.products.findIndex(p => p.id === parseInt(id));
+    if (index === -1) {
+      throw new Error('Product not found');
+    }
+
     // Preserve existing ID
+    const previousProduct = this.products[index];
     const updatedProduct = { 
-      ...this.products[index], 
+      ...previousProduct, 
       ...productData, 
-      id: this.products[index].id 
+      id: previousProduct.id 
     };
     
     this.products[index] = updatedProduct;
+    await this.persist();
+
+    const pick = (product) => Object.fromEntries(AUDITED_PRICE_FIELDS.map(field => [field, product[field] ?? null]));
+    const before = pick(previousProduct);
+    const after = pick(updatedProduct);
+    if (AUDITED_PRICE_FIELDS.some(field => String(before[field]) !== String(after[field]))) {
+      await auditService.safeRecord({
+        action: 'price.changed',
+        entityType: 'product',
+        entityId: updatedProduct.id,
+        actor: options.actor || sessionService.getActorId(),
+        summary: options.auditSummary || `${updatedProduct.name}: Rs. ${previousProduct.price} -> Rs. ${updatedProduct.price}`,
+        before,
+        after
+      });
+    }
+
+    // Restocked: let anyone waiting on this product know
+    if (!(previousProduct.stock > 0) && updatedProduct.stock > 0 && updatedProduct.isActive !== false) {
+      try {
+        await stockAlertService.notifyBackInStock(updatedProduct);
+      } catch (error) {
+        console.error('Back-in-stock notification failed:', error);
+      }
+    }
     return { ...updatedProduct };
   }
 
   async delete(id) {
     await this.delay();
+
+    if (apiClient.isLive()) {
+      await apiClient.delete(`/products/${parseInt(id)}`);
+      return true;
+    }
     
     const index = this.products.findIndex(p => p.id === parseInt(id));
     if (index === -1) {
@@ -150,12 +235,15 @@ async getById(id, userRole = 'customer') {
     }
     
     this.products.splice(index, 1);
+    await this.persist();
     return true;
   }
 
   async getByBarcode(barcode) {
     await this.delay();
-    const product = this.products.find(p => p.barcode === barcode && p.isActive);
+    // UPC-A reads as 12 digits; the same product may be stored as a 13-digit EAN with a leading 0
+    const code = normalizeGtin(barcode);
+    const product = this.products.find(p => p.barcode && normalizeGtin(p.barcode) === code && p.isActive);
     if (!product) {
       throw new Error('Product not found');
     }
@@ -173,7 +261,7 @@ async bulkUpdatePrices(updateData) {
     if (!validation.isValid) {
       throw new Error(validation.error);
     }
-    let filteredProducts = [...this.products];
+    let filteredProducts = apiClient.isLive() ? await apiClient.get('/products') : [...this.products];
     
     // Filter by category
     if (updateData.category !== 'all') {
@@ -186,6 +274,7 @@ async bulkUpdatePrices(updateData) {
     }
 
     let updatedCount = 0;
+    const priceChanges = [];
     
     // Apply price updates
     filteredProducts.forEach(product => {
@@ -221,18 +310,38 @@ async bulkUpdatePrices(updateData) {
       
       // Only update if price actually changed
       if (Math.abs(newPrice - originalPrice) > 0.01) {
-        const productIndex = this.products.findIndex(p => p.id === product.id);
-        if (productIndex !== -1) {
-          this.products[productIndex] = {
-            ...this.products[productIndex],
-            previousPrice: originalPrice,
-            price: newPrice
-          };
-          updatedCount++;
-        }
+        priceChanges.push({ productId: product.id, name: product.name, from: originalPrice, to: newPrice });
+        updatedCount++;
       }
     });
 
+    if (updatedCount > 0) {
+      if (apiClient.isLive()) {
+        await Promise.all(priceChanges.map(change =>
+          apiClient.put(`/products/${change.productId}`, { previousPrice: change.from, price: change.to })));
+      } else {
+        priceChanges.forEach(change => {
+          const productIndex = this.products.findIndex(p => p.id === change.productId);
+          this.products[productIndex] = { ...this.products[productIndex], previousPrice: change.from, price: change.to };
+        });
+        await this.persist();
+      }
+      await auditService.safeRecord({
+        action: 'price.bulk_changed',
+        entityType: 'product',
+        actor: sessionService.getActorId(),
+        summary: `Bulk ${updateData.strategy} price update on ${updatedCount} product(s)`,
+        before: Object.fromEntries(priceChanges.map(change => [change.productId, change.from])),
+        after: Object.fromEntries(priceChanges.map(change => [change.productId, change.to])),
+        metadata: {
+          category: updateData.category,
+          strategy: updateData.strategy,
+          value: updateData.value ?? null,
+          products: priceChanges.map(({ productId, name }) => ({ productId, name }))
+        }
+      });
+    }
+
     return {
       updatedCount,
       totalFiltered: filteredProducts.length,
@@ -264,7 +373,10 @@ async bulkUpdatePrices(updateData) {
     return { isValid: true };
 }
 
-  delay(ms = 150) { // Reduced delay for faster perceived performance
+  async delay(ms = 150) { // Reduced delay for faster perceived performance
+    await this.ready;
+    // Real requests bring their own latency
+    if (apiClient.isLive()) return;
     return new Promise(resolve => setTimeout(resolve, ms));
   }
   
@@ -0,0 +1,375 @@
+import refundPolicy from '@/services/mockData/refundPolicy.json';
+import { persistenceService } from '@/services/PersistenceService';
+import { approvalWorkflowService } from '@/services/api/approvalWorkflowService';
+
+const OPEN_STATUSES = ['requested', 'approved', 'processing'];
+// A payout still marked processing after this long was interrupted and may be resumed
+const PAYOUT_LOCK_MS = 2 * 60 * 1000;
+
+// Storefront and subscription orders key their lines by id; seed and POS data use productId
+const lineProductId = (item) => item.productId ?? item.id;
+
+/**
+ * Return and refund records. A record starts as a customer return request (or is created
+ * already refunded for refunds issued directly by an admin) and moves through
+ * requested -> approved -> processing -> refunded, or requested -> rejected. Orders are passed in by
+ * orderService, which owns the money movement and restocking.
+ */
+class RefundService {
+  constructor() {
+    this.policy = refundPolicy;
+    this.refunds = [];
+    this.ready = persistenceService.load('refunds', []).then(refunds => {
+      this.refunds = refunds;
+    });
+  }
+
+  persist() {
+    return persistenceService.save('refunds', this.refunds);
+  }
+
+  async delay(ms = 200) {
+    await this.ready;
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  getReasons() {
+    return this.policy.reasons.map(reason => ({ ...reason }));
+  }
+
+  getMethods() {
+    return this.policy.methods.map(method => ({ ...method }));
+  }
+
+  getReasonLabel(reasonId) {
+    return this.policy.reasons.find(r => r.id === reasonId)?.label || reasonId;
+  }
+
+  getNextId() {
+    const maxId = this.refunds.reduce((max, refund) => Math.max(max, refund.Id), 0);
+    return maxId + 1;
+  }
+
+  async getAll(filters = {}) {
+    await this.delay();
+    return this.refunds
+      .filter(refund => !filters.status || refund.status === filters.status)
+      .filter(refund => !filters.orderId || refund.orderId === parseInt(filters.orderId))
+      .sort((a, b) => new Date(b.requestedAt) - new Date(a.requestedAt))
+      .map(refund => ({ ...refund }));
+  }
+
+  async getById(id) {
+    await this.delay();
+    const refund = this.refunds.find(r => r.Id === parseInt(id));
+    if (!refund) {
+      throw new Error('Refund request not found');
+    }
+    return { ...refund };
+  }
+
+  async findByApprovalRequest(approvalRequestId) {
+    await this.delay();
+    const refund = this.refunds.find(r => r.approvalRequestId === parseInt(approvalRequestId));
+    return refund ? { ...refund } : null;
+  }
+
+  hasOpenRequest(orderId) {
+    return this.refunds.some(r => r.orderId === parseInt(orderId) && OPEN_STATUSES.includes(r.status));
+  }
+
+  /**
+   * Quantities of each order line that can still be returned
+   * @returns {Promise<Array>} - Order items with returnedQuantity and returnableQuantity
+   */
+  async getReturnableItems(order) {
+    await this.delay();
+    const claimed = this.refunds
+      .filter(r => r.orderId === order.id && r.status !== 'rejected')
+      .flatMap(r => r.items || [])
+      .reduce((totals, item) => {
+        totals[item.productId] = (totals[item.productId] || 0) + item.quantity;
+        return totals;
+      }, {});
+
+    return (order.items || []).map(item => {
+      const productId = lineProductId(item);
+      return {
+        ...item,
+        productId,
+        returnedQuantity: claimed[productId] || 0,
+        returnableQuantity: Math.max(0, item.quantity - (claimed[productId] || 0))
+      };
+    });
+  }
+
+  /**
+   * Refund due for returning some of an order's items. Order-level discounts (coupon, deals
+   * and redeemed loyalty points) are shared across items by value; the delivery charge is
+   * only refunded when everything comes back.
+   * @param {Object} order - The order being returned
+   * @param {Array} items - [{ productId, quantity }]
+   * @param {number} previouslyReturned - Units of this order already returned
+   */
+  calculateRefundAmount(order, items, previouslyReturned = 0) {
+    const orderItems = order.items || [];
+    const subtotal = orderItems.reduce((sum, item) => sum + (item.price || 0) * (item.quantity || 0), 0);
+    const totalUnits = orderItems.reduce((sum, item) => sum + (item.quantity || 0), 0);
+
+    const lines = items
+      .filter(item => item.quantity > 0)
+      .map(item => {
+        const orderItem = orderItems.find(i => lineProductId(i) === item.productId);
+        return {
+          productId: item.productId,
+          name: orderItem?.name || `Product ${item.productId}`,
+          price: orderItem?.price || 0,
+          quantity: item.quantity,
+          amount: (orderItem?.price || 0) * item.quantity
+        };
+      });
+
+    const itemsTotal = lines.reduce((sum, line) => sum + line.amount, 0);
+    const orderDiscount = (order.couponDiscount || 0) + (order.dealSavings || 0) + (order.loyaltyDiscount || 0);
+    const discountShare = subtotal > 0 ? (Math.min(orderDiscount, subtotal) * itemsTotal) / subtotal : 0;
+    const returnedUnits = previouslyReturned + lines.reduce((sum, line) => sum + line.quantity, 0);
+    const isFullReturn = totalUnits > 0 && returnedUnits >= totalUnits;
+    const deliveryRefund = isFullReturn && this.policy.refundDeliveryOnFullReturn ? (order.deliveryCharge || 0) : 0;
+    const remaining = Math.max(0, (order.total || 0) - (order.refundedAmount || 0));
+
+    return {
+      items: lines,
+      itemsTotal,
+      discountShare: Math.round(discountShare * 100) / 100,
+      deliveryRefund,
+      isFullReturn,
+      // Never more than is left of what the customer actually paid
+      amount: Math.min(remaining, Math.max(0, Math.round((itemsTotal - discountShare + deliveryRefund) * 100) / 100))
+    };
+  }
+
+  historyEntry(status, actor, note = '') {
+    return { status, at: new Date().toISOString(), actor: actor || null, note };
+  }
+
+  /**
+   * Open a return request. Requests at or above the approval threshold are also raised
+   * in the approval workflow so they show up alongside other sensitive changes.
+   * @throws {Error} - RETURN_NO_ITEMS, RETURN_QUANTITY_EXCEEDED, RETURN_REASON_REQUIRED or RETURN_INVALID_METHOD
+   */
+  async createRequest(order, { items = [], reason, notes = '', refundMethod = 'original', customerId = null, actor = null }) {
+    const returnable = await this.getReturnableItems(order);
+
+    const requested = items.filter(item => item.quantity > 0);
+    if (requested.length === 0) {
+      const error = new Error('Select at least one item to return');
+      error.code = 'RETURN_NO_ITEMS';
+      throw error;
+    }
+
+    for (const item of requested) {
+      const line = returnable.find(r => r.productId === item.productId);
+      if (!line || item.quantity > line.returnableQuantity) {
+        const error = new Error(`Only ${line?.returnableQuantity || 0} of ${line?.name || 'this item'} can be returned`);
+        error.code = 'RETURN_QUANTITY_EXCEEDED';
+        throw error;
+      }
+    }
+
+    if (!this.policy.reasons.some(r => r.id === reason)) {
+      const error = new Error('Choose a reason for the return');
+      error.code = 'RETURN_REASON_REQUIRED';
+      throw error;
+    }
+
+    if (!this.policy.methods.some(m => m.id === refundMethod)) {
+      const error = new Error('Choose how the refund should be paid');
+      error.code = 'RETURN_INVALID_METHOD';
+      throw error;
+    }
+
+    const previouslyReturned = returnable.reduce((sum, line) => sum + line.returnedQuantity, 0);
+    const quote = this.calculateRefundAmount(order, requested, previouslyReturned);
+    const restockable = this.policy.reasons.find(r => r.id === reason)?.restock ?? false;
+
+    const refund = {
+      Id: this.getNextId(),
+      orderId: order.id,
+      customerId: customerId || order.customerId || null,
+      type: 'return',
+      status: 'requested',
+      reason,
+      notes: notes.trim(),
+      refundMethod,
+      items: quote.items.map(item => ({ ...item, restock: restockable })),
+      amount: quote.amount,
+      discountShare: quote.discountShare,
+      deliveryRefund: quote.deliveryRefund,
+      approvalRequestId: null,
+      requestedAt: new Date().toISOString(),
+      history: [this.historyEntry('requested', actor || customerId, notes.trim())]
+    };
+
+    if (refund.amount >= this.policy.approvalThreshold) {
+      const approval = await approvalWorkflowService.submitForApproval({
+        type: 'refund',
+        title: `Refund - Order #${order.id}`,
+        description: `Return of ${refund.items.length} item(s) for ${this.getReasonLabel(reason).toLowerCase()}, refund Rs. ${refund.amount}`,
+        submittedBy: actor || customerId || 'customer',
+        affectedEntity: {
+          entityType: 'order',
+          entityId: order.id,
+          entityName: `Order #${order.id}`,
+          currentValues: { total: order.total, refundedAmount: order.refundedAmount || 0 },
+          proposedValues: { refundAmount: refund.amount, refundMethod }
+        }
+      });
+      refund.approvalRequestId = approval.Id;
+    }
+
+    this.refunds.push(refund);
+    await this.persist();
+    return { ...refund };
+  }
+
+  async approve(id, { actor = null, note = '' } = {}) {
+    await this.delay();
+    const refund = this.findOpen(id, 'requested');
+
+    // Approved first, so the workflow request's own handler sees it is already being dealt with
+    refund.status = 'approved';
+    refund.approvedAt = new Date().toISOString();
+    try {
+      await this.syncApprovalRequest(refund, request => approvalWorkflowService.approveRequest(request.Id, note));
+    } catch (error) {
+      refund.status = 'requested';
+      delete refund.approvedAt;
+      throw error;
+    }
+
+    refund.history.push(this.historyEntry('approved', actor, note));
+    await this.persist();
+    return { ...refund };
+  }
+
+  async reject(id, { actor = null, reason = '' } = {}) {
+    await this.delay();
+    if (!reason.trim()) {
+      throw new Error('A reason is required to reject a refund');
+    }
+    const refund = this.findOpen(id, 'requested');
+
+    refund.status = 'rejected';
+    try {
+      await this.syncApprovalRequest(refund, request => approvalWorkflowService.rejectRequest(request.Id, reason));
+    } catch (error) {
+      refund.status = 'requested';
+      throw error;
+    }
+
+    refund.rejectedAt = new Date().toISOString();
+    refund.rejectionReason = reason.trim();
+    refund.history.push(this.historyEntry('rejected', actor, reason.trim()));
+    await this.persist();
+    return { ...refund };
+  }
+
+  // Decide the mirrored approval workflow request too, unless it was decided there first
+  async syncApprovalRequest(refund, decide) {
+    if (!refund.approvalRequestId) return;
+    const request = await approvalWorkflowService.getRequest(refund.approvalRequestId);
+    if (request?.status === 'pending') {
+      await decide(request);
+    }
+  }
+
+  /**
+   * Claim an approved refund for payout, so a second approval or a retry cannot pay it out
+   * while the first is still running. An interrupted payout can be claimed again once the
+   * lock has expired.
+   * @throws {Error} - REFUND_IN_PROGRESS, or REFUND_INVALID_STATE when it is not approved
+   */
+  async beginPayout(id, actor = null) {
+    await this.delay();
+    const refund = this.refunds.find(r => r.Id === parseInt(id));
+    const stale = refund?.status === 'processing' &&
+      Date.now() - new Date(refund.processingStartedAt).getTime() > PAYOUT_LOCK_MS;
+    if (refund?.status === 'processing' && !stale) {
+      const error = new Error('This refund is already being paid out');
+      error.code = 'REFUND_IN_PROGRESS';
+      throw error;
+    }
+    if (!stale) {
+      this.findOpen(id, 'approved');
+    }
+
+    refund.status = 'processing';
+    refund.processingStartedAt = new Date().toISOString();
+    refund.history.push(this.historyEntry('processing', actor, stale ? 'Resumed interrupted payout' : ''));
+    await this.persist();
+    return { ...refund };
+  }
+
+  // Hand a refund whose payout failed back to approved, so it can be retried
+  async failPayout(id, { actor = null, reason = '' } = {}) {
+    await this.delay();
+    const refund = this.findOpen(id, 'processing');
+    refund.status = 'approved';
+    refund.lastPayoutError = reason;
+    refund.history.push(this.historyEntry('payout_failed', actor, reason));
+    await this.persist();
+    return { ...refund };
+  }
+
+  /**
+   * Record the payout for an approved request, or log a direct admin refund when no
+   * request exists (refundId null)
+   */
+  async markRefunded(refundId, { orderId, amount, reason, refundMethod, payout, actor = null }) {
+    await this.delay();
+    const now = new Date().toISOString();
+    let refund;
+
+    if (refundId) {
+      refund = this.findOpen(refundId, 'processing');
+    } else {
+      refund = {
+        Id: this.getNextId(),
+        orderId: parseInt(orderId),
+        customerId: null,
+        type: 'manual',
+        reason,
+        notes: '',
+        refundMethod,
+        items: [],
+        amount,
+        approvalRequestId: null,
+        requestedAt: now,
+        history: []
+      };
+      this.refunds.push(refund);
+    }
+
+    refund.status = 'refunded';
+    refund.refundedAt = now;
+    refund.payout = payout;
+    refund.history.push(this.historyEntry('refunded', actor, `Rs. ${amount} via ${refundMethod === 'wallet' ? 'wallet credit' : 'original payment method'}`));
+    await this.persist();
+    return { ...refund };
+  }
+
+  findOpen(id, expectedStatus) {
+    const refund = this.refunds.find(r => r.Id === parseInt(id));
+    if (!refund) {
+      throw new Error('Refund request not found');
+    }
+    if (refund.status !== expectedStatus) {
+      const error = new Error(`Refund request is already ${refund.status}`);
+      error.code = 'REFUND_INVALID_STATE';
+      throw error;
+    }
+    return refund;
+  }
+}
+
+export const refundService = new RefundService();
@@ -0,0 +1,259 @@
+import reviewsData from '@/services/mockData/reviews.json';
+import { persistenceService } from '@/services/PersistenceService';
+import { orderService } from '@/services/api/orderService';
+import { productService } from '@/services/api/productService';
+import { auditService } from '@/services/api/auditService';
+import sessionService from '@/services/SessionService';
+
+const MAX_PHOTOS = 3;
+const MAX_PHOTO_BYTES = 1024 * 1024;
+const MAX_COMMENT_LENGTH = 2000;
+const MODERATION_STATUSES = ['pending', 'published', 'rejected'];
+
+const reviewError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Data URL length is about 4/3 of the file size
+const dataUrlBytes = (dataUrl) => Math.ceil((dataUrl.length - dataUrl.indexOf(',') - 1) * 3 / 4);
+
+/**
+ * Product reviews. Only customers with a delivered order containing the product can
+ * review it, once per product. New reviews wait for moderation; published reviews feed
+ * the rating and review count stored on the product, which cards and sorting read.
+ */
+class ReviewService {
+  constructor() {
+    this.reviews = [...reviewsData];
+    this.ready = persistenceService.load('reviews', reviewsData).then(reviews => {
+      this.reviews = reviews;
+    });
+  }
+
+  persist() {
+    return persistenceService.save('reviews', this.reviews);
+  }
+
+  async delay(ms = 200) {
+    await this.ready;
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  getNextId() {
+    return this.reviews.reduce((max, review) => Math.max(max, review.Id), 0) + 1;
+  }
+
+  toPublic(review, viewerId = null) {
+    const { helpfulVotes = [], ...rest } = review;
+    return {
+      ...rest,
+      photos: [...(review.photos || [])],
+      helpfulCount: helpfulVotes.length,
+      votedHelpful: Boolean(viewerId) && helpfulVotes.includes(viewerId)
+    };
+  }
+
+  summarize(reviews) {
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    reviews.forEach(review => {
+      distribution[review.rating] += 1;
+    });
+    const total = reviews.reduce((sum, review) => sum + review.rating, 0);
+    return {
+      average: reviews.length > 0 ? Math.round((total / reviews.length) * 10) / 10 : 0,
+      count: reviews.length,
+      distribution
+    };
+  }
+
+  /**
+   * Published reviews for a product
+   * @param {Object} options - { sort: 'recent' | 'helpful' | 'rating_high' | 'rating_low', viewerId }
+   * @returns {Promise<Object>} - { reviews, summary, ownReview }
+   */
+  async getByProduct(productId, { sort = 'recent', viewerId = null } = {}) {
+    await this.delay();
+    const forProduct = this.reviews.filter(r => r.productId === parseInt(productId));
+    const published = forProduct.filter(r => r.status === 'published');
+
+    const sorters = {
+      recent: (a, b) => new Date(b.createdAt) - new Date(a.createdAt),
+      helpful: (a, b) => (b.helpfulVotes?.length || 0) - (a.helpfulVotes?.length || 0) || new Date(b.createdAt) - new Date(a.createdAt),
+      rating_high: (a, b) => b.rating - a.rating || new Date(b.createdAt) - new Date(a.createdAt),
+      rating_low: (a, b) => a.rating - b.rating || new Date(b.createdAt) - new Date(a.createdAt)
+    };
+
+    const ownReview = viewerId ? forProduct.find(r => r.customerId === viewerId) : null;
+    return {
+      reviews: [...published].sort(sorters[sort] || sorters.recent).map(r => this.toPublic(r, viewerId)),
+      summary: this.summarize(published),
+      ownReview: ownReview ? this.toPublic(ownReview, viewerId) : null
+    };
+  }
+
+  /**
+   * Whether a customer may review a product
+   * @returns {Promise<Object>} - { eligible, reason, orderId }
+   */
+  async checkEligibility(productId, customerId) {
+    await this.ready;
+    if (!customerId) {
+      return { eligible: false, reason: 'Sign in to review products you have bought', orderId: null };
+    }
+    if (this.reviews.some(r => r.productId === parseInt(productId) && r.customerId === customerId)) {
+      return { eligible: false, reason: 'You have already reviewed this product', orderId: null };
+    }
+
+    const orders = await orderService.getAll();
+    const delivered = orders
+      .filter(order => order.customerId === customerId && order.status === 'delivered')
+      .find(order => (order.items || []).some(item => parseInt(item.productId ?? item.id) === parseInt(productId)));
+
+    return delivered
+      ? { eligible: true, reason: null, orderId: delivered.id }
+      : { eligible: false, reason: 'Only customers who received this product can review it', orderId: null };
+  }
+
+  validatePhotos(photos = []) {
+    if (photos.length > MAX_PHOTOS) {
+      throw reviewError(`You can add up to ${MAX_PHOTOS} photos`, 'TOO_MANY_PHOTOS');
+    }
+    photos.forEach(photo => {
+      if (typeof photo !== 'string' || !photo.startsWith('data:image/')) {
+        throw reviewError('Photos must be images', 'INVALID_PHOTO');
+      }
+      if (dataUrlBytes(photo) > MAX_PHOTO_BYTES) {
+        throw reviewError('Each photo must be 1 MB or smaller', 'PHOTO_TOO_LARGE');
+      }
+    });
+    return [...photos];
+  }
+
+  /**
+   * Leave a review for a delivered product
+   * @param {Object} reviewData - { productId, customerId, customerName, rating, title, comment, photos }
+   * @throws {Error} - NOT_ELIGIBLE, INVALID_RATING, REVIEW_TOO_LONG or a photo error
+   */
+  async create({ productId, customerId, customerName, rating, title = '', comment = '', photos = [] }) {
+    await this.delay(300);
+
+    const stars = parseInt(rating);
+    if (!(stars >= 1 && stars <= 5)) {
+      throw reviewError('Choose a rating from 1 to 5 stars', 'INVALID_RATING');
+    }
+    if (comment.length > MAX_COMMENT_LENGTH) {
+      throw reviewError(`Reviews are limited to ${MAX_COMMENT_LENGTH} characters`, 'REVIEW_TOO_LONG');
+    }
+    const eligibility = await this.checkEligibility(productId, customerId);
+    if (!eligibility.eligible) {
+      throw reviewError(eligibility.reason, 'NOT_ELIGIBLE');
+    }
+
+    const review = {
+      Id: this.getNextId(),
+      productId: parseInt(productId),
+      customerId,
+      customerName: customerName?.trim() || 'Customer',
+      orderId: eligibility.orderId,
+      rating: stars,
+      title: title.trim(),
+      comment: comment.trim(),
+      photos: this.validatePhotos(photos),
+      status: 'pending',
+      helpfulVotes: [],
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      moderation: null
+    };
+    this.reviews.push(review);
+    await this.persist();
+    return this.toPublic(review, customerId);
+  }
+
+  /**
+   * Toggle a helpful vote. Authors cannot vote on their own review.
+   * @returns {Promise<Object>} - The review with the updated count
+   */
+  async toggleHelpful(reviewId, voterId) {
+    await this.delay(100);
+    const review = this.reviews.find(r => r.Id === parseInt(reviewId));
+    if (!review || review.status !== 'published') {
+      throw reviewError('Review not found', 'REVIEW_NOT_FOUND');
+    }
+    if (!voterId) {
+      throw reviewError('Sign in to vote on reviews', 'SIGN_IN_REQUIRED');
+    }
+    if (review.customerId === voterId) {
+      throw reviewError('You cannot vote on your own review', 'OWN_REVIEW');
+    }
+
+    const votes = review.helpfulVotes || [];
+    review.helpfulVotes = votes.includes(voterId)
+      ? votes.filter(id => id !== voterId)
+      : [...votes, voterId];
+    await this.persist();
+    return this.toPublic(review, voterId);
+  }
+
+  /**
+   * Reviews for the moderation queue
+   * @param {Object} filters - { status, productId }
+   */
+  async getAll({ status, productId } = {}) {
+    await this.delay();
+    return this.reviews
+      .filter(r => !status || r.status === status)
+      .filter(r => !productId || r.productId === parseInt(productId))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(r => this.toPublic(r));
+  }
+
+  async moderate(reviewId, status, note = '') {
+    await this.delay();
+    sessionService.requirePermission('moderate_reviews');
+    if (!MODERATION_STATUSES.includes(status)) {
+      throw reviewError('Unknown review status', 'INVALID_STATUS');
+    }
+
+    const review = this.reviews.find(r => r.Id === parseInt(reviewId));
+    if (!review) {
+      throw reviewError('Review not found', 'REVIEW_NOT_FOUND');
+    }
+
+    const previousStatus = review.status;
+    review.status = status;
+    review.moderation = { by: sessionService.getActorId(), at: new Date().toISOString(), note: note.trim() };
+    review.updatedAt = new Date().toISOString();
+    await this.persist();
+
+    if (previousStatus !== status) {
+      await this.refreshProductRating(review.productId);
+      await auditService.safeRecord({
+        action: `review.${status}`,
+        entityType: 'review',
+        entityId: review.Id,
+        actor: review.moderation.by,
+        summary: `Review #${review.Id} on product #${review.productId} ${status}${note.trim() ? `: ${note.trim()}` : ''}`,
+        before: { status: previousStatus },
+        after: { status }
+      });
+    }
+    return this.toPublic(review);
+  }
+
+  // Keep the product's stored rating in step with its published reviews
+  async refreshProductRating(productId) {
+    const { average, count } = this.summarize(
+      this.reviews.filter(r => r.productId === productId && r.status === 'published')
+    );
+    try {
+      await productService.update(productId, { rating: average, reviewCount: count });
+    } catch (error) {
+      console.error(`Failed to update rating for product ${productId}:`, error);
+    }
+  }
+}
+
+export const reviewService = new ReviewService();
@@ -0,0 +1,265 @@
+import permissionData from '@/services/mockData/permissions.json';
+import { persistenceService } from '@/services/PersistenceService';
+import employeeService from '@/services/api/employeeService';
+import { auditService } from '@/services/api/auditService';
+
+const roleError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Permission registry and role definitions. Built-in roles come from permissions.json;
+ * custom roles are added through Role Management and persisted. Permission checks are
+ * synchronous against the cached roles so route guards and services can use them inline.
+ */
+class RoleService {
+  constructor() {
+    this.permissions = permissionData.permissions;
+    this.roles = JSON.parse(JSON.stringify(permissionData.roles));
+    this.ready = persistenceService.load('roles', permissionData.roles).then(roles => {
+      const { roles: merged, changed } = this.mergeSeedRoles(roles);
+      this.roles = merged;
+      return changed ? this.persist() : undefined;
+    });
+  }
+
+  /**
+   * Bring stored roles up to date with permissions.json. Built-in roles pick up seed permissions
+   * they have not been offered before; seededPermissions records what was already offered, so a
+   * permission an administrator removed stays removed. Missing built-in roles are restored.
+   */
+  mergeSeedRoles(storedRoles) {
+    let changed = false;
+    const roles = storedRoles.map(role => {
+      const seed = permissionData.roles.find(r => r.id === role.id);
+      if (!seed) return role;
+      const offered = role.seededPermissions || [];
+      const added = seed.permissions.filter(p => !offered.includes(p) && !role.permissions.includes(p));
+      const seededPermissions = [...new Set([...offered, ...seed.permissions])];
+      if (added.length === 0 && seededPermissions.length === offered.length) return role;
+      changed = true;
+      return { ...role, permissions: [...role.permissions, ...added], seededPermissions };
+    });
+
+    permissionData.roles
+      .filter(seed => !roles.some(role => role.id === seed.id))
+      .forEach(seed => {
+        roles.push({ ...seed, permissions: [...seed.permissions], seededPermissions: [...seed.permissions] });
+        changed = true;
+      });
+
+    return { roles, changed };
+  }
+
+  persist() {
+    return persistenceService.save('roles', this.roles);
+  }
+
+  async delay(ms = 200) {
+    await this.ready;
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  getPermissionRegistry() {
+    return this.permissions.map(permission => ({ ...permission }));
+  }
+
+  getPermissionLabel(permissionId) {
+    return this.permissions.find(p => p.id === permissionId)?.label || permissionId;
+  }
+
+  findRole(roleId) {
+    return this.roles.find(role => role.id === roleId) || null;
+  }
+
+  getRolePermissions(roleId) {
+    return [...(this.findRole(roleId) || this.findRole('guest'))?.permissions || []];
+  }
+
+  roleHasPermission(roleId, permission) {
+    const permissions = this.getRolePermissions(roleId);
+    return permissions.includes('*') || permissions.includes(permission);
+  }
+
+  isStaffRole(roleId) {
+    return Boolean(this.findRole(roleId)?.staff);
+  }
+
+  /**
+   * Throw unless the user's role grants the permission
+   * @param {Object} user - Session user ({ role }); null is treated as a guest
+   * @throws {Error} - PERMISSION_DENIED, with error.permission set
+   */
+  assertPermission(user, permission) {
+    if (!this.roleHasPermission(user?.role || 'guest', permission)) {
+      const error = roleError(`You do not have permission to ${this.getPermissionLabel(permission).toLowerCase()}`, 'PERMISSION_DENIED');
+      error.permission = permission;
+      throw error;
+    }
+  }
+
+  async getAll() {
+    await this.delay();
+    return this.roles.map(role => ({ ...role, permissions: [...role.permissions] }));
+  }
+
+  async getById(roleId) {
+    await this.delay();
+    const role = this.findRole(roleId);
+    if (!role) {
+      throw roleError('Role not found', 'ROLE_NOT_FOUND');
+    }
+    return { ...role, permissions: [...role.permissions] };
+  }
+
+  validatePermissions(permissions = []) {
+    const unknown = permissions.filter(p => p !== '*' && !this.permissions.some(known => known.id === p));
+    if (unknown.length > 0) {
+      throw roleError(`Unknown permission: ${unknown.join(', ')}`, 'UNKNOWN_PERMISSION');
+    }
+    return [...new Set(permissions)];
+  }
+
+  /**
+   * Add a custom staff role
+   * @param {Object} roleData - { name, description, permissions }
+   * @param {Object} actor - Session user making the change
+   */
+  async createRole({ name, description = '', permissions = [] }, actor) {
+    await this.delay();
+    this.assertPermission(actor, 'manage_roles');
+
+    if (!name?.trim()) {
+      throw roleError('Role name is required', 'ROLE_NAME_REQUIRED');
+    }
+    const id = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    if (this.findRole(id) || this.roles.some(r => r.name.toLowerCase() === name.trim().toLowerCase())) {
+      throw roleError(`A role named ${name.trim()} already exists`, 'ROLE_EXISTS');
+    }
+
+    const role = {
+      id,
+      name: name.trim(),
+      description: description.trim(),
+      builtIn: false,
+      staff: true,
+      permissions: this.validatePermissions(permissions.filter(p => p !== '*')),
+      createdBy: actor?.id || null,
+      createdAt: new Date().toISOString()
+    };
+    this.roles.push(role);
+    await this.persist();
+    await this.audit('role.created', role.id, actor, `Role ${role.name} created`, null, role);
+    return { ...role, permissions: [...role.permissions] };
+  }
+
+  // Administrators always keep every permission, so nobody can lock the store out
+  async updateRole(roleId, { name, description, permissions }, actor) {
+    await this.delay();
+    this.assertPermission(actor, 'manage_roles');
+
+    const role = this.findRole(roleId);
+    if (!role) {
+      throw roleError('Role not found', 'ROLE_NOT_FOUND');
+    }
+    if (role.id === 'admin') {
+      throw roleError('The Administrator role cannot be changed', 'ROLE_LOCKED');
+    }
+
+    const before = { ...role, permissions: [...role.permissions] };
+    if (name !== undefined && !role.builtIn) {
+      if (!name.trim()) {
+        throw roleError('Role name is required', 'ROLE_NAME_REQUIRED');
+      }
+      role.name = name.trim();
+    }
+    if (description !== undefined) {
+      role.description = description.trim();
+    }
+    if (permissions !== undefined) {
+      role.permissions = this.validatePermissions(permissions.filter(p => p !== '*'));
+    }
+    role.updatedBy = actor?.id || null;
+    role.updatedAt = new Date().toISOString();
+    await this.persist();
+    await this.audit('role.updated', role.id, actor, `Role ${role.name} updated`, before, role);
+    return { ...role, permissions: [...role.permissions] };
+  }
+
+  async deleteRole(roleId, actor) {
+    await this.delay();
+    this.assertPermission(actor, 'manage_roles');
+
+    const role = this.findRole(roleId);
+    if (!role) {
+      throw roleError('Role not found', 'ROLE_NOT_FOUND');
+    }
+    if (role.builtIn) {
+      throw roleError('Built-in roles cannot be deleted', 'ROLE_LOCKED');
+    }
+    const assigned = (await employeeService.getAll()).filter(emp => emp.role === roleId);
+    if (assigned.length > 0) {
+      throw roleError(`${assigned.length} staff member(s) still have the ${role.name} role`, 'ROLE_IN_USE');
+    }
+
+    this.roles = this.roles.filter(r => r.id !== roleId);
+    await this.persist();
+    await this.audit('role.deleted', role.id, actor, `Role ${role.name} deleted`, role, null);
+    return true;
+  }
+
+  // Give a staff member a role
+  async assignRole(employeeId, roleId, actor) {
+    await this.delay();
+    this.assertPermission(actor, 'manage_roles');
+    if (!this.findRole(roleId)) {
+      throw roleError('Role not found', 'ROLE_NOT_FOUND');
+    }
+    if (actor?.employeeId === parseInt(employeeId) && roleId !== actor.role) {
+      throw roleError('You cannot change your own role', 'ROLE_SELF_CHANGE');
+    }
+    const previousRole = (await employeeService.getById(employeeId))?.role || null;
+    const employee = await employeeService.updateRole(employeeId, roleId);
+    await auditService.safeRecord({
+      action: 'staff.role_assigned',
+      entityType: 'employee',
+      entityId: employee.Id,
+      actor: actor?.id || 'system',
+      summary: `${employee.name} assigned the ${this.findRole(roleId).name} role`,
+      before: { role: previousRole },
+      after: { role: roleId }
+    });
+    return employee;
+  }
+
+  // Staff passwords are set by someone who manages access, then used at staff sign-in
+  async setStaffPassword(employeeId, password, actor) {
+    await this.delay();
+    this.assertPermission(actor, 'manage_roles');
+    const employee = await employeeService.setPassword(employeeId, password);
+    await auditService.safeRecord({
+      action: 'staff.password_set',
+      entityType: 'employee',
+      entityId: employee.Id,
+      actor: actor?.id || 'system',
+      summary: `Sign-in password set for ${employee.name}`
+    });
+    return employee;
+  }
+
+  audit(action, roleId, actor, summary, before, after) {
+    return auditService.safeRecord({
+      action,
+      entityType: 'role',
+      entityId: roleId,
+      actor: actor?.id || 'system',
+      summary,
+      before,
+      after
+    });
+  }
+}
+
+export const roleService = new RoleService();
@@ -0,0 +1,279 @@
+import routeConfig from '@/services/mockData/routePlanning.json';
+import { orderService } from '@/services/api/orderService';
+import { deliveryPersonnelService } from '@/services/api/deliveryPersonnelService';
+import { deliveryPricingService } from '@/services/api/deliveryPricingService';
+import { deliverySlotService } from '@/services/api/deliverySlotService';
+import { hasCoordinates, haversineKm } from '@/utils/geo';
+
+/**
+ * Offline route planner for the delivery dashboard. Unassigned orders are batched onto
+ * available riders within vehicle limits, then each batch is sequenced with
+ * nearest-neighbour and improved with 2-opt on straight-line (haversine) distances.
+ */
+class RoutePlanningService {
+  constructor() {
+    this.config = routeConfig;
+  }
+
+  getVehicleProfile(vehicleType) {
+    return this.config.vehicles[vehicleType] || this.config.defaultVehicle;
+  }
+
+  haversineKm(a, b) {
+    return haversineKm(a, b);
+  }
+
+  hasCoordinates(point) {
+    return hasCoordinates(point);
+  }
+
+  isPlannable(order) {
+    return !order.deliveryPersonId &&
+      !['cancelled', 'delivered'].includes(order.status) &&
+      ['pending_assignment', 'pending', undefined].includes(order.deliveryStatus);
+  }
+
+  getOrderWeight(order) {
+    return order.estimatedWeightKg ?? deliveryPricingService.estimateWeight(order.items || []);
+  }
+
+  // Orders with an earlier booked window are batched first so they get the closest riders
+  getOrderPriority(order) {
+    const slot = order.deliverySlot;
+    if (!slot?.date || !slot?.slotId) return '9999';
+    const window = deliverySlotService.getWindow(slot.slotId);
+    return `${slot.date} ${window?.start || ''}`;
+  }
+
+  /**
+   * Visit stops greedily by nearest remaining stop
+   * @param {Object} start - Rider location
+   * @param {Array} stops - [{ coordinates, ... }]
+   * @returns {Array} - Stops in visiting order
+   */
+  nearestNeighbour(start, stops) {
+    const remaining = [...stops];
+    const route = [];
+    let current = start;
+    while (remaining.length > 0) {
+      let bestIndex = 0;
+      let bestDistance = Infinity;
+      remaining.forEach((stop, index) => {
+        const distance = this.haversineKm(current, stop.coordinates);
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          bestIndex = index;
+        }
+      });
+      const [next] = remaining.splice(bestIndex, 1);
+      route.push(next);
+      current = next.coordinates;
+    }
+    return route;
+  }
+
+  /**
+   * Improve an open route (fixed start, no return leg) by reversing segments while it gets shorter
+   * @param {Object} start - Rider location
+   * @param {Array} route - Stops in visiting order
+   * @returns {Array} - Improved route
+   */
+  twoOpt(start, route) {
+    const points = [start, ...route.map(stop => stop.coordinates)];
+    let stops = [...route];
+    const dist = (i, j) => this.haversineKm(points[i], points[j]);
+
+    for (let pass = 0; pass < this.config.maxTwoOptPasses; pass++) {
+      let improved = false;
+      for (let i = 1; i < points.length - 1; i++) {
+        for (let k = i + 1; k < points.length; k++) {
+          const isLast = k === points.length - 1;
+          const before = dist(i - 1, i) + (isLast ? 0 : dist(k, k + 1));
+          const after = dist(i - 1, k) + (isLast ? 0 : dist(i, k + 1));
+          if (after + 1e-9 < before) {
+            points.splice(i, k - i + 1, ...points.slice(i, k + 1).reverse());
+            stops.splice(i - 1, k - i + 1, ...stops.slice(i - 1, k).reverse());
+            improved = true;
+          }
+        }
+      }
+      if (!improved) break;
+    }
+    return stops;
+  }
+
+  /**
+   * Attach leg distances and ETAs to a sequenced route
+   * @returns {Object} - { stops, totalKm, totalMinutes }
+   */
+  buildSchedule(start, route, vehicleType, startTime) {
+    const { averageSpeedKmh } = this.getVehicleProfile(vehicleType);
+    let current = start;
+    let cumulativeKm = 0;
+    let elapsedMinutes = 0;
+
+    const stops = route.map((stop, index) => {
+      const legKm = this.haversineKm(current, stop.coordinates);
+      cumulativeKm += legKm;
+      elapsedMinutes += (legKm / averageSpeedKmh) * 60;
+      const eta = new Date(startTime.getTime() + elapsedMinutes * 60 * 1000);
+      elapsedMinutes += this.config.serviceMinutesPerStop;
+      current = stop.coordinates;
+      return {
+        ...stop,
+        sequence: index + 1,
+        legKm: Math.round(legKm * 100) / 100,
+        cumulativeKm: Math.round(cumulativeKm * 100) / 100,
+        eta: eta.toISOString()
+      };
+    });
+
+    return {
+      stops,
+      totalKm: Math.round(cumulativeKm * 100) / 100,
+      totalMinutes: Math.round(elapsedMinutes)
+    };
+  }
+
+  /**
+   * Live ETA from a rider's current position through the remaining stops
+   * @param {Object} from - Rider location { lat, lng }
+   * @param {Array} stops - Remaining stops in order, each with coordinates
+   * @param {string} vehicleType - Rider vehicle type
+   * @returns {Array} - [{ ...stop, distanceKm, eta }] for stops with coordinates
+   */
+  estimateArrivals(from, stops, vehicleType, now = new Date()) {
+    if (!this.hasCoordinates(from)) return [];
+    const route = stops.filter(stop => this.hasCoordinates(stop.coordinates));
+    return this.buildSchedule(from, route, vehicleType, now).stops.map(stop => ({
+      ...stop,
+      distanceKm: stop.cumulativeKm
+    }));
+  }
+
+  /**
+   * Plan routes for all unassigned orders. Pure: nothing is saved until a route is dispatched.
+   * @param {Array} orders - Orders (non-plannable ones are ignored)
+   * @param {Array} personnel - Delivery personnel
+   * @param {Object} options - { startTime }
+   * @returns {Object} - { routes: [{ riderId, riderName, vehicleType, zone, stops, totalKm, totalMinutes, loadKg, capacity }], unassigned: [{ orderId, reason }] }
+   */
+  planRoutes(orders, personnel, { startTime = new Date() } = {}) {
+    const riders = personnel
+      .filter(p => p.isActive && p.status === 'available' && this.hasCoordinates(p.currentLocation))
+      .map(rider => ({
+        rider,
+        profile: this.getVehicleProfile(rider.vehicleType),
+        stops: [],
+        loadKg: 0
+      }));
+
+    const unassigned = [];
+    const candidates = orders
+      .filter(order => this.isPlannable(order))
+      .sort((a, b) => this.getOrderPriority(a).localeCompare(this.getOrderPriority(b)));
+
+    candidates.forEach(order => {
+      const coordinates = order.deliveryAddress?.coordinates;
+      if (!this.hasCoordinates(coordinates)) {
+        unassigned.push({ orderId: order.id, reason: 'Delivery address has no coordinates' });
+        return;
+      }
+
+      const weightKg = this.getOrderWeight(order);
+      let best = null;
+      let bestDistance = Infinity;
+      let blockedByCapacity = false;
+
+      riders.forEach(batch => {
+        // Distance to the rider or to the nearest stop already in the batch
+        const anchors = [batch.rider.currentLocation, ...batch.stops.map(s => s.coordinates)];
+        const distance = Math.min(...anchors.map(point => this.haversineKm(point, coordinates)));
+        if (distance > this.config.maxBatchRadiusKm) return;
+
+        if (batch.stops.length >= batch.profile.maxStops ||
+            batch.loadKg + weightKg > batch.profile.maxWeightKg) {
+          blockedByCapacity = true;
+          return;
+        }
+
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = batch;
+        }
+      });
+
+      if (!best) {
+        unassigned.push({
+          orderId: order.id,
+          reason: blockedByCapacity
+            ? 'Nearby riders are at vehicle capacity'
+            : `No available rider within ${this.config.maxBatchRadiusKm} km`
+        });
+        return;
+      }
+
+      best.stops.push({
+        orderId: order.id,
+        customerName: order.deliveryAddress?.name,
+        address: order.deliveryAddress?.address,
+        city: order.deliveryAddress?.city,
+        coordinates,
+        weightKg,
+        deliverySlot: order.deliverySlot || null
+      });
+      best.loadKg += weightKg;
+    });
+
+    const routes = riders
+      .filter(batch => batch.stops.length > 0)
+      .map(batch => {
+        const start = batch.rider.currentLocation;
+        const sequenced = this.twoOpt(start, this.nearestNeighbour(start, batch.stops));
+        const schedule = this.buildSchedule(start, sequenced, batch.rider.vehicleType, startTime);
+        return {
+          riderId: batch.rider.Id,
+          riderName: batch.rider.name,
+          vehicleType: batch.rider.vehicleType,
+          zone: batch.rider.zone,
+          start,
+          ...schedule,
+          loadKg: Math.round(batch.loadKg * 100) / 100,
+          capacity: {
+            maxStops: batch.profile.maxStops,
+            maxWeightKg: batch.profile.maxWeightKg
+          }
+        };
+      });
+
+    return { routes, unassigned, generatedAt: startTime.toISOString() };
+  }
+
+  async getRoutePlan() {
+    const [orders, personnel] = await Promise.all([
+      orderService.getAll(),
+      deliveryPersonnelService.getAll()
+    ]);
+    return this.planRoutes(orders, personnel);
+  }
+
+  /**
+   * Assign every stop of a planned route to its rider and mark the rider on delivery
+   * @param {Object} route - One entry from planRoutes().routes
+   */
+  async dispatchRoute(route) {
+    const routeId = `RT-${Date.now()}-${route.riderId}`;
+    for (const stop of route.stops) {
+      await orderService.assignDeliveryPersonnel(stop.orderId, route.riderId, {
+        routeId,
+        sequence: stop.sequence,
+        totalStops: route.stops.length,
+        eta: stop.eta
+      });
+    }
+    await deliveryPersonnelService.updateStatus(route.riderId, 'on_delivery');
+    return { routeId, riderId: route.riderId, orderIds: route.stops.map(s => s.orderId) };
+  }
+}
+
+export const routePlanningService = new RoutePlanningService();
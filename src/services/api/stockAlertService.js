@@ -0,0 +1,129 @@
+import { persistenceService } from '@/services/PersistenceService';
+import { notificationService } from '@/services/api/notificationService';
+import { mailService } from '@/services/api/mailService';
+
+/**
+ * "Notify me when back in stock" subscriptions. One active subscription per user and
+ * product; productService calls notifyBackInStock when a product's stock goes from
+ * zero to positive, which sends each subscriber an in-app notification (and an email
+ * when one is on file) and closes the subscription.
+ */
+class StockAlertService {
+  constructor() {
+    this.alerts = [];
+    this.ready = persistenceService.load('stockAlerts', []).then(alerts => {
+      this.alerts = alerts;
+    });
+  }
+
+  persist() {
+    return persistenceService.save('stockAlerts', this.alerts);
+  }
+
+  async delay(ms = 150) {
+    await this.ready;
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  findActive(productId, subscriberId) {
+    return this.alerts.find(alert =>
+      alert.productId === parseInt(productId) && alert.subscriberId === subscriberId && alert.status === 'active'
+    ) || null;
+  }
+
+  /**
+   * @param {Object} subscriber - { id, name, email } of the signed-in user or guest session
+   */
+  async subscribe(product, subscriber) {
+    await this.delay();
+    if (!subscriber?.id) {
+      throw new Error('A subscriber is required');
+    }
+
+    const existing = this.findActive(product.id, subscriber.id);
+    if (existing) {
+      return { ...existing };
+    }
+
+    const alert = {
+      id: `STK-${Date.now()}-${this.alerts.length + 1}`,
+      productId: product.id,
+      productName: product.name,
+      subscriberId: subscriber.id,
+      name: subscriber.name || null,
+      email: subscriber.email || null,
+      status: 'active',
+      createdAt: new Date().toISOString(),
+      notifiedAt: null
+    };
+    this.alerts.push(alert);
+    await this.persist();
+    return { ...alert };
+  }
+
+  async unsubscribe(productId, subscriberId) {
+    await this.delay();
+    const alert = this.findActive(productId, subscriberId);
+    if (alert) {
+      alert.status = 'cancelled';
+      await this.persist();
+    }
+    return true;
+  }
+
+  async isSubscribed(productId, subscriberId) {
+    await this.ready;
+    return Boolean(this.findActive(productId, subscriberId));
+  }
+
+  // Product ids the subscriber is waiting on
+  async getActiveProductIds(subscriberId) {
+    await this.ready;
+    return this.alerts
+      .filter(alert => alert.subscriberId === subscriberId && alert.status === 'active')
+      .map(alert => alert.productId);
+  }
+
+  /**
+   * Tell everyone waiting on this product that it is available again
+   * @returns {Promise<number>} - How many subscribers were notified
+   */
+  async notifyBackInStock(product) {
+    await this.ready;
+    const waiting = this.alerts.filter(alert => alert.productId === product.id && alert.status === 'active');
+    if (waiting.length === 0) {
+      return 0;
+    }
+
+    const link = `/product/${product.id}`;
+    for (const alert of waiting) {
+      try {
+        await notificationService.push({
+          recipientId: alert.subscriberId,
+          type: 'back_in_stock',
+          title: `${product.name} is back in stock`,
+          message: `${product.stock} ${product.unit || 'pieces'} available now at Rs. ${product.price}.`,
+          link,
+          metadata: { productId: product.id }
+        });
+        if (alert.email) {
+          await mailService.send({
+            to: alert.email,
+            subject: `${product.name} is back in stock`,
+            body: `Hi ${alert.name || 'there'}, ${product.name} is available again. Order soon, stock is limited.`,
+            link
+          });
+        }
+        alert.status = 'notified';
+        alert.notifiedAt = new Date().toISOString();
+      } catch (error) {
+        console.error(`Failed to send back-in-stock alert ${alert.id}:`, error);
+      }
+    }
+
+    await this.persist();
+    return waiting.filter(alert => alert.status === 'notified').length;
+  }
+}
+
+export const stockAlertService = new StockAlertService();
@@ -0,0 +1,532 @@
+import { persistenceService } from '@/services/PersistenceService';
+import { orderService } from '@/services/api/orderService';
+import { productService } from '@/services/api/productService';
+import { paymentService } from '@/services/api/paymentService';
+import { customerService } from '@/services/api/customerService';
+import { deliverySlotService } from '@/services/api/deliverySlotService';
+import { notificationService } from '@/services/api/notificationService';
+import { DELIVERY_SLOT_TYPES } from '@/services/api/deliveryPricingService';
+
+export const SUBSCRIPTION_FREQUENCIES = [
+  { id: 'weekly', label: 'Every week' },
+  { id: 'biweekly', label: 'Every 2 weeks' },
+  { id: 'monthly', label: 'Every month' }
+];
+
+// Orders are placed this many days before delivery; until then the next basket can be edited or skipped
+export const ORDER_LEAD_DAYS = 1;
+const MAX_HISTORY = 50;
+const MAX_RUN_CLAIMS = 500;
+// A claimed run that never finished (closed tab, crash) is written off after this long
+const STALE_CLAIM_MS = 10 * 60 * 1000;
+// Web Lock held while the run claims are read and written
+const RUNS_LOCK = 'freshmart-subscription-runs';
+
+const subscriptionError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Date keys are local calendar days, so parse them without the UTC shift of new Date('YYYY-MM-DD')
+const parseDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const addDays = (dateKey, days) => {
+  const date = parseDateKey(dateKey);
+  date.setDate(date.getDate() + days);
+  return deliverySlotService.toDateKey(date);
+};
+
+/**
+ * Recurring grocery baskets. A subscription holds items, a frequency, a preferred delivery
+ * window and a saved address; processDue places a wallet-paid order through orderService.create
+ * for every active subscription whose delivery date is within ORDER_LEAD_DAYS, then moves the
+ * schedule on. Failed runs (empty wallet, no stock, full slots) are kept in the history and
+ * the customer gets an in-app notification either way. Every tab the customer has open may
+ * run this, so each delivery date is claimed in storage before its order is placed.
+ */
+class SubscriptionService {
+  constructor() {
+    this.subscriptions = [];
+    this.processing = null;
+    this.ready = persistenceService.load('subscriptions', []).then(subscriptions => {
+      this.subscriptions = subscriptions;
+    });
+  }
+
+  persist() {
+    return persistenceService.save('subscriptions', this.subscriptions);
+  }
+
+  // Another tab may have moved schedules on since this one loaded them
+  async reload() {
+    this.subscriptions = await persistenceService.load('subscriptions', []);
+  }
+
+  async delay(ms = 200) {
+    await this.ready;
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  getNextId() {
+    return this.subscriptions.reduce((max, subscription) => Math.max(max, subscription.Id), 0) + 1;
+  }
+
+  find(subscriptionId, customerId) {
+    const subscription = this.subscriptions.find(s => s.Id === parseInt(subscriptionId));
+    if (!subscription || (customerId && subscription.customerId !== customerId)) {
+      throw subscriptionError('Subscription not found', 'SUBSCRIPTION_NOT_FOUND');
+    }
+    return subscription;
+  }
+
+  toPublic(subscription) {
+    return {
+      ...subscription,
+      items: subscription.items.map(item => ({ ...item })),
+      history: subscription.history.map(entry => ({ ...entry }))
+    };
+  }
+
+  /**
+   * Same stepping as paymentService.calculateNextPaymentDate, on delivery date keys
+   * @param {string} dateKey - YYYY-MM-DD
+   * @param {string} frequency - weekly | biweekly | monthly
+   * @returns {string} - YYYY-MM-DD
+   */
+  calculateNextDeliveryDate(dateKey, frequency) {
+    const date = parseDateKey(dateKey);
+
+    switch (frequency) {
+      case 'weekly':
+        date.setDate(date.getDate() + 7);
+        break;
+      case 'biweekly':
+        date.setDate(date.getDate() + 14);
+        break;
+      case 'monthly':
+        date.setMonth(date.getMonth() + 1);
+        break;
+      default:
+        throw subscriptionError('Invalid frequency', 'INVALID_FREQUENCY');
+    }
+
+    return deliverySlotService.toDateKey(date);
+  }
+
+  // First delivery date that is still far enough out to be ordered ahead of time
+  getEarliestDeliveryDate() {
+    return addDays(deliverySlotService.toDateKey(new Date()), ORDER_LEAD_DAYS);
+  }
+
+  // Roll a date forward by whole periods until it is no earlier than the earliest allowed date
+  rollForward(dateKey, frequency) {
+    const earliest = this.getEarliestDeliveryDate();
+    let next = dateKey;
+    while (next < earliest) {
+      next = this.calculateNextDeliveryDate(next, frequency);
+    }
+    return next;
+  }
+
+  /**
+   * Validate and normalise the editable fields against the catalog and the customer's address book
+   * @throws {Error} - ITEMS_REQUIRED, INVALID_QUANTITY, PRODUCT_UNAVAILABLE, INVALID_FREQUENCY,
+   *   INVALID_SLOT, ADDRESS_NOT_FOUND or INVALID_START_DATE
+   */
+  async normalize(customerId, data) {
+    const items = (data.items || []).filter(item => item && item.productId != null);
+    if (items.length === 0) {
+      throw subscriptionError('Add at least one item to the basket', 'ITEMS_REQUIRED');
+    }
+
+    const normalizedItems = [];
+    for (const item of items) {
+      const quantity = parseInt(item.quantity);
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        throw subscriptionError('Quantities must be whole numbers of at least 1', 'INVALID_QUANTITY');
+      }
+      const product = await productService.getById(item.productId).catch(() => null);
+      if (!product || product.isActive === false) {
+        throw subscriptionError(`${item.name || 'A product'} is no longer available`, 'PRODUCT_UNAVAILABLE');
+      }
+      const existing = normalizedItems.find(i => i.productId === product.id);
+      if (existing) {
+        existing.quantity += quantity;
+      } else {
+        normalizedItems.push({ productId: product.id, name: product.name, unit: product.unit, image: product.imageUrl || null, quantity });
+      }
+    }
+
+    if (!SUBSCRIPTION_FREQUENCIES.some(f => f.id === data.frequency)) {
+      throw subscriptionError('Choose how often the basket should be delivered', 'INVALID_FREQUENCY');
+    }
+
+    if (!deliverySlotService.getWindow(data.slotId)) {
+      throw subscriptionError('Choose a delivery window', 'INVALID_SLOT');
+    }
+
+    const addresses = await customerService.getAddresses(customerId);
+    if (!addresses.some(a => a.id === data.addressId)) {
+      throw subscriptionError('Choose one of your saved addresses', 'ADDRESS_NOT_FOUND');
+    }
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(data.nextDeliveryDate || '') || data.nextDeliveryDate < this.getEarliestDeliveryDate()) {
+      throw subscriptionError('The first delivery must be at least a day away', 'INVALID_START_DATE');
+    }
+
+    return {
+      items: normalizedItems,
+      frequency: data.frequency,
+      slotId: data.slotId,
+      addressId: data.addressId,
+      nextDeliveryDate: data.nextDeliveryDate
+    };
+  }
+
+  async getByCustomer(customerId) {
+    await this.delay();
+    return this.subscriptions
+      .filter(s => s.customerId === customerId && s.status !== 'cancelled')
+      .sort((a, b) => a.nextDeliveryDate.localeCompare(b.nextDeliveryDate))
+      .map(s => this.toPublic(s));
+  }
+
+  /**
+   * @param {Object} data - { items: [{ productId, quantity }], frequency, slotId, addressId, nextDeliveryDate }
+   */
+  async create(customerId, data) {
+    await this.delay();
+    if (!customerId) {
+      throw subscriptionError('Sign in to set up a subscription', 'SIGN_IN_REQUIRED');
+    }
+    const fields = await this.normalize(customerId, data);
+    const now = new Date().toISOString();
+    const subscription = {
+      Id: this.getNextId(),
+      customerId,
+      ...fields,
+      status: 'active',
+      history: [],
+      createdAt: now,
+      updatedAt: now
+    };
+    this.subscriptions.push(subscription);
+    await this.persist();
+    return this.toPublic(subscription);
+  }
+
+  async update(subscriptionId, customerId, data) {
+    await this.delay();
+    const subscription = this.find(subscriptionId, customerId);
+    if (subscription.status === 'cancelled') {
+      throw subscriptionError('This subscription has been cancelled', 'SUBSCRIPTION_CANCELLED');
+    }
+    // A paused subscription may still hold a past date; keep it valid unless a new one is given
+    const fields = await this.normalize(customerId, {
+      ...subscription,
+      nextDeliveryDate: this.rollForward(subscription.nextDeliveryDate, subscription.frequency),
+      ...data
+    });
+    Object.assign(subscription, fields, { updatedAt: new Date().toISOString() });
+    await this.persist();
+    return this.toPublic(subscription);
+  }
+
+  // Leave out the upcoming delivery and move on to the one after
+  async skipNext(subscriptionId, customerId) {
+    await this.delay();
+    const subscription = this.find(subscriptionId, customerId);
+    if (subscription.status !== 'active') {
+      throw subscriptionError('Only active subscriptions can skip a delivery', 'SUBSCRIPTION_NOT_ACTIVE');
+    }
+    this.addHistory(subscription, { date: subscription.nextDeliveryDate, status: 'skipped' });
+    subscription.nextDeliveryDate = this.rollForward(
+      this.calculateNextDeliveryDate(subscription.nextDeliveryDate, subscription.frequency),
+      subscription.frequency
+    );
+    subscription.updatedAt = new Date().toISOString();
+    await this.persist();
+    return this.toPublic(subscription);
+  }
+
+  async pause(subscriptionId, customerId) {
+    return this.setStatus(subscriptionId, customerId, 'paused');
+  }
+
+  // Deliveries missed while paused are not made up; the schedule resumes from the next open date
+  async resume(subscriptionId, customerId) {
+    return this.setStatus(subscriptionId, customerId, 'active');
+  }
+
+  async cancel(subscriptionId, customerId) {
+    return this.setStatus(subscriptionId, customerId, 'cancelled');
+  }
+
+  async setStatus(subscriptionId, customerId, status) {
+    await this.delay();
+    const subscription = this.find(subscriptionId, customerId);
+    if (subscription.status === 'cancelled') {
+      throw subscriptionError('This subscription has been cancelled', 'SUBSCRIPTION_CANCELLED');
+    }
+    subscription.status = status;
+    if (status === 'active') {
+      subscription.nextDeliveryDate = this.rollForward(subscription.nextDeliveryDate, subscription.frequency);
+    }
+    subscription.updatedAt = new Date().toISOString();
+    await this.persist();
+    return this.toPublic(subscription);
+  }
+
+  addHistory(subscription, entry) {
+    subscription.history = [{ ...entry, recordedAt: new Date().toISOString() }, ...subscription.history].slice(0, MAX_HISTORY);
+  }
+
+  /**
+   * Current prices for a basket, limited to what is in stock
+   * @returns {Promise<Object>} - { items, subtotal, adjustments }
+   */
+  async priceBasket(subscription) {
+    const items = [];
+    const adjustments = [];
+    for (const item of subscription.items) {
+      const product = await productService.getById(item.productId).catch(() => null);
+      if (!product || product.isActive === false || product.stock <= 0) {
+        adjustments.push(`${item.name} was unavailable`);
+        continue;
+      }
+      const quantity = Math.min(item.quantity, product.stock);
+      if (quantity < item.quantity) {
+        adjustments.push(`Only ${quantity} of ${item.quantity} ${item.name} available`);
+      }
+      items.push({
+        id: product.id,
+        name: product.name,
+        price: product.price,
+        quantity,
+        category: product.category,
+        unit: product.unit,
+        image: product.imageUrl || item.image,
+        validatedAt: new Date().toISOString()
+      });
+    }
+    const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    return { items, subtotal, adjustments };
+  }
+
+  // Preferred window if it is open on the delivery date, otherwise the first open window that day
+  async pickSlot(zone, date, preferredSlotId) {
+    const calendar = await deliverySlotService.getAvailability(zone);
+    const day = calendar.find(entry => entry.date === date);
+    if (!day) return null;
+    const preferred = day.slots.find(slot => slot.id === preferredSlotId && slot.isAvailable);
+    return preferred || day.slots.find(slot => slot.isAvailable) || null;
+  }
+
+  async placeOrder(subscription) {
+    const profile = await customerService.getProfile(subscription.customerId);
+    const address = profile.addresses.find(a => a.id === subscription.addressId) || profile.addresses.find(a => a.isDefault);
+    if (!address) {
+      throw subscriptionError('No delivery address on file', 'ADDRESS_NOT_FOUND');
+    }
+
+    const { items, subtotal, adjustments } = await this.priceBasket(subscription);
+    if (items.length === 0) {
+      throw subscriptionError('None of the items were in stock', 'OUT_OF_STOCK');
+    }
+
+    const deliveryAddress = {
+      name: profile.name,
+      phone: profile.phone,
+      email: profile.email,
+      address: address.address,
+      city: address.city,
+      postalCode: address.postalCode,
+      instructions: '',
+      coordinates: address.coordinates,
+      addressId: address.id,
+      label: address.label
+    };
+    const quote = orderService.getDeliveryQuote({
+      items,
+      subtotal,
+      deliveryAddress,
+      deliverySlotType: DELIVERY_SLOT_TYPES.STANDARD
+    });
+    const total = subtotal + quote.fee;
+
+    // Checked up front so a failed run does not leave a slot booked or a partial order behind
+    const balance = await paymentService.getWalletBalance();
+    if (total > balance) {
+      throw subscriptionError(`Wallet balance Rs. ${balance.toLocaleString()} does not cover Rs. ${total.toLocaleString()}`, 'INSUFFICIENT_FUNDS');
+    }
+
+    const slot = await this.pickSlot(quote.zone, subscription.nextDeliveryDate, subscription.slotId);
+    if (!slot) {
+      throw subscriptionError('No delivery window is open on that day', 'SLOT_UNAVAILABLE');
+    }
+
+    const order = await orderService.create({
+      items,
+      originalSubtotal: subtotal,
+      dealSavings: 0,
+      subtotal,
+      deliveryCharge: quote.fee,
+      deliveryZone: quote.zone,
+      deliverySlotType: DELIVERY_SLOT_TYPES.STANDARD,
+      deliverySlot: { date: subscription.nextDeliveryDate, slotId: slot.id },
+      customerId: subscription.customerId,
+      total,
+      paymentMethod: 'wallet',
+      deliveryAddress,
+      status: 'confirmed',
+      verificationStatus: null,
+      priceValidatedAt: new Date().toISOString(),
+      subscriptionId: subscription.Id
+    });
+    return { order, adjustments, slotId: slot.id };
+  }
+
+  runKey(subscriptionId, deliveryDate) {
+    return `${subscriptionId}:${deliveryDate}`;
+  }
+
+  /**
+   * Run a read-modify-write of the run claims under an exclusive Web Lock, so tabs of the same
+   * browser take turns and the check-then-save in claimRun is atomic between them. Browsers
+   * without the Locks API fall back to the in-tab serialisation of processDue only.
+   */
+  withRunsLock(task) {
+    if (typeof navigator !== 'undefined' && navigator.locks?.request) {
+      return navigator.locks.request(RUNS_LOCK, { mode: 'exclusive' }, task);
+    }
+    return task();
+  }
+
+  /**
+   * Claim one delivery date of a subscription for ordering. The claim is checked and written
+   * under the runs lock, so a second tab (or a stale copy of the schedule) sees the date is
+   * taken and leaves it alone.
+   * @returns {Promise<Object>} - { claimed, claim }; when taken, claim is the existing one
+   */
+  claimRun(subscriptionId, deliveryDate) {
+    const key = this.runKey(subscriptionId, deliveryDate);
+    return this.withRunsLock(async () => {
+      const claims = await persistenceService.load('subscriptionRuns', []);
+      const existing = claims.find(claim => claim.key === key);
+      if (existing) {
+        return { claimed: false, claim: existing };
+      }
+      const claim = { key, status: 'claimed', claimedAt: new Date().toISOString() };
+      await persistenceService.save('subscriptionRuns', [claim, ...claims].slice(0, MAX_RUN_CLAIMS));
+      return { claimed: true, claim };
+    });
+  }
+
+  finishRun(subscriptionId, deliveryDate, outcome) {
+    const key = this.runKey(subscriptionId, deliveryDate);
+    return this.withRunsLock(async () => {
+      const claims = await persistenceService.load('subscriptionRuns', []);
+      await persistenceService.save('subscriptionRuns', claims.map(claim => claim.key === key
+        ? { ...claim, ...outcome, finishedAt: new Date().toISOString() }
+        : claim));
+    });
+  }
+
+  /**
+   * Place orders for the signed-in customer's active subscriptions that are due. Runs in one tab
+   * are serialised, and each delivery date is claimed under the runs lock first, so neither the
+   * periodic trigger, a page visit nor a second tab of the same browser can place the same basket twice.
+   * @param {string} customerId - Only this customer's subscriptions are processed
+   * @returns {Promise<Object>} - { ordered, failed }
+   */
+  processDue(customerId) {
+    if (!customerId) {
+      return Promise.resolve({ ordered: 0, failed: 0 });
+    }
+    if (!this.processing) {
+      this.processing = this.runDue(customerId).finally(() => {
+        this.processing = null;
+      });
+    }
+    return this.processing;
+  }
+
+  async runDue(customerId) {
+    await this.ready;
+    const today = deliverySlotService.toDateKey(new Date());
+    const cutoff = addDays(today, ORDER_LEAD_DAYS);
+    const isDue = (s) => s?.customerId === customerId && s.status === 'active' && s.nextDeliveryDate <= cutoff;
+    const result = { ordered: 0, failed: 0 };
+
+    await this.reload();
+    const dueIds = this.subscriptions.filter(isDue).map(s => s.Id);
+
+    for (const subscriptionId of dueIds) {
+      await this.reload();
+      const subscription = this.subscriptions.find(s => s.Id === subscriptionId);
+      if (!isDue(subscription)) continue;
+
+      const deliveryDate = subscription.nextDeliveryDate;
+      const { claimed, claim } = await this.claimRun(subscription.Id, deliveryDate);
+      if (!claimed) {
+        // Another run owns this date and moves the schedule on; only one that never finished is written off
+        if (claim.status !== 'claimed' || Date.now() - new Date(claim.claimedAt).getTime() < STALE_CLAIM_MS) continue;
+        this.addHistory(subscription, { date: deliveryDate, status: 'failed', reason: 'The order run was interrupted', code: 'RUN_INTERRUPTED' });
+        await this.finishRun(subscription.Id, deliveryDate, { status: 'failed' });
+      } else if (deliveryDate < today) {
+        // The app was not opened in time; the missed date is recorded rather than delivered late
+        this.addHistory(subscription, { date: deliveryDate, status: 'missed' });
+        await this.finishRun(subscription.Id, deliveryDate, { status: 'missed' });
+      } else {
+        try {
+          const { order, adjustments, slotId } = await this.placeOrder(subscription);
+          await this.finishRun(subscription.Id, deliveryDate, { status: 'ordered', orderId: order.id });
+          this.addHistory(subscription, { date: deliveryDate, status: 'ordered', orderId: order.id, total: order.total, slotId, adjustments });
+          result.ordered += 1;
+          await this.notify(subscription, {
+            type: 'subscription_ordered',
+            title: 'Your basket order has been placed',
+            message: `Order #${order.id} for Rs. ${order.total.toLocaleString()} arrives on ${deliveryDate}, ${deliverySlotService.getWindow(slotId).label}.${adjustments.length ? ` ${adjustments.join('. ')}.` : ''}`,
+            link: `/orders/${order.id}`
+          });
+        } catch (error) {
+          await this.finishRun(subscription.Id, deliveryDate, { status: 'failed' });
+          this.addHistory(subscription, { date: deliveryDate, status: 'failed', reason: error.message, code: error.code || null });
+          result.failed += 1;
+          await this.notify(subscription, {
+            type: 'subscription_failed',
+            title: 'Your basket order could not be placed',
+            message: `Delivery for ${deliveryDate} was skipped: ${error.message}`,
+            link: '/subscriptions'
+          });
+        }
+      }
+      subscription.nextDeliveryDate = this.rollForward(
+        this.calculateNextDeliveryDate(deliveryDate, subscription.frequency),
+        subscription.frequency
+      );
+      subscription.updatedAt = new Date().toISOString();
+      await this.persist();
+    }
+
+    return result;
+  }
+
+  async notify(subscription, notification) {
+    try {
+      await notificationService.push({
+        recipientId: subscription.customerId,
+        ...notification,
+        metadata: { subscriptionId: subscription.Id }
+      });
+    } catch (error) {
+      console.error(`Failed to notify customer about subscription ${subscription.Id}:`, error);
+    }
+  }
+}
+
+export const subscriptionService = new SubscriptionService();
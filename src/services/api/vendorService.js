@@ -1,11 +1,55 @@
 import vendorsData from '@/services/mockData/vendors.json'
 import productsData from '@/services/mockData/products.json'
+import { persistenceService } from '@/services/PersistenceService'
+import { productService } from '@/services/api/productService'
+import { orderService } from '@/services/api/orderService'
+import { paymentService } from '@/services/api/paymentService'
+import { approvalWorkflowService } from '@/services/api/approvalWorkflowService'
+import { auditService } from '@/services/api/auditService'
+import sessionService from '@/services/SessionService'
+import { hashPassword, verifyPassword } from '@/utils/password'
+
+// Orders that never earned the vendor anything
+const NON_REVENUE_ORDER_STATUSES = ['cancelled', 'payment_pending']
+// Price moves above this percentage need approval before they go live
+const VENDOR_PRICE_CHANGE_THRESHOLD = 20
 
 class VendorService {
   constructor() {
     this.vendors = [...vendorsData];
     this.products = [...productsData];
     this.sessionKey = 'vendor_session';
+    this.ready = persistenceService.load('vendors', vendorsData).then(async vendors => {
+      const missingAssignments = vendors.some(vendor => !Array.isArray(vendor.assignedProducts));
+      await this.hashStoredPasswords(this.seedAssignedProducts(vendors));
+      if (missingAssignments) {
+        await this.persist();
+      }
+    });
+  }
+
+  // Vendors stored before products were assigned explicitly pick up their seed assignments
+  seedAssignedProducts(vendors) {
+    return vendors.map(vendor => {
+      if (Array.isArray(vendor.assignedProducts)) return vendor;
+      const seed = vendorsData.find(v => v.Id === vendor.Id);
+      return { ...vendor, assignedProducts: [...(seed?.assignedProducts || [])] };
+    });
+  }
+
+  // Installs from before passwords were hashed still hold them in plaintext; hash those once on load
+  async hashStoredPasswords(vendors) {
+    const plaintext = vendors.filter(vendor => typeof vendor.password === 'string');
+    this.vendors = await Promise.all(vendors.map(async vendor => typeof vendor.password === 'string'
+      ? { ...vendor, password: await hashPassword(vendor.password) }
+      : vendor));
+    if (plaintext.length > 0) {
+      await this.persist();
+    }
+  }
+
+  persist() {
+    return persistenceService.save('vendors', this.vendors);
   }
 
   // Authentication methods
@@ -26,27 +70,31 @@ const vendor = this.vendors.find(v =>
         throw new Error('Invalid credentials or vendor not found');
       }
 
-      // In a real app, you'd verify the password hash
-      if (credentials.password !== vendor.password) {
+      if (!(await verifyPassword(credentials.password, vendor.password))) {
         throw new Error('Invalid credentials');
       }
 
+      const vendorId = vendor.id ?? vendor.Id;
       const session = {
-        vendorId: vendor.id,
+        vendorId,
         email: vendor.email,
         name: vendor.name,
         loginTime: new Date().toISOString(),
-        token: `vendor_token_${vendor.id}_${Date.now()}`
+        token: `vendor_token_${vendorId}_${Date.now()}`
       };
 
       localStorage.setItem(this.sessionKey, JSON.stringify(session));
       
-      await this.logAdminAction(`Vendor ${vendor.name} logged in`);
+      await this.logAdminAction(`Vendor ${vendor.name} logged in`, {
+        action: 'vendor.login',
+        entityId: vendorId,
+        actor: `vendor_${this.getVendorKey(vendor)}`
+      });
       
       return {
         success: true,
         vendor: {
-          id: vendor.id,
+          id: vendorId,
           name: vendor.name,
           email: vendor.email,
           status: vendor.status
@@ -63,7 +111,11 @@ const vendor = this.vendors.find(v =>
     try {
       const session = this.getCurrentSession();
       if (session) {
-        await this.logAdminAction(`Vendor ${session.name} logged out`);
+        await this.logAdminAction(`Vendor ${session.name} logged out`, {
+          action: 'vendor.logout',
+          entityId: session.vendorId,
+          actor: `vendor_${session.vendorId}`
+        });
       }
       
       localStorage.removeItem(this.sessionKey);
@@ -86,6 +138,7 @@ const vendor = this.vendors.find(v =>
 
   async validateSession() {
     try {
+      await this.ready;
       const session = this.getCurrentSession();
       if (!session) {
         throw new Error('No active session');
@@ -166,14 +219,22 @@ const vendor = this.vendors.find(v =>
         }
       }
 
+      const before = this.toAuditSnapshot(this.vendors[vendorIndex]);
       this.vendors[vendorIndex] = {
         ...this.vendors[vendorIndex],
         ...profileData,
         id: vendorId, // Ensure ID doesn't change
         updatedAt: new Date().toISOString()
       };
+      await this.persist();
 
-      await this.logAdminAction(`Vendor profile updated: ${this.vendors[vendorIndex].name}`);
+      await this.logAdminAction(`Vendor profile updated: ${this.vendors[vendorIndex].name}`, {
+        action: 'vendor.profile_updated',
+        entityId: vendorId,
+        actor: `vendor_${this.getVendorKey(this.vendors[vendorIndex])}`,
+        before,
+        after: this.toAuditSnapshot(this.vendors[vendorIndex])
+      });
 
       return {
         success: true,
@@ -199,8 +260,7 @@ const vendor = this.vendors.find(v =>
         throw new Error('Vendor not found');
       }
 
-      // In a real app, you'd verify the current password hash
-      if (passwordData.currentPassword !== 'vendor123') {
+      if (!(await verifyPassword(passwordData.currentPassword, vendor.password))) {
         throw new Error('Current password is incorrect');
       }
 
@@ -208,8 +268,15 @@ const vendor = this.vendors.find(v =>
         throw new Error('New password must be at least 6 characters long');
       }
 
-      // In a real app, you'd hash the new password
-      await this.logAdminAction(`Password changed for vendor: ${vendor.name}`);
+      vendor.password = await hashPassword(passwordData.newPassword);
+      vendor.updatedAt = new Date().toISOString();
+      await this.persist();
+
+      await this.logAdminAction(`Password changed for vendor: ${vendor.name}`, {
+        action: 'vendor.password_changed',
+        entityId: vendor.id,
+        actor: `vendor_${this.getVendorKey(vendor)}`
+      });
 
       return {
         success: true,
@@ -327,8 +394,13 @@ const vendor = this.vendors.find(v =>
       };
 
       this.vendors.push(newVendor);
+      await this.persist();
 
-      await this.logAdminAction(`New vendor created: ${newVendor.name}`);
+      await this.logAdminAction(`New vendor created: ${newVendor.name}`, {
+        action: 'vendor.created',
+        entityId: newVendor.id,
+        after: this.toAuditSnapshot(newVendor)
+      });
       await this.notifyVendor(newVendor.id, 'Welcome! Your vendor account has been created.');
 
       return {
@@ -376,14 +448,21 @@ const vendor = this.vendors.find(v =>
         }
       }
 
+      const before = this.toAuditSnapshot(this.vendors[vendorIndex]);
       this.vendors[vendorIndex] = {
         ...this.vendors[vendorIndex],
         ...vendorData,
         id: vendorId, // Ensure ID doesn't change
         updatedAt: new Date().toISOString()
       };
+      await this.persist();
 
-      await this.logAdminAction(`Vendor updated: ${this.vendors[vendorIndex].name}`);
+      await this.logAdminAction(`Vendor updated: ${this.vendors[vendorIndex].name}`, {
+        action: 'vendor.updated',
+        entityId: vendorId,
+        before,
+        after: this.toAuditSnapshot(this.vendors[vendorIndex])
+      });
 
       return {
         success: true,
@@ -419,8 +498,13 @@ const vendor = this.vendors.find(v =>
         deletedAt: new Date().toISOString(),
         updatedAt: new Date().toISOString()
       };
+      await this.persist();
 
-      await this.logAdminAction(`Vendor deleted: ${vendor.name}`);
+      await this.logAdminAction(`Vendor deleted: ${vendor.name}`, {
+        action: 'vendor.deleted',
+        entityId: vendor.id,
+        before: this.toAuditSnapshot(vendor)
+      });
 
       return {
         success: true,
@@ -441,16 +525,13 @@ const vendor = this.vendors.find(v =>
         throw new Error('Vendor ID is required');
       }
 
-      const vendor = this.vendors.find(v => v.id === vendorId);
+      const vendor = this.findVendor(vendorId);
       if (!vendor) {
         throw new Error('Vendor not found');
       }
 
       // Get products assigned to this vendor
-      const vendorProducts = this.products.filter(product => 
-        vendor.assignedProducts?.includes(product.id) ||
-        product.vendorId === vendorId
-      );
+      const vendorProducts = await this.getAssignedProducts(vendor);
 
       return {
         success: true,
@@ -463,6 +544,245 @@ const vendor = this.vendors.find(v =>
     }
   }
 
+  // Seed vendors are keyed by Id, vendors created in the admin by id
+  findVendor(vendorId) {
+    return this.vendors.find(v => v.id === vendorId || (v.Id !== undefined && v.Id === parseInt(vendorId))) || null;
+  }
+
+  getVendorKey(vendor) {
+    return parseInt(vendor.id ?? vendor.Id);
+  }
+
+  // Whether a product is supplied by a vendor, from the vendor's assigned products
+  isVendorProduct(vendor, productId) {
+    return (vendor.assignedProducts || []).includes(parseInt(productId));
+  }
+
+  async getAssignedProducts(vendor) {
+    const products = await productService.getAll('admin');
+    return products.filter(product =>
+      this.isVendorProduct(vendor, product.id) ||
+      (product.vendorId !== undefined && product.vendorId === (vendor.id ?? vendor.Id))
+    );
+  }
+
+  /**
+   * Performance figures for the vendor dashboard
+   * @returns {Promise<Object>} - Catalogue, availability, revenue and payment stats
+   */
+  async getVendorStats(vendorId) {
+    await this.delay();
+
+    const vendor = this.findVendor(vendorId);
+    if (!vendor) {
+      throw new Error('Vendor not found');
+    }
+    const vendorKey = this.getVendorKey(vendor);
+
+    const [products, orders] = await Promise.all([
+      this.getAssignedProducts(vendor),
+      orderService.getAll()
+    ]);
+    // Order lines count towards the vendor when the product is one of theirs; storefront and
+    // subscription orders key their lines by id, seed and POS data by productId
+    const productsById = new Map(products.map(product => [product.id, product]));
+
+    // Availability: how many requested items the vendor answered, how many it could fill, and how fast
+    let requestedItems = 0;
+    const responses = [];
+    for (const order of orders) {
+      for (const item of order.items || []) {
+        if (!productsById.has(item.productId ?? item.id)) continue;
+        requestedItems += 1;
+        const response = Object.values(order.vendor_availability || {}).find(entry =>
+          entry.productId === (item.productId ?? item.id) && entry.vendorId === vendorKey
+        );
+        if (response) responses.push(response);
+      }
+    }
+    const fulfilled = responses.filter(response => response.available === true).length;
+    // responseTime is recorded with orderService.calculateResponseTime as "<n> minutes"
+    const responseMinutes = responses
+      .map(response => parseInt(response.responseTime))
+      .filter(minutes => Number.isFinite(minutes));
+
+    // Revenue and margin on the vendor's lines of orders that went through
+    let revenue = 0;
+    let cost = 0;
+    let unitsSold = 0;
+    const revenueOrders = new Set();
+    for (const order of orders) {
+      if (NON_REVENUE_ORDER_STATUSES.includes(order.status)) continue;
+      for (const item of order.items || []) {
+        if (!productsById.has(item.productId ?? item.id)) continue;
+        const quantity = item.quantity || 0;
+        revenue += (item.price || 0) * quantity;
+        cost += (productsById.get(item.productId ?? item.id)?.purchasePrice || 0) * quantity;
+        unitsSold += quantity;
+        revenueOrders.add(order.id);
+      }
+    }
+
+    const catalogueMargins = products
+      .filter(product => product.purchasePrice > 0)
+      .map(product => ((product.price - product.purchasePrice) / product.purchasePrice) * 100);
+
+    return {
+      vendorId: vendorKey,
+      totalProducts: products.length,
+      totalValue: products.reduce((sum, product) => sum + (product.price || 0) * (product.stock || 0), 0),
+      lowStockCount: products.filter(product => (product.stock || 0) <= (product.minStock || 10)).length,
+      averageMargin: catalogueMargins.length > 0
+        ? Math.round((catalogueMargins.reduce((sum, margin) => sum + margin, 0) / catalogueMargins.length) * 100) / 100
+        : 0,
+      availability: {
+        requestedItems,
+        responses: responses.length,
+        fulfilled,
+        pending: requestedItems - responses.length,
+        fillRate: responses.length > 0 ? Math.round((fulfilled / responses.length) * 1000) / 10 : null,
+        responseRate: requestedItems > 0 ? Math.round((responses.length / requestedItems) * 1000) / 10 : null,
+        averageResponseMinutes: responseMinutes.length > 0
+          ? Math.round(responseMinutes.reduce((sum, minutes) => sum + minutes, 0) / responseMinutes.length)
+          : null
+      },
+      sales: {
+        orders: revenueOrders.size,
+        unitsSold,
+        revenue,
+        cost,
+        margin: revenue - cost,
+        marginPercent: revenue > 0 ? Math.round(((revenue - cost) / revenue) * 1000) / 10 : 0
+      },
+      payments: await this.getVendorPaymentStatus(vendorKey),
+      calculatedAt: new Date().toISOString()
+    };
+  }
+
+  // Vendors without a payables account have no bills yet
+  async getVendorPaymentStatus(vendorKey) {
+    try {
+      const summary = await paymentService.getVendorPaymentSummary(vendorKey);
+      let status = 'no_bills';
+      if (summary.overdueBills > 0) status = 'overdue';
+      else if (summary.pendingBills > 0 || summary.pendingPayments > 0) status = 'pending';
+      else if (summary.totalBills > 0) status = 'settled';
+
+      return {
+        status,
+        totalBills: summary.totalBills,
+        totalBillAmount: summary.totalBillAmount,
+        paidBills: summary.paidBills,
+        pendingBills: summary.pendingBills,
+        overdueBills: summary.overdueBills,
+        pendingPayments: summary.pendingPayments
+      };
+    } catch (error) {
+      return { status: 'not_registered', totalBills: 0, totalBillAmount: 0, paidBills: 0, pendingBills: 0, overdueBills: 0, pendingPayments: 0 };
+    }
+  }
+
+  /**
+   * Change price, cost or stock on one of the vendor's products. Changes the approval
+   * workflow flags as sensitive (or that the vendor asks to have reviewed) are submitted
+   * for approval instead of being applied.
+   * @param {Object} priceData - { price, purchasePrice, stock }
+   * @param {Object} options - { requestApproval }
+   * @returns {Promise<Object>} - { status: 'updated', product } or { status: 'pending_approval', requestId, reason }
+   */
+  async updateVendorPrice(vendorId, productId, priceData, options = {}) {
+    await this.delay();
+
+    const vendor = this.findVendor(vendorId);
+    if (!vendor) {
+      throw new Error('Vendor not found');
+    }
+    if (!this.isVendorProduct(vendor, parseInt(productId))) {
+      const error = new Error('This product is not assigned to your account');
+      error.code = 'VENDOR_PRODUCT_NOT_ASSIGNED';
+      throw error;
+    }
+
+    const product = await productService.getById(productId, 'admin');
+    const currentValues = {
+      price: product.price,
+      stock: product.stock,
+      purchasePrice: product.purchasePrice || 0
+    };
+    const proposedValues = {
+      price: parseFloat(priceData.price ?? product.price),
+      stock: parseInt(priceData.stock ?? product.stock),
+      purchasePrice: parseFloat(priceData.purchasePrice ?? product.purchasePrice ?? 0)
+    };
+
+    if (!(proposedValues.price > 0)) {
+      throw new Error('Price must be greater than 0');
+    }
+    if (proposedValues.purchasePrice > 0 && proposedValues.price <= proposedValues.purchasePrice) {
+      throw new Error('Selling price must be greater than purchase price');
+    }
+
+    const check = approvalWorkflowService.checkIfRequiresApproval(
+      { type: 'price_change', currentValues, proposedValues },
+      { priceChangePercent: VENDOR_PRICE_CHANGE_THRESHOLD }
+    );
+
+    if (check.required || options.requestApproval) {
+      // Only pricing waits for review; a stock count is applied straight away
+      let pendingProduct = product;
+      if (proposedValues.stock !== currentValues.stock) {
+        pendingProduct = await productService.update(product.id, {
+          stock: proposedValues.stock,
+          updatedAt: new Date().toISOString()
+        }, { actor: `vendor_${this.getVendorKey(vendor)}` });
+        currentValues.stock = proposedValues.stock;
+      }
+
+      const request = await approvalWorkflowService.submitForApproval({
+        type: 'price_change',
+        title: `Price Update - ${product.name}`,
+        description: `Update price from Rs. ${currentValues.price} to Rs. ${proposedValues.price}`,
+        submittedBy: `vendor_${this.getVendorKey(vendor)}`,
+        vendorId: this.getVendorKey(vendor),
+        productId: product.id,
+        affectedEntity: {
+          entityType: 'product',
+          entityId: product.id,
+          entityName: product.name,
+          currentValues,
+          proposedValues
+        }
+      });
+
+      await this.logAdminAction(`Price change for ${product.name} submitted for approval by vendor ${vendor.name}`, {
+        action: 'price.change_requested',
+        entityType: 'product',
+        entityId: product.id,
+        actor: `vendor_${this.getVendorKey(vendor)}`,
+        before: currentValues,
+        after: proposedValues,
+        metadata: { vendorId: this.getVendorKey(vendor), approvalRequestId: request.Id }
+      });
+      return {
+        status: 'pending_approval',
+        requestId: request.Id,
+        reason: check.reason || 'Submitted for review by vendor',
+        product: { ...pendingProduct }
+      };
+    }
+
+    const updated = await productService.update(product.id, {
+      ...proposedValues,
+      profitMargin: proposedValues.purchasePrice > 0
+        ? Math.round(((proposedValues.price - proposedValues.purchasePrice) / proposedValues.purchasePrice) * 10000) / 100
+        : product.profitMargin,
+      previousPrice: proposedValues.price !== currentValues.price ? currentValues.price : product.previousPrice,
+      updatedAt: new Date().toISOString()
+    }, { actor: `vendor_${this.getVendorKey(vendor)}`, auditSummary: `Vendor ${vendor.name} updated ${product.name}: Rs. ${currentValues.price} -> Rs. ${proposedValues.price}` });
+
+    return { status: 'updated', product: updated };
+  }
+
   async assignProductsToVendor(vendorId, productIds) {
     try {
       await this.delay();
@@ -471,7 +791,7 @@ const vendor = this.vendors.find(v =>
         throw new Error('Vendor ID and product IDs array are required');
       }
 
-      const vendorIndex = this.vendors.findIndex(v => v.id === vendorId);
+      const vendorIndex = this.vendors.indexOf(this.findVendor(vendorId));
       if (vendorIndex === -1) {
         throw new Error('Vendor not found');
       }
@@ -494,8 +814,13 @@ const vendor = this.vendors.find(v =>
         assignedProducts: newAssignedProducts,
         updatedAt: new Date().toISOString()
       };
+      await this.persist();
 
-      await this.logAdminAction(`Products assigned to vendor: ${this.vendors[vendorIndex].name}`);
+      await this.logAdminAction(`Products assigned to vendor: ${this.vendors[vendorIndex].name}`, {
+        action: 'vendor.products_assigned',
+        entityId: vendorId,
+        metadata: { productIds }
+      });
       await this.notifyVendor(vendorId, `${productIds.length} new product(s) have been assigned to you.`);
 
       return {
@@ -532,8 +857,14 @@ const vendor = this.vendors.find(v =>
         status,
         updatedAt: new Date().toISOString()
       };
-
-      await this.logAdminAction(`Vendor status changed: ${this.vendors[vendorIndex].name} from ${oldStatus} to ${status}`);
+      await this.persist();
+
+      await this.logAdminAction(`Vendor status changed: ${this.vendors[vendorIndex].name} from ${oldStatus} to ${status}`, {
+        action: 'vendor.status_changed',
+        entityId: vendorId,
+        before: { status: oldStatus },
+        after: { status }
+      });
       await this.notifyVendor(vendorId, `Your account status has been changed to ${status}.`);
 
       return {
@@ -562,16 +893,32 @@ isValidPhone(phone) {
     return phoneRegex.test(phone.replace(/[-\s()]/g, ''));
   }
   async delay(ms = 200) {
+    await this.ready;
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
-  async logAdminAction(action) {
-    try {
-      console.log(`[Vendor Service] ${new Date().toISOString()}: ${action}`);
-      // In a real app, this would send to a logging service
-    } catch (error) {
-      console.error('Logging error:', error);
-    }
+  /**
+   * Write a vendor action to the audit trail. Admin actions are attributed to the
+   * signed-in staff member unless an actor (e.g. the vendor themself) is given.
+   */
+  async logAdminAction(summary, { action = 'vendor.activity', entityType = 'vendor', entityId = null, actor, before = null, after = null, metadata = {} } = {}) {
+    await auditService.safeRecord({
+      action,
+      entityType,
+      entityId,
+      actor: actor || sessionService.getActorId(),
+      summary,
+      before,
+      after,
+      metadata
+    });
+  }
+
+  // Vendor records carry credentials, which never go into the audit trail
+  toAuditSnapshot(vendor) {
+    if (!vendor) return null;
+    const { password, ...snapshot } = vendor;
+    return snapshot;
   }
 
   async notifyVendor(vendorId, message) {
@@ -1,3 +1,8 @@
+import deliveryPersonnelData from '@/services/mockData/deliveryPersonnel.json';
+
+// Tabs share mock traffic over this channel so a rider page in one tab moves markers in another
+const MOCK_CHANNEL_NAME = 'freshmart-ws';
+
 class WebSocketService {
   constructor() {
     this.connection = null;
@@ -8,10 +13,18 @@ class WebSocketService {
     this.isConnecting = false;
     this.heartbeatInterval = null;
     this.lastHeartbeat = null;
+    this.mockChannel = null;
+    // Last known rider positions, used to make mock rider_location events move plausibly
+    this.riderPositions = new Map(
+      deliveryPersonnelData
+        .filter(p => p.status === 'on_delivery' && p.currentLocation)
+        .map(p => [p.Id, { ...p.currentLocation }])
+    );
   }
 
-// Initialize WebSocket connection
-  async connect(url = 'ws://localhost:8080/api/ws') {
+// Initialize WebSocket connection. Without VITE_WS_URL the connection is simulated in-browser;
+  // run `npm run ws:dev` and set VITE_WS_URL=ws://localhost:8080/api/ws to use the local relay.
+  async connect(url = import.meta.env.VITE_WS_URL) {
     if (this.isConnecting || (this.connection && this.connection.readyState === WebSocket.OPEN)) {
       return this.getConnectionStatus();
     }
@@ -20,9 +33,9 @@ class WebSocketService {
 
     return new Promise((resolve, reject) => {
       try {
-        // For demo purposes, simulate WebSocket connection
-        // In production, this would be a real WebSocket connection to your Node.js backend
-        this.connection = this.createMockWebSocket();
+        this.connection = url && typeof WebSocket !== 'undefined'
+          ? new WebSocket(url)
+          : this.createMockWebSocket();
         
         this.connection.onopen = () => {
           console.log('WebSocket connected successfully');
@@ -86,9 +99,12 @@ this.connection.onerror = (error) => {
       readyState: 1, // OPEN
       send: (data) => {
         console.log('Sending WebSocket message:', data);
+        this.mockChannel?.postMessage(data);
       },
       close: () => {
         console.log('Closing mock WebSocket');
+        this.mockChannel?.close();
+        this.mockChannel = null;
         if (mockWS.onclose) {
           mockWS.onclose({ code: 1000, reason: 'Normal closure' });
         }
@@ -102,6 +118,16 @@ this.connection.onerror = (error) => {
       }
     }, 100);
 
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.mockChannel?.close();
+      this.mockChannel = new BroadcastChannel(MOCK_CHANNEL_NAME);
+      this.mockChannel.onmessage = (event) => {
+        if (mockWS.readyState === 1 && mockWS.onmessage) {
+          mockWS.onmessage({ data: event.data });
+        }
+      };
+    }
+
     // Simulate periodic messages for demo
     this.startMockMessages(mockWS);
 
@@ -121,7 +147,8 @@ this.connection.onerror = (error) => {
       'payment_proof_uploaded',
       'amount_auto_matched',
       'vendor_payment_confirmed',
-      'system_notification'
+      'system_notification',
+      'rider_location'
     ];
 
     setInterval(() => {
@@ -264,6 +291,31 @@ requestId: Math.floor(Math.random() * 10) + 1,
           }
         };
 
+      case 'rider_location': {
+        const riderIds = Array.from(this.riderPositions.keys());
+        if (riderIds.length === 0) {
+          return { ...baseMessage, type: 'heartbeat' };
+        }
+        const riderId = riderIds[Math.floor(Math.random() * riderIds.length)];
+        const last = this.riderPositions.get(riderId);
+        // Roughly 100m in a random direction from the last known fix
+        const next = {
+          lat: last.lat + (Math.random() - 0.5) * 0.002,
+          lng: last.lng + (Math.random() - 0.5) * 0.002
+        };
+        return {
+          ...baseMessage,
+          data: {
+            riderId,
+            ...next,
+            accuracy: 15,
+            speed: null,
+            heading: null,
+            timestamp: new Date().toISOString()
+          }
+        };
+      }
+
       case 'system_notification':
         return {
           ...baseMessage,
@@ -291,6 +343,10 @@ requestId: Math.floor(Math.random() * 10) + 1,
       return;
     }
 
+    if (type === 'rider_location' && data?.riderId) {
+      this.riderPositions.set(data.riderId, { lat: data.lat, lng: data.lng });
+    }
+
     // Notify all listeners
     this.notifyListeners(type, data);
     
@@ -615,6 +671,29 @@ serialized[key] = value;
     return this.subscribe('price-approvals', callback);
   }
   
+  // Rider GPS updates; pass riderId to only hear about one rider
+  subscribeToRiderLocations(callback, riderId = null) {
+    return this.subscribe('rider_location', (data) => {
+      if (riderId === null || data?.riderId === riderId) {
+        callback(data);
+      }
+    });
+  }
+
+  sendRiderLocation(riderId, location) {
+    const data = {
+      riderId,
+      lat: location.lat,
+      lng: location.lng,
+      accuracy: location.accuracy ?? null,
+      speed: location.speed ?? null,
+      heading: location.heading ?? null,
+      timestamp: new Date().toISOString()
+    };
+    this.riderPositions.set(riderId, { lat: data.lat, lng: data.lng });
+    return this.send({ type: 'rider_location', data, timestamp: data.timestamp });
+  }
+
   // Send approval-specific messages
   sendApprovalMessage(type, data) {
     return this.send({
@@ -0,0 +1,46 @@
+/**
+ * ApiClientAdapter - Storage backend for live API mode
+ * Same /collections/:name contract as HttpAdapter, but requests go through the shared
+ * ApiClient, so they carry the session token, retry transient failures and reject with ApiError.
+ */
+class ApiClientAdapter {
+  // Loaded lazily: ApiClient depends on SessionService, whose services load through PersistenceService
+  async client() {
+    const { apiClient } = await import('@/services/ApiClient');
+    return apiClient;
+  }
+
+  collectionPath(key) {
+    return `/collections/${encodeURIComponent(key)}`;
+  }
+
+  async getItem(key) {
+    try {
+      const body = await (await this.client()).get(this.collectionPath(key));
+      return body?.data ?? null;
+    } catch (error) {
+      // A missing collection simply means nothing has been saved yet
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async setItem(key, value) {
+    await (await this.client()).put(this.collectionPath(key), { data: value });
+    return true;
+  }
+
+  async removeItem(key) {
+    await (await this.client()).delete(this.collectionPath(key));
+    return true;
+  }
+
+  async clear() {
+    await (await this.client()).delete('/collections');
+    return true;
+  }
+}
+
+export default ApiClientAdapter;
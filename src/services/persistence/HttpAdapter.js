@@ -0,0 +1,53 @@
+import axios from 'axios';
+
+/**
+ * HttpAdapter - REST storage backend for PersistenceService
+ * Expects a backend exposing GET/PUT/DELETE on /collections/:name
+ */
+class HttpAdapter {
+  constructor(baseURL, options = {}) {
+    if (!baseURL) {
+      throw new Error('HttpAdapter requires a base URL');
+    }
+
+    this.client = axios.create({
+      baseURL,
+      timeout: options.timeout || 10000,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  collectionPath(key) {
+    return `/collections/${encodeURIComponent(key)}`;
+  }
+
+  async getItem(key) {
+    try {
+      const response = await this.client.get(this.collectionPath(key));
+      return response.data?.data ?? null;
+    } catch (error) {
+      // A missing collection simply means nothing has been saved yet
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async setItem(key, value) {
+    await this.client.put(this.collectionPath(key), { data: value });
+    return true;
+  }
+
+  async removeItem(key) {
+    await this.client.delete(this.collectionPath(key));
+    return true;
+  }
+
+  async clear() {
+    await this.client.delete('/collections');
+    return true;
+  }
+}
+
+export default HttpAdapter;
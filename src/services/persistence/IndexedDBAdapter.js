@@ -0,0 +1,97 @@
+/**
+ * IndexedDBAdapter - Browser-local storage backend for PersistenceService
+ * Stores each collection as a single record keyed by collection name
+ */
+class IndexedDBAdapter {
+  constructor(dbName = 'freshmart', storeName = 'collections', version = 1) {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.version = version;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Check if IndexedDB is usable in the current environment
+   * @returns {boolean} - Availability status
+   */
+  static isSupported() {
+    try {
+      return typeof window !== 'undefined' && !!window.indexedDB;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Open (and upgrade if needed) the database, reusing the open connection
+   * @returns {Promise<IDBDatabase>}
+   */
+  openDatabase() {
+    if (this.dbPromise) {
+      return this.dbPromise;
+    }
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(this.dbName, this.version);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          db.createObjectStore(this.storeName);
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        this.dbPromise = null;
+        reject(request.error || new Error('Failed to open IndexedDB database'));
+      };
+      request.onblocked = () => {
+        console.warn('IndexedDB upgrade blocked by another open tab');
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a single request inside a transaction and resolve with its result
+   * @param {'readonly'|'readwrite'} mode - Transaction mode
+   * @param {Function} operation - Receives the object store, returns an IDBRequest
+   * @returns {Promise<any>}
+   */
+  async runRequest(mode, operation) {
+    const db = await this.openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error || request.error);
+      transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+    });
+  }
+
+  async getItem(key) {
+    const value = await this.runRequest('readonly', store => store.get(key));
+    return value === undefined ? null : value;
+  }
+
+  async setItem(key, value) {
+    await this.runRequest('readwrite', store => store.put(value, key));
+    return true;
+  }
+
+  async removeItem(key) {
+    await this.runRequest('readwrite', store => store.delete(key));
+    return true;
+  }
+
+  async clear() {
+    await this.runRequest('readwrite', store => store.clear());
+    return true;
+  }
+}
+
+export default IndexedDBAdapter;
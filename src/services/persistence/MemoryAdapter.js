@@ -0,0 +1,30 @@
+/**
+ * MemoryAdapter - Non-durable fallback used when no real backend is available
+ * (e.g. private browsing without IndexedDB). Data lives until page reload.
+ */
+class MemoryAdapter {
+  constructor() {
+    this.store = new Map();
+  }
+
+  async getItem(key) {
+    return this.store.has(key) ? this.store.get(key) : null;
+  }
+
+  async setItem(key, value) {
+    this.store.set(key, value);
+    return true;
+  }
+
+  async removeItem(key) {
+    this.store.delete(key);
+    return true;
+  }
+
+  async clear() {
+    this.store.clear();
+    return true;
+  }
+}
+
+export default MemoryAdapter;
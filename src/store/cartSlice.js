@@ -1,5 +1,6 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import { productService } from '@/services/api/productService';
+import { couponService } from '@/services/api/couponService';
 import { toast } from 'react-toastify';
 
 const initialState = {
@@ -13,9 +14,14 @@ const initialState = {
   dealsSummary: {
     totalSavings: 0,
     appliedDeals: []
-  }
+  },
+  appliedCoupon: null,
+  couponLoading: false
 };
 
+// Rejection message from addToCartWithValidation when nothing is left; callers offer a back-in-stock alert
+export const OUT_OF_STOCK_MESSAGE = 'Product is out of stock';
+
 // Deal types enum
 const DEAL_TYPES = {
   BOGO: 'BOGO',
@@ -76,7 +82,7 @@ export const addToCartWithValidation = createAsyncThunk(
       }
       
       if (product.stock <= 0) {
-        throw new Error('Product is out of stock');
+        throw new Error(OUT_OF_STOCK_MESSAGE);
       }
       
       const { cart } = getState();
@@ -93,6 +99,80 @@ export const addToCartWithValidation = createAsyncThunk(
   }
 );
 
+// Same category, in stock, closest in price; used when a reordered product has sold out
+const findSubstitute = (product, catalog, excludedIds) => {
+  const candidates = catalog.filter(candidate =>
+    candidate.category === product.category &&
+    candidate.isActive !== false &&
+    candidate.stock > 0 &&
+    !excludedIds.has(candidate.id)
+  );
+  candidates.sort((a, b) => Math.abs(a.price - product.price) - Math.abs(b.price - product.price));
+  return candidates[0] || null;
+};
+
+/**
+ * Rebuild the cart from a past order. Every line is revalidated through productService.getById
+ * like validateCartPrices; sold-out lines are swapped for a substitute from the same category.
+ * @param {Array} orderItems - Items of the order, { id | productId, name, price, quantity }
+ * @returns {Object} - { lines: [{ product, quantity }], report: { priceChanges, substitutions, adjustments, unavailable } }
+ */
+export const reorderItems = createAsyncThunk(
+  'cart/reorder',
+  async (orderItems, { rejectWithValue }) => {
+    try {
+      const lines = [];
+      const report = { priceChanges: [], substitutions: [], adjustments: [], unavailable: [] };
+      const orderedIds = new Set(orderItems.map(item => item.productId ?? item.id));
+      let catalog = null;
+
+      for (const item of orderItems) {
+        let product;
+        try {
+          product = await productService.getById(item.productId ?? item.id);
+        } catch (error) {
+          report.unavailable.push({ name: item.name, reason: 'Product no longer available' });
+          continue;
+        }
+
+        if (!product.isActive || product.stock <= 0) {
+          catalog = catalog || await productService.getAll();
+          const substitute = product.isActive ? findSubstitute(product, catalog, orderedIds) : null;
+          if (!substitute) {
+            report.unavailable.push({ name: item.name, reason: product.isActive ? OUT_OF_STOCK_MESSAGE : 'Product no longer available' });
+            continue;
+          }
+          orderedIds.add(substitute.id);
+          report.substitutions.push({ name: item.name, substitute: substitute.name, oldPrice: item.price, newPrice: substitute.price });
+          product = substitute;
+        } else if (item.price != null && product.price !== item.price) {
+          report.priceChanges.push({ name: product.name, oldPrice: item.price, newPrice: product.price });
+        }
+
+        const quantity = Math.min(item.quantity || 1, product.stock);
+        if (quantity < (item.quantity || 1)) {
+          report.adjustments.push({ name: product.name, requested: item.quantity, quantity });
+        }
+
+        const existing = lines.find(line => line.product.id === product.id);
+        if (existing) {
+          existing.quantity = Math.min(existing.quantity + quantity, product.stock);
+        } else {
+          lines.push({ product, quantity });
+        }
+      }
+
+      if (lines.length === 0) {
+        throw new Error('None of the items from this order are available right now');
+      }
+
+      return { lines, report };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
 export const updateQuantityWithValidation = createAsyncThunk(
   'cart/updateQuantityWithValidation',
   async ({ productId, quantity }, { rejectWithValue }) => {
@@ -114,6 +194,23 @@ export const updateQuantityWithValidation = createAsyncThunk(
   }
 );
 
+export const applyCouponCode = createAsyncThunk(
+  'cart/applyCoupon',
+  async ({ code, customerId = null }, { getState, rejectWithValue }) => {
+    try {
+      const { cart } = getState();
+      const result = await couponService.validateCoupon(code, {
+        items: cart.items,
+        subtotal: cart.total,
+        customerId
+      });
+      return result.coupon;
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
 const cartSlice = createSlice({
   name: 'cart',
   initialState,
@@ -193,6 +290,11 @@ const { productId, quantity } = action.payload;
       state.items = [];
       state.total = 0;
       state.itemCount = 0;
+      state.appliedCoupon = null;
+    },
+    
+    removeCoupon: (state) => {
+      state.appliedCoupon = null;
     },
     
 calculateTotals: (state) => {
@@ -389,6 +491,28 @@ calculateTotals: (state) => {
       .addCase(addToCartWithValidation.rejected, (state, action) => {
         toast.error(action.payload);
       })
+      .addCase(reorderItems.fulfilled, (state, action) => {
+        // Replaces the cart; a coupon applied to the previous contents is dropped with it
+        state.items = action.payload.lines.map(({ product, quantity }) => ({
+          ...product,
+          quantity,
+          addedAt: Date.now(),
+          updatedAt: Date.now(),
+          image: product.image || product.imageUrl || '/placeholder-image.jpg',
+          basePrice: product.basePrice || product.price,
+          variationPrice: product.variationPrice || null,
+          seasonalDiscount: product.seasonalDiscount || 0,
+          seasonalDiscountType: product.seasonalDiscountType || 'Fixed Amount',
+          seasonalDiscountActive: product.seasonalDiscountActive || false,
+          unit: product.unit || 'piece'
+        }));
+        state.appliedCoupon = null;
+        state.lastValidated = Date.now();
+        cartSlice.caseReducers.calculateTotals(state);
+      })
+      .addCase(reorderItems.rejected, (state, action) => {
+        toast.error(action.payload);
+      })
 .addCase(updateQuantityWithValidation.fulfilled, (state, action) => {
         const { productId, quantity, currentProduct } = action.payload;
         
@@ -414,6 +538,18 @@ calculateTotals: (state) => {
       })
       .addCase(updateQuantityWithValidation.rejected, (state, action) => {
         toast.error(action.payload);
+      })
+      .addCase(applyCouponCode.pending, (state) => {
+        state.couponLoading = true;
+      })
+      .addCase(applyCouponCode.fulfilled, (state, action) => {
+        state.couponLoading = false;
+        state.appliedCoupon = action.payload;
+        toast.success(`Coupon ${action.payload.code} applied`);
+      })
+      .addCase(applyCouponCode.rejected, (state, action) => {
+        state.couponLoading = false;
+        toast.error(action.payload);
       });
   }
 });
@@ -424,6 +560,7 @@ export const {
   removeFromCart,
   updateQuantity,
   clearCart,
+  removeCoupon,
   calculateTotals,
   setError,
   clearError,
@@ -439,6 +576,8 @@ export const selectCartLoading = (state) => state.cart.isLoading;
 export const selectCartError = (state) => state.cart.error;
 export const selectCartDeals = (state) => state.cart.dealsSummary;
 export const selectCartSavings = (state) => state.cart.dealsSummary.totalSavings;
+export const selectAppliedCoupon = (state) => state.cart.appliedCoupon;
+export const selectCouponLoading = (state) => state.cart.couponLoading;
 export const selectIsProductInCart = (productId) => (state) => 
   state.cart.items.some(item => item.id === productId);
 export const selectProductQuantityInCart = (productId) => (state) => {
@@ -1,19 +1,29 @@
 import { combineReducers, configureStore } from "@reduxjs/toolkit";
-import { FLUSH, PAUSE, PERSIST, PURGE, REGISTER, REHYDRATE, persistReducer, persistStore } from "redux-persist";
+import { FLUSH, PAUSE, PERSIST, PURGE, REGISTER, REHYDRATE, createTransform, persistReducer, persistStore } from "redux-persist";
 import storage from "redux-persist/lib/storage";
 import cartSlice from "./cartSlice";
 import notificationSlice from "./notificationSlice";
 import approvalWorkflowSlice from "./approvalWorkflowSlice";
+import wishlistSlice from "./wishlistSlice";
+
+// couponLoading tracks an in-flight request; restoring it would leave the coupon field stuck after a reload
+const cartTransform = createTransform(
+  ({ couponLoading, ...cart }) => cart,
+  (cart) => ({ ...cart, couponLoading: false }),
+  { whitelist: ['cart'] }
+);
 
 const persistConfig = {
   key: 'root',
   storage,
-  whitelist: ['cart', 'approvalWorkflow', 'priceVisibility'] // Persist cart, approval workflow, and price visibility state
+  transforms: [cartTransform],
+  whitelist: ['cart', 'wishlist', 'approvalWorkflow', 'priceVisibility'] // Persist cart, wishlist, approval workflow, and price visibility state
 };
 
 const rootReducer = combineReducers({
   cart: cartSlice,
   notifications: notificationSlice,
+  wishlist: wishlistSlice,
   approvalWorkflow: approvalWorkflowSlice
 });
 
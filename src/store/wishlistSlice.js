@@ -0,0 +1,52 @@
+import { createSlice } from '@reduxjs/toolkit';
+
+const initialState = {
+  items: []
+};
+
+// Only what the wishlist page needs to render; stock and price are re-read from productService
+const toWishlistItem = (product) => ({
+  id: product.id,
+  name: product.name,
+  price: product.price,
+  unit: product.unit || 'piece',
+  category: product.category,
+  imageUrl: product.imageUrl || product.image || null,
+  addedAt: Date.now()
+});
+
+const wishlistSlice = createSlice({
+  name: 'wishlist',
+  initialState,
+  reducers: {
+    addToWishlist: (state, action) => {
+      if (!state.items.some(item => item.id === action.payload.id)) {
+        state.items.unshift(toWishlistItem(action.payload));
+      }
+    },
+    removeFromWishlist: (state, action) => {
+      state.items = state.items.filter(item => item.id !== action.payload);
+    },
+    toggleWishlist: (state, action) => {
+      const product = action.payload;
+      if (state.items.some(item => item.id === product.id)) {
+        state.items = state.items.filter(item => item.id !== product.id);
+      } else {
+        state.items.unshift(toWishlistItem(product));
+      }
+    },
+    clearWishlist: (state) => {
+      state.items = [];
+    }
+  }
+});
+
+export const { addToWishlist, removeFromWishlist, toggleWishlist, clearWishlist } = wishlistSlice.actions;
+
+// Selectors
+export const selectWishlistItems = (state) => state.wishlist.items;
+export const selectWishlistCount = (state) => state.wishlist.items.length;
+export const selectIsInWishlist = (productId) => (state) =>
+  state.wishlist.items.some(item => item.id === productId);
+
+export default wishlistSlice.reducer;
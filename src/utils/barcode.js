@@ -0,0 +1,333 @@
+// 1D barcode decoding (EAN-13, EAN-8, UPC-A, Code 128) from canvas ImageData.
+// Each scan line is binarized, turned into alternating bar/space run lengths and matched
+// against the symbology patterns; EAN/UPC results must pass their check digit and Code 128
+// results their mod-103 checksum before they are returned.
+
+// Same limits ZXing uses: how far a run may stray from its ideal width, per element and on average
+const MAX_INDIVIDUAL_VARIANCE = 0.7;
+const EAN_MAX_AVG_VARIANCE = 0.48;
+const CODE128_MAX_AVG_VARIANCE = 0.25;
+// Minimum quiet zone before the start pattern, in modules. Real labels have 7-10; frames are often cropped tighter.
+const MIN_QUIET_ZONE_MODULES = 3;
+
+// EAN/UPC "L" digit patterns as space, bar, space, bar widths; "G" is the mirror, "R" the same widths starting with a bar
+const L_PATTERNS = [
+  [3, 2, 1, 1], [2, 2, 2, 1], [2, 1, 2, 2], [1, 4, 1, 1], [1, 1, 3, 2],
+  [1, 2, 3, 1], [1, 1, 1, 4], [1, 3, 1, 2], [1, 2, 1, 3], [3, 1, 1, 2]
+];
+const G_PATTERNS = L_PATTERNS.map(pattern => [...pattern].reverse());
+const GUARD_PATTERN = [1, 1, 1];
+const MIDDLE_PATTERN = [1, 1, 1, 1, 1];
+// L/G parity of the six left-hand digits encodes the first EAN-13 digit (bit set = G, first digit is the high bit)
+const FIRST_DIGIT_PARITIES = [0x00, 0x0b, 0x0d, 0x0e, 0x13, 0x19, 0x1c, 0x15, 0x16, 0x1a];
+
+// Code 128 symbol widths (bar, space, bar, space, bar, space); 103-105 are the start codes
+const CODE128_PATTERNS = [
+  [2, 1, 2, 2, 2, 2], [2, 2, 2, 1, 2, 2], [2, 2, 2, 2, 2, 1], [1, 2, 1, 2, 2, 3], [1, 2, 1, 3, 2, 2],
+  [1, 3, 1, 2, 2, 2], [1, 2, 2, 2, 1, 3], [1, 2, 2, 3, 1, 2], [1, 3, 2, 2, 1, 2], [2, 2, 1, 2, 1, 3],
+  [2, 2, 1, 3, 1, 2], [2, 3, 1, 2, 1, 2], [1, 1, 2, 2, 3, 2], [1, 2, 2, 1, 3, 2], [1, 2, 2, 2, 3, 1],
+  [1, 1, 3, 2, 2, 2], [1, 2, 3, 1, 2, 2], [1, 2, 3, 2, 2, 1], [2, 2, 3, 2, 1, 1], [2, 2, 1, 1, 3, 2],
+  [2, 2, 1, 2, 3, 1], [2, 1, 3, 2, 1, 2], [2, 2, 3, 1, 1, 2], [3, 1, 2, 1, 3, 1], [3, 1, 1, 2, 2, 2],
+  [3, 2, 1, 1, 2, 2], [3, 2, 1, 2, 2, 1], [3, 1, 2, 2, 1, 2], [3, 2, 2, 1, 1, 2], [3, 2, 2, 2, 1, 1],
+  [2, 1, 2, 1, 2, 3], [2, 1, 2, 3, 2, 1], [2, 3, 2, 1, 2, 1], [1, 1, 1, 3, 2, 3], [1, 3, 1, 1, 2, 3],
+  [1, 3, 1, 3, 2, 1], [1, 1, 2, 3, 1, 3], [1, 3, 2, 1, 1, 3], [1, 3, 2, 3, 1, 1], [2, 1, 1, 3, 1, 3],
+  [2, 3, 1, 1, 1, 3], [2, 3, 1, 3, 1, 1], [1, 1, 2, 1, 3, 3], [1, 1, 2, 3, 3, 1], [1, 3, 2, 1, 3, 1],
+  [1, 1, 3, 1, 2, 3], [1, 1, 3, 3, 2, 1], [1, 3, 3, 1, 2, 1], [3, 1, 3, 1, 2, 1], [2, 1, 1, 3, 3, 1],
+  [2, 3, 1, 1, 3, 1], [2, 1, 3, 1, 1, 3], [2, 1, 3, 3, 1, 1], [2, 1, 3, 1, 3, 1], [3, 1, 1, 1, 2, 3],
+  [3, 1, 1, 3, 2, 1], [3, 3, 1, 1, 2, 1], [3, 1, 2, 1, 1, 3], [3, 1, 2, 3, 1, 1], [3, 3, 2, 1, 1, 1],
+  [3, 1, 4, 1, 1, 1], [2, 2, 1, 4, 1, 1], [4, 3, 1, 1, 1, 1], [1, 1, 1, 2, 2, 4], [1, 1, 1, 4, 2, 2],
+  [1, 2, 1, 1, 2, 4], [1, 2, 1, 4, 2, 1], [1, 4, 1, 1, 2, 2], [1, 4, 1, 2, 2, 1], [1, 1, 2, 2, 1, 4],
+  [1, 1, 2, 4, 1, 2], [1, 2, 2, 1, 1, 4], [1, 2, 2, 4, 1, 1], [1, 4, 2, 1, 1, 2], [1, 4, 2, 2, 1, 1],
+  [2, 4, 1, 2, 1, 1], [2, 2, 1, 1, 1, 4], [4, 1, 3, 1, 1, 1], [2, 4, 1, 1, 1, 2], [1, 3, 4, 1, 1, 1],
+  [1, 1, 1, 2, 4, 2], [1, 2, 1, 1, 4, 2], [1, 2, 1, 2, 4, 1], [1, 1, 4, 2, 1, 2], [1, 2, 4, 1, 1, 2],
+  [1, 2, 4, 2, 1, 1], [4, 1, 1, 2, 1, 2], [4, 2, 1, 1, 1, 2], [4, 2, 1, 2, 1, 1], [2, 1, 2, 1, 4, 1],
+  [2, 1, 4, 1, 2, 1], [4, 1, 2, 1, 2, 1], [1, 1, 1, 1, 4, 3], [1, 1, 1, 3, 4, 1], [1, 3, 1, 1, 4, 1],
+  [1, 1, 4, 1, 1, 3], [1, 1, 4, 3, 1, 1], [4, 1, 1, 1, 1, 3], [4, 1, 1, 3, 1, 1], [1, 1, 3, 1, 4, 1],
+  [1, 1, 4, 1, 3, 1], [3, 1, 1, 1, 4, 1], [4, 1, 1, 1, 3, 1], [2, 1, 1, 4, 1, 2], [2, 1, 1, 2, 1, 4],
+  [2, 1, 1, 2, 3, 2]
+];
+const CODE128_STOP = [2, 3, 3, 1, 1, 1, 2];
+const CODE128_START_A = 103;
+const CODE128_START_B = 104;
+const CODE128_START_C = 105;
+const CODE128_MAX_SYMBOLS = 80;
+
+/**
+ * GS1 mod-10 check digit (EAN-13, EAN-8, UPC-A): weights 3 and 1 alternate from the rightmost data digit
+ * @param {string} code - Digits including the check digit
+ */
+export const hasValidCheckDigit = (code) => {
+  if (!/^\d{8}$|^\d{12,14}$/.test(code)) return false;
+  const digits = code.split('').map(Number);
+  const check = digits.pop();
+  const sum = digits.reverse().reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === check;
+};
+
+/**
+ * Zero-padded 14-digit GTIN for numeric codes, so a UPC-A read as 12 digits matches the same
+ * product stored as an EAN-13 with a leading zero. Non-numeric codes are returned unchanged.
+ */
+export const normalizeGtin = (code) => {
+  const value = String(code || '').trim();
+  return /^\d{8}$|^\d{12,14}$/.test(value) ? value.padStart(14, '0') : value;
+};
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+// Average deviation of the runs from the pattern, in units of the run total; Infinity if any run is far off
+const patternVariance = (runs, pattern, maxIndividualVariance = MAX_INDIVIDUAL_VARIANCE) => {
+  const total = sum(runs);
+  const patternLength = sum(pattern);
+  if (total < patternLength) return Infinity;
+  const unit = total / patternLength;
+  const maxIndividual = maxIndividualVariance * unit;
+  let variance = 0;
+  for (let i = 0; i < runs.length; i++) {
+    const deviation = Math.abs(runs[i] - pattern[i] * unit);
+    if (deviation > maxIndividual) return Infinity;
+    variance += deviation;
+  }
+  return variance / total;
+};
+
+// Index of the closest pattern, or -1 when none is within the allowed average variance
+const bestMatch = (runs, patterns, maxAvgVariance) => {
+  let best = -1;
+  let bestVariance = maxAvgVariance;
+  patterns.forEach((pattern, index) => {
+    const variance = patternVariance(runs, pattern);
+    if (variance < bestVariance) {
+      bestVariance = variance;
+      best = index;
+    }
+  });
+  return best;
+};
+
+/**
+ * Binarize one row of pixels and return alternating run lengths. runs[0] is always light
+ * (possibly zero length), so bars sit at odd indexes.
+ */
+export const getRowRuns = (imageData, y) => {
+  const { data, width } = imageData;
+  const luminance = new Float32Array(width);
+  let min = 255;
+  let max = 0;
+  for (let x = 0; x < width; x++) {
+    const i = (y * width + x) * 4;
+    luminance[x] = (data[i] * 299 + data[i + 1] * 587 + data[i + 2] * 114) / 1000;
+    min = Math.min(min, luminance[x]);
+    max = Math.max(max, luminance[x]);
+  }
+  // Too little contrast to hold a barcode
+  if (max - min < 40) return [];
+
+  const threshold = (min + max) / 2;
+  const runs = [0];
+  let dark = false;
+  for (let x = 0; x < width; x++) {
+    const isDark = luminance[x] < threshold;
+    if (isDark === dark) {
+      runs[runs.length - 1] += 1;
+    } else {
+      runs.push(1);
+      dark = isDark;
+    }
+  }
+  return runs;
+};
+
+// Start guard at a bar index, with enough light space in front of it
+const matchStartGuard = (runs, start, pattern) => {
+  const guard = runs.slice(start, start + pattern.length);
+  if (guard.length < pattern.length) return null;
+  const module = sum(guard) / sum(pattern);
+  if (runs[start - 1] < module * MIN_QUIET_ZONE_MODULES) return null;
+  return patternVariance(guard, pattern) < EAN_MAX_AVG_VARIANCE ? module : null;
+};
+
+/**
+ * EAN-13 (and UPC-A, which is EAN-13 with a leading 0) or EAN-8 starting at a bar index
+ * @param {number} halfDigits - Digits per half: 6 for EAN-13, 4 for EAN-8
+ * @returns {Object|null} - { format, text }
+ */
+const decodeEan = (runs, start, halfDigits) => {
+  const isEan13 = halfDigits === 6;
+  if (start + 3 + halfDigits * 8 + 5 + 3 > runs.length) return null;
+  const module = matchStartGuard(runs, start, GUARD_PATTERN);
+  if (!module) return null;
+
+  const digits = [];
+  let parity = 0;
+  let index = start + 3;
+
+  // Right-hand digits start with a bar but share the L widths, so one reader serves both halves
+  const readDigit = (allowG) => {
+    const digitRuns = runs.slice(index, index + 4);
+    const width = sum(digitRuns);
+    if (width < module * 7 * 0.5 || width > module * 7 * 1.5) return false;
+    const l = bestMatch(digitRuns, L_PATTERNS, EAN_MAX_AVG_VARIANCE);
+    const g = allowG ? bestMatch(digitRuns, G_PATTERNS, EAN_MAX_AVG_VARIANCE) : -1;
+    if (l === -1 && g === -1) return false;
+    const useG = g !== -1 && (l === -1 || patternVariance(digitRuns, G_PATTERNS[g]) < patternVariance(digitRuns, L_PATTERNS[l]));
+    digits.push(useG ? g : l);
+    if (allowG) parity = (parity << 1) | (useG ? 1 : 0);
+    index += 4;
+    return true;
+  };
+
+  for (let i = 0; i < halfDigits; i++) {
+    if (!readDigit(isEan13)) return null;
+  }
+  if (patternVariance(runs.slice(index, index + 5), MIDDLE_PATTERN) >= EAN_MAX_AVG_VARIANCE) return null;
+  index += 5;
+  for (let i = 0; i < halfDigits; i++) {
+    if (!readDigit(false)) return null;
+  }
+  if (patternVariance(runs.slice(index, index + 3), GUARD_PATTERN) >= EAN_MAX_AVG_VARIANCE) return null;
+
+  let text = digits.join('');
+  if (isEan13) {
+    const firstDigit = FIRST_DIGIT_PARITIES.indexOf(parity);
+    if (firstDigit === -1) return null;
+    text = `${firstDigit}${text}`;
+  }
+  if (!hasValidCheckDigit(text)) return null;
+
+  if (isEan13 && text.startsWith('0')) {
+    return { format: 'UPC-A', text: text.slice(1) };
+  }
+  return { format: isEan13 ? 'EAN-13' : 'EAN-8', text };
+};
+
+const decodeEan13 = (runs, start) => decodeEan(runs, start, 6);
+const decodeEan8 = (runs, start) => decodeEan(runs, start, 4);
+
+// Turn Code 128 symbol values into text, following code set switches and shifts
+const code128ToText = (codes) => {
+  const startCode = codes[0];
+  let codeSet = startCode === CODE128_START_A ? 'A' : startCode === CODE128_START_B ? 'B' : 'C';
+  let shift = false;
+  let text = '';
+
+  for (let i = 1; i < codes.length; i++) {
+    const code = codes[i];
+    const activeSet = shift ? (codeSet === 'A' ? 'B' : 'A') : codeSet;
+    shift = false;
+
+    if (activeSet === 'C') {
+      if (code < 100) text += String(code).padStart(2, '0');
+      else if (code === 100) codeSet = 'B';
+      else if (code === 101) codeSet = 'A';
+      // 102 is FNC1, which only marks GS1 formatting
+      continue;
+    }
+
+    if (code < 96) {
+      if (activeSet === 'A') {
+        text += String.fromCharCode(code < 64 ? code + 32 : code - 64);
+      } else {
+        text += String.fromCharCode(code + 32);
+      }
+      continue;
+    }
+
+    if (code === 98) shift = true;
+    else if (code === 99) codeSet = 'C';
+    else if (code === 100 && activeSet === 'A') codeSet = 'B';
+    else if (code === 101 && activeSet === 'B') codeSet = 'A';
+    // 96, 97, 102 and FNC4 (100 in B, 101 in A) carry no characters here
+  }
+  return text;
+};
+
+/**
+ * Code 128 starting at a bar index
+ * @returns {Object|null} - { format, text }
+ */
+const decodeCode128 = (runs, start) => {
+  const startRuns = runs.slice(start, start + 6);
+  if (startRuns.length < 6) return null;
+  const startCode = bestMatch(startRuns, CODE128_PATTERNS, CODE128_MAX_AVG_VARIANCE);
+  if (startCode < CODE128_START_A) return null;
+  const module = sum(startRuns) / 11;
+  if (runs[start - 1] < module * MIN_QUIET_ZONE_MODULES) return null;
+
+  const codes = [startCode];
+  let index = start + 6;
+  while (codes.length <= CODE128_MAX_SYMBOLS) {
+    const stopRuns = runs.slice(index, index + 7);
+    if (stopRuns.length === 7 && patternVariance(stopRuns, CODE128_STOP) < CODE128_MAX_AVG_VARIANCE) {
+      break;
+    }
+    const symbolRuns = runs.slice(index, index + 6);
+    if (symbolRuns.length < 6) return null;
+    const code = bestMatch(symbolRuns, CODE128_PATTERNS, CODE128_MAX_AVG_VARIANCE);
+    if (code === -1 || code >= CODE128_START_A) return null;
+    codes.push(code);
+    index += 6;
+  }
+
+  // Start code, at least one data symbol, and the checksum symbol
+  if (codes.length < 3 || codes.length > CODE128_MAX_SYMBOLS) return null;
+  const checksum = codes.pop();
+  const expected = codes.reduce((total, code, position) => total + code * Math.max(1, position), 0) % 103;
+  if (checksum !== expected) return null;
+
+  const text = code128ToText(codes);
+  return text ? { format: 'Code128', text } : null;
+};
+
+const DECODERS = [decodeEan13, decodeEan8, decodeCode128];
+
+/**
+ * Decode the first barcode found in a row of runs, read left to right
+ * @returns {Object|null} - { format, text }
+ */
+export const decodeRuns = (runs) => {
+  for (let start = 1; start < runs.length; start += 2) {
+    for (const decoder of DECODERS) {
+      const result = decoder(runs, start);
+      if (result) return result;
+    }
+  }
+  return null;
+};
+
+/**
+ * Scan horizontal lines across the middle of a frame, in both directions so upside-down
+ * labels read too. Every line that decodes casts a vote; the most common reading wins.
+ * @param {ImageData} imageData - Frame from a canvas 2D context
+ * @param {Object} options - { lines: number of scan lines }
+ * @returns {Object|null} - { format, text, votes }
+ */
+export const decodeBarcode = (imageData, { lines = 15 } = {}) => {
+  const votes = new Map();
+  const top = Math.floor(imageData.height * 0.25);
+  const span = Math.floor(imageData.height * 0.5);
+
+  for (let i = 0; i < lines; i++) {
+    const y = top + Math.floor((span * (i + 0.5)) / lines);
+    const runs = getRowRuns(imageData, y);
+    if (runs.length < 30) continue;
+
+    // Reversed, the row must again start with a light run
+    const reversed = [...runs].reverse();
+    if (runs.length % 2 === 0) reversed.unshift(0);
+
+    const result = decodeRuns(runs) || decodeRuns(reversed);
+    if (result) {
+      const key = `${result.format}:${result.text}`;
+      const entry = votes.get(key) || { ...result, votes: 0 };
+      entry.votes += 1;
+      votes.set(key, entry);
+    }
+  }
+
+  let best = null;
+  votes.forEach(entry => {
+    if (!best || entry.votes > best.votes) best = entry;
+  });
+  return best;
+};
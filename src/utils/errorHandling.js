@@ -71,6 +71,12 @@ static shouldRetry(error, attemptCount = 0, maxRetries = 3) {
   }
 }
 
+// Standalone helpers for modules that import them by name
+export const classifyError = (error) => ErrorHandler.classifyError(error);
+export const createUserFriendlyMessage = (error, context) => ErrorHandler.createUserFriendlyMessage(error, context);
+export const shouldRetry = (error, attemptCount, maxRetries) => ErrorHandler.shouldRetry(error, attemptCount, maxRetries);
+export const getRetryDelay = (attemptCount, baseDelay) => ErrorHandler.getRetryDelay(attemptCount, baseDelay);
+
 // Network status monitoring
 export class NetworkMonitor {
   static isOnline() {
@@ -0,0 +1,40 @@
+// Coordinate helpers shared by the delivery map, location picker, geocoder and route planner
+const EARTH_RADIUS_KM = 6371;
+
+export const hasCoordinates = (point) =>
+  Boolean(point) && Number.isFinite(point.lat) && Number.isFinite(point.lng);
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} a - { lat, lng }
+ * @param {Object} b - { lat, lng }
+ * @returns {number} - Distance in km
+ */
+export const haversineKm = (a, b) => {
+  const toRad = deg => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+// Web Mercator onto a unit square, so maps need no tile server
+export const project = ({ lat, lng }) => {
+  const sinLat = Math.sin((Math.max(-85, Math.min(85, lat)) * Math.PI) / 180);
+  return {
+    x: (lng + 180) / 360,
+    y: 0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)
+  };
+};
+
+export const unproject = ({ x, y }) => ({
+  lat: (Math.atan(Math.sinh(Math.PI * (1 - 2 * y))) * 180) / Math.PI,
+  lng: x * 360 - 180
+});
+
+// Six decimal places is roughly 10 cm, plenty for a doorstep
+export const roundCoordinates = ({ lat, lng }) => ({
+  lat: Math.round(lat * 1e6) / 1e6,
+  lng: Math.round(lng * 1e6) / 1e6
+});
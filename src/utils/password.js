@@ -0,0 +1,74 @@
+// Password hashing with Web Crypto PBKDF2, so no plaintext passwords are ever stored
+const PBKDF2_ITERATIONS = 150000;
+const SALT_BYTES = 16;
+const HASH_BITS = 256;
+
+const toBase64 = (buffer) => btoa(String.fromCharCode(...new Uint8Array(buffer)));
+
+const fromBase64 = (value) => Uint8Array.from(atob(value), char => char.charCodeAt(0));
+
+const deriveHash = async (password, salt, iterations) => {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    key,
+    HASH_BITS
+  );
+  return toBase64(bits);
+};
+
+/**
+ * Hash a password for storage
+ * @returns {Promise<Object>} - { algorithm, iterations, salt, hash }
+ */
+export const hashPassword = async (password) => {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  return {
+    algorithm: 'PBKDF2-SHA256',
+    iterations: PBKDF2_ITERATIONS,
+    salt: toBase64(salt),
+    hash: await deriveHash(password, salt, PBKDF2_ITERATIONS)
+  };
+};
+
+/**
+ * Check a password against a stored record. Compares every character so the
+ * time taken does not reveal how much of the hash matched.
+ */
+export const verifyPassword = async (password, record) => {
+  if (!record?.hash || !record?.salt) return false;
+  const candidate = await deriveHash(password, fromBase64(record.salt), record.iterations || PBKDF2_ITERATIONS);
+  if (candidate.length !== record.hash.length) return false;
+
+  let difference = 0;
+  for (let i = 0; i < candidate.length; i++) {
+    difference |= candidate.charCodeAt(i) ^ record.hash.charCodeAt(i);
+  }
+  return difference === 0;
+};
+
+// Random URL-safe token for password reset links
+export const generateToken = (bytes = 24) => {
+  const values = crypto.getRandomValues(new Uint8Array(bytes));
+  return Array.from(values, value => value.toString(16).padStart(2, '0')).join('');
+};
+
+// Tokens are stored hashed, like passwords, so a leaked store cannot be used to reset accounts
+export const hashToken = async (token) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return toBase64(digest);
+};
+
+export const getPasswordProblems = (password = '') => {
+  const problems = [];
+  if (password.length < 8) problems.push('at least 8 characters');
+  if (!/[A-Za-z]/.test(password)) problems.push('a letter');
+  if (!/\d/.test(password)) problems.push('a number');
+  return problems;
+};